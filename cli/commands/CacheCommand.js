@@ -0,0 +1,107 @@
+/**
+ * cache - Reports on and prunes the riddle cache
+ * Entries count as stale when the prompts for their language and style have changed
+ */
+
+import { RiddleGenerator } from '../modules/RiddleGenerator.js';
+import { RiddleCache } from '../modules/RiddleCache.js';
+import { CommandLine } from '../modules/CommandLine.js';
+
+export class CacheCommand {
+  static NAME = 'cache';
+
+  static SUMMARY = 'Show (stats) or clean up (prune) the riddle cache';
+
+  static OPTIONS = {
+    '--cache-dir': { key: 'cacheDir' },
+    '--older-than': { key: 'olderThan', type: 'float' }
+  };
+
+  static DEFAULTS = {
+    cacheDir: RiddleCache.DEFAULT_DIR,
+    olderThan: null
+  };
+
+  static HELP = `Usage:
+  node cli/index.js cache <stats|prune> [options]
+
+Actions:
+  stats                  Show what the riddle cache holds
+  prune                  Drop cached riddles made with outdated prompts (or, with
+                         --older-than, every riddle older than that many days)
+
+Options:
+  --cache-dir <path>     Riddle cache directory (default: .cache/riddles)
+  --older-than <days>    For prune: drop riddles cached more than this many days ago
+  --help, -h             Show this help message
+
+Examples:
+  node cli/index.js cache stats
+  node cli/index.js cache prune --older-than 90`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    const config = CommandLine.parse(args, this.OPTIONS, this.DEFAULTS);
+    config.cacheAction = config.positionals[0] || null;
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (!['stats', 'prune'].includes(config.cacheAction)) {
+      errors.push('cache needs an action: stats or prune');
+    } else if (config.positionals.length > 1) {
+      errors.push(`Unexpected argument: ${config.positionals[1]}`);
+    }
+
+    if (config.olderThan !== null && !(config.olderThan >= 0)) {
+      errors.push('--older-than must be a number of days');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Runs the cache action
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const cache = new RiddleCache({ dir: config.cacheDir });
+    const isStale = entry => entry.promptHash !== RiddleGenerator.getPromptHash(entry.language, entry.promptStyle);
+
+    if (config.cacheAction === 'stats') {
+      const stats = cache.stats(isStale);
+      console.log(`Riddle cache: ${cache.path}`);
+      console.log(`Entries: ${stats.entries} (${(stats.bytes / 1024).toFixed(1)} KB)`);
+      if (stats.entries === 0) {
+        return 0;
+      }
+      console.log(`Stale (outdated prompts): ${stats.stale}`);
+      console.log(`Oldest: ${stats.oldest}`);
+      console.log(`Newest: ${stats.newest}`);
+      console.log('By provider:');
+      Object.entries(stats.providers).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+      console.log('By language:');
+      Object.entries(stats.languages).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+      return 0;
+    }
+
+    const cutoff = config.olderThan !== null ? Date.now() - config.olderThan * 24 * 60 * 60 * 1000 : null;
+    const removed = cache.prune(entry => (cutoff !== null
+      ? !(Date.parse(entry.createdAt) >= cutoff)
+      : isStale(entry)));
+    console.log(`Removed ${removed} cached riddle(s), ${cache.load().size} left`);
+    return 0;
+  }
+}
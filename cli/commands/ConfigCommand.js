@@ -0,0 +1,88 @@
+/**
+ * config - Shows the settings a generate run would use, after merging the
+ * defaults, the environment, the project config file and the flags
+ */
+
+import { RiddleProviders } from '../modules/RiddleProviders.js';
+import { GenerateCommand } from './GenerateCommand.js';
+
+export class ConfigCommand {
+  static NAME = 'config';
+
+  static SUMMARY = 'Print the resolved generator settings (config print)';
+
+  static HELP = `Usage:
+  node cli/index.js config print [generate options]
+
+Prints, as JSON, the settings generate would run with: built-in defaults,
+then environment variables, then the project config file (its top level and
+the profile for the run's language), then any generate flags given here.
+"provider" shows the provider the environment would pick when none is set
+(null means template riddles), "configFile" the file that was read and
+"quality" the severity of each riddle quality rule, with the options and
+ignored answers of the rules that have them.
+
+Options:
+  Any generate option, e.g. --language he or --config other.json
+  --help, -h             Show this help message
+
+Examples:
+  node cli/index.js config print
+  node cli/index.js config print --language he --count 3`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    const config = GenerateCommand.parse(args);
+    config.configAction = config.positionals[0] || null;
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    if (config.configAction !== 'print') {
+      return ['config needs an action: print'];
+    }
+    if (config.positionals.length > 1) {
+      return [`Unexpected argument: ${config.positionals[1]}`];
+    }
+    return [];
+  }
+
+  /**
+   * Prints the resolved settings
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const resolved = { configFile: config.configFile };
+    Object.keys(GenerateCommand.DEFAULTS).forEach(key => {
+      resolved[key] = config[key];
+    });
+    if (!resolved.provider) {
+      resolved.provider = resolved.dictionary ? 'dictionary' : RiddleProviders.environmentName();
+    }
+
+    resolved.quality = {};
+    Object.entries(config.qualityRules).forEach(([id, rule]) => {
+      const hasSettings = Object.keys(rule.options).length > 0 || rule.ignore.length > 0;
+      resolved.quality[id] = hasSettings ? { severity: rule.severity, ...rule.options, ignore: rule.ignore } : rule.severity;
+    });
+
+    console.log(JSON.stringify(resolved, null, 2));
+
+    const problems = GenerateCommand.validate({ ...config, positionals: [] });
+    if (problems.length > 0) {
+      console.error('\nA generate run with these settings would stop with:');
+      problems.forEach(problem => console.error(`  - ${problem}`));
+    }
+    return 0;
+  }
+}
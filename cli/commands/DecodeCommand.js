@@ -0,0 +1,61 @@
+/**
+ * decode - Prints the puzzle JSON held in a share URL
+ */
+
+import { ShareLink } from '../modules/ShareLink.js';
+import { CommandLine } from '../modules/CommandLine.js';
+
+export class DecodeCommand {
+  static NAME = 'decode';
+
+  static SUMMARY = 'Print the puzzle JSON from a share URL or encoded string';
+
+  static OPTIONS = {};
+
+  static DEFAULTS = {};
+
+  static HELP = `Usage:
+  node cli/index.js decode <url|string>
+
+Prints the puzzle held in a share link as formatted JSON. Takes the whole
+URL or just the value of its p parameter.
+
+Options:
+  --help, -h             Show this help message
+
+Examples:
+  node cli/index.js decode 'http://localhost:5173/?p=eJyr...'
+  node cli/index.js decode eJyr... > puzzles/shared.json`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    return CommandLine.parse(args, this.OPTIONS, this.DEFAULTS);
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    if (config.positionals.length !== 1) {
+      return ['decode needs exactly one URL or encoded string'];
+    }
+    return [];
+  }
+
+  /**
+   * Prints the decoded puzzle
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const puzzle = ShareLink.decode(config.positionals[0]);
+    console.log(JSON.stringify(puzzle, null, 2));
+    return 0;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * encode - Prints the share URL for a puzzle file
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { ShareLink } from '../modules/ShareLink.js';
+import { CommandLine } from '../modules/CommandLine.js';
+
+export class EncodeCommand {
+  static NAME = 'encode';
+
+  static SUMMARY = 'Print the share URL for a puzzle file';
+
+  static OPTIONS = {
+    '--base-url': { key: 'baseUrl' },
+    '--stats': { key: 'stats', type: 'boolean' }
+  };
+
+  static DEFAULTS = {
+    baseUrl: ShareLink.DEFAULT_BASE_URL,
+    stats: false
+  };
+
+  static HELP = `Usage:
+  node cli/index.js encode <file> [options]
+
+Compresses the puzzle into the game's ?p= link and prints the URL, so the
+puzzle can be shared without hosting the file.
+
+Options:
+  --base-url <url>       Game address the link points at (default: ${ShareLink.DEFAULT_BASE_URL})
+  --stats                Also print sizes and the compression ratio (to stderr)
+  --help, -h             Show this help message
+
+Examples:
+  node cli/index.js encode puzzles/puzzle-en-1.json
+  node cli/index.js encode puzzles/puzzle-en-1.json --base-url https://example.github.io/magic-four`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    return CommandLine.parse(args, this.OPTIONS, this.DEFAULTS);
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    if (config.positionals.length !== 1) {
+      return ['encode needs exactly one puzzle file'];
+    }
+    return [];
+  }
+
+  /**
+   * Prints the URL (and, with --stats, the compression figures)
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const [file] = config.positionals;
+    if (!existsSync(file)) {
+      throw new Error(`Puzzle file not found: ${file}`);
+    }
+    const json = readFileSync(file, 'utf-8');
+    let puzzle;
+    try {
+      puzzle = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+
+    const url = ShareLink.toUrl(puzzle, config.baseUrl);
+    console.log(url);
+
+    if (config.stats) {
+      const encoded = ShareLink.encode(puzzle);
+      const compressed = Buffer.from(encoded, 'base64url').length;
+      console.error(`Original: ${Buffer.byteLength(json)} bytes`);
+      console.error(`Compressed: ${compressed} bytes (${(compressed / Buffer.byteLength(json) * 100).toFixed(1)}%)`);
+      console.error(`Encoded: ${encoded.length} chars`);
+      console.error(`URL length: ${url.length} characters`);
+    }
+
+    return 0;
+  }
+}
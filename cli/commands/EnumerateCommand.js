@@ -0,0 +1,139 @@
+/**
+ * enumerate - Streams every magic square in a word list to an NDJSON file,
+ * with checkpoints so long runs can be interrupted and resumed
+ */
+
+import { WordListLoader } from '../modules/WordListLoader.js';
+import { SquareEnumerator } from '../modules/SquareEnumerator.js';
+import { CommandLine } from '../modules/CommandLine.js';
+import { SquareOptions } from './SquareOptions.js';
+
+export class EnumerateCommand {
+  static NAME = 'enumerate';
+
+  static SUMMARY = 'Stream every square in the word list to an NDJSON file';
+
+  static OPTIONS = {
+    ...SquareOptions.OPTIONS,
+    '--checkpoint': { key: 'checkpoint' },
+    '--checkpoint-every': { key: 'checkpointEvery', type: 'int' },
+    '--resume': { key: 'resume', type: 'boolean' }
+  };
+
+  static DEFAULTS = {
+    ...SquareOptions.DEFAULTS,
+    checkpoint: null,
+    checkpointEvery: 250,
+    resume: false
+  };
+
+  static HELP = `Usage:
+  node cli/index.js enumerate --wordlist <path> [options]
+
+Writes every magic square in the word list to an NDJSON file, one square per
+line. The first Ctrl-C stops after the current first word and saves a
+checkpoint; a second one exits immediately.
+
+Options:
+${SquareOptions.HELP}
+  --output <path>        NDJSON file (default: squares-<lang>-<size>.ndjson)
+  --checkpoint <path>    Checkpoint file (default: <output>.checkpoint.json)
+  --checkpoint-every <n> First words between checkpoints (default: 250)
+  --resume               Continue an interrupted run from its checkpoint
+  --help, -h             Show this help message
+
+Examples:
+  node cli/index.js enumerate --wordlist wordlists/eng-4.txt --output squares-en.ndjson
+  node cli/index.js enumerate --wordlist wordlists/eng-4.txt --output squares-en.ndjson --resume`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    const config = CommandLine.parse(args, this.OPTIONS, this.DEFAULTS);
+    if (config.output === null) {
+      config.output = `squares-${config.language}-${config.size}${config.double ? '-double' : ''}${config.diagonals ? `-${config.diagonals}-diagonal` : ''}.ndjson`;
+    }
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    const errors = SquareOptions.validate(config);
+
+    if (config.positionals.length > 0) {
+      errors.push(`Unexpected argument: ${config.positionals[0]}`);
+    }
+
+    if (!(config.checkpointEvery >= 1)) {
+      errors.push('--checkpoint-every must be at least 1');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Runs the enumeration
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    console.log('Magic Four Squared - Puzzle Generator\n');
+
+    const controller = new AbortController();
+    const onInterrupt = () => {
+      if (controller.signal.aborted) {
+        process.exit(130);
+      }
+      console.log('\nInterrupted, saving checkpoint (Ctrl-C again to exit now)...');
+      controller.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    try {
+      console.log(`\n[1/2] Loading word list from: ${config.wordlist}`);
+      const wordListData = WordListLoader.load(config.wordlist, config.language, config.size, {
+        blocklist: config.blocklist
+      });
+
+      const squareKind = SquareOptions.describe(config);
+      console.log(`\n[2/2] Enumerating magic squares (${squareKind}) to: ${config.output}`);
+      if (config.resume) {
+        console.log('Resuming from checkpoint');
+      }
+
+      const summary = await SquareEnumerator.enumerate(wordListData.words, {
+        outputPath: config.output,
+        checkpointPath: config.checkpoint || undefined,
+        resume: config.resume,
+        mode: config.double ? 'double' : 'symmetric',
+        diagonals: config.diagonals,
+        language: config.language,
+        checkpointEvery: config.checkpointEvery,
+        signal: controller.signal,
+        onProgress: (state) => {
+          console.log(`Checkpoint: ${state.nextIndex}/${state.total} first words, ${state.found} squares`);
+        }
+      });
+
+      console.log('\n' + '='.repeat(50));
+      console.log(summary.completed ? 'Enumeration Complete!' : 'Enumeration Paused');
+      console.log('='.repeat(50));
+      console.log(`Squares found: ${summary.found}`);
+      console.log(`First words searched: ${summary.processed}/${summary.total}`);
+      console.log(`Output file: ${config.output}`);
+      if (!summary.completed) {
+        console.log('Run the same command with --resume to continue');
+      }
+      return summary.completed ? 0 : 130;
+    } finally {
+      process.off('SIGINT', onInterrupt);
+    }
+  }
+}
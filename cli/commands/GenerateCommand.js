@@ -0,0 +1,799 @@
+/**
+ * generate - Finds magic squares in a word list, writes riddles for them
+ * and saves the puzzles (the default command)
+ */
+
+import { WordListLoader } from '../modules/WordListLoader.js';
+import { MagicSquareFinder } from '../modules/MagicSquareFinder.js';
+import { RiddleGenerator } from '../modules/RiddleGenerator.js';
+import { ArtifactWriter } from '../modules/ArtifactWriter.js';
+import { SeededRandom } from '../modules/SeededRandom.js';
+import { ParallelSquareFinder } from '../modules/ParallelSquareFinder.js';
+import { LetterForms } from '../modules/LetterForms.js';
+import { PuzzleLibrary } from '../modules/PuzzleLibrary.js';
+import { RiddleProviders } from '../modules/RiddleProviders.js';
+import { RiddleCache } from '../modules/RiddleCache.js';
+import { RateLimiter } from '../modules/RateLimiter.js';
+import { CommandLine } from '../modules/CommandLine.js';
+import { ProjectConfig } from '../modules/ProjectConfig.js';
+import { CliOutput } from '../modules/CliOutput.js';
+import { PuzzleReviewer } from '../modules/PuzzleReviewer.js';
+import { SquareOptions } from './SquareOptions.js';
+import { Blocklist } from '../../shared/Blocklist.js';
+import { basename, extname } from 'path';
+
+export class GenerateCommand {
+  static NAME = 'generate';
+
+  static SUMMARY = 'Generate puzzles with riddles (default)';
+
+  static OPTIONS = {
+    ...SquareOptions.OPTIONS,
+    '--frequencies': { key: 'frequencies', path: true },
+    '--include': { key: 'include', type: 'list' },
+    '--theme-list': { key: 'themeList', path: true },
+    '--min-theme-words': { key: 'minThemeWords', type: 'int' },
+    '--max-word-reuse': { key: 'maxWordReuse', parse: value => (value === 'any' ? null : parseInt(value, 10)) },
+    '--count': { key: 'count', type: 'int' },
+    '--strict': { key: 'strict', type: 'boolean' },
+    '--difficulty': { key: 'difficulty' },
+    '--tag': { key: 'tags', type: 'list' },
+    '--seed': { key: 'seed' },
+    '--created-at': { key: 'createdAt' },
+    '--workers': {
+      key: 'workers',
+      parse: value => (value === 'auto' ? ParallelSquareFinder.defaultWorkerCount() : parseInt(value, 10))
+    },
+    '--provider': { key: 'provider' },
+    '--model': { key: 'model' },
+    '--base-url': { key: 'baseUrl' },
+    '--dictionary': { key: 'dictionary', path: true },
+    '--prompt-style': { key: 'promptStyle' },
+    '--quality-retries': { key: 'qualityRetries', type: 'int' },
+    '--retries': { key: 'retries', type: 'int' },
+    '--request-timeout': { key: 'requestTimeout', type: 'float' },
+    '--concurrency': { key: 'concurrency', type: 'int' },
+    '--rate-limit': { key: 'rateLimit', type: 'int' },
+    '--no-cache': { key: 'cache', type: 'boolean', value: false },
+    '--refresh-cache': { key: 'refreshCache', type: 'boolean' },
+    '--cache-dir': { key: 'cacheDir', path: true }
+  };
+
+  /**
+   * Flags for how a run reports and whether it stops for review; like the config
+   * flags, they are not read from the file
+   */
+  static OUTPUT_OPTIONS = {
+    '--json': { key: 'format', type: 'boolean', value: 'json' },
+    '--ndjson': { key: 'format', type: 'boolean', value: 'ndjson' },
+    '--quiet': { key: 'quiet', type: 'boolean' },
+    '--review': { key: 'review', type: 'boolean' }
+  };
+
+  static OUTPUT_DEFAULTS = {
+    format: 'text',
+    quiet: false,
+    review: false
+  };
+
+  static DEFAULTS = {
+    ...SquareOptions.DEFAULTS,
+    frequencies: null,
+    include: [],
+    themeList: null,
+    minThemeWords: 0,
+    maxWordReuse: 0,
+    count: 5,
+    strict: false,
+    difficulty: 'medium',
+    tags: [],
+    seed: null,
+    createdAt: null,
+    workers: 1,
+    provider: null,
+    model: null,
+    baseUrl: null,
+    dictionary: null,
+    promptStyle: RiddleGenerator.DEFAULT_PROMPT_STYLE,
+    qualityRetries: 2,
+    retries: 3,
+    requestTimeout: 30,
+    concurrency: 1,
+    rateLimit: null,
+    cache: true,
+    refreshCache: false,
+    cacheDir: RiddleCache.DEFAULT_DIR
+  };
+
+  static HELP = `Usage:
+  node cli/index.js [generate] --wordlist <path> [options]
+
+Finds magic squares in the word list, writes a riddle for every word and
+saves each puzzle as JSON (plus manifest.json) in the output directory.
+
+Settings come from, lowest priority first: built-in defaults, environment
+variables, the project config file (its top level, then the profile for the
+run's language) and the flags below.
+
+Options:
+${SquareOptions.HELP}
+  --output <dir>         Output directory for puzzles (default: puzzles)
+  --frequencies <path>   Sidecar file of "word count" lines for commonness scoring
+  --include <word>       Build every square around this word (as a row); repeat for more
+  --theme-list <path>    Topic word list (e.g. food); other rows come from it wherever
+                         possible and metadata.theme records it
+  --min-theme-words <n>  Fewest rows each square must take from the theme list (default: 0)
+  --max-word-reuse <n|any>
+                         Most words a new square may share with the puzzles already in
+                         --output (default: 0); 'any' allows reuse. Grids already in the
+                         library, or their transposes, are always skipped
+  --count <number>       Number of puzzles to generate (default: 5)
+  --strict               Fail the run (exit 1) when any puzzle is rejected; without it,
+                         the run only fails when no puzzle is written. Puzzles left
+                         unreviewed by quitting --review are not rejections
+  --difficulty <level>   Difficulty level: easy, medium, hard (default: medium)
+                         With frequency data, easy squares use only common words
+                         and hard squares include at least one rare word
+  --tag <tag>            Label the puzzles for the manifest (repeatable)
+  --seed <value>         Seed for reproducible runs: same word list + seed gives the same
+                         squares, puzzle IDs and filenames (AI riddles still vary)
+  --created-at <iso|now> Timestamp written to metadata.createdAt. With --seed it defaults
+                         to SOURCE_DATE_EPOCH or 1970-01-01T00:00:00.000Z; 'now' uses the clock
+  --workers <n|auto>     Search on n worker threads; auto uses one per CPU (default: 1)
+  --provider <name>      Riddle provider: openai, anthropic, custom (any OpenAI-compatible
+                         server), dictionary (offline, from a definitions file) or mock
+                         (offline placeholders). Default: RIDDLE_PROVIDER, else whichever
+                         API key is set, else template riddles
+  --model <name>         Model for the provider (default: OPENAI_MODEL, ANTHROPIC_MODEL or
+                         CUSTOM_MODEL)
+  --prompt-style <name>  Riddle prompt style: ${Object.keys(RiddleGenerator.PROMPT_STYLES).join(', ')}
+                         (default: ${RiddleGenerator.DEFAULT_PROMPT_STYLE})
+  --base-url <url>       API root for the provider, e.g. http://localhost:8080/v1 for custom
+  --dictionary <path>    Definitions file (.tsv or .json) for the dictionary provider
+                         (default: dictionaries/<language>.tsv, which you supply: none
+                         ship with the repo); implies --provider dictionary
+  --quality-retries <n>  Times to regenerate riddles that fail the quality checks, with the
+                         problems added to the prompt; puzzles are only rejected after
+                         that (default: 2, 0 rejects at once)
+  --retries <n>          Retries for AI calls that hit a rate limit (429), a server error
+                         (5xx) or a timeout, with exponential backoff; Retry-After is
+                         honoured (default: 3)
+  --request-timeout <s>  Seconds before an AI call is abandoned (default: 30)
+  --concurrency <n>      AI calls in flight at once (default: 1)
+  --rate-limit <n>       Most AI calls started per minute (default: no limit)
+  --no-cache             Neither read nor write the riddle cache
+  --refresh-cache        Ask the provider again for every word and overwrite cached riddles
+  --cache-dir <path>     Riddle cache directory (default: .cache/riddles)
+  --config <path>        Project config file (default: magicfour.config.json or .magicfourrc
+                         in this directory or the nearest parent that has one)
+  --no-config            Ignore the project config file
+  --json                 Print one JSON document to stdout when the run ends: the summary
+                         and every event (see Events below); logs go to stderr
+  --ndjson               Print each event to stdout as a line of JSON as it happens, the
+                         summary last; logs go to stderr
+  --quiet                Drop the logs (errors are still printed to stderr)
+  --review               Stop after each square's riddles and show the grid, the riddles
+                         and the quality report; commands read from stdin accept or
+                         reject the puzzle, edit a riddle in $VISUAL or $EDITOR, or
+                         regenerate one (see Review below)
+  --help, -h             Show this help message
+
+Config File:
+  A JSON object of settings named like the config keys ("wordlist", "output",
+  "provider", "model", "promptStyle", "difficulty", "themeList", ...), plus
+  per-language profiles under "languages" that apply on top of them. Relative
+  paths are taken from the file's directory. "language" picks the profile when
+  --language is not given. "quality" tunes the riddle quality rules: each rule
+  ID maps to a severity (off, warn or error) or to an object with "severity",
+  options such as "max" or "keywords", and "ignore" (answers the rule skips).
+  See magicfour.config.example.json, and "node cli/index.js config print" for
+  the settings and rules a run would use.
+
+Events:
+  Each has a "type" and fields of its own:
+  wordlist-loaded        path, words, language, direction, frequencies
+  square-found           index, words
+  riddle-generated       puzzle, id, answer, orientation, prompt, hint
+  quality-report         index, puzzleId, valid, errors, warnings
+  artifact-written       index, puzzleId, path, words
+  reviewed               puzzle, decision (accept, reject or quit), edited, regenerated
+  rejected               index, reason (quality, error or review), message, words
+  summary                ok, language, difficulty, output, squares, written (paths),
+                         rejected (by quality, error or review), unreviewed (left when
+                         the review was quit), failedCalls, cache ({ hits, misses }), error
+
+Review:
+${PuzzleReviewer.HELP.replace('Commands:\n', '')}
+
+  The end of stdin counts as quit. Edited riddles are JSON files holding the
+  prompt, hint and explanation. With --json or --ndjson the review is shown
+  on stderr.
+
+Examples:
+  node cli/index.js --wordlist wordlists/eng-4.txt --output puzzles/ --language en
+  node cli/index.js --wordlist wordlists/heb-4.txt --output puzzles/ --language he --count 10
+  node cli/index.js --wordlist my-5-letter-words.txt --size 5 --count 3
+  node cli/index.js --wordlist wordlists/eng-4.txt --seed nightly-42 --count 5
+  node cli/index.js --wordlist big-wordlist.txt --size 5 --count 20 --workers auto
+  node cli/index.js --wordlist wordlists/eng-4.txt --frequencies eng-4.freq --difficulty easy
+  node cli/index.js --wordlist wordlists/eng-4.txt --double --diagonals main
+  node cli/index.js --wordlist wordlists/eng-4.txt --include CAKE --theme-list food.txt --min-theme-words 2
+  node cli/index.js --wordlist wordlists/eng-4.txt --output puzzles/ --max-word-reuse 1
+  node cli/index.js --wordlist wordlists/eng-4.txt --provider custom --base-url http://localhost:11434/v1
+  node cli/index.js --wordlist wordlists/eng-4.txt --dictionary en-definitions.tsv
+  node cli/index.js --wordlist wordlists/eng-4.txt --provider mock --ndjson --quiet
+  node cli/index.js --wordlist wordlists/eng-4.txt --count 3 --review
+
+Environment Variables:
+  OPENAI_API_KEY        OpenAI API key for riddle generation
+  ANTHROPIC_API_KEY     Anthropic API key for riddle generation (alternative)
+  OPENAI_MODEL          OpenAI model to use (default: gpt-4)
+  ANTHROPIC_MODEL       Anthropic model to use (default: claude-3-sonnet-20240229)
+  RIDDLE_PROVIDER       Riddle provider when --provider is not given
+  CUSTOM_BASE_URL       API root for the custom provider
+  CUSTOM_API_KEY        Bearer token for the custom provider (optional)
+  CUSTOM_MODEL          Model name for the custom provider (default: default)
+  DICTIONARY_PATH       Definitions file for the dictionary provider
+  DEFAULT_LANGUAGE      Language when neither --language nor the config file sets one
+  OUTPUT_DIRECTORY      Output directory when neither --output nor the config file sets one
+  SOURCE_DATE_EPOCH     Unix seconds used as createdAt for seeded runs`;
+
+  /**
+   * Parses the command's arguments and merges them over the project config
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object (configFile is the file used, or null)
+   * @throws {Error} - Bad flags, or a config file that cannot be read or has unknown settings
+   */
+  static parse(args) {
+    const { configFile, ...flags } = CommandLine.parse(args, {
+      ...this.OPTIONS,
+      ...ProjectConfig.OPTIONS,
+      ...this.OUTPUT_OPTIONS
+    });
+    const project = ProjectConfig.open(configFile);
+    const environment = this.environmentDefaults();
+    const language = flags.language
+      || (project && project.settings.language)
+      || environment.language
+      || this.DEFAULTS.language;
+
+    let settings = {};
+    if (project) {
+      const pathKeys = Object.values(this.OPTIONS).filter(spec => spec.path).map(spec => spec.key);
+      settings = CommandLine.fromSettings(
+        ProjectConfig.resolvePaths(ProjectConfig.settingsFor(project, language), pathKeys, project.path),
+        this.OPTIONS,
+        project.path
+      );
+    }
+
+    const config = {
+      ...this.DEFAULTS,
+      ...this.OUTPUT_DEFAULTS,
+      ...environment,
+      ...settings,
+      ...flags,
+      language,
+      configFile: project ? project.path : null,
+      qualityRules: ProjectConfig.qualityRules(project)
+    };
+    // --dictionary implies the dictionary provider, whatever the config file picked
+    if (flags.dictionary && !flags.provider) {
+      config.provider = 'dictionary';
+    }
+    if (config.output === null) {
+      config.output = 'puzzles';
+    }
+    return config;
+  }
+
+  /**
+   * Defaults taken from environment variables (see .env.example)
+   * @returns {Object} - Settings for the variables that are set
+   */
+  static environmentDefaults() {
+    const defaults = {};
+    if (process.env.DEFAULT_LANGUAGE) {
+      defaults.language = process.env.DEFAULT_LANGUAGE;
+    }
+    if (process.env.OUTPUT_DIRECTORY) {
+      defaults.output = process.env.OUTPUT_DIRECTORY;
+    }
+    return defaults;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    const errors = SquareOptions.validate(config);
+
+    if (config.positionals.length > 0) {
+      errors.push(`Unexpected argument: ${config.positionals[0]}`);
+    }
+
+    if (!(config.count >= 1 && config.count <= 100)) {
+      errors.push('--count must be between 1 and 100');
+    }
+
+    if (!['easy', 'medium', 'hard'].includes(config.difficulty)) {
+      errors.push('--difficulty must be easy, medium, or hard');
+    }
+
+    if (config.tags.some(tag => tag.trim() === '')) {
+      errors.push('--tag cannot be empty');
+    }
+
+    if (config.createdAt && config.createdAt !== 'now' && Number.isNaN(Date.parse(config.createdAt))) {
+      errors.push('--created-at must be an ISO date or "now"');
+    }
+
+    if (!(config.workers >= 1)) {
+      errors.push('--workers must be at least 1 or "auto"');
+    }
+
+    const includeLengths = config.include.map(word => [...word].length);
+    if (includeLengths.some(length => length !== config.size)) {
+      errors.push(`--include words must be ${config.size} letters long`);
+    }
+
+    if (config.include.length > config.size) {
+      errors.push(`--include takes at most ${config.size} words`);
+    }
+
+    if (!(config.minThemeWords >= 0 && config.minThemeWords <= config.size)) {
+      errors.push(`--min-theme-words must be between 0 and ${config.size}`);
+    } else if (config.minThemeWords > 0 && !config.themeList) {
+      errors.push('--min-theme-words requires --theme-list');
+    }
+
+    if (config.maxWordReuse !== null && !(config.maxWordReuse >= 0)) {
+      errors.push('--max-word-reuse must be a non-negative number or "any"');
+    }
+
+    if (!(config.qualityRetries >= 0)) {
+      errors.push('--quality-retries must be 0 or more');
+    }
+
+    if (!(config.retries >= 0)) {
+      errors.push('--retries must be 0 or more');
+    }
+
+    if (!(config.requestTimeout > 0)) {
+      errors.push('--request-timeout must be a positive number of seconds');
+    }
+
+    if (!(config.concurrency >= 1)) {
+      errors.push('--concurrency must be at least 1');
+    }
+
+    if (config.rateLimit !== null && !(config.rateLimit >= 1)) {
+      errors.push('--rate-limit must be at least 1 call per minute');
+    }
+
+    if (config.provider !== null && !RiddleProviders.names().includes(config.provider)) {
+      errors.push(`--provider must be one of: ${RiddleProviders.names().join(', ')}`);
+    }
+
+    if (!Object.hasOwn(RiddleGenerator.PROMPT_STYLES, config.promptStyle)) {
+      errors.push(`--prompt-style must be one of: ${Object.keys(RiddleGenerator.PROMPT_STYLES).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Runs the generation pipeline
+   * With --json or --ndjson the summary is printed however the run ends
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const output = new CliOutput({ format: config.format, quiet: config.quiet });
+    const summary = {
+      ok: false,
+      language: config.language,
+      difficulty: config.difficulty,
+      output: config.output,
+      squares: 0,
+      written: [],
+      rejected: 0,
+      unreviewed: 0,
+      failedCalls: [],
+      cache: null
+    };
+
+    const restoreConsole = output.captureConsole();
+    try {
+      const exitCode = await this.generate(config, output, summary);
+      summary.ok = exitCode === 0;
+      return exitCode;
+    } catch (error) {
+      summary.error = error.message;
+      throw error;
+    } finally {
+      restoreConsole();
+      output.finish(summary);
+    }
+  }
+
+  /**
+   * Loads the word list, finds the squares, writes their riddles and saves the puzzles
+   * @param {Object} config - Configuration object
+   * @param {CliOutput} output - Receives the run's events
+   * @param {Object} summary - Filled in as the run goes
+   * @returns {Promise<number>} - Exit code
+   */
+  static async generate(config, output, summary) {
+    console.log('Magic Four Squared - Puzzle Generator\n');
+    if (config.configFile) {
+      console.log(`Config: ${config.configFile}`);
+    }
+
+    const random = config.seed !== null ? new SeededRandom(config.seed) : null;
+    const createdAt = this.resolveCreatedAt(config);
+    if (random) {
+      console.log(`Seed: ${config.seed}${createdAt ? ` (createdAt: ${createdAt})` : ''}`);
+    }
+
+    let provider;
+    try {
+      provider = this.resolveRiddleProvider(config);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      summary.error = error.message;
+      return 1;
+    }
+    console.log(`Riddle provider: ${provider ? provider.label : 'none (template riddles)'}`);
+    const cache = provider && config.cache
+      ? new RiddleCache({ dir: config.cacheDir, refresh: config.refreshCache })
+      : null;
+
+    // Step 1: Load word list
+    console.log(`\n[1/4] Loading word list from: ${config.wordlist}`);
+    const wordListData = WordListLoader.load(config.wordlist, config.language, config.size, {
+      frequencyFile: config.frequencies,
+      blocklist: config.blocklist
+    });
+    console.log(`Loaded ${wordListData.words.length} words`);
+    console.log(`Language: ${wordListData.language}, Direction: ${wordListData.direction}`);
+    output.event('wordlist-loaded', {
+      path: config.wordlist,
+      words: wordListData.words.length,
+      language: wordListData.language,
+      direction: wordListData.direction,
+      frequencies: wordListData.frequencies.size
+    });
+    const constraints = this.loadSquareConstraints(config);
+    const library = PuzzleLibrary.load(config.output, config.language);
+    if (library.puzzles.length > 0) {
+      console.log(`Library: ${library.puzzles.length} puzzles, ${library.words.size} words already used`);
+    }
+
+    // Step 2: Find magic squares
+    const squareKind = SquareOptions.describe(config);
+    console.log(`\n[2/4] Finding magic squares (${squareKind}, target: ${config.count})...`);
+    const searchOptions = {
+      mode: config.double ? 'double' : 'symmetric',
+      diagonals: config.diagonals,
+      language: config.language,
+      random: random ? random.fork('shuffle') : null,
+      frequencies: wordListData.frequencies,
+      difficulty: config.difficulty,
+      include: constraints.include,
+      themeWords: constraints.themeWords,
+      minThemeWords: config.minThemeWords,
+      usedWords: [...library.words],
+      usedGrids: library.grids,
+      maxWordReuse: config.maxWordReuse,
+      onFound: (square, index) => output.event('square-found', { index, words: square.words })
+    };
+    if (wordListData.frequencies.size === 0) {
+      console.log('No word frequency data: --difficulty only labels the puzzles');
+    }
+    const magicSquares = config.workers > 1
+      ? await ParallelSquareFinder.findMagicSquares(wordListData.words, config.count, {
+        ...searchOptions,
+        workers: config.workers,
+        onProgress: this.reportSearchProgress()
+      })
+      : MagicSquareFinder.findMagicSquares(wordListData.words, config.count, searchOptions);
+
+    summary.squares = magicSquares.length;
+    if (magicSquares.length === 0) {
+      console.error('No magic squares found in the word list.');
+      console.error('Try using a larger word list or different words.');
+      summary.error = 'No magic squares found in the word list';
+      return 1;
+    }
+
+    console.log(`Found ${magicSquares.length} magic squares`);
+
+    // Step 3: Generate riddles
+    console.log(`\n[3/4] Generating riddles...`);
+    const puzzlesWithRiddles = [];
+    const riddleOptions = {
+      provider,
+      cache,
+      promptStyle: config.promptStyle,
+      limiter: new RateLimiter({ concurrency: config.concurrency, requestsPerMinute: config.rateLimit }),
+      maxRetries: config.retries,
+      failures: []
+    };
+
+    // With --review, the 1-based number of the square each kept puzzle came from
+    const squareNumbers = [];
+    let reviewStopped = false;
+    const reviewer = config.review
+      ? new PuzzleReviewer({ output: output.structured ? process.stderr : process.stdout, qualityRules: config.qualityRules })
+      : null;
+
+    try {
+      for (let i = 0; i < magicSquares.length; i++) {
+        const square = magicSquares[i];
+        console.log(`\nGenerating riddles for puzzle ${i + 1}/${magicSquares.length}`);
+        console.log(`Words: ${MagicSquareFinder.describeSquare(square)}`);
+
+        const generated = await RiddleGenerator.generateSquareRiddles(
+          square,
+          config.language,
+          riddleOptions
+        );
+        const { riddles } = await RiddleGenerator.regenerateFailingRiddles(generated, config.language, {
+          ...riddleOptions,
+          maxAttempts: config.qualityRetries,
+          qualityRules: config.qualityRules
+        });
+
+        riddles.forEach(riddle => output.event('riddle-generated', {
+          puzzle: i + 1,
+          id: riddle.id,
+          answer: riddle.answer,
+          orientation: riddle.orientation,
+          prompt: riddle.prompt,
+          hint: riddle.hint
+        }));
+
+        let reviewed = null;
+        if (reviewer) {
+          reviewed = await reviewer.review({
+            square,
+            riddles,
+            language: config.language,
+            title: `Puzzle ${i + 1}/${magicSquares.length}`,
+            regenerate: (riddle, errors) => this.regenerateRiddle(riddle, config.language, riddleOptions, errors)
+          });
+          output.event('reviewed', {
+            puzzle: i + 1,
+            decision: reviewed.decision,
+            edited: reviewed.edited,
+            regenerated: reviewed.regenerated
+          });
+
+          // Quitting is not a verdict on this puzzle or the rest: they are unreviewed, not rejected
+          if (reviewed.decision === 'quit') {
+            reviewStopped = true;
+            summary.unreviewed = magicSquares.length - i;
+            console.log(`Review stopped: ${summary.unreviewed} puzzle(s) left unreviewed are not written`);
+            break;
+          }
+          if (reviewed.decision === 'reject') {
+            console.log(`Puzzle ${i + 1} rejected in review`);
+            summary.rejected++;
+            output.event('rejected', { index: i + 1, reason: 'review', message: 'Rejected in review', words: square.words });
+            continue;
+          }
+        }
+
+        puzzlesWithRiddles.push({
+          magicSquare: square,
+          riddles: reviewed ? reviewed.riddles : riddles
+        });
+        squareNumbers.push(i + 1);
+      }
+    } finally {
+      if (reviewer) {
+        reviewer.close();
+      }
+    }
+    summary.failedCalls = riddleOptions.failures;
+    if (cache) {
+      console.log(`\nRiddle cache: ${cache.hits} reused, ${cache.misses} requested`);
+      summary.cache = { hits: cache.hits, misses: cache.misses };
+    }
+
+    // Step 4: Write artifacts
+    console.log(`\n[4/4] Writing puzzle artifacts to: ${config.output}`);
+    const metadata = {
+      language: config.language,
+      direction: wordListData.direction,
+      difficulty: config.difficulty,
+      theme: constraints.themeName,
+      includedWords: constraints.include,
+      tags: config.tags
+    };
+
+    const writtenPuzzles = ArtifactWriter.writeMultiple(
+      puzzlesWithRiddles,
+      config.output,
+      metadata,
+      {
+        random,
+        createdAt,
+        qualityRules: config.qualityRules,
+        onEvent: (type, data) => {
+          if (type === 'artifact-written') {
+            summary.written.push(data.path);
+          } else if (type === 'rejected') {
+            summary.rejected++;
+          }
+          output.event(type, { ...data, index: squareNumbers[data.index - 1] });
+        }
+      }
+    );
+
+    // Summary
+    console.log('\n' + '='.repeat(50));
+    console.log('Generation Complete!');
+    console.log('='.repeat(50));
+    console.log(`Total puzzles generated: ${writtenPuzzles.length}`);
+    console.log(`Output directory: ${config.output}`);
+    console.log(`Language: ${config.language}`);
+    console.log(`Difficulty: ${config.difficulty}`);
+    console.log('\nPuzzle files:');
+    writtenPuzzles.forEach((puzzle, i) => {
+      console.log(`  ${i + 1}. ${puzzle.puzzleId}.json`);
+    });
+    this.reportFailedCalls(riddleOptions.failures);
+
+    if (writtenPuzzles.length === 0 && reviewStopped) {
+      // The reviewer chose to stop, so this is not a failed run
+      console.log('\nNo puzzles were written: the review was stopped');
+    } else if (writtenPuzzles.length === 0) {
+      console.error('\nNo puzzles were written: every puzzle was rejected');
+      summary.error = 'No puzzles were written';
+      return 1;
+    }
+    if (config.strict && summary.rejected > 0) {
+      console.error(`\n${summary.rejected} puzzle(s) rejected (--strict)`);
+      summary.error = `${summary.rejected} puzzle(s) rejected`;
+      return 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Asks again for one riddle during --review, whatever the cache holds
+   * @param {Object} riddle - Riddle to replace
+   * @param {string} language - Language code
+   * @param {Object} riddleOptions - Generation options of the run
+   * @param {Array} errors - Why it is being replaced, added to the prompt
+   * @returns {Promise<Object>} - Riddle with a new prompt, hint and explanation
+   */
+  static async regenerateRiddle(riddle, language, riddleOptions, errors) {
+    const fresh = await RiddleGenerator.generateRiddle(riddle.answer, language, riddle.position, {
+      ...riddleOptions,
+      feedback: { previous: riddle.prompt, errors }
+    });
+    return { ...riddle, prompt: fresh.prompt, hint: fresh.hint, explanation: fresh.explanation };
+  }
+
+  /**
+   * Creates the riddle provider for this run
+   * @param {Object} config - Configuration object
+   * @returns {Object|null} - Provider, or null to use template riddles
+   * @throws {Error} - If the provider is missing an API key or base URL
+   */
+  static resolveRiddleProvider(config) {
+    const options = {
+      model: config.model,
+      baseUrl: config.baseUrl,
+      timeout: config.requestTimeout * 1000,
+      dictionary: config.dictionary,
+      language: config.language
+    };
+    if (config.provider) {
+      return RiddleProviders.create(config.provider, options);
+    }
+    if (config.dictionary) {
+      return RiddleProviders.create('dictionary', options);
+    }
+    return RiddleProviders.fromEnvironment(options);
+  }
+
+  /**
+   * Resolves the createdAt timestamp for this run
+   * Unseeded runs use the clock; seeded runs pin it so output is byte-identical
+   * @param {Object} config - Configuration object
+   * @returns {string|null} - ISO timestamp, or null to use the current time
+   */
+  static resolveCreatedAt(config) {
+    if (config.createdAt === 'now') {
+      return null;
+    }
+    if (config.createdAt) {
+      return new Date(config.createdAt).toISOString();
+    }
+    if (config.seed === null) {
+      return null;
+    }
+
+    const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+    return new Date(Number.isNaN(epoch) ? 0 : epoch * 1000).toISOString();
+  }
+
+  /**
+   * Loads the --include words and the --theme-list for the square search
+   * Included words are spelled like word list entries and checked against the blocklists
+   * @param {Object} config - Configuration object
+   * @returns {Object} - { include: Array, themeWords: Array, themeName: string|null }
+   * @throws {Error} - If an included word is blocklisted or the theme list cannot be loaded
+   */
+  static loadSquareConstraints(config) {
+    const include = [...new Set(
+      config.include.map(word => LetterForms.toDisplayForm(word.toUpperCase(), config.language))
+    )];
+
+    const blocked = WordListLoader.loadBlocklists(config.language, config.blocklist);
+    include.forEach(word => {
+      if (Blocklist.isBlocked(word, blocked, config.language)) {
+        throw new Error(`--include word "${word}" is blocklisted`);
+      }
+    });
+    if (include.length > 0) {
+      console.log(`Including: ${include.join(', ')}`);
+    }
+
+    if (!config.themeList) {
+      return { include, themeWords: [], themeName: null };
+    }
+
+    console.log(`Loading theme list from: ${config.themeList}`);
+    const themeData = WordListLoader.load(config.themeList, config.language, config.size, {
+      blocklist: config.blocklist
+    });
+    const themeName = basename(config.themeList, extname(config.themeList));
+    console.log(`Theme: ${themeName} (${themeData.words.length} words)`);
+
+    return { include, themeWords: themeData.words, themeName };
+  }
+
+  /**
+   * Prints the AI calls that gave up, grouped by error
+   * @param {Array} failures - { word, language, provider, error, status } entries
+   */
+  static reportFailedCalls(failures) {
+    if (failures.length === 0) {
+      return;
+    }
+
+    console.log(`\nFailed AI calls: ${failures.length} (template riddles were used instead)`);
+    const byError = new Map();
+    failures.forEach(failure => {
+      const words = byError.get(failure.error) || [];
+      words.push(failure.word);
+      byError.set(failure.error, words);
+    });
+    byError.forEach((words, error) => {
+      console.log(`  ${error}: ${words.join(', ')}`);
+    });
+  }
+
+  /**
+   * Creates a progress callback for the parallel search
+   * Prints a line each time another 10% of the first words has been searched
+   * @returns {Function} - Progress callback
+   */
+  static reportSearchProgress() {
+    let lastStep = 0;
+    return ({ searched, total, found }) => {
+      const step = Math.floor((searched / total) * 10);
+      if (step > lastStep) {
+        lastStep = step;
+        console.log(`Searched ${searched}/${total} first words (${step * 10}%), ${found} squares so far`);
+      }
+    };
+  }
+}
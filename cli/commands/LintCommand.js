@@ -0,0 +1,100 @@
+/**
+ * lint - Prints the riddle quality report for puzzle files, without the
+ * schema and square checks
+ */
+
+import { PuzzleChecker } from '../modules/PuzzleChecker.js';
+import { QualityValidator } from '../modules/QualityValidator.js';
+import { CommandLine } from '../modules/CommandLine.js';
+import { ProjectConfig } from '../modules/ProjectConfig.js';
+
+export class LintCommand {
+  static NAME = 'lint';
+
+  static SUMMARY = 'Print the riddle quality report for puzzle files';
+
+  static OPTIONS = {
+    '--strict': { key: 'strict', type: 'boolean' }
+  };
+
+  static DEFAULTS = {
+    strict: false
+  };
+
+  static HELP = `Usage:
+  node cli/index.js lint [file|dir]... [options]
+
+Runs the riddle quality checks that generate applies before saving a
+puzzle and prints the report for each file (default: the puzzles directory).
+
+Options:
+  --strict               Count warnings as failures
+  --config <path>        Project config file whose "quality" section tunes the quality
+                         rules (default: magicfour.config.json or .magicfourrc in this
+                         directory or the nearest parent that has one)
+  --no-config            Use the built-in quality rules
+  --help, -h             Show this help message
+
+Exit status is 0 when no puzzle has quality errors and 1 otherwise.
+
+Examples:
+  node cli/index.js lint
+  node cli/index.js lint client/puzzles/sample-en.json --strict`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   * @throws {Error} - Bad flags, or a config file that cannot be read or has bad quality rules
+   */
+  static parse(args) {
+    const { configFile, ...config } = CommandLine.parse(args, { ...this.OPTIONS, ...ProjectConfig.OPTIONS }, this.DEFAULTS);
+    config.qualityRules = ProjectConfig.qualityRules(ProjectConfig.open(configFile));
+    if (config.positionals.length === 0) {
+      config.positionals.push('puzzles');
+    }
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @returns {Array} - Error messages
+   */
+  static validate() {
+    return [];
+  }
+
+  /**
+   * Prints a quality report per file and a summary
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const files = PuzzleChecker.expandPaths(config.positionals);
+    if (files.length === 0) {
+      console.error('No puzzle files found');
+      return 1;
+    }
+
+    let failed = 0;
+    let warnings = 0;
+    files.forEach(file => {
+      const result = PuzzleChecker.checkFile(file, ['quality'], config.qualityRules);
+      const messages = entries => entries.map(({ check, message }) => (check === 'quality' ? message : `${check}: ${message}`));
+      warnings += result.warnings.length;
+      if (!result.valid || (config.strict && result.warnings.length > 0)) {
+        failed++;
+      }
+
+      console.log(`${file}:`);
+      console.log(QualityValidator.generateReport({
+        valid: result.valid,
+        errors: messages(result.errors),
+        warnings: messages(result.warnings)
+      }));
+    });
+
+    console.log(`${files.length - failed} of ${files.length} puzzle(s) passed, ${warnings} warning(s)`);
+    return failed === 0 ? 0 : 1;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * manifest - Rebuilds, verifies and prunes a puzzle directory's manifest.json
+ * generate only ever adds entries, so deleted or edited files leave it stale
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { PuzzleManifest } from '../modules/PuzzleManifest.js';
+import { CommandLine } from '../modules/CommandLine.js';
+
+export class ManifestCommand {
+  static NAME = 'manifest';
+
+  static SUMMARY = 'Rebuild, verify or prune a puzzle directory\'s manifest.json';
+
+  static ACTIONS = ['rebuild', 'verify', 'prune'];
+
+  static OPTIONS = {
+    '--dry-run': { key: 'dryRun', type: 'boolean' },
+    '--strict': { key: 'strict', type: 'boolean' }
+  };
+
+  static DEFAULTS = {
+    dryRun: false,
+    strict: false
+  };
+
+  static HELP = `Usage:
+  node cli/index.js manifest <rebuild|verify|prune> [dir] [options]
+
+Actions (dir defaults to puzzles):
+  rebuild                Write manifest.json from the puzzle files in dir; listed files
+                         keep their order, and files that cannot be read or fail the
+                         puzzle schema are left out
+  verify                 Check the manifest against the files: missing files, puzzleIds
+                         that do not match their file and schema failures are errors;
+                         unlisted files and out-of-date entries are warnings
+  prune                  Drop the entries whose file is gone, and repeated entries
+
+Entries hold filename, language, difficulty, puzzleId, title (metadata.title, or
+the size, difficulty and theme), wordHash (a hash of the words, so the manifest
+does not give the answers away), createdAt and tags (size, "double",
+"diagonals", "theme:<name>" and metadata.tags).
+
+Options:
+  --dry-run              For rebuild and prune: show what would change, write nothing
+  --strict               For verify: count warnings as failures
+  --help, -h             Show this help message
+
+Exit status is 1 when verify finds problems, and 0 otherwise.
+
+Examples:
+  node cli/index.js manifest verify client/puzzles
+  node cli/index.js manifest prune --dry-run
+  node cli/index.js manifest rebuild puzzles/`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   */
+  static parse(args) {
+    const config = CommandLine.parse(args, this.OPTIONS, this.DEFAULTS);
+    config.manifestAction = config.positionals[0] || null;
+    config.dir = config.positionals[1] || 'puzzles';
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (!this.ACTIONS.includes(config.manifestAction)) {
+      errors.push(`manifest needs an action: ${this.ACTIONS.join(', ')}`);
+    } else if (config.positionals.length > 2) {
+      errors.push(`Unexpected argument: ${config.positionals[2]}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Runs the manifest action
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   * @throws {Error} - If the directory or its manifest cannot be read
+   */
+  static async run(config) {
+    if (!existsSync(config.dir)) {
+      throw new Error(`Puzzle directory not found: ${config.dir}`);
+    }
+    if (config.manifestAction === 'verify') {
+      return this.verify(config);
+    }
+
+    const { manifest, changes } = config.manifestAction === 'rebuild' ? this.rebuild(config) : this.prune(config);
+    changes.forEach(change => console.log(`  ${change}`));
+    if (config.dryRun) {
+      console.log(`Dry run: ${PuzzleManifest.FILENAME} not written (${manifest.puzzles.length} puzzle(s))`);
+    } else {
+      PuzzleManifest.write(config.dir, manifest);
+      console.log(`Wrote ${join(config.dir, PuzzleManifest.FILENAME)} with ${manifest.puzzles.length} puzzle(s)`);
+    }
+    return 0;
+  }
+
+  /**
+   * Builds the new manifest for rebuild and describes how it differs
+   * @param {Object} config - Configuration object
+   * @returns {Object} - { manifest, changes }
+   */
+  static rebuild(config) {
+    const { manifest, skipped } = PuzzleManifest.rebuild(config.dir);
+    const current = PuzzleManifest.read(config.dir);
+    const before = new Set(current ? current.puzzles.map(entry => entry && entry.filename) : []);
+    const after = new Set(manifest.puzzles.map(entry => entry.filename));
+
+    return {
+      manifest,
+      changes: [
+        ...manifest.puzzles.filter(entry => !before.has(entry.filename)).map(entry => `+ ${entry.filename}`),
+        ...[...before].filter(filename => !after.has(filename)).map(filename => `- ${filename}`),
+        ...skipped.map(({ filename, reason }) => `skipped ${filename}: ${reason}`)
+      ]
+    };
+  }
+
+  /**
+   * Builds the pruned manifest and lists the dropped entries
+   * @param {Object} config - Configuration object
+   * @returns {Object} - { manifest, changes }
+   */
+  static prune(config) {
+    const { manifest, removed } = PuzzleManifest.prune(config.dir);
+    console.log(`Removing ${removed.length} entr${removed.length === 1 ? 'y' : 'ies'}`);
+    return {
+      manifest,
+      changes: removed.map(({ entry, reason }) => `- ${entry && entry.filename ? entry.filename : '(no filename)'}: ${reason}`)
+    };
+  }
+
+  /**
+   * Prints the problems verify finds, errors first
+   * @param {Object} config - Configuration object
+   * @returns {number} - Exit code
+   */
+  static verify(config) {
+    const result = PuzzleManifest.verify(config.dir);
+    result.errors.forEach(({ filename, message }) => console.log(`✗ ${filename}: ${message}`));
+    result.warnings.forEach(({ filename, message }) => console.log(`⚠ ${filename}: ${message}`));
+
+    const passed = result.valid && !(config.strict && result.warnings.length > 0);
+    console.log(`\n${join(config.dir, PuzzleManifest.FILENAME)}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return passed ? 0 : 1;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * SquareOptions - Flags shared by the commands that search a word list
+ * (generate and enumerate)
+ */
+
+import { MagicSquareFinder } from '../modules/MagicSquareFinder.js';
+import { SUPPORTED_SIZES } from '../../shared/schemas/validator.js';
+
+export class SquareOptions {
+  /**
+   * Option specs, as for CommandLine.parse
+   */
+  static OPTIONS = {
+    '--wordlist': { key: 'wordlist', path: true },
+    '--blocklist': { key: 'blocklist', path: true },
+    '--output': { key: 'output', path: true },
+    '--language': { key: 'language' },
+    '--size': { key: 'size', type: 'int' },
+    '--double': { key: 'double', type: 'boolean' },
+    '--diagonals': { key: 'diagonals' }
+  };
+
+  /**
+   * Default values
+   */
+  static DEFAULTS = {
+    wordlist: null,
+    blocklist: null,
+    output: null,
+    language: 'en',
+    size: 4,
+    double: false,
+    diagonals: null
+  };
+
+  /**
+   * Help lines for the shared flags
+   */
+  static HELP = `  --wordlist <path>      Path to word list file (required)
+                         Lines may carry a frequency after the word: "ABLE 1520"
+  --blocklist <path>     Extra words to drop, on top of shared/blocklists/<language>.txt
+  --language <code>      Language code: en, he, etc. (default: en)
+  --size <number>        Grid size: 3 (easy), 4 or 5 (expert) (default: 4)
+  --double               Search double squares (rows and columns are all different words)
+  --diagonals <which>    Also require diagonal words: main, anti or both. Each one gets a
+                         bonus riddle. In symmetric squares the anti-diagonal reads the
+                         same both ways, so only palindromes fit there`;
+
+  /**
+   * Checks the shared flags
+   * @param {Object} config - Parsed configuration
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (!config.wordlist) {
+      errors.push('--wordlist is required');
+    }
+
+    if (config.diagonals !== null && !MagicSquareFinder.DIAGONAL_MODES.includes(config.diagonals)) {
+      errors.push(`--diagonals must be one of ${MagicSquareFinder.DIAGONAL_MODES.join(', ')}`);
+    }
+
+    if (!SUPPORTED_SIZES.includes(config.size)) {
+      errors.push(`--size must be one of ${SUPPORTED_SIZES.join(', ')}`);
+    }
+
+    const validLanguages = ['en', 'he', 'ar', 'fr', 'es', 'de'];
+    if (!validLanguages.includes(config.language)) {
+      console.warn(`Warning: Language '${config.language}' may not be fully supported`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Describes the kind of square being searched, for progress output
+   * @param {Object} config - Configuration object
+   * @returns {string} - e.g. "4x4 double, main diagonal"
+   */
+  static describe(config) {
+    let kind = `${config.size}x${config.size}${config.double ? ' double' : ''}`;
+    if (config.diagonals) {
+      kind += config.diagonals === 'both' ? ', both diagonals' : `, ${config.diagonals} diagonal`;
+    }
+    return kind;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * validate - Checks puzzle files against the schema, the square rules and
+ * the riddle quality checks
+ */
+
+import { PuzzleChecker } from '../modules/PuzzleChecker.js';
+import { CommandLine } from '../modules/CommandLine.js';
+import { ProjectConfig } from '../modules/ProjectConfig.js';
+
+export class ValidateCommand {
+  static NAME = 'validate';
+
+  static SUMMARY = 'Check puzzle files: schema, square rules and riddle quality';
+
+  static OPTIONS = {
+    '--strict': { key: 'strict', type: 'boolean' }
+  };
+
+  static DEFAULTS = {
+    strict: false
+  };
+
+  static HELP = `Usage:
+  node cli/index.js validate <file|dir>... [options]
+
+Checks each puzzle against the puzzle schema, checks that its grid really is
+the magic square its words describe, and runs the riddle quality checks.
+Directories are checked file by file (manifest.json is skipped).
+
+Options:
+  --strict               Count quality warnings as failures
+  --config <path>        Project config file whose "quality" section tunes the quality
+                         rules (default: magicfour.config.json or .magicfourrc in this
+                         directory or the nearest parent that has one)
+  --no-config            Use the built-in quality rules
+  --help, -h             Show this help message
+
+Exit status is 0 when every puzzle passes and 1 otherwise.
+
+Examples:
+  node cli/index.js validate puzzles/puzzle-en-1.json
+  node cli/index.js validate puzzles/ client/puzzles/ --strict`;
+
+  /**
+   * Parses the command's arguments
+   * @param {Array} args - Arguments after the command name
+   * @returns {Object} - Configuration object
+   * @throws {Error} - Bad flags, or a config file that cannot be read or has bad quality rules
+   */
+  static parse(args) {
+    const { configFile, ...config } = CommandLine.parse(args, { ...this.OPTIONS, ...ProjectConfig.OPTIONS }, this.DEFAULTS);
+    config.qualityRules = ProjectConfig.qualityRules(ProjectConfig.open(configFile));
+    return config;
+  }
+
+  /**
+   * Validates configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} - Error messages
+   */
+  static validate(config) {
+    return config.positionals.length === 0 ? ['validate needs at least one puzzle file'] : [];
+  }
+
+  /**
+   * Checks every file and prints one line per puzzle, then its problems
+   * @param {Object} config - Configuration object
+   * @returns {Promise<number>} - Exit code
+   */
+  static async run(config) {
+    const files = PuzzleChecker.expandPaths(config.positionals);
+    if (files.length === 0) {
+      console.error('No puzzle files found');
+      return 1;
+    }
+
+    let failed = 0;
+    files.forEach(file => {
+      const result = PuzzleChecker.checkFile(file, PuzzleChecker.CHECKS, config.qualityRules);
+      const passed = result.valid && !(config.strict && result.warnings.length > 0);
+      if (!passed) {
+        failed++;
+      }
+
+      console.log(`${passed ? '✓' : '✗'} ${file}`);
+      result.errors.forEach(({ check, message }) => console.log(`    ✗ [${check}] ${message}`));
+      result.warnings.forEach(({ check, message }) => console.log(`    ⚠ [${check}] ${message}`));
+    });
+
+    console.log(`\n${files.length - failed} of ${files.length} puzzle(s) valid`);
+    return failed === 0 ? 0 : 1;
+  }
+}
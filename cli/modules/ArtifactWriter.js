@@ -7,6 +7,7 @@ import { dirname, join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { validatePuzzle } from '../../shared/schemas/validator.js';
 import { QualityValidator } from './QualityValidator.js';
+import { PuzzleManifest } from './PuzzleManifest.js';
 
 export class ArtifactWriter {
   /**
@@ -15,12 +16,17 @@ export class ArtifactWriter {
    * @param {Array} riddles - Array of riddle objects
    * @param {string} outputPath - Path to write the JSON file
    * @param {Object} metadata - Additional metadata (language, direction, difficulty)
+   * @param {Object} options - Reproducibility options (see createPuzzle)
+   * @param {Function} options.onEvent - Called with ('quality-report', ...) and ('artifact-written', ...)
+   * @param {Object} options.qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
    * @returns {Object} - The complete puzzle object
    * @throws {Error} - If validation fails or file cannot be written
    */
-  static write(magicSquare, riddles, outputPath, metadata = {}) {
+  static write(magicSquare, riddles, outputPath, metadata = {}, options = {}) {
+    const onEvent = options.onEvent || (() => {});
+
     // Create the puzzle object
-    const puzzle = this.createPuzzle(magicSquare, riddles, metadata);
+    const puzzle = this.createPuzzle(magicSquare, riddles, metadata, options);
 
     // Validate the puzzle schema
     const validation = validatePuzzle(puzzle);
@@ -29,9 +35,15 @@ export class ArtifactWriter {
     }
 
     // Validate puzzle quality
-    const qualityValidation = QualityValidator.validatePuzzle(puzzle);
+    const qualityValidation = QualityValidator.validatePuzzle(puzzle, options.qualityRules);
     const qualityReport = QualityValidator.generateReport(qualityValidation);
     console.log(qualityReport);
+    onEvent('quality-report', {
+      puzzleId: puzzle.puzzleId,
+      valid: qualityValidation.valid,
+      errors: qualityValidation.errors,
+      warnings: qualityValidation.warnings
+    });
 
     if (!qualityValidation.valid) {
       throw new Error(`Puzzle quality validation failed. See report above.`);
@@ -52,6 +64,7 @@ export class ArtifactWriter {
       const json = JSON.stringify(puzzle, null, 2);
       writeFileSync(outputPath, json, 'utf-8');
       console.log(`Puzzle artifact written to: ${outputPath}`);
+      onEvent('artifact-written', { puzzleId: puzzle.puzzleId, path: outputPath, words: puzzle.words });
       return puzzle;
     } catch (error) {
       throw new Error(`Failed to write puzzle artifact: ${error.message}`);
@@ -63,22 +76,61 @@ export class ArtifactWriter {
    * @param {Object} magicSquare - Magic square with grid and words
    * @param {Array} riddles - Array of riddles
    * @param {Object} metadata - Metadata object
+   * @param {string} metadata.theme - Theme list name; recorded with the square's theme words
+   * @param {Array} metadata.includedWords - Words the square was built around
+   * @param {Array} metadata.tags - Labels for the manifest entry
+   * @param {Object} options - Reproducibility options
+   * @param {SeededRandom} options.random - Seeded generator for the puzzle ID
+   * @param {string} options.createdAt - Fixed ISO timestamp instead of the current time
    * @returns {Object} - Complete puzzle object
    */
-  static createPuzzle(magicSquare, riddles, metadata = {}) {
-    const puzzleId = uuidv4();
+  static createPuzzle(magicSquare, riddles, metadata = {}, options = {}) {
+    const puzzleId = options.random ? options.random.uuid() : uuidv4();
     const version = '1.0.0';
     const language = metadata.language || 'en';
     const direction = metadata.direction || 'ltr';
     const difficulty = metadata.difficulty || 'medium';
 
-    return {
+    const puzzle = {
       puzzleId,
       version,
       language,
       direction,
+      size: magicSquare.grid.length,
       grid: magicSquare.grid,
-      words: magicSquare.words,
+      words: magicSquare.words
+    };
+
+    if (magicSquare.columnWords) {
+      puzzle.columnWords = magicSquare.columnWords;
+    }
+
+    if (magicSquare.bonusWords) {
+      puzzle.bonusWords = magicSquare.bonusWords;
+    }
+
+    const puzzleMetadata = {
+      createdAt: options.createdAt || new Date().toISOString(),
+      difficulty
+    };
+
+    if (metadata.theme) {
+      puzzleMetadata.theme = {
+        name: metadata.theme,
+        words: magicSquare.themeWords || []
+      };
+    }
+
+    if (metadata.includedWords && metadata.includedWords.length > 0) {
+      puzzleMetadata.includedWords = metadata.includedWords;
+    }
+
+    if (metadata.tags && metadata.tags.length > 0) {
+      puzzleMetadata.tags = metadata.tags;
+    }
+
+    return {
+      ...puzzle,
       riddles: riddles.map((riddle, index) => {
         const riddleObj = {
           id: riddle.id || index + 1,
@@ -87,6 +139,10 @@ export class ArtifactWriter {
           solutionWord: riddle.solutionWord || riddle.answer,
           position: riddle.position !== undefined ? riddle.position : index
         };
+
+        if (riddle.orientation) {
+          riddleObj.orientation = riddle.orientation;
+        }
         
         // Include optional hint and explanation if present
         if (riddle.hint) {
@@ -98,10 +154,7 @@ export class ArtifactWriter {
         
         return riddleObj;
       }),
-      metadata: {
-        createdAt: new Date().toISOString(),
-        difficulty
-      }
+      metadata: puzzleMetadata
     };
   }
 
@@ -109,11 +162,12 @@ export class ArtifactWriter {
    * Generates a filename for a puzzle
    * @param {string} language - Language code
    * @param {number} index - Puzzle index
+   * @param {SeededRandom} random - Optional seeded generator replacing the timestamp suffix
    * @returns {string} - Filename
    */
-  static generateFilename(language, index) {
-    const timestamp = Date.now();
-    return `puzzle-${language}-${index}-${timestamp}.json`;
+  static generateFilename(language, index, random = null) {
+    const suffix = random ? random.hex(12) : Date.now();
+    return `puzzle-${language}-${index}-${suffix}.json`;
   }
 
   /**
@@ -121,14 +175,25 @@ export class ArtifactWriter {
    * @param {Array} puzzles - Array of puzzle data objects
    * @param {string} outputDir - Output directory
    * @param {Object} metadata - Shared metadata
+   * @param {Object} options - Reproducibility options
+   * @param {SeededRandom} options.random - Seeded generator for puzzle IDs and filenames
+   * @param {string} options.createdAt - Fixed ISO timestamp for every puzzle
+   * @param {Function} options.onEvent - Called with (type, data) for each quality report, written
+   *   artifact and rejected puzzle (index is the puzzle's 1-based position in puzzles)
+   * @param {Object} options.qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
    * @returns {Array} - Array of written puzzle objects
    */
-  static writeMultiple(puzzles, outputDir, metadata = {}) {
+  static writeMultiple(puzzles, outputDir, metadata = {}, options = {}) {
+    const onEvent = options.onEvent || (() => {});
     const writtenPuzzles = [];
     const puzzleInfos = [];
 
+    // Separate streams so puzzle IDs and filenames never depend on each other
+    const idRandom = options.random ? options.random.fork('puzzle-ids') : null;
+    const filenameRandom = options.random ? options.random.fork('filenames') : null;
+
     puzzles.forEach((puzzleData, index) => {
-      const filename = this.generateFilename(metadata.language || 'en', index + 1);
+      const filename = this.generateFilename(metadata.language || 'en', index + 1, filenameRandom);
       const outputPath = join(outputDir, filename);
 
       try {
@@ -136,23 +201,31 @@ export class ArtifactWriter {
           puzzleData.magicSquare,
           puzzleData.riddles,
           outputPath,
-          metadata
+          metadata,
+          {
+            random: idRandom,
+            createdAt: options.createdAt,
+            qualityRules: options.qualityRules,
+            onEvent: (type, data) => onEvent(type, { index: index + 1, ...data })
+          }
         );
         writtenPuzzles.push(puzzle);
         
         // Collect info for manifest
-        puzzleInfos.push({
-          filename,
-          language: puzzle.language,
-          difficulty: puzzle.metadata.difficulty,
-          puzzleId: puzzle.puzzleId
-        });
+        puzzleInfos.push(PuzzleManifest.entryFor(puzzle, filename));
       } catch (error) {
-        if (error.message.includes('quality validation failed')) {
+        const quality = error.message.includes('quality validation failed');
+        if (quality) {
           console.error(`❌ Puzzle ${index + 1} rejected due to quality issues`);
         } else {
           console.error(`Failed to write puzzle ${index + 1}: ${error.message}`);
         }
+        onEvent('rejected', {
+          index: index + 1,
+          reason: quality ? 'quality' : 'error',
+          message: error.message,
+          words: puzzleData.magicSquare.words
+        });
       }
     });
 
@@ -225,10 +298,14 @@ export class ArtifactWriter {
     }
 
     // Validate riddles
+    const size = magicSquare && magicSquare.grid ? magicSquare.grid.length : 4;
+    const baseRiddles = magicSquare && magicSquare.columnWords ? size * 2 : size;
+    const bonusRiddles = magicSquare && magicSquare.bonusWords ? magicSquare.bonusWords.length : 0;
+    const expectedRiddles = baseRiddles + bonusRiddles;
     if (!Array.isArray(riddles)) {
       errors.push('Riddles must be an array');
-    } else if (riddles.length !== 4) {
-      errors.push('Must have exactly 4 riddles');
+    } else if (riddles.length !== expectedRiddles) {
+      errors.push(`Must have exactly ${expectedRiddles} riddles`);
     } else {
       riddles.forEach((riddle, index) => {
         if (!riddle.prompt || !riddle.answer) {
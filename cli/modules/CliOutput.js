@@ -0,0 +1,85 @@
+/**
+ * CliOutput - Where a command's output goes
+ * In text mode the CLI prints human logs to stdout as it always has. With
+ * --json or --ndjson stdout only carries structured events and the final
+ * summary, and the human logs move to stderr; --quiet drops them altogether
+ * (errors are still printed)
+ */
+
+export class CliOutput {
+  /**
+   * Output formats; json prints one document at the end, ndjson one line per event
+   */
+  static FORMATS = ['text', 'json', 'ndjson'];
+
+  /**
+   * @param {Object} options - Output options
+   * @param {string} options.format - One of FORMATS (default: text)
+   * @param {boolean} options.quiet - Drop human logs (default: false)
+   * @param {Object} options.stream - Where events go (default: process.stdout)
+   */
+  constructor({ format = 'text', quiet = false, stream = process.stdout } = {}) {
+    this.format = format;
+    this.quiet = quiet;
+    this.stream = stream;
+    this.events = [];
+  }
+
+  /**
+   * Whether events are printed (json or ndjson)
+   * @returns {boolean}
+   */
+  get structured() {
+    return this.format !== 'text';
+  }
+
+  /**
+   * Moves console.log, console.info and console.warn to stderr, or silences
+   * them with quiet, so that the modules' logs stay out of the event stream
+   * @returns {Function} - Puts the console back as it was
+   */
+  captureConsole() {
+    const original = { log: console.log, info: console.info, warn: console.warn };
+    if (!this.structured && !this.quiet) {
+      return () => {};
+    }
+
+    const replacement = this.quiet ? () => {} : (...args) => console.error(...args);
+    console.log = replacement;
+    console.info = replacement;
+    console.warn = replacement;
+
+    return () => Object.assign(console, original);
+  }
+
+  /**
+   * Records an event; ndjson prints it straight away
+   * @param {string} type - Event type, e.g. 'square-found'
+   * @param {Object} data - Event fields
+   */
+  event(type, data = {}) {
+    if (!this.structured) {
+      return;
+    }
+
+    const event = { type, ...data };
+    if (this.format === 'ndjson') {
+      this.stream.write(`${JSON.stringify(event)}\n`);
+    } else {
+      this.events.push(event);
+    }
+  }
+
+  /**
+   * Prints the final summary: the last ndjson line, or the json document
+   * with every event recorded before it
+   * @param {Object} summary - Summary fields
+   */
+  finish(summary) {
+    if (this.format === 'ndjson') {
+      this.event('summary', summary);
+    } else if (this.format === 'json') {
+      this.stream.write(`${JSON.stringify({ summary, events: this.events }, null, 2)}\n`);
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * CommandLine - Option parsing shared by the CLI commands
+ * Each command describes its flags in a table; parse() turns argv into a
+ * config object and rejects flags the command does not know
+ */
+
+export class CommandLine {
+  /**
+   * Parses one command's arguments
+   * Option specs: { key, type } where type is 'string' (default), 'int', 'float',
+   * 'boolean' or 'list' (repeatable string); boolean flags set `value` (default: true)
+   * and other types may give a `parse` function of their own. `path: true` marks
+   * values that are file or directory paths
+   * @param {Array} args - Arguments after the command name
+   * @param {Object} options - Flag (e.g. '--count') -> option spec
+   * @param {Object} defaults - Initial config values
+   * @returns {Object} - Config with `positionals` (Array) and `help` (boolean)
+   * @throws {Error} - Unknown flag, or a flag without its value
+   */
+  static parse(args, options, defaults = {}) {
+    const config = { ...defaults, positionals: [], help: false };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--help' || arg === '-h') {
+        config.help = true;
+        continue;
+      }
+      if (arg === '--') {
+        config.positionals.push(...args.slice(i + 1));
+        break;
+      }
+      if (!arg.startsWith('-') || arg === '-') {
+        config.positionals.push(arg);
+        continue;
+      }
+
+      const [flag, inline] = arg.startsWith('--') && arg.includes('=')
+        ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+        : [arg, undefined];
+      const spec = options[flag];
+      if (!spec) {
+        throw new Error(`Unknown option: ${flag}`);
+      }
+
+      if (spec.type === 'boolean') {
+        if (inline !== undefined) {
+          throw new Error(`${flag} does not take a value`);
+        }
+        config[spec.key] = spec.value !== undefined ? spec.value : true;
+        continue;
+      }
+
+      let value = inline;
+      if (value === undefined) {
+        if (i + 1 >= args.length) {
+          throw new Error(`${flag} needs a value`);
+        }
+        value = args[++i];
+      }
+
+      if (spec.type === 'list') {
+        config[spec.key] = [...(config[spec.key] || []), value];
+      } else {
+        config[spec.key] = this.convert(value, spec);
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Checks and converts settings from a config file against a command's option specs
+   * Settings use the config keys (e.g. "themeList" for --theme-list); string values
+   * are converted as if they had been given as flags ("auto", "any", "3"...)
+   * @param {Object} settings - Key -> value
+   * @param {Object} options - Flag -> option spec
+   * @param {string} source - Where the settings came from, for error messages
+   * @returns {Object} - Config values
+   * @throws {Error} - Unknown key, or a value of the wrong type
+   */
+  static fromSettings(settings, options, source) {
+    const specs = new Map(Object.values(options).map(spec => [spec.key, spec]));
+    const config = {};
+
+    Object.entries(settings).forEach(([key, value]) => {
+      const spec = specs.get(key);
+      if (!spec) {
+        throw new Error(`Unknown setting "${key}" in ${source}`);
+      }
+
+      if (value === null || (typeof value !== 'string' && spec.type !== 'boolean' && spec.type !== 'list')) {
+        config[key] = value;
+      } else if (spec.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw new Error(`"${key}" in ${source} must be true or false`);
+        }
+        config[key] = value;
+      } else if (spec.type === 'list') {
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+          throw new Error(`"${key}" in ${source} must be an array of strings`);
+        }
+        config[key] = [...value];
+      } else {
+        config[key] = this.convert(value, spec);
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Converts a flag value to its option type
+   * Numbers that do not parse become NaN, for the command's own checks to report
+   * @param {string} value - Raw value
+   * @param {Object} spec - Option spec
+   * @returns {*} - Converted value
+   */
+  static convert(value, spec) {
+    if (spec.parse) {
+      return spec.parse(value);
+    }
+    if (spec.type === 'int') {
+      return parseInt(value, 10);
+    }
+    if (spec.type === 'float') {
+      return parseFloat(value);
+    }
+    return value;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Dictionary - Local definitions for offline riddles
+ * A dictionary is a TSV file (word, definition, optional hint per line; a word
+ * may have several lines, one per sense) or a JSON object mapping each word
+ * to a definition, a list of definitions, or { definition, hint } objects.
+ * Riddles are built from the definitions with the answer masked out
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname } from 'path';
+import { fileURLToPath } from 'url';
+import { LetterForms } from './LetterForms.js';
+import { QualityValidator } from './QualityValidator.js';
+
+export class Dictionary {
+  /**
+   * Word that replaces the answer when a definition mentions it
+   */
+  static PLACEHOLDERS = {
+    en: 'this',
+    he: 'זה'
+  };
+
+  /**
+   * Loads a dictionary file
+   * @param {string} filePath - .tsv or .json file
+   * @param {string} language - Language code (for final-letter spelling of the keys)
+   * @returns {Map} - Uppercased word in display spelling -> Array of { definition, hint }
+   * @throws {Error} - If the file is missing or malformed
+   */
+  static load(filePath, language) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Dictionary file not found: ${filePath}`);
+    }
+
+    const text = readFileSync(filePath, 'utf-8');
+    try {
+      return extname(filePath).toLowerCase() === '.json'
+        ? this.parseJson(text, language)
+        : this.parseTsv(text, language);
+    } catch (error) {
+      throw new Error(`Error reading dictionary ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parses TSV lines: word, definition and an optional hint, tab-separated
+   * Blank lines and lines starting with '#' are skipped
+   * @param {string} text - File contents
+   * @param {string} language - Language code
+   * @returns {Map} - Word -> senses
+   */
+  static parseTsv(text, language) {
+    const dictionary = new Map();
+
+    text.split('\n').forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) {
+        return;
+      }
+      const [word, definition, hint] = line.split('\t').map(field => (field || '').trim());
+      if (word && definition) {
+        this.addSense(dictionary, word, { definition, hint: hint || null }, language);
+      }
+    });
+
+    return dictionary;
+  }
+
+  /**
+   * Parses a JSON object of word -> definition(s)
+   * @param {string} text - File contents
+   * @param {string} language - Language code
+   * @returns {Map} - Word -> senses
+   */
+  static parseJson(text, language) {
+    const dictionary = new Map();
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected an object of word -> definitions');
+    }
+
+    Object.entries(data).forEach(([word, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(sense => {
+        if (typeof sense === 'string' && sense.trim()) {
+          this.addSense(dictionary, word, { definition: sense.trim(), hint: null }, language);
+        } else if (sense && typeof sense.definition === 'string' && sense.definition.trim()) {
+          this.addSense(dictionary, word, { definition: sense.definition.trim(), hint: sense.hint || null }, language);
+        }
+      });
+    });
+
+    return dictionary;
+  }
+
+  /**
+   * Adds one sense of a word
+   * @param {Map} dictionary - Dictionary being built
+   * @param {string} word - Word as written in the file
+   * @param {Object} sense - { definition, hint }
+   * @param {string} language - Language code
+   */
+  static addSense(dictionary, word, sense, language) {
+    const key = LetterForms.toDisplayForm(word.trim().toUpperCase(), language);
+    if (!dictionary.has(key)) {
+      dictionary.set(key, []);
+    }
+    dictionary.get(key).push(sense);
+  }
+
+  /**
+   * Default dictionary for a language: dictionaries/<language>.tsv, else .json
+   * @param {string} language - Language code
+   * @returns {string|null} - Absolute path, or null if neither file exists
+   */
+  static getDefaultPath(language) {
+    if (!/^[a-z]{2}$/.test(language)) {
+      return null;
+    }
+    return ['tsv', 'json']
+      .map(ext => fileURLToPath(new URL(`../../dictionaries/${language}.${ext}`, import.meta.url)))
+      .find(path => existsSync(path)) || null;
+  }
+
+  /**
+   * Builds a riddle from a word's senses
+   * The first definition that does not mention the answer becomes the riddle
+   * (if every one does, the mention is masked); a second sense becomes the hint
+   * @param {string} word - Answer word
+   * @param {Array} senses - { definition, hint } entries
+   * @param {string} language - Language code
+   * @returns {Object} - { riddle, hint, explanation }
+   */
+  static buildRiddle(word, senses, language) {
+    const chosen = senses.find(sense => !this.mentionsAnswer(sense.definition, word, language)) || senses[0];
+    const definition = this.maskAnswer(chosen.definition, word, language);
+    const other = senses.find(sense => sense !== chosen);
+
+    let hint;
+    if (chosen.hint) {
+      hint = this.toSentence(this.maskAnswer(chosen.hint, word, language));
+    } else if (other) {
+      const meaning = this.maskAnswer(other.definition, word, language);
+      hint = language === 'he' ? `משמעות נוספת: ${this.toSentence(meaning)}` : `Another meaning: ${this.toSentence(meaning)}`;
+    } else {
+      const length = [...word].length;
+      hint = language === 'he' ? `מילה בת ${length} אותיות.` : `A ${length}-letter word.`;
+    }
+
+    const explained = this.stripEnd(chosen.definition);
+    const explanation = language === 'he'
+      ? `"${word}" פירושה ${explained}.`
+      : `"${word}" means ${explained.charAt(0).toLowerCase()}${explained.slice(1)}.`;
+
+    return { riddle: this.toSentence(definition), hint, explanation };
+  }
+
+  /**
+   * Checks whether a text uses the answer or an inflection of it ("tears", "התה")
+   * @param {string} text - Definition or hint
+   * @param {string} word - Answer word
+   * @param {string} language - Language code
+   * @returns {boolean} - True if the answer appears
+   */
+  static mentionsAnswer(text, word, language) {
+    return this.tokens(text).some(token => this.tokenMatches(token, word, language));
+  }
+
+  /**
+   * Replaces the answer and its inflections with a neutral placeholder
+   * @param {string} text - Definition or hint
+   * @param {string} word - Answer word
+   * @param {string} language - Language code
+   * @returns {string} - Text without the answer
+   */
+  static maskAnswer(text, word, language) {
+    const placeholder = this.PLACEHOLDERS[language] || this.PLACEHOLDERS.en;
+    return text.replace(/[\p{L}\p{M}]+/gu, token => (this.tokenMatches(token, word, language) ? placeholder : token));
+  }
+
+  /**
+   * Splits text into words
+   * @param {string} text - Text
+   * @returns {Array} - Words
+   */
+  static tokens(text) {
+    return text.match(/[\p{L}\p{M}]+/gu) || [];
+  }
+
+  /**
+   * Matches one word of a text against the answer
+   * Exactly the words the quality checks count as giving the answer away: the
+   * answer and its inflections (carries, מורות), and in Hebrew the answer behind
+   * one-letter prefixes (התה, ובספר). Words that merely start with or contain the
+   * answer (article for ART) are left alone
+   * @param {string} token - Word from the text
+   * @param {string} word - Answer word
+   * @param {string} language - Language code
+   * @returns {boolean} - True if the token gives the answer away
+   */
+  static tokenMatches(token, word, language) {
+    return QualityValidator.findAnswerLeak(token, word, language) !== null;
+  }
+
+  /**
+   * Capitalizes a text and ends it with a full stop
+   * @param {string} text - Text
+   * @returns {string} - Sentence
+   */
+  static toSentence(text) {
+    const trimmed = this.stripEnd(text);
+    return `${trimmed.charAt(0).toUpperCase()}${trimmed.slice(1)}.`;
+  }
+
+  /**
+   * Removes trailing spaces and punctuation
+   * @param {string} text - Text
+   * @returns {string} - Text without its final punctuation
+   */
+  static stripEnd(text) {
+    return text.trim().replace(/[\s.;,:!?]+$/u, '');
+  }
+}
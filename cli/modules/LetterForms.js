@@ -0,0 +1,66 @@
+/**
+ * LetterForms - Language-aware letter normalization for the square search
+ * Hebrew writes five letters differently at the end of a word (ך ם ן ף ץ).
+ * A grid cell is shared by a row and a column, and a letter that ends one of
+ * them is usually in the middle of the other, so squares are matched on the
+ * regular forms and the words keep their final forms for display
+ */
+
+export class LetterForms {
+  /**
+   * Final form to regular form, per language
+   */
+  static FINAL_FORMS = {
+    he: {
+      'ך': 'כ', // Final Kaf to Kaf
+      'ם': 'מ', // Final Mem to Mem
+      'ן': 'נ', // Final Nun to Nun
+      'ף': 'פ', // Final Pe to Pe
+      'ץ': 'צ'  // Final Tsadi to Tsadi
+    }
+  };
+
+  /**
+   * Checks whether a language has letters with a separate final form
+   * @param {string} language - Language code
+   * @returns {boolean} - True if words need normalizing before matching
+   */
+  static hasFinalForms(language) {
+    return language in this.FINAL_FORMS;
+  }
+
+  /**
+   * Folds final forms into regular forms, the spelling used for matching
+   * @param {string} word - Word to normalize
+   * @param {string} language - Language code
+   * @returns {string} - Normalized word (unchanged for languages without final forms)
+   */
+  static normalize(word, language) {
+    const finals = this.FINAL_FORMS[language];
+    if (!finals) {
+      return word;
+    }
+    return [...word].map(char => finals[char] || char).join('');
+  }
+
+  /**
+   * Spells a word for display: regular forms inside, final form on the last letter
+   * @param {string} word - Word in any spelling
+   * @param {string} language - Language code
+   * @returns {string} - Display spelling (unchanged for languages without final forms)
+   */
+  static toDisplayForm(word, language) {
+    const finals = this.FINAL_FORMS[language];
+    if (!finals) {
+      return word;
+    }
+
+    const letters = [...this.normalize(word, language)];
+    const last = letters.length - 1;
+    const final = Object.keys(finals).find(char => finals[char] === letters[last]);
+    if (final) {
+      letters[last] = final;
+    }
+    return letters.join('');
+  }
+}
@@ -1,34 +1,80 @@
 /**
- * MagicSquareFinder - Finds valid 4x4 magic squares from word lists
+ * MagicSquareFinder - Finds valid 3x3, 4x4 and 5x5 magic squares from word lists
  * A magic square is valid when word[i][j] == word[j][i] for all i,j
+ * A double square drops the symmetry: its rows and columns are all different words
+ * Diagonal constraints additionally require the main and/or anti-diagonal to be words
+ * Letters are matched in normalized form (Hebrew final letters folded), and
+ * found squares are spelled back in the words' display forms
+ * Included words are pinned to rows, and theme words are preferred for the other rows
+ * Words and grids from earlier puzzles (usedWords, usedGrids) can be kept out of new squares
  */
 
+import { WordTrie } from './WordTrie.js';
+import { LetterForms } from './LetterForms.js';
+
 export class MagicSquareFinder {
+  /**
+   * Difficulty bands over a square's commonness score (see scoreSquare)
+   * Easy squares use only common words; hard squares have at least one rare word
+   */
+  static DIFFICULTY_BANDS = {
+    easy: { min: 0.6, max: 1 },
+    medium: { min: 0.3, max: 0.6 },
+    hard: { min: 0, max: 0.3 }
+  };
+
+  /**
+   * Values for options.diagonals: which diagonals must also be words
+   */
+  static DIAGONAL_MODES = ['main', 'anti', 'both'];
+
   /**
    * Finds all valid magic squares from a word list
-   * @param {Array} words - Array of 4-letter words
+   * @param {Array} words - Array of words, all as long as the grid is wide
    * @param {number} maxResults - Maximum number of results to return (default: 10)
+   * @param {Object} options - Search options
+   * @param {string} options.mode - 'symmetric' (default) or 'double'
+   * @param {string} options.diagonals - 'main', 'anti' or 'both' to require diagonal words
+   * @param {SeededRandom} options.random - Seeded generator for a reproducible shuffle
+   * @param {Map} options.frequencies - Word frequency counts; enables commonness scoring
+   * @param {string} options.difficulty - easy, medium or hard; with frequencies, picks squares in that band
+   * @param {string} options.language - Language code; enables final-letter matching (e.g. 'he')
+   * @param {Array} options.include - Words every square must use as rows
+   * @param {Array} options.themeWords - Theme list; squares use as many of these rows as possible
+   * @param {number} options.minThemeWords - Fewest theme rows a square may have (default: 0)
+   * @param {Array} options.usedWords - Words of earlier puzzles
+   * @param {Array} options.usedGrids - Grids of earlier puzzles; squares equal to one, or to its transpose, are skipped
+   * @param {number} options.maxWordReuse - Most used words a square may contain (default: no limit)
+   * @param {Function} options.onFound - Called with each square (and its 1-based number) as it is found
    * @returns {Array} - Array of magic square objects
    */
-  static findMagicSquares(words, maxResults = 10) {
+  static findMagicSquares(words, maxResults = 10, options = {}) {
     const results = [];
-    const wordSet = new Set(words);
 
     console.log(`Searching for magic squares in ${words.length} words...`);
 
+    const { candidates, searchOptions } = this.prepareSearch(words, options);
+
+    // Index the words once; every search below walks this trie
+    const index = WordTrie.fromWords(candidates);
+
     // Shuffle the word list to get varied results
-    const shuffledWords = this.shuffleArray([...words]);
+    const shuffledWords = this.orderFirstWords(this.shuffleArray([...candidates], options.random), searchOptions);
 
     // Try each word as the first word
     for (let i = 0; i < shuffledWords.length && results.length < maxResults; i++) {
       const word1 = shuffledWords[i];
       
       // Try to build a magic square starting with word1
-      const square = this.buildMagicSquare(word1, wordSet);
+      const found = this.findSquareForWord(word1, index, searchOptions);
       
-      if (square) {
+      if (found) {
+        const square = this.restoreDisplayForms(found, searchOptions.displayForms);
         results.push(square);
-        console.log(`Found magic square ${results.length}: ${square.words.join(', ')}`);
+        console.log(`Found magic square ${results.length}: ${this.describeSquare(square)}`);
+        if (options.onFound) {
+          options.onFound(square, results.length);
+        }
       }
     }
 
@@ -36,15 +82,358 @@ export class MagicSquareFinder {
     return results;
   }
 
+  /**
+   * Normalizes the word list, scores words by commonness and narrows it to the difficulty band
+   * Candidates are in matching form, including any included and theme words;
+   * searchOptions.displayForms (when the language has final letters) maps them
+   * back for restoreDisplayForms, and searchOptions.themeWords becomes a Set.
+   * Earlier puzzles' words and grids become Sets too; when no reuse is allowed
+   * the used words are dropped from the candidates outright
+   * @param {Array} words - Word list
+   * @param {Object} options - Search options (see findMagicSquares)
+   * @returns {Object} - { candidates: Array, searchOptions: Object }
+   */
+  static prepareSearch(words, options = {}) {
+    const include = options.include || [];
+    const themeWords = options.themeWords || [];
+
+    // Included and theme words are searchable even if the main list lacks them
+    const allWords = include.length > 0 || themeWords.length > 0
+      ? [...new Set([...words, ...themeWords, ...include])]
+      : words;
+    const { words: matchWords, displayForms } = this.normalizeWords(allWords, options.language);
+
+    const normalize = word => LetterForms.normalize(word, options.language);
+    const baseOptions = {
+      ...options,
+      include: include.map(normalize),
+      themeWords: themeWords.length > 0 ? new Set(themeWords.map(normalize)) : null
+    };
+    if (displayForms) {
+      baseOptions.displayForms = displayForms;
+    }
+
+    baseOptions.usedWords = new Set((options.usedWords || []).map(normalize));
+    baseOptions.usedGrids = new Set((options.usedGrids || []).map(grid => this.gridKey(grid.map(row => row.map(normalize)))));
+
+    // Included words are exempt: the caller asked for them
+    let searchWords = matchWords;
+    if (options.maxWordReuse === 0 && baseOptions.usedWords.size > 0) {
+      const included = new Set(baseOptions.include);
+      searchWords = matchWords.filter(word => !baseOptions.usedWords.has(word) || included.has(word));
+      console.log(`Skipping ${matchWords.length - searchWords.length} words already used in the library`);
+    }
+
+    if (!options.frequencies || options.frequencies.size === 0) {
+      return { candidates: searchWords, searchOptions: baseOptions };
+    }
+
+    const frequencies = displayForms
+      ? this.normalizeFrequencies(options.frequencies, options.language)
+      : options.frequencies;
+    const commonness = this.commonnessScores(matchWords, frequencies);
+    const band = this.DIFFICULTY_BANDS[options.difficulty];
+
+    // The caller chose the included words, so they never count against the band
+    baseOptions.include.forEach(word => commonness.set(word, 1));
+
+    // Every word of a square scores at least the square's score, so words
+    // below the band can never appear and are dropped before indexing
+    const candidates = band ? searchWords.filter(word => commonness.get(word) >= band.min) : searchWords;
+    if (candidates.length < searchWords.length) {
+      console.log(`Using ${candidates.length} words common enough for ${options.difficulty} squares`);
+    }
+
+    return { candidates, searchOptions: { ...baseOptions, commonness } };
+  }
+
+  /**
+   * Converts words to the form squares are matched in
+   * @param {Array} words - Words in display spelling
+   * @param {string} language - Language code
+   * @returns {Object} - { words, displayForms: Map|null } where displayForms maps
+   *   each matching form to the first display spelling seen (null if nothing to fold)
+   */
+  static normalizeWords(words, language) {
+    if (!LetterForms.hasFinalForms(language)) {
+      return { words, displayForms: null };
+    }
+
+    const displayForms = new Map();
+    words.forEach(word => {
+      const normalized = LetterForms.normalize(word, language);
+      if (!displayForms.has(normalized)) {
+        displayForms.set(normalized, word);
+      }
+    });
+    return { words: [...displayForms.keys()], displayForms };
+  }
+
+  /**
+   * Re-keys frequency counts by matching form, keeping the highest count
+   * @param {Map} frequencies - Word frequency counts in display spelling
+   * @param {string} language - Language code
+   * @returns {Map} - Counts keyed by normalized word
+   */
+  static normalizeFrequencies(frequencies, language) {
+    const normalized = new Map();
+    frequencies.forEach((count, word) => {
+      const key = LetterForms.normalize(word, language);
+      normalized.set(key, Math.max(normalized.get(key) || 0, count));
+    });
+    return normalized;
+  }
+
+  /**
+   * Spells a square found in matching form with its words' display forms
+   * Each grid row is its row word, so final letters end the rows; columns
+   * and diagonals keep their own spelling in columnWords and bonusWords
+   * @param {Object} square - Magic square object in matching form
+   * @param {Map|null} displayForms - From normalizeWords
+   * @returns {Object} - Square in display spelling (the same object if there is nothing to restore)
+   */
+  static restoreDisplayForms(square, displayForms) {
+    if (!displayForms) {
+      return square;
+    }
+
+    const display = word => displayForms.get(word) || word;
+    const restored = { ...square, words: square.words.map(display) };
+    restored.grid = restored.words.map(word => [...word]);
+    if (square.columnWords) {
+      restored.columnWords = square.columnWords.map(display);
+    }
+    if (square.bonusWords) {
+      restored.bonusWords = square.bonusWords.map(bonus => ({ ...bonus, word: display(bonus.word) }));
+    }
+    if (square.themeWords) {
+      restored.themeWords = square.themeWords.map(display);
+    }
+    return restored;
+  }
+
+  /**
+   * Finds the first square for a first word, honouring the difficulty band
+   * With a theme, squares with fewer non-theme rows are tried first
+   * @param {string} firstWord - The first word (row 0)
+   * @param {WordTrie} index - Prefix index of available words
+   * @param {Object} options - Search options from prepareSearch
+   * @returns {Object|null} - Magic square object (with commonness when scored) or null
+   */
+  static findSquareForWord(firstWord, index, options = {}) {
+    const band = options.commonness ? this.DIFFICULTY_BANDS[options.difficulty] : null;
+
+    for (const planOptions of this.searchPlans(firstWord, options)) {
+      for (const square of this.searchSquares(firstWord, index, planOptions)) {
+        if (!this.isNewToLibrary(square, options)) {
+          continue;
+        }
+        if (!options.commonness) {
+          return square;
+        }
+
+        const commonness = this.scoreSquare(square, options.commonness);
+        if (!band || this.isInBand(commonness, band)) {
+          return { ...square, commonness };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks a square against earlier puzzles
+   * @param {Object} square - Magic square object in matching form
+   * @param {Object} options - Search options from prepareSearch
+   * @returns {boolean} - False if the grid (or its transpose) already exists, or
+   *   more than options.maxWordReuse of its words are used (included words never count)
+   */
+  static isNewToLibrary(square, options = {}) {
+    const { usedGrids, usedWords, maxWordReuse } = options;
+
+    if (usedGrids && usedGrids.size > 0) {
+      const transposed = square.grid.map((_, j) => square.grid.map(row => row[j]));
+      if (usedGrids.has(this.gridKey(square.grid)) || usedGrids.has(this.gridKey(transposed))) {
+        return false;
+      }
+    }
+
+    if (usedWords && usedWords.size > 0 && maxWordReuse !== undefined && maxWordReuse !== null) {
+      const included = new Set(options.include || []);
+      const reused = this.squareWords(square).filter(word => usedWords.has(word) && !included.has(word));
+      if (reused.length > maxWordReuse) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Identifies a grid by its rows
+   * @param {Array} grid - 2D letter array
+   * @returns {string} - Rows joined with '/'
+   */
+  static gridKey(grid) {
+    return grid.map(row => row.join('')).join('/');
+  }
+
+  /**
+   * Lists every word a square uses: rows, columns and bonus words
+   * @param {Object} square - Magic square or puzzle object
+   * @returns {Array} - Words
+   */
+  static squareWords(square) {
+    return [
+      ...square.words,
+      ...(square.columnWords || []),
+      ...(square.bonusWords || []).map(bonus => bonus.word)
+    ];
+  }
+
+  /**
+   * Lists the constrained searches to run for one first word, best first
+   * Each included word is pinned to a row (every assignment is tried), and
+   * with a theme the number of rows from outside it grows from 0 upwards
+   * @param {string} firstWord - The first word (row 0)
+   * @param {Object} options - Search options from prepareSearch
+   * @yields {Object} - Search options with pinnedRows and maxOtherRows
+   */
+  static *searchPlans(firstWord, options = {}) {
+    const include = options.include || [];
+    const size = [...firstWord].length;
+    if (include.length > size) {
+      return;
+    }
+
+    const placements = this.includePlacements(firstWord, include, size);
+    const budgets = options.themeWords
+      ? Array.from({ length: size + 1 }, (_, budget) => budget)
+      : [size];
+
+    for (const maxOtherRows of budgets) {
+      for (const pinnedRows of placements) {
+        yield { ...options, pinnedRows, maxOtherRows };
+      }
+    }
+  }
+
+  /**
+   * Lists every way to place the included words on distinct rows
+   * Row 0 holds the first word, so it only takes an included word equal to it
+   * @param {string} firstWord - The first word (row 0)
+   * @param {Array} include - Included words, normalized
+   * @param {number} size - Grid size
+   * @returns {Array} - Objects mapping row index to word
+   */
+  static includePlacements(firstWord, include, size) {
+    const placements = [];
+    const place = (i, pinnedRows, usedRows) => {
+      if (i === include.length) {
+        placements.push({ ...pinnedRows });
+        return;
+      }
+
+      const word = include[i];
+      const rows = word === firstWord ? [0] : Array.from({ length: size - 1 }, (_, row) => row + 1);
+      for (const row of rows) {
+        if (usedRows.has(row)) continue;
+        usedRows.add(row);
+        pinnedRows[row] = word;
+        place(i + 1, pinnedRows, usedRows);
+        delete pinnedRows[row];
+        usedRows.delete(row);
+      }
+    };
+
+    place(0, {}, new Set());
+    return placements;
+  }
+
+  /**
+   * Puts theme words first among the first-word candidates, keeping their order otherwise
+   * @param {Array} words - Candidate first words (already shuffled)
+   * @param {Object} options - Search options from prepareSearch
+   * @returns {Array} - Reordered words (the same array without a theme)
+   */
+  static orderFirstWords(words, options = {}) {
+    if (!options.themeWords) {
+      return words;
+    }
+    return [
+      ...words.filter(word => options.themeWords.has(word)),
+      ...words.filter(word => !options.themeWords.has(word))
+    ];
+  }
+
+  /**
+   * Maps each word to its commonness: the share of other words that are no more frequent
+   * Words without a frequency score 0, the rarest possible
+   * @param {Array} words - Word list
+   * @param {Map} frequencies - Word frequency counts
+   * @returns {Map} - Word to score in [0, 1]
+   */
+  static commonnessScores(words, frequencies) {
+    const uniqueWords = [...new Set(words)];
+    const counts = uniqueWords.map(word => frequencies.get(word) || 0).sort((a, b) => a - b);
+    const denominator = Math.max(1, uniqueWords.length - 1);
+
+    const scores = new Map();
+    uniqueWords.forEach(word => {
+      const count = frequencies.get(word) || 0;
+      if (count === 0) {
+        scores.set(word, 0);
+        return;
+      }
+
+      // Binary search for the number of words with a count <= this one
+      let low = 0;
+      let high = counts.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (counts[mid] <= count) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      // Minus one for the word itself
+      scores.set(word, Math.min(1, (low - 1) / denominator));
+    });
+    return scores;
+  }
+
+  /**
+   * Scores a square by its least common word
+   * @param {Object} square - Magic square object
+   * @param {Map} commonness - Word to commonness score
+   * @returns {number} - Score in [0, 1]; higher means every word is more common
+   */
+  static scoreSquare(square, commonness) {
+    return Math.min(...this.squareWords(square).map(word => commonness.get(word) || 0));
+  }
+
+  /**
+   * Checks whether a score falls in a difficulty band
+   * @param {number} score - Square score
+   * @param {Object} band - { min, max } from DIFFICULTY_BANDS
+   * @returns {boolean} - True if min <= score < max (max of 1 is inclusive)
+   */
+  static isInBand(score, band) {
+    return score >= band.min && (score < band.max || band.max === 1);
+  }
+
   /**
    * Shuffles an array using Fisher-Yates algorithm
    * @param {Array} array - Array to shuffle
+   * @param {SeededRandom} random - Optional seeded generator (default: Math.random)
    * @returns {Array} - Shuffled array
    */
-  static shuffleArray(array) {
+  static shuffleArray(array, random = null) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = random ? random.nextInt(i + 1) : Math.floor(Math.random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -53,70 +442,273 @@ export class MagicSquareFinder {
   /**
    * Attempts to build a magic square starting with a given word
    * @param {string} firstWord - The first word (row 0)
-   * @param {Set} wordSet - Set of available words
+   * @param {Set|WordTrie} wordSet - Set of available words, or a prebuilt index
+   * @param {Object} options - Search options (see findMagicSquares)
    * @returns {Object|null} - Magic square object or null if not found
    */
-  static buildMagicSquare(firstWord, wordSet) {
-    // Grid will be 4x4
-    const grid = Array(4).fill(null).map(() => Array(4).fill(''));
-    
-    // Place first word in row 0
-    for (let j = 0; j < 4; j++) {
-      grid[0][j] = firstWord[j];
+  static buildMagicSquare(firstWord, wordSet, options = {}) {
+    const index = wordSet instanceof WordTrie ? wordSet : WordTrie.fromWords(wordSet);
+    const next = this.searchSquares(firstWord, index, options).next();
+    return next.done ? null : next.value;
+  }
+
+  /**
+   * Lazily yields every magic square whose first row is a given word
+   *
+   * The grid is filled cell by cell. Because the square is symmetric, row i
+   * and column i are the same word, so the letters above the diagonal fix
+   * the prefix of every later row. Each placed letter must extend both its
+   * row and its column to a prefix that exists in the index, which prunes
+   * dead branches long before a row is complete.
+   *
+   * In double mode nothing is mirrored: every cell extends its row and its
+   * column independently, and the square adds a columnWords array.
+   *
+   * With diagonals, each completed row also extends the required diagonal
+   * words, and the square adds a bonusWords array of { kind, word } entries
+   * (kind 'main-diagonal' or 'anti-diagonal', matching the puzzle schema).
+   * The anti-diagonal of a symmetric square always reads as a palindrome.
+   *
+   * options.pinnedRows fixes whole rows (and, when symmetric, the matching
+   * columns) in advance. With options.themeWords each completed row counts
+   * as a theme row or, unless it is an included word, an other row; the
+   * search prunes once other rows exceed options.maxOtherRows or too few
+   * rows remain to reach options.minThemeWords, and the square adds a
+   * themeWords array listing its theme rows.
+   *
+   * @param {string} firstWord - The first word (row 0)
+   * @param {WordTrie} index - Prefix index of available words
+   * @param {Object} options - Search options (see findMagicSquares)
+   * @yields {Object} - Magic square object with grid and words
+   */
+  static *searchSquares(firstWord, index, options = {}) {
+    if (!index.has(firstWord)) {
+      return;
     }
 
-    // Now we need to find words for rows 1, 2, 3
-    // such that columns also form valid words
-    
-    // For a magic square: word[i][j] == word[j][i]
-    // This means the grid must be symmetric
-    
-    // Try to find word2 (row 1) that starts with firstWord[1]
-    const word2Candidates = this.findWordsStartingWith(firstWord[1], wordSet);
-    
-    for (const word2 of word2Candidates) {
-      // Place word2 in row 1
-      for (let j = 0; j < 4; j++) {
-        grid[1][j] = word2[j];
+    const size = [...firstWord].length;
+    const double = options.mode === 'double';
+    const fixed = this.pinLetters({ ...options.pinnedRows, 0: firstWord }, size, double);
+    if (!fixed) {
+      return;
+    }
+
+    const state = {
+      size,
+      double,
+      root: index.root,
+      // fixed[row][col] is the letter a pinned row puts in that cell, or null
+      fixed,
+      grid: Array(size).fill(null).map(() => Array(size).fill('')),
+      // colNodes[j] is the trie node reached by the letters placed so far in column j
+      colNodes: Array(size).fill(index.root),
+      // Trie nodes reached by the required diagonals, or null when not required
+      mainNode: ['main', 'both'].includes(options.diagonals) ? index.root : null,
+      antiNode: ['anti', 'both'].includes(options.diagonals) ? index.root : null,
+      words: [],
+      used: new Set(),
+      themeWords: options.themeWords || null,
+      included: new Set(options.include || []),
+      minThemeWords: options.minThemeWords || 0,
+      maxOtherRows: options.maxOtherRows !== undefined ? options.maxOtherRows : size,
+      themeRows: 0,
+      otherRows: 0
+    };
+
+    yield* this.fillRow(state, 0);
+  }
+
+  /**
+   * Lays pinned rows out as fixed cell letters
+   * @param {Object} pinnedRows - Row index to word
+   * @param {number} size - Grid size
+   * @param {boolean} double - Double squares do not mirror rows into columns
+   * @returns {Array|null} - size x size letters (null where free), or null if two pins disagree
+   */
+  static pinLetters(pinnedRows, size, double) {
+    const fixed = Array(size).fill(null).map(() => Array(size).fill(null));
+    const pin = (row, col, char) => {
+      if (fixed[row][col] !== null && fixed[row][col] !== char) {
+        return false;
       }
-      
-      // Check if column 1 matches row 1 so far
-      if (grid[1][0] !== firstWord[1]) continue;
-      
-      // Try to find word3 (row 2) that starts with firstWord[2]
-      const word3Candidates = this.findWordsStartingWith(firstWord[2], wordSet);
-      
-      for (const word3 of word3Candidates) {
-        // Place word3 in row 2
-        for (let j = 0; j < 4; j++) {
-          grid[2][j] = word3[j];
+      fixed[row][col] = char;
+      return true;
+    };
+
+    for (const [row, word] of Object.entries(pinnedRows)) {
+      const letters = [...word];
+      if (letters.length !== size) {
+        return null;
+      }
+      for (let col = 0; col < size; col++) {
+        if (!pin(Number(row), col, letters[col]) || (!double && !pin(col, Number(row), letters[col]))) {
+          return null;
         }
-        
-        // Check constraints so far
-        if (grid[2][0] !== firstWord[2]) continue;
-        if (grid[2][1] !== word2[2]) continue;
-        
-        // Try to find word4 (row 3) that starts with firstWord[3]
-        const word4Candidates = this.findWordsStartingWith(firstWord[3], wordSet);
-        
-        for (const word4 of word4Candidates) {
-          // Place word4 in row 3
-          for (let j = 0; j < 4; j++) {
-            grid[3][j] = word4[j];
-          }
-          
-          // Check all constraints for a valid magic square
-          if (this.isValidMagicSquare(grid, wordSet)) {
-            return {
-              grid: grid.map(row => [...row]),
-              words: [firstWord, word2, word3, word4]
-            };
+      }
+    }
+    return fixed;
+  }
+
+  /**
+   * Starts filling a row, or yields the square when every row is placed
+   * @param {Object} state - Search state
+   * @param {number} row - Row to fill
+   * @yields {Object} - Magic square object with grid and words
+   */
+  static *fillRow(state, row) {
+    if (row === state.size) {
+      const square = {
+        grid: state.grid.map(r => [...r]),
+        words: [...state.words]
+      };
+      const allWords = [...state.words];
+
+      if (state.double) {
+        square.columnWords = state.colNodes.map(node => node.word);
+        if (square.columnWords.includes(null)) {
+          return;
+        }
+        allWords.push(...square.columnWords);
+      }
+
+      if (state.mainNode || state.antiNode) {
+        square.bonusWords = [];
+        for (const [kind, node] of [['main-diagonal', state.mainNode], ['anti-diagonal', state.antiNode]]) {
+          if (!node) continue;
+          if (node.word === null) {
+            return;
           }
+          square.bonusWords.push({ kind, word: node.word });
+          allWords.push(node.word);
         }
       }
+
+      // Every word in the square must be different
+      if (new Set(allWords).size !== allWords.length) {
+        return;
+      }
+
+      if (state.themeWords) {
+        square.themeWords = state.words.filter(word => state.themeWords.has(word));
+      }
+
+      yield square;
+      return;
     }
-    
-    return null;
+
+    if (state.double) {
+      yield* this.fillCell(state, row, 0, state.root);
+      return;
+    }
+
+    // Cells left of the diagonal mirror earlier rows, so the row starts
+    // from the node its column has already reached
+    yield* this.fillCell(state, row, row, state.colNodes[row]);
+  }
+
+  /**
+   * Places a letter in one cell and recurses to the next
+   * @param {Object} state - Search state
+   * @param {number} row - Current row
+   * @param {number} col - Current column (row <= col unless in double mode)
+   * @param {Object} rowNode - Trie node reached by the row so far
+   * @yields {Object} - Magic square object with grid and words
+   */
+  static *fillCell(state, row, col, rowNode) {
+    if (col === state.size) {
+      const word = rowNode.word;
+      if (word === null || state.used.has(word)) {
+        return;
+      }
+
+      // Theme rows only count when a theme is set; included words are neither kind
+      const themeRow = state.themeWords && state.themeWords.has(word) ? 1 : 0;
+      const otherRow = state.themeWords && !themeRow && !state.included.has(word) ? 1 : 0;
+      const rowsLeft = state.size - row - 1;
+      if (state.otherRows + otherRow > state.maxOtherRows ||
+          state.themeRows + themeRow + rowsLeft < state.minThemeWords) {
+        return;
+      }
+
+      // The finished row fixes one more letter of each required diagonal
+      const { mainNode, antiNode } = state;
+      const nextMainNode = mainNode && mainNode.children.get(state.grid[row][row]);
+      const nextAntiNode = antiNode && antiNode.children.get(state.grid[row][state.size - 1 - row]);
+      if ((mainNode && !nextMainNode) || (antiNode && !nextAntiNode)) {
+        return;
+      }
+
+      state.used.add(word);
+      state.words.push(word);
+      state.mainNode = nextMainNode;
+      state.antiNode = nextAntiNode;
+      state.themeRows += themeRow;
+      state.otherRows += otherRow;
+      yield* this.fillRow(state, row + 1);
+      state.themeRows -= themeRow;
+      state.otherRows -= otherRow;
+      state.mainNode = mainNode;
+      state.antiNode = antiNode;
+      state.words.pop();
+      state.used.delete(word);
+      return;
+    }
+
+    const fixedChar = state.fixed[row][col];
+    const candidates = fixedChar !== null
+      ? [[fixedChar, rowNode.children.get(fixedChar)]]
+      : rowNode.children;
+
+    for (const [char, nextRowNode] of candidates) {
+      if (!nextRowNode) {
+        continue;
+      }
+
+      // Off-diagonal letters also extend column `col`, which becomes row `col`
+      // (in double mode every letter extends its own column)
+      const colNode = state.colNodes[col];
+      if (state.double || col > row) {
+        const nextColNode = colNode.children.get(char);
+        if (!nextColNode) {
+          continue;
+        }
+        state.colNodes[col] = nextColNode;
+      }
+
+      state.grid[row][col] = char;
+      if (!state.double) {
+        state.grid[col][row] = char;
+      }
+      yield* this.fillCell(state, row, col + 1, nextRowNode);
+      state.colNodes[col] = colNode;
+    }
+  }
+
+  /**
+   * Formats a square's words for log output
+   * @param {Object} square - Magic square object
+   * @returns {string} - Comma-separated rows, plus columns for double squares
+   */
+  static describeSquare(square) {
+    let description = square.words.join(', ');
+    if (square.columnWords) {
+      description += ` / ${square.columnWords.join(', ')}`;
+    }
+    if (square.bonusWords) {
+      description += ` (diagonals: ${square.bonusWords.map(bonus => bonus.word).join(', ')})`;
+    }
+    return description;
+  }
+
+  /**
+   * Reads a diagonal of a grid
+   * @param {Array} grid - 2D letter array
+   * @param {string} kind - 'main-diagonal' (top-left to bottom-right) or 'anti-diagonal' (top-right to bottom-left)
+   * @returns {string} - Diagonal letters, top row first
+   */
+  static readDiagonal(grid, kind) {
+    const size = grid.length;
+    return grid.map((row, i) => row[kind === 'main-diagonal' ? i : size - 1 - i]).join('');
   }
 
   /**
@@ -131,14 +723,16 @@ export class MagicSquareFinder {
 
   /**
    * Checks if a grid forms a valid magic square
-   * @param {Array} grid - 4x4 grid of characters
+   * @param {Array} grid - Square grid of characters
    * @param {Set} wordSet - Set of valid words
    * @returns {boolean} - True if valid magic square
    */
   static isValidMagicSquare(grid, wordSet) {
+    const size = grid.length;
+
     // Check that grid is symmetric: grid[i][j] == grid[j][i]
-    for (let i = 0; i < 4; i++) {
-      for (let j = 0; j < 4; j++) {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
         if (grid[i][j] !== grid[j][i]) {
           return false;
         }
@@ -147,7 +741,7 @@ export class MagicSquareFinder {
     
     // Collect all words (rows)
     const words = [];
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < size; i++) {
       const rowWord = grid[i].join('');
       if (!wordSet.has(rowWord)) {
         return false;
@@ -157,12 +751,12 @@ export class MagicSquareFinder {
     
     // Check that all words are unique
     const uniqueWords = new Set(words);
-    if (uniqueWords.size !== 4) {
+    if (uniqueWords.size !== size) {
       return false;
     }
     
     // Check that all columns form valid words (should match rows due to symmetry)
-    for (let j = 0; j < 4; j++) {
+    for (let j = 0; j < size; j++) {
       const colWord = grid.map(row => row[j]).join('');
       if (!wordSet.has(colWord)) {
         return false;
@@ -172,13 +766,36 @@ export class MagicSquareFinder {
     return true;
   }
 
+  /**
+   * Checks if a grid forms a valid double square
+   * @param {Array} grid - Square grid of characters
+   * @param {Set} wordSet - Set of valid words
+   * @returns {boolean} - True if all rows and columns are distinct valid words
+   */
+  static isValidDoubleSquare(grid, wordSet) {
+    const rows = grid.map(row => row.join(''));
+    const columns = grid.map((_, j) => grid.map(row => row[j]).join(''));
+    const words = [...rows, ...columns];
+
+    if (!words.every(word => wordSet.has(word))) {
+      return false;
+    }
+
+    return new Set(words).size === words.length;
+  }
+
   /**
    * Validates a magic square
+   * Letters are compared in normalized form, so a final letter ending a row
+   * matches the regular letter in the crossing column
    * @param {Object} square - Magic square object with grid and words
+   * @param {number} size - Expected grid size (default: 4)
+   * @param {string} language - Language code (default: none, compare exactly)
    * @returns {Object} - { valid: boolean, errors: Array }
    */
-  static validate(square) {
+  static validate(square, size = 4, language = null) {
     const errors = [];
+    const same = (a, b) => LetterForms.normalize(a, language) === LetterForms.normalize(b, language);
 
     if (!square || typeof square !== 'object') {
       errors.push('Square must be an object');
@@ -190,19 +807,24 @@ export class MagicSquareFinder {
       return { valid: false, errors };
     }
 
-    if (square.grid.length !== 4) {
-      errors.push('Grid must have 4 rows');
+    if (square.grid.length !== size) {
+      errors.push(`Grid must have ${size} rows`);
     }
 
-    // Check grid symmetry
-    for (let i = 0; i < 4; i++) {
-      if (!Array.isArray(square.grid[i]) || square.grid[i].length !== 4) {
-        errors.push(`Row ${i} must have 4 characters`);
+    const isDouble = square.columnWords !== undefined;
+
+    // Check grid symmetry (double squares are deliberately asymmetric)
+    for (let i = 0; i < size; i++) {
+      if (!Array.isArray(square.grid[i]) || square.grid[i].length !== size) {
+        errors.push(`Row ${i} must have ${size} characters`);
         continue;
       }
       
-      for (let j = 0; j < 4; j++) {
-        if (square.grid[i][j] !== square.grid[j][i]) {
+      for (let j = 0; j < size && !isDouble; j++) {
+        if (!Array.isArray(square.grid[j])) {
+          continue;
+        }
+        if (!same(square.grid[i][j], square.grid[j][i])) {
           errors.push(`Grid is not symmetric at [${i}][${j}]`);
         }
       }
@@ -210,14 +832,55 @@ export class MagicSquareFinder {
 
     if (!square.words || !Array.isArray(square.words)) {
       errors.push('Square must have a words array');
-    } else if (square.words.length !== 4) {
-      errors.push('Square must have exactly 4 words');
+    } else if (square.words.length !== size) {
+      errors.push(`Square must have exactly ${size} words`);
     } else {
       // Check that all words are unique
       const uniqueWords = new Set(square.words);
-      if (uniqueWords.size !== 4) {
+      if (uniqueWords.size !== size) {
         errors.push('All words must be unique (found duplicates)');
       }
+
+      square.words.forEach((word, i) => {
+        const row = square.grid[i];
+        if (typeof word === 'string' && Array.isArray(row) && row.length === size && !same(row.join(''), word)) {
+          errors.push(`Row ${i} does not match word "${word}"`);
+        }
+      });
+    }
+
+    if (isDouble) {
+      if (!Array.isArray(square.columnWords) || square.columnWords.length !== size) {
+        errors.push(`Double square must have exactly ${size} column words`);
+      } else if (errors.length === 0) {
+        square.columnWords.forEach((word, j) => {
+          const column = square.grid.map(row => row[j]).join('');
+          if (!same(column, word)) {
+            errors.push(`Column ${j} does not match column word "${word}"`);
+          }
+        });
+
+        const uniqueWords = new Set([...square.words, ...square.columnWords]);
+        if (uniqueWords.size !== size * 2) {
+          errors.push(`Double square must use ${size * 2} different words`);
+        }
+      }
+    }
+
+    if (square.bonusWords !== undefined && errors.length === 0) {
+      square.bonusWords.forEach(({ kind, word }) => {
+        if (!['main-diagonal', 'anti-diagonal'].includes(kind)) {
+          errors.push(`Unknown bonus word kind "${kind}"`);
+        } else if (!same(this.readDiagonal(square.grid, kind), word)) {
+          errors.push(`The ${kind} does not match "${word}"`);
+        }
+      });
+
+      const bonus = square.bonusWords.map(({ word }) => word);
+      const allWords = [...square.words, ...(square.columnWords || []), ...bonus];
+      if (new Set(allWords).size !== allWords.length) {
+        errors.push('Diagonal words must differ from every row and column word');
+      }
     }
 
     return {
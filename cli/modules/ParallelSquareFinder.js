@@ -0,0 +1,199 @@
+/**
+ * ParallelSquareFinder - Runs the magic square search on a pool of worker_threads
+ * First words are shuffled as in MagicSquareFinder, cut into batches and handed
+ * to idle workers. Results are merged in batch order, so a seeded run returns
+ * the same squares as the single-threaded search regardless of worker timing
+ */
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+
+export class ParallelSquareFinder {
+  /**
+   * Finds magic squares using several worker threads
+   * @param {Array} words - Array of words, all as long as the grid is wide
+   * @param {number} maxResults - Maximum number of results to return (default: 10)
+   * @param {Object} options - Search options
+   * @param {string} options.mode - 'symmetric' (default) or 'double'
+   * @param {string} options.diagonals - 'main', 'anti' or 'both' to require diagonal words
+   * @param {SeededRandom} options.random - Seeded generator for a reproducible shuffle
+   * @param {Map} options.frequencies - Word frequency counts; enables commonness scoring
+   * @param {string} options.difficulty - easy, medium or hard; with frequencies, picks squares in that band
+   * @param {string} options.language - Language code; enables final-letter matching (e.g. 'he')
+   * @param {Array} options.include - Words every square must use as rows
+   * @param {Array} options.themeWords - Theme list; squares use as many of these rows as possible
+   * @param {number} options.minThemeWords - Fewest theme rows a square may have (default: 0)
+   * @param {Array} options.usedWords - Words of earlier puzzles
+   * @param {Array} options.usedGrids - Grids of earlier puzzles (also matched transposed)
+   * @param {number} options.maxWordReuse - Most used words a square may contain (default: no limit)
+   * @param {number} options.workers - Worker count (default: available CPUs)
+   * @param {number} options.batchSize - First words per batch (default: 16)
+   * @param {Function} options.onProgress - Called with { searched, total, found } after each batch
+   * @param {Function} options.onFound - Called with each square (and its 1-based number) as it is merged
+   * @returns {Promise<Array>} - Array of magic square objects
+   */
+  static async findMagicSquares(words, maxResults = 10, options = {}) {
+    const {
+      workers = this.defaultWorkerCount(),
+      batchSize = 16,
+      onProgress = null,
+      onFound = null
+    } = options;
+
+    console.log(`Searching for magic squares in ${words.length} words...`);
+
+    const { candidates, searchOptions } = MagicSquareFinder.prepareSearch(words, options);
+    const workerOptions = {
+      mode: searchOptions.mode || 'symmetric',
+      diagonals: searchOptions.diagonals,
+      difficulty: searchOptions.difficulty,
+      commonness: searchOptions.commonness,
+      include: searchOptions.include,
+      themeWords: searchOptions.themeWords,
+      minThemeWords: searchOptions.minThemeWords,
+      usedWords: searchOptions.usedWords,
+      usedGrids: searchOptions.usedGrids,
+      maxWordReuse: searchOptions.maxWordReuse
+    };
+
+    const firstWords = MagicSquareFinder.orderFirstWords(
+      MagicSquareFinder.shuffleArray([...candidates], options.random),
+      searchOptions
+    );
+    const batches = [];
+    for (let i = 0; i < firstWords.length; i += batchSize) {
+      batches.push(firstWords.slice(i, i + batchSize));
+    }
+
+    const poolSize = Math.max(1, Math.min(workers, batches.length));
+    console.log(`Splitting the search across ${poolSize} workers`);
+
+    const results = await this.runPool(candidates, batches, maxResults, {
+      workerOptions,
+      poolSize,
+      onProgress,
+      onFound,
+      displayForms: searchOptions.displayForms
+    });
+
+    console.log(`Found ${results.length} magic squares`);
+    return results;
+  }
+
+  /**
+   * Default worker count: one per available CPU
+   * @returns {number} - Worker count
+   */
+  static defaultWorkerCount() {
+    return availableParallelism();
+  }
+
+  /**
+   * Dispatches batches to workers and merges their results
+   * Squares are only accepted once every earlier batch has reported,
+   * which keeps the output order independent of worker timing
+   * @param {Array} words - Full word list (each worker indexes it)
+   * @param {Array} batches - Batches of first words
+   * @param {number} maxResults - Stop once this many squares are accepted
+   * @param {Object} settings - { workerOptions, poolSize, onProgress, onFound, displayForms }
+   * @returns {Promise<Array>} - Accepted squares, in display spelling
+   */
+  static runPool(words, batches, maxResults, { workerOptions, poolSize, onProgress, onFound = null, displayForms = null }) {
+    return new Promise((resolve, reject) => {
+      const total = batches.reduce((sum, batch) => sum + batch.length, 0);
+      const results = [];
+      const seen = new Set();
+      const pending = new Map();
+      const pool = [];
+      let nextBatch = 0;
+      let mergedBatches = 0;
+      let searched = 0;
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        // Cancel whatever the other workers are still searching
+        Promise.all(pool.map(worker => worker.terminate())).then(
+          () => (error ? reject(error) : resolve(results)),
+          reject
+        );
+      };
+
+      const dispatch = (worker) => {
+        if (nextBatch < batches.length) {
+          worker.postMessage({ batchIndex: nextBatch, firstWords: batches[nextBatch] });
+          nextBatch++;
+        }
+      };
+
+      const merge = () => {
+        while (pending.has(mergedBatches) && results.length < maxResults) {
+          for (const square of pending.get(mergedBatches)) {
+            const key = this.squareKey(square);
+            if (results.length < maxResults && !seen.has(key)) {
+              seen.add(key);
+              const restored = MagicSquareFinder.restoreDisplayForms(square, displayForms);
+              results.push(restored);
+              console.log(`Found magic square ${results.length}: ${MagicSquareFinder.describeSquare(restored)}`);
+              if (onFound) {
+                onFound(restored, results.length);
+              }
+            }
+          }
+          pending.delete(mergedBatches);
+          mergedBatches++;
+        }
+      };
+
+      if (batches.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      for (let i = 0; i < poolSize; i++) {
+        const worker = new Worker(new URL('./SquareSearchWorker.js', import.meta.url), {
+          workerData: { words, options: workerOptions }
+        });
+
+        worker.on('message', ({ batchIndex, squares, searched: batchSearched }) => {
+          if (settled) return;
+
+          pending.set(batchIndex, squares);
+          searched += batchSearched;
+          merge();
+
+          if (onProgress) {
+            onProgress({ searched, total, found: results.length });
+          }
+
+          if (results.length >= maxResults || mergedBatches === batches.length) {
+            finish();
+          } else {
+            dispatch(worker);
+          }
+        });
+        worker.on('error', error => finish(new Error(`Square search worker failed: ${error.message}`)));
+        // A worker can also die without an error event (process.exit, out of memory)
+        worker.on('exit', code => {
+          if (!settled) {
+            finish(new Error(`Square search worker exited with code ${code} before the search finished`));
+          }
+        });
+
+        pool.push(worker);
+        dispatch(worker);
+      }
+    });
+  }
+
+  /**
+   * Identifies a square by its grid, for deduplication
+   * @param {Object} square - Magic square object
+   * @returns {string} - Rows joined with '/'
+   */
+  static squareKey(square) {
+    return square.grid.map(row => row.join('')).join('/');
+  }
+}
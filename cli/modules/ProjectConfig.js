@@ -0,0 +1,144 @@
+/**
+ * ProjectConfig - Reads magicfour.config.json (or .magicfourrc) from the project root
+ * The file holds generator settings under the same names as the config object
+ * (wordlist, output, provider, model, promptStyle, difficulty...), plus per-language
+ * profiles under "languages" that apply on top of them:
+ *
+ *   { "output": "puzzles", "languages": { "he": { "wordlist": "wordlists/heb-4.txt" } } }
+ *
+ * The quality rules are tuned under "quality" (see QualityValidator.resolveRules).
+ * Relative paths in the file are taken from the file's directory, so the
+ * generator can be run from anywhere inside the project
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { QualityValidator } from './QualityValidator.js';
+
+export class ProjectConfig {
+  /**
+   * Config file names, in order of preference
+   */
+  static FILENAMES = ['magicfour.config.json', '.magicfourrc'];
+
+  /**
+   * Flags that pick the config file, shared by the commands that read it;
+   * these cannot be set from the file itself
+   */
+  static OPTIONS = {
+    '--config': { key: 'configFile', path: true },
+    '--no-config': { key: 'configFile', type: 'boolean', value: false }
+  };
+
+  /**
+   * Finds the config file in a directory or the nearest parent that has one
+   * @param {string} startDir - Directory to start from (default: working directory)
+   * @returns {string|null} - Path of the file, or null if there is none
+   */
+  static find(startDir = process.cwd()) {
+    let dir = resolve(startDir);
+
+    for (;;) {
+      const found = this.FILENAMES.map(name => join(dir, name)).find(path => existsSync(path));
+      if (found) {
+        return found;
+      }
+      const parent = dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Loads the config file picked by the flags
+   * @param {string|boolean} configFile - Path from --config, false for --no-config, or undefined to search
+   * @returns {Object|null} - Loaded config, or null if there is none
+   */
+  static open(configFile) {
+    if (configFile === false) {
+      return null;
+    }
+    const path = configFile || this.find();
+    return path ? this.load(path) : null;
+  }
+
+  /**
+   * Loads a config file
+   * @param {string} path - Config file
+   * @returns {Object} - { path, settings, languages, quality }
+   * @throws {Error} - If the file is missing, is not JSON or has the wrong shape
+   */
+  static load(path) {
+    if (!existsSync(path)) {
+      throw new Error(`Config file not found: ${path}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Error reading config ${path}: ${error.message}`);
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data)) {
+      throw new Error(`Config ${path} must be a JSON object`);
+    }
+
+    const { languages = {}, quality = {}, ...settings } = data;
+    if (!isObject(languages) || !Object.values(languages).every(isObject)) {
+      throw new Error(`"languages" in ${path} must map language codes to objects of settings`);
+    }
+    Object.entries(languages).forEach(([code, profile]) => {
+      if ('language' in profile) {
+        throw new Error(`The "${code}" profile in ${path} cannot set "language"`);
+      }
+    });
+
+    if (!isObject(quality)) {
+      throw new Error(`"quality" in ${path} must map rule IDs to settings`);
+    }
+
+    return { path, settings, languages, quality };
+  }
+
+  /**
+   * Quality rules with the config file's "quality" section applied
+   * @param {Object|null} project - Loaded config, or null for the built-in rules
+   * @returns {Object} - Rules from QualityValidator.resolveRules
+   * @throws {Error} - Unknown rule or option, or a value of the wrong type
+   */
+  static qualityRules(project) {
+    return project ? QualityValidator.resolveRules(project.quality, project.path) : QualityValidator.resolveRules();
+  }
+
+  /**
+   * Settings for one language: the file's top level with that language's profile on top
+   * @param {Object} project - Loaded config
+   * @param {string} language - Language code
+   * @returns {Object} - Settings
+   */
+  static settingsFor(project, language) {
+    return { ...project.settings, ...(project.languages[language] || {}) };
+  }
+
+  /**
+   * Resolves relative paths in the settings against the config file's directory
+   * @param {Object} settings - Settings from settingsFor
+   * @param {Array} pathKeys - Settings that hold file or directory paths
+   * @param {string} configPath - Config file
+   * @returns {Object} - Settings with paths relative to the working directory
+   */
+  static resolvePaths(settings, pathKeys, configPath) {
+    const base = dirname(resolve(configPath));
+    const resolved = { ...settings };
+    pathKeys.forEach(key => {
+      if (typeof resolved[key] === 'string') {
+        resolved[key] = relative(process.cwd(), resolve(base, resolved[key])) || '.';
+      }
+    });
+    return resolved;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * PuzzleChecker - Checks saved puzzle files
+ * Runs the schema, the square rules and the riddle quality checks on a
+ * puzzle, so files edited by hand or fetched from elsewhere can be held to
+ * the same rules as freshly generated ones
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { validatePuzzle } from '../../shared/schemas/validator.js';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+import { QualityValidator } from './QualityValidator.js';
+import { PuzzleLibrary } from './PuzzleLibrary.js';
+
+export class PuzzleChecker {
+  /**
+   * Every check, in the order they run
+   */
+  static CHECKS = ['schema', 'square', 'quality'];
+
+  /**
+   * Checks one puzzle
+   * The square and quality checks need a well-formed puzzle, so they are
+   * skipped when the schema check is requested and fails
+   * @param {Object} puzzle - Puzzle object
+   * @param {Array} checks - Checks to run (default: all)
+   * @param {Object} qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
+   * @returns {Object} - { valid, errors, warnings }; entries are { check, message }
+   */
+  static check(puzzle, checks = this.CHECKS, qualityRules = undefined) {
+    const errors = [];
+    const warnings = [];
+    const add = (list, check, messages) => list.push(...messages.map(message => ({ check, message })));
+
+    if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+      add(errors, checks[0], ['Puzzle must be a JSON object']);
+      return { valid: false, errors, warnings };
+    }
+
+    if (checks.includes('schema')) {
+      add(errors, 'schema', validatePuzzle(puzzle).errors);
+      if (errors.length > 0) {
+        return { valid: false, errors, warnings };
+      }
+    }
+
+    if (checks.includes('square')) {
+      const size = puzzle.size || (Array.isArray(puzzle.grid) ? puzzle.grid.length : 4);
+      add(errors, 'square', MagicSquareFinder.validate(puzzle, size, puzzle.language).errors);
+    }
+
+    if (checks.includes('quality')) {
+      if (Array.isArray(puzzle.riddles)) {
+        const quality = QualityValidator.validatePuzzle(puzzle, qualityRules);
+        add(errors, 'quality', quality.errors);
+        add(warnings, 'quality', quality.warnings);
+      } else {
+        add(errors, 'quality', ['Puzzle has no riddles array']);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Reads and checks one puzzle file
+   * @param {string} path - JSON file
+   * @param {Array} checks - Checks to run (default: all)
+   * @param {Object} qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
+   * @returns {Object} - { path, puzzle, valid, errors, warnings }; puzzle is null if unreadable
+   */
+  static checkFile(path, checks = this.CHECKS, qualityRules = undefined) {
+    let puzzle;
+    try {
+      puzzle = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      return {
+        path,
+        puzzle: null,
+        valid: false,
+        errors: [{ check: 'file', message: error.message }],
+        warnings: []
+      };
+    }
+    return { path, puzzle, ...this.check(puzzle, checks, qualityRules) };
+  }
+
+  /**
+   * Expands the paths given on the command line into puzzle files
+   * Directories contribute their puzzles (manifest order first, manifest.json itself excluded)
+   * @param {Array} paths - Files and directories
+   * @returns {Array} - File paths
+   * @throws {Error} - If a path does not exist
+   */
+  static expandPaths(paths) {
+    return paths.flatMap(path => {
+      if (!existsSync(path)) {
+        throw new Error(`Puzzle file not found: ${path}`);
+      }
+      return statSync(path).isDirectory()
+        ? PuzzleLibrary.listPuzzleFiles(path).map(filename => join(path, filename))
+        : [path];
+    });
+  }
+}
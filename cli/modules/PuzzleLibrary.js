@@ -0,0 +1,82 @@
+/**
+ * PuzzleLibrary - Reads the puzzles already written to an output directory
+ * Collects the words and grids of earlier runs so a new run can avoid
+ * reusing words and regenerating the same (or a transposed) square
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+
+export class PuzzleLibrary {
+  /**
+   * Loads every puzzle listed in manifest.json or present as a JSON file
+   * Unreadable files are skipped with a warning; a missing directory is an empty library
+   * @param {string} outputDir - Puzzle output directory
+   * @param {string} language - Only puzzles in this language are loaded (default: all)
+   * @returns {Object} - { puzzles: Array, words: Set, grids: Array }
+   */
+  static load(outputDir, language = null) {
+    const library = { puzzles: [], words: new Set(), grids: [] };
+    if (!existsSync(outputDir)) {
+      return library;
+    }
+
+    for (const filename of this.listPuzzleFiles(outputDir)) {
+      let puzzle;
+      try {
+        puzzle = JSON.parse(readFileSync(join(outputDir, filename), 'utf-8'));
+      } catch (error) {
+        console.warn(`Skipping unreadable puzzle file ${filename}: ${error.message}`);
+        continue;
+      }
+
+      if (!puzzle || !Array.isArray(puzzle.grid) || !Array.isArray(puzzle.words)) {
+        continue;
+      }
+      if (language && puzzle.language !== language) {
+        continue;
+      }
+
+      library.puzzles.push({ filename, puzzle });
+      library.grids.push(puzzle.grid);
+      MagicSquareFinder.squareWords(puzzle).forEach(word => library.words.add(word));
+    }
+
+    return library;
+  }
+
+  /**
+   * Lists puzzle files: manifest entries first, then other JSON files in the directory
+   * @param {string} outputDir - Puzzle output directory
+   * @returns {Array} - Filenames relative to outputDir
+   */
+  static listPuzzleFiles(outputDir) {
+    const filenames = [];
+    const manifestPath = join(outputDir, 'manifest.json');
+
+    if (existsSync(manifestPath)) {
+      try {
+        const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+        (manifest.puzzles || []).forEach(entry => {
+          if (entry && typeof entry.filename === 'string' && existsSync(join(outputDir, entry.filename))) {
+            filenames.push(entry.filename);
+          }
+        });
+      } catch (error) {
+        console.warn(`Could not read manifest: ${error.message}`);
+      }
+    }
+
+    readdirSync(outputDir)
+      .filter(name => name.endsWith('.json') && name !== 'manifest.json')
+      .sort()
+      .forEach(name => {
+        if (!filenames.includes(name)) {
+          filenames.push(name);
+        }
+      });
+
+    return filenames;
+  }
+}
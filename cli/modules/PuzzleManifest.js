@@ -0,0 +1,258 @@
+/**
+ * PuzzleManifest - Keeps manifest.json in step with the puzzle files next to it
+ * The game picks puzzles from the manifest, so its entries describe each file
+ * without giving the answers away: the words are only stored as a hash, which
+ * is enough to spot duplicates and files edited since the entry was made
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { validatePuzzle } from '../../shared/schemas/validator.js';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+import { PuzzleLibrary } from './PuzzleLibrary.js';
+
+export class PuzzleManifest {
+  static FILENAME = 'manifest.json';
+
+  static VERSION = '1.0.0';
+
+  /**
+   * Entry fields that are derived from the puzzle file
+   */
+  static FIELDS = ['language', 'difficulty', 'puzzleId', 'title', 'wordHash', 'createdAt', 'tags'];
+
+  /**
+   * Builds the manifest entry for a puzzle
+   * The title is metadata.title, or the size, difficulty and theme; tags are the
+   * grid size, "double", "diagonals" and "theme:<name>" as they apply, followed
+   * by metadata.tags
+   * @param {Object} puzzle - Puzzle object
+   * @param {string} filename - File name inside the puzzle directory
+   * @returns {Object} - { filename, language, difficulty, puzzleId, title, wordHash, createdAt, tags }
+   */
+  static entryFor(puzzle, filename) {
+    const metadata = puzzle.metadata || {};
+    const size = puzzle.size || (Array.isArray(puzzle.grid) ? puzzle.grid.length : 4);
+    const theme = metadata.theme ? metadata.theme.name : null;
+
+    const tags = [`${size}x${size}`];
+    if (puzzle.columnWords) {
+      tags.push('double');
+    }
+    if (puzzle.bonusWords) {
+      tags.push('diagonals');
+    }
+    if (theme) {
+      tags.push(`theme:${theme}`);
+    }
+    (Array.isArray(metadata.tags) ? metadata.tags : []).filter(tag => !tags.includes(tag)).forEach(tag => tags.push(tag));
+
+    return {
+      filename,
+      language: puzzle.language,
+      difficulty: metadata.difficulty,
+      puzzleId: puzzle.puzzleId,
+      title: metadata.title || `${size}x${size} ${metadata.difficulty}${theme ? ` - ${theme}` : ''}`,
+      wordHash: this.wordHash(puzzle),
+      createdAt: metadata.createdAt,
+      tags
+    };
+  }
+
+  /**
+   * Hash of a puzzle's words in grid order (rows, columns, then diagonals)
+   * @param {Object} puzzle - Puzzle object
+   * @returns {string} - First 16 hex digits of the SHA-256 digest
+   */
+  static wordHash(puzzle) {
+    return createHash('sha256').update(MagicSquareFinder.squareWords(puzzle).join('\n')).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Reads a directory's manifest
+   * @param {string} dir - Puzzle directory
+   * @returns {Object|null} - { version, puzzles }, or null if there is none
+   * @throws {Error} - If the file is not JSON or has no puzzles array
+   */
+  static read(dir) {
+    const path = join(dir, this.FILENAME);
+    if (!existsSync(path)) {
+      return null;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Error reading ${path}: ${error.message}`);
+    }
+    if (!manifest || !Array.isArray(manifest.puzzles)) {
+      throw new Error(`${path} must be an object with a "puzzles" array`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Writes a directory's manifest
+   * @param {string} dir - Puzzle directory
+   * @param {Object} manifest - { version, puzzles }
+   */
+  static write(dir, manifest) {
+    writeFileSync(join(dir, this.FILENAME), JSON.stringify(manifest, null, 2), 'utf-8');
+  }
+
+  /**
+   * Reads a puzzle file in the directory
+   * @param {string} dir - Puzzle directory
+   * @param {string} filename - File name
+   * @returns {Object} - { puzzle } or { error } if it cannot be read
+   */
+  static readPuzzle(dir, filename) {
+    try {
+      return { puzzle: JSON.parse(readFileSync(join(dir, filename), 'utf-8')) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Builds a manifest from the puzzle files in a directory
+   * Files listed in the current manifest keep their order and come first; files
+   * that cannot be read or fail the puzzle schema are left out
+   * @param {string} dir - Puzzle directory
+   * @returns {Object} - { manifest, skipped } where skipped is [{ filename, reason }]
+   */
+  static rebuild(dir) {
+    const current = this.read(dir);
+    const manifest = { version: current && current.version ? current.version : this.VERSION, puzzles: [] };
+    const skipped = [];
+
+    PuzzleLibrary.listPuzzleFiles(dir).forEach(filename => {
+      const { puzzle, error } = this.readPuzzle(dir, filename);
+      if (error) {
+        skipped.push({ filename, reason: error });
+        return;
+      }
+      const schema = validatePuzzle(puzzle);
+      if (!schema.valid) {
+        skipped.push({ filename, reason: schema.errors[0] });
+        return;
+      }
+      manifest.puzzles.push(this.entryFor(puzzle, filename));
+    });
+
+    return { manifest, skipped };
+  }
+
+  /**
+   * Checks a manifest against the files in its directory
+   * Errors: entries whose file is missing, unreadable, fails the puzzle schema or
+   * has another puzzleId, and puzzleIds or files listed twice. Warnings: puzzle
+   * files the manifest does not list, and entries whose other fields no longer
+   * match their file (or predate them)
+   * @param {string} dir - Puzzle directory
+   * @returns {Object} - { valid, errors, warnings }; entries are { filename, message }
+   */
+  static verify(dir) {
+    const errors = [];
+    const warnings = [];
+
+    let manifest;
+    try {
+      manifest = this.read(dir);
+    } catch (error) {
+      return { valid: false, errors: [{ filename: this.FILENAME, message: error.message }], warnings };
+    }
+    if (!manifest) {
+      return { valid: false, errors: [{ filename: this.FILENAME, message: `No ${this.FILENAME} in ${dir}` }], warnings };
+    }
+
+    const filenames = new Set();
+    const puzzleIds = new Set();
+    manifest.puzzles.forEach((entry, index) => {
+      if (!entry || typeof entry.filename !== 'string') {
+        errors.push({ filename: this.FILENAME, message: `Entry ${index + 1} has no filename` });
+        return;
+      }
+      const { filename } = entry;
+      const error = message => errors.push({ filename, message });
+
+      if (filenames.has(filename)) {
+        error('Listed more than once');
+        return;
+      }
+      filenames.add(filename);
+      if (puzzleIds.has(entry.puzzleId)) {
+        error(`puzzleId ${entry.puzzleId} is listed more than once`);
+      }
+      puzzleIds.add(entry.puzzleId);
+
+      if (!existsSync(join(dir, filename))) {
+        error('File is missing');
+        return;
+      }
+      const { puzzle, error: readError } = this.readPuzzle(dir, filename);
+      if (readError) {
+        error(`File cannot be read: ${readError}`);
+        return;
+      }
+      if (!puzzle || puzzle.puzzleId !== entry.puzzleId) {
+        error(`puzzleId does not match the file (manifest: ${entry.puzzleId}, file: ${puzzle ? puzzle.puzzleId : 'none'})`);
+        return;
+      }
+      const schema = validatePuzzle(puzzle);
+      schema.errors.forEach(message => error(`Schema: ${message}`));
+      if (!schema.valid) {
+        return;
+      }
+
+      const expected = this.entryFor(puzzle, filename);
+      const stale = this.FIELDS.filter(field => JSON.stringify(entry[field]) !== JSON.stringify(expected[field]));
+      if (stale.length > 0) {
+        warnings.push({ filename, message: `Entry is out of date (${stale.join(', ')}); run manifest rebuild` });
+      }
+    });
+
+    PuzzleLibrary.listPuzzleFiles(dir)
+      .filter(filename => !filenames.has(filename))
+      .forEach(filename => warnings.push({ filename, message: 'Not listed in the manifest' }));
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Drops the entries whose file no longer exists, and repeated entries for a file
+   * @param {string} dir - Puzzle directory
+   * @returns {Object} - { manifest, removed } where removed is [{ entry, reason }]
+   * @throws {Error} - If there is no manifest or it cannot be read
+   */
+  static prune(dir) {
+    const current = this.read(dir);
+    if (!current) {
+      throw new Error(`No ${this.FILENAME} in ${dir}`);
+    }
+
+    const removed = [];
+    const seen = new Set();
+    const puzzles = current.puzzles.filter(entry => {
+      const filename = entry && typeof entry.filename === 'string' ? entry.filename : null;
+      let reason = null;
+      if (!filename) {
+        reason = 'no filename';
+      } else if (seen.has(filename)) {
+        reason = 'listed twice';
+      } else if (!existsSync(join(dir, filename))) {
+        reason = 'file is missing';
+      }
+      if (reason) {
+        removed.push({ entry, reason });
+        return false;
+      }
+      seen.add(filename);
+      return true;
+    });
+
+    return { manifest: { ...current, puzzles }, removed };
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * PuzzleReviewer - Lets a person look over each puzzle before it is written (generate --review)
+ * Shows the grid, the riddles and the quality report, then reads commands from
+ * stdin: accept or reject the puzzle, edit a riddle in $EDITOR or regenerate one
+ */
+
+import { createInterface } from 'readline';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { QualityValidator } from './QualityValidator.js';
+
+export class PuzzleReviewer {
+  static HELP = `Commands:
+  a, accept              Write this puzzle
+  r, reject              Drop this puzzle
+  e, edit <n>            Edit riddle n in $VISUAL or $EDITOR (default: vi)
+  g, regenerate <n> [note]
+                         Ask for a new riddle n; the note and the riddle's quality
+                         errors are added to the prompt
+  q, quit                Drop this puzzle and every one still to come
+  ?, help                Show these commands`;
+
+  /**
+   * @param {Object} options - Review options
+   * @param {Object} options.input - Where commands are read from (default: process.stdin)
+   * @param {Object} options.output - Where puzzles and questions go (default: process.stdout)
+   * @param {Object} options.qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
+   * @param {Function} options.editFile - Opens a file for editing and returns once it is saved
+   *   (default: the editor from $VISUAL or $EDITOR)
+   */
+  constructor({
+    input = process.stdin,
+    output = process.stdout,
+    qualityRules = QualityValidator.resolveRules(),
+    editFile = path => PuzzleReviewer.openEditor(path)
+  } = {}) {
+    this.output = output;
+    this.qualityRules = qualityRules;
+    this.editFile = editFile;
+    this.lines = [];
+    this.waiting = null;
+    this.closed = false;
+
+    // Not a terminal interface: the editor needs the terminal as it normally is
+    this.readline = createInterface({ input, terminal: false });
+    this.readline.on('line', line => {
+      if (this.waiting) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(line);
+      } else {
+        this.lines.push(line);
+      }
+    });
+    this.readline.on('close', () => {
+      this.closed = true;
+      if (this.waiting) {
+        this.waiting(null);
+        this.waiting = null;
+      }
+    });
+  }
+
+  /**
+   * Reviews one puzzle until it is accepted or rejected
+   * The end of the input counts as quit, so nothing is written unseen
+   * @param {Object} puzzle - Puzzle under review
+   * @param {Object} puzzle.square - Magic square with grid and words
+   * @param {Array} puzzle.riddles - Its riddles
+   * @param {string} puzzle.language - Language code
+   * @param {string} puzzle.title - Heading, e.g. 'Puzzle 1/3'
+   * @param {Function} puzzle.regenerate - Called with (riddle, feedback errors); resolves to the new riddle
+   * @returns {Promise<Object>} - { decision: 'accept'|'reject'|'quit', riddles, edited, regenerated }
+   */
+  async review({ square, riddles, language, title, regenerate }) {
+    const current = [...riddles];
+    let edited = 0;
+    let regenerated = 0;
+    let validation = this.show(title, square, current, language);
+
+    for (;;) {
+      const line = await this.ask('Accept, reject, edit <n>, regenerate <n> or quit? [a/r/e/g/q/?] ');
+      if (line === null) {
+        this.write('\nNo more input: stopping the review');
+        return { decision: 'quit', riddles: current, edited, regenerated };
+      }
+
+      const [command = '', number, ...note] = line.trim().split(/\s+/);
+      const action = command.toLowerCase();
+      if (['a', 'accept'].includes(action)) {
+        return { decision: 'accept', riddles: current, edited, regenerated };
+      }
+      if (['r', 'reject'].includes(action)) {
+        return { decision: 'reject', riddles: current, edited, regenerated };
+      }
+      if (['q', 'quit'].includes(action)) {
+        return { decision: 'quit', riddles: current, edited, regenerated };
+      }
+      if (['?', 'help', ''].includes(action)) {
+        this.write(PuzzleReviewer.HELP);
+        continue;
+      }
+      if (!['e', 'edit', 'g', 'regenerate'].includes(action)) {
+        this.write(`Unknown command: ${command} (? lists the commands)`);
+        continue;
+      }
+
+      const index = parseInt(number, 10) - 1;
+      if (!(index >= 0 && index < current.length)) {
+        this.write(`${command} needs a riddle number from 1 to ${current.length}`);
+        continue;
+      }
+
+      try {
+        if (action.startsWith('e')) {
+          current[index] = this.editRiddle(current[index]);
+          edited++;
+        } else {
+          const errors = validation.findings
+            .filter(finding => finding.severity === 'error' && finding.riddle === index)
+            .map(finding => finding.message);
+          const feedback = note.length > 0 ? [note.join(' '), ...errors] : errors;
+          this.write(`Regenerating riddle ${index + 1} ("${current[index].answer}")...`);
+          current[index] = await regenerate(current[index], feedback.length > 0 ? feedback : ['The reviewer asked for a different riddle']);
+          regenerated++;
+        }
+      } catch (error) {
+        this.write(`Could not ${action.startsWith('e') ? 'edit' : 'regenerate'} riddle ${index + 1}: ${error.message}`);
+        continue;
+      }
+      validation = this.show(title, square, current, language);
+    }
+  }
+
+  /**
+   * Prints the grid, the riddles and the quality report
+   * @param {string} title - Heading
+   * @param {Object} square - Magic square with grid
+   * @param {Array} riddles - Riddles
+   * @param {string} language - Language code
+   * @returns {Object} - Quality validation of the riddles
+   */
+  show(title, square, riddles, language) {
+    const validation = QualityValidator.validatePuzzle({ language, riddles }, this.qualityRules);
+    const grid = square.grid.map(row => `  ${row.join(' ')}`).join('\n');
+    const listing = riddles.map((riddle, i) => [
+      `${i + 1}. ${riddle.answer}${riddle.orientation ? ` (${riddle.orientation})` : ''}`,
+      `   Prompt:      ${riddle.prompt}`,
+      `   Hint:        ${riddle.hint}`,
+      `   Explanation: ${riddle.explanation}`
+    ].join('\n')).join('\n');
+
+    this.write(`\n=== Review: ${title} ===\n\n${grid}\n\n${listing}\n${QualityValidator.generateReport(validation)}`);
+    return validation;
+  }
+
+  /**
+   * Lets the reviewer rewrite a riddle's prompt, hint and explanation as JSON
+   * @param {Object} riddle - Riddle to edit
+   * @returns {Object} - Riddle with the edited fields
+   * @throws {Error} - If the editor fails or the file is no longer valid
+   */
+  editRiddle(riddle) {
+    const dir = mkdtempSync(join(tmpdir(), 'magicfour-review-'));
+    const path = join(dir, `riddle-${riddle.id}.json`);
+    try {
+      const { prompt, hint, explanation } = riddle;
+      writeFileSync(path, `${JSON.stringify({ prompt, hint, explanation }, null, 2)}\n`);
+      this.editFile(path);
+
+      let fields;
+      try {
+        fields = JSON.parse(readFileSync(path, 'utf-8'));
+      } catch (error) {
+        throw new Error(`the file is not valid JSON (${error.message})`);
+      }
+      const missing = ['prompt', 'hint', 'explanation'].filter(key => !fields || typeof fields[key] !== 'string');
+      if (missing.length > 0) {
+        throw new Error(`${missing.join(', ')} must be text`);
+      }
+
+      return { ...riddle, prompt: fields.prompt, hint: fields.hint, explanation: fields.explanation };
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Opens a file in the user's editor and waits for it to close
+   * $VISUAL or $EDITOR may carry arguments (e.g. "code --wait")
+   * @param {string} path - File to edit
+   * @throws {Error} - If the editor cannot be started or exits with an error
+   */
+  static openEditor(path) {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${path}"`, { stdio: 'inherit', shell: true });
+    if (result.error) {
+      throw new Error(`${editor} could not be started (${result.error.message})`);
+    }
+    if (result.status !== 0) {
+      throw new Error(`${editor} exited with status ${result.status}`);
+    }
+  }
+
+  /**
+   * Prints a question and waits for the next line of input
+   * @param {string} question - Question text
+   * @returns {Promise<string|null>} - The line, or null once the input has ended
+   */
+  ask(question) {
+    this.output.write(question);
+    if (this.lines.length > 0) {
+      return Promise.resolve(this.lines.shift());
+    }
+    if (this.closed) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => {
+      this.waiting = resolve;
+    });
+  }
+
+  /**
+   * Prints a line
+   * @param {string} text - Text
+   */
+  write(text) {
+    this.output.write(`${text}\n`);
+  }
+
+  /**
+   * Stops reading the input, so the process can exit
+   */
+  close() {
+    this.readline.close();
+  }
+}
@@ -1,130 +1,457 @@
 /**
  * QualityValidator - Validates puzzle quality before saving
+ * Every check is a named rule with a severity (off, warn or error) and options
+ * such as thresholds and per-language keyword packs; the project config file
+ * can change them under "quality", and each finding names its rule so a known
+ * false positive can be switched off or ignored for one answer
  */
 
+import { LetterForms } from './LetterForms.js';
+
 export class QualityValidator {
   /**
-   * Validates a complete puzzle
-   * @param {Object} puzzle - Puzzle object with riddles
-   * @returns {Object} - { valid: boolean, errors: Array, warnings: Array }
+   * Rule severities, from least to most serious
    */
-  static validatePuzzle(puzzle) {
-    const errors = [];
-    const warnings = [];
-
-    // Validate each riddle
-    puzzle.riddles.forEach((riddle, index) => {
-      const riddleValidation = this.validateRiddle(riddle, puzzle.language);
-      errors.push(...riddleValidation.errors.map(e => `Riddle ${index + 1}: ${e}`));
-      warnings.push(...riddleValidation.warnings.map(w => `Riddle ${index + 1}: ${w}`));
-    });
+  static SEVERITIES = ['off', 'warn', 'error'];
 
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings
-    };
-  }
+  /**
+   * One-letter Hebrew prefixes (and, the, in, as, to, from, that); up to three
+   * of them can be attached to the front of a word
+   */
+  static HEBREW_PREFIXES = ['ו', 'ה', 'ב', 'כ', 'ל', 'מ', 'ש'];
 
   /**
-   * Validates a single riddle
-   * @param {Object} riddle - Riddle object
-   * @param {string} language - Language code
-   * @returns {Object} - { valid: boolean, errors: Array, warnings: Array }
+   * Hebrew plural and possessive endings
    */
-  static validateRiddle(riddle, language) {
-    const errors = [];
-    const warnings = [];
+  static HEBREW_SUFFIXES = ['ים', 'ות', 'ה', 'ת', 'י', 'ו', 'ך', 'ם', 'ן', 'נו', 'כם', 'כן', 'הם', 'הן', 'יה', 'יו', 'יך', 'ני'];
 
-    // Check for required fields
-    if (!riddle.prompt || riddle.prompt.trim().length === 0) {
-      errors.push('Prompt is empty');
+  /**
+   * Quality rules by ID
+   * Riddle rules look at one riddle and return messages; puzzle rules look at all
+   * the riddles together and return { riddle, message }, where riddle is the index
+   * of the riddle to rewrite. Keyword packs are keyed by language code, and
+   * languages without a pack use the English one
+   */
+  static RULES = {
+    'empty-field': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {},
+      check: riddle => ['Prompt', 'Hint', 'Explanation']
+        .filter(field => !this.hasText(riddle[field.toLowerCase()]))
+        .map(field => `${field} is empty`)
+    },
+    'json-in-prompt': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {},
+      check: riddle => (this.hasText(riddle.prompt) && riddle.prompt.includes('{') && riddle.prompt.includes('"riddle"')
+        ? ['Prompt contains JSON structure - malformed AI response']
+        : [])
+    },
+    'letter-spelling': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {
+        keywords: {
+          en: ['letter', 'letters', 'with the letters'],
+          he: ['אות', 'אותיות', 'עם האותיות', 'האותיות']
+        }
+      },
+      check: (riddle, language, options) => (riddle.answer && this.hasText(riddle.prompt)
+        && this.isLetterSpellingRiddle(riddle.prompt, riddle.answer, this.keywordsFor(options.keywords, language))
+        ? ['Riddle spells out the letters - defeats game purpose']
+        : [])
+    },
+    'answer-leak': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {},
+      // The explanation may name the answer; the prompt and hint may not
+      check: (riddle, language) => ['Prompt', 'Hint']
+        .map(field => ({ field, text: riddle[field.toLowerCase()] }))
+        .filter(({ text }) => riddle.answer && this.hasText(text))
+        .map(({ field, text }) => ({ field, leak: this.findAnswerLeak(text, riddle.answer, language) }))
+        .filter(({ leak }) => leak)
+        .map(({ field, leak }) => `${field} gives away the answer ("${leak}")`)
+    },
+    'fallback-explanation': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {
+        keywords: { en: ['The answer is'] }
+      },
+      check: (riddle, language, options) => (this.hasText(riddle.explanation)
+        && this.keywordsFor(options.keywords, language).some(keyword => riddle.explanation.includes(keyword))
+        ? ['Explanation uses generic fallback text - not acceptable']
+        : [])
+    },
+    'fallback-hint': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {
+        keywords: { en: ['Starts with'] }
+      },
+      check: (riddle, language, options) => (this.hasText(riddle.hint)
+        && this.keywordsFor(options.keywords, language).some(keyword => riddle.hint.includes(keyword))
+        ? ['Hint uses generic fallback text - not acceptable']
+        : [])
+    },
+    'pattern-riddle': {
+      severity: 'error',
+      scope: 'riddle',
+      options: {
+        keywords: {
+          en: ['starts with', 'ends with', 'begins with', 'pattern', 'sequence', 'combination of letters'],
+          he: ['מתחיל ב', 'מסתיים ב', 'תבנית', 'רצף', 'שילוב של אותיות', 'מילה עם', 'מילה זו']
+        }
+      },
+      check: (riddle, language, options) => (this.hasText(riddle.prompt)
+        && this.isPatternRiddle(riddle.prompt, this.keywordsFor(options.keywords, language))
+        ? ['Riddle describes letter pattern instead of word meaning']
+        : [])
+    },
+    'prompt-length': {
+      severity: 'warn',
+      scope: 'riddle',
+      options: { min: 10, max: 200 },
+      check: (riddle, language, { min, max }) => {
+        if (!this.hasText(riddle.prompt)) {
+          return [];
+        }
+        if (riddle.prompt.length < min) {
+          return [`Prompt is very short (< ${min} characters)`];
+        }
+        return riddle.prompt.length > max ? [`Prompt is very long (> ${max} characters)`] : [];
+      }
+    },
+    'truncated': {
+      severity: 'warn',
+      scope: 'riddle',
+      options: {},
+      check: riddle => ['Prompt', 'Explanation']
+        .filter(field => this.hasText(riddle[field.toLowerCase()]) && !this.endsWithProperPunctuation(riddle[field.toLowerCase()]))
+        .map(field => `${field} may be truncated (no proper ending)`)
+    },
+    'script': {
+      severity: 'error',
+      scope: 'riddle',
+      // Only languages listed here are checked
+      options: {
+        scripts: { he: { name: 'Hebrew', pattern: '[\\u0590-\\u05FF]' } }
+      },
+      check: (riddle, language, options) => {
+        const script = options.scripts[language];
+        return script && this.hasText(riddle.prompt) && !new RegExp(script.pattern, 'u').test(riddle.prompt)
+          ? [`Prompt should contain ${script.name} characters for ${script.name} puzzle`]
+          : [];
+      }
+    },
+    'hint-repeats-prompt': {
+      severity: 'warn',
+      scope: 'riddle',
+      // Share of the hint's words that also appear in the prompt
+      options: { threshold: 0.8 },
+      check: (riddle, language, options) => {
+        const hintWords = this.contentWords(this.hasText(riddle.hint) ? riddle.hint : '', language);
+        const promptWords = this.contentWords(this.hasText(riddle.prompt) ? riddle.prompt : '', language);
+        const repeated = [...hintWords].filter(word => promptWords.has(word)).length;
+        return hintWords.size > 0 && repeated / hintWords.size >= options.threshold ? ['Hint repeats the prompt'] : [];
+      }
+    },
+    'cross-answer': {
+      severity: 'error',
+      scope: 'puzzle',
+      // Function words that ordinary prose cannot avoid; answers in the pack are not looked for
+      options: {
+        stopWords: {
+          en: [
+            'the', 'and', 'for', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'his', 'its', 'our', 'out',
+            'she', 'was', 'who', 'how', 'why', 'has', 'had', 'that', 'with', 'from', 'this', 'have', 'when',
+            'what', 'them', 'then', 'than', 'they', 'were', 'will', 'into', 'some', 'your', 'been', 'each',
+            'only', 'also', 'more', 'most', 'here', 'there', 'where', 'which', 'their', 'these', 'those',
+            'about', 'after', 'would', 'could', 'other'
+          ],
+          he: ['של', 'את', 'על', 'עם', 'גם', 'כל', 'אם', 'זה', 'זו', 'הוא', 'היא', 'אבל', 'כמו', 'לא', 'יש', 'אין', 'אשר', 'מה', 'מי']
+        }
+      },
+      check: (riddles, language, options) => riddles.flatMap((riddle, i) => riddles
+        .map((other, j) => ({ j, other }))
+        .filter(({ j, other }) => i !== j && other.answer && other.answer !== riddle.answer
+          && !this.isStopWord(other.answer, language, this.keywordsFor(options.stopWords, language)))
+        .map(({ j, other }) => ({
+          j,
+          leak: this.findAnswerLeak(`${this.hasText(riddle.prompt) ? riddle.prompt : ''} ${this.hasText(riddle.hint) ? riddle.hint : ''}`, other.answer, language)
+        }))
+        .filter(({ leak }) => leak)
+        .map(({ j, leak }) => ({ riddle: i, message: `Riddle ${i + 1} mentions the answer of riddle ${j + 1} ("${leak}")` })))
+    },
+    'near-duplicate': {
+      severity: 'error',
+      scope: 'puzzle',
+      // Share of words two prompts must have in common (Dice coefficient)
+      options: { threshold: 0.8 },
+      check: (riddles, language, options) => riddles.flatMap((riddle, i) => riddles.slice(0, i)
+        .map((other, j) => ({ j, similarity: this.similarity(other.prompt, riddle.prompt, language) }))
+        .filter(({ similarity }) => similarity >= options.threshold)
+        .map(({ j, similarity }) => ({
+          riddle: i,
+          message: `Riddles ${j + 1} and ${i + 1} are near-duplicates (${Math.round(similarity * 100)}% of their words are shared)`
+        })))
     }
+  };
 
-    if (!riddle.hint || riddle.hint.trim().length === 0) {
-      errors.push('Hint is empty');
+  /**
+   * Builds the rules for a run from the "quality" section of the project config
+   * Each rule ID maps to a severity, or to { severity, ignore, ...options } where
+   * ignore lists answers the rule skips and keyword packs replace the built-in
+   * pack for the languages they name:
+   *
+   *   { "prompt-length": { "max": 250 }, "truncated": "off", "answer-leak": { "ignore": ["ספר"] } }
+   *
+   * @param {Object} settings - Rule ID -> setting (default: none, the built-in rules)
+   * @param {string} source - Where the settings came from, for error messages
+   * @returns {Object} - Rule ID -> { severity, scope, options, ignore, check }
+   * @throws {Error} - Unknown rule or option, or a value of the wrong type
+   */
+  static resolveRules(settings = {}, source = 'quality settings') {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(settings)) {
+      throw new Error(`"quality" in ${source} must map rule IDs to settings`);
     }
 
-    if (!riddle.explanation || riddle.explanation.trim().length === 0) {
-      errors.push('Explanation is empty');
-    }
+    const rules = {};
+    Object.entries(this.RULES).forEach(([id, rule]) => {
+      rules[id] = { ...rule, options: { ...rule.options }, ignore: [] };
+    });
 
-    // Check for JSON in prompt (malformed response)
-    if (riddle.prompt && riddle.prompt.includes('{') && riddle.prompt.includes('"riddle"')) {
-      errors.push('Prompt contains JSON structure - malformed AI response');
-    }
+    Object.entries(settings).forEach(([id, setting]) => {
+      const rule = rules[id];
+      if (!rule) {
+        throw new Error(`Unknown quality rule "${id}" in ${source} (rules: ${Object.keys(this.RULES).join(', ')})`);
+      }
+      if (!isObject(setting) && typeof setting !== 'string') {
+        throw new Error(`Quality rule "${id}" in ${source} must be a severity or an object of options`);
+      }
 
-    // CRITICAL: Check for letter-spelling riddles (defeats the game purpose)
-    if (riddle.answer && riddle.prompt) {
-      if (this.isLetterSpellingRiddle(riddle.prompt, riddle.answer, language)) {
-        errors.push('Riddle spells out the letters - defeats game purpose');
+      const { severity = rule.severity, ignore = [], ...options } = isObject(setting) ? setting : { severity: setting };
+      if (!this.SEVERITIES.includes(severity)) {
+        throw new Error(`Quality rule "${id}" in ${source}: severity must be one of ${this.SEVERITIES.join(', ')}`);
+      }
+      if (!Array.isArray(ignore) || !ignore.every(word => typeof word === 'string')) {
+        throw new Error(`Quality rule "${id}" in ${source}: "ignore" must be an array of answers`);
       }
-    }
 
-    // Check for generic fallback text
-    if (riddle.explanation && riddle.explanation.includes('The answer is')) {
-      errors.push('Explanation uses generic fallback text - not acceptable');
-    }
+      Object.entries(options).forEach(([key, value]) => {
+        const builtIn = rule.options[key];
+        if (builtIn === undefined) {
+          const known = Object.keys(rule.options);
+          throw new Error(`Quality rule "${id}" in ${source} has no option "${key}" (options: ${['severity', 'ignore', ...known].join(', ')})`);
+        }
+        if (typeof builtIn === 'number') {
+          if (typeof value !== 'number') {
+            throw new Error(`Option "${key}" of quality rule "${id}" in ${source} must be a number`);
+          }
+          rule.options[key] = value;
+          return;
+        }
+        if (!isObject(value) || !Object.values(value).every(pack => this.isPack(pack, Object.values(builtIn)[0]))) {
+          throw new Error(`Option "${key}" of quality rule "${id}" in ${source} must map language codes to packs like the built-in ones`);
+        }
+        rule.options[key] = { ...builtIn, ...value };
+      });
 
-    if (riddle.hint && riddle.hint.includes('Starts with')) {
-      errors.push('Hint uses generic fallback text - not acceptable');
-    }
+      rule.severity = severity;
+      rule.ignore = ignore;
+    });
 
-    // Check for pattern-based riddles (also defeats purpose)
-    if (riddle.prompt && this.isPatternRiddle(riddle.prompt, language)) {
-      errors.push('Riddle describes letter pattern instead of word meaning');
-    }
+    return rules;
+  }
 
-    // Check prompt length (should be reasonable)
-    if (riddle.prompt && riddle.prompt.length < 10) {
-      warnings.push('Prompt is very short (< 10 characters)');
+  /**
+   * Checks a language pack from the config against a built-in one: a list of
+   * keywords, or a script's { name, pattern } with a pattern that compiles
+   * @param {*} pack - Pack from the config
+   * @param {*} example - Built-in pack of the same option
+   * @returns {boolean} - True if the pack has the right shape
+   */
+  static isPack(pack, example) {
+    if (Array.isArray(example)) {
+      return Array.isArray(pack) && pack.every(keyword => typeof keyword === 'string');
     }
-
-    if (riddle.prompt && riddle.prompt.length > 200) {
-      warnings.push('Prompt is very long (> 200 characters)');
+    if (!pack || typeof pack.name !== 'string' || typeof pack.pattern !== 'string') {
+      return false;
     }
-
-    // Check for truncated text
-    if (riddle.prompt && !this.endsWithProperPunctuation(riddle.prompt)) {
-      warnings.push('Prompt may be truncated (no proper ending)');
+    try {
+      new RegExp(pack.pattern, 'u');
+      return true;
+    } catch {
+      return false;
     }
+  }
 
-    if (riddle.explanation && !this.endsWithProperPunctuation(riddle.explanation)) {
-      warnings.push('Explanation may be truncated (no proper ending)');
-    }
+  /**
+   * Validates a complete puzzle
+   * @param {Object} puzzle - Puzzle object with riddles
+   * @param {Object} rules - Rules from resolveRules (default: the built-in rules)
+   * @returns {Object} - { valid: boolean, errors: Array, warnings: Array, findings: Array }
+   */
+  static validatePuzzle(puzzle, rules = this.resolveRules()) {
+    const findings = [];
 
-    // Language-specific checks
-    if (language === 'he') {
-      // Check if Hebrew text contains Hebrew characters
-      if (riddle.prompt && !this.containsHebrewCharacters(riddle.prompt)) {
-        errors.push('Prompt should contain Hebrew characters for Hebrew puzzle');
-      }
+    // Validate each riddle
+    puzzle.riddles.forEach((riddle, index) => {
+      findings.push(...this.validateRiddle(riddle, puzzle.language, rules).findings.map(finding => ({ ...finding, riddle: index })));
+    });
+
+    // Validate the riddles against each other
+    this.activeRules(rules, 'puzzle').forEach(([id, rule]) => {
+      rule.check(puzzle.riddles, puzzle.language, rule.options)
+        .filter(({ riddle }) => !this.isIgnored(rule, puzzle.riddles[riddle], puzzle.language))
+        .forEach(({ riddle, message }) => findings.push({ rule: id, severity: rule.severity, scope: 'puzzle', riddle, message }));
+    });
+
+    return this.toResult(findings);
+  }
+
+  /**
+   * Validates a single riddle
+   * @param {Object} riddle - Riddle object
+   * @param {string} language - Language code
+   * @param {Object} rules - Rules from resolveRules (default: the built-in rules)
+   * @returns {Object} - { valid: boolean, errors: Array, warnings: Array, findings: Array }
+   */
+  static validateRiddle(riddle, language, rules = this.resolveRules()) {
+    const findings = [];
+
+    this.activeRules(rules, 'riddle')
+      .filter(([, rule]) => !this.isIgnored(rule, riddle, language))
+      .forEach(([id, rule]) => {
+        rule.check(riddle, language, rule.options)
+          .forEach(message => findings.push({ rule: id, severity: rule.severity, scope: 'riddle', message }));
+      });
+
+    return this.toResult(findings);
+  }
+
+  /**
+   * Rules of one scope that are switched on
+   * @param {Object} rules - Rules from resolveRules
+   * @param {string} scope - 'riddle' or 'puzzle'
+   * @returns {Array} - [id, rule] pairs
+   */
+  static activeRules(rules, scope) {
+    return Object.entries(rules).filter(([, rule]) => rule.scope === scope && rule.severity !== 'off');
+  }
+
+  /**
+   * Checks whether a rule skips a riddle because of its answer
+   * @param {Object} rule - Resolved rule
+   * @param {Object} riddle - Riddle object
+   * @param {string} language - Language code
+   * @returns {boolean} - True if the riddle's answer is on the rule's ignore list
+   */
+  static isIgnored(rule, riddle, language) {
+    if (rule.ignore.length === 0 || !riddle || typeof riddle.answer !== 'string') {
+      return false;
     }
+    const answer = this.foldWord(riddle.answer, language);
+    return rule.ignore.some(word => this.foldWord(word, language) === answer);
+  }
+
+  /**
+   * Splits findings into report lines
+   * Lines end with the rule ID; riddle findings start with the riddle's number
+   * when it is known
+   * @param {Array} findings - { rule, severity, scope, riddle, message }
+   * @returns {Object} - { valid: boolean, errors: Array, warnings: Array, findings: Array }
+   */
+  static toResult(findings) {
+    const line = finding => {
+      const prefix = finding.scope === 'riddle' && finding.riddle !== undefined ? `Riddle ${finding.riddle + 1}: ` : '';
+      return `${prefix}${finding.message} [${finding.rule}]`;
+    };
+    const errors = findings.filter(finding => finding.severity === 'error').map(line);
 
     return {
       valid: errors.length === 0,
       errors,
-      warnings
+      warnings: findings.filter(finding => finding.severity === 'warn').map(line),
+      findings
     };
   }
 
+  /**
+   * Keyword pack for a language, or the English pack
+   * @param {Object} packs - Language code -> keywords
+   * @param {string} language - Language code
+   * @returns {Array} - Keywords
+   */
+  static keywordsFor(packs, language) {
+    return packs[language] || packs.en || [];
+  }
+
+  /**
+   * Checks whether an answer is one of a language's stop words
+   * @param {string} answer - The answer word
+   * @param {string} language - Language code
+   * @param {Array} stopWords - Stop words of the language
+   * @returns {boolean} - True if the answer is a stop word
+   */
+  static isStopWord(answer, language, stopWords) {
+    const folded = this.foldWord(answer, language);
+    return stopWords.some(word => this.foldWord(word, language) === folded);
+  }
+
+  /**
+   * Checks whether a riddle field holds text
+   * @param {*} value - Field value
+   * @returns {boolean} - True for a string that is not blank
+   */
+  static hasText(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+
+  /**
+   * Share of words two texts have in common (Dice coefficient of their content words)
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @param {string} language - Language code
+   * @returns {number} - 0 (nothing shared) to 1 (the same words)
+   */
+  static similarity(a, b, language) {
+    const first = this.contentWords(typeof a === 'string' ? a : '', language);
+    const second = this.contentWords(typeof b === 'string' ? b : '', language);
+    if (first.size === 0 || second.size === 0) {
+      return 0;
+    }
+    const shared = [...first].filter(word => second.has(word)).length;
+    return (2 * shared) / (first.size + second.size);
+  }
+
+  /**
+   * The words of a text that carry meaning: folded, and at least three characters long
+   * (numbers count as words)
+   * @param {string} text - Text
+   * @param {string} language - Language code
+   * @returns {Set} - Folded words
+   */
+  static contentWords(text, language) {
+    const words = text.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    return new Set(words.map(word => this.foldWord(word, language)).filter(word => [...word].length >= 3));
+  }
+
   /**
    * Checks if riddle is just spelling out letters (defeats game purpose)
    * @param {string} prompt - Riddle prompt
    * @param {string} answer - The answer word
-   * @param {string} language - Language code
+   * @param {Array} keywords - Words that talk about letters ("letters", "אותיות")
    * @returns {boolean} - True if it's a letter-spelling riddle
    */
-  static isLetterSpellingRiddle(prompt, answer, language) {
+  static isLetterSpellingRiddle(prompt, answer, keywords) {
     const lowerPrompt = prompt.toLowerCase();
 
     // Check if prompt mentions "letters" or "אותיות"
-    const letterKeywords = {
-      en: ['letter', 'letters', 'with the letters'],
-      he: ['אות', 'אותיות', 'עם האותיות', 'האותיות']
-    };
-
-    const keywords = letterKeywords[language] || letterKeywords.en;
     const mentionsLetters = keywords.some(keyword => lowerPrompt.includes(keyword.toLowerCase()));
 
     if (!mentionsLetters) {
@@ -141,34 +468,99 @@ export class QualityValidator {
     return allLettersMentioned;
   }
 
+  /**
+   * Finds the first word of a text that is the answer or an inflection of it
+   * ("tears" or "tearing" for TEAR, "והספרים" for ספר)
+   * Case, Hebrew final letters and vowel points are ignored
+   * @param {string} text - Prompt or hint
+   * @param {string} answer - The answer word
+   * @param {string} language - Language code
+   * @returns {string|null} - The word as written in the text, or null if there is none
+   */
+  static findAnswerLeak(text, answer, language) {
+    const forms = this.answerForms(answer, language);
+    const words = text.match(/[\p{L}\p{M}]+/gu) || [];
+
+    return words.find(word => {
+      const folded = this.foldWord(word, language);
+      if (language !== 'he') {
+        return forms.has(folded);
+      }
+      // Try the word with up to three prefixes taken off
+      for (let i = 0; i <= 3 && i < folded.length; i++) {
+        if (forms.has(folded.slice(i))) {
+          return true;
+        }
+        if (!this.HEBREW_PREFIXES.includes(folded[i])) {
+          return false;
+        }
+      }
+      return false;
+    }) || null;
+  }
+
+  /**
+   * Lists the inflections of an answer that give it away
+   * English: plurals, past tense, -ing, comparatives and -ly, with the usual
+   * spelling changes (bake/baking, carry/carries, run/running). Hebrew: plural
+   * and possessive endings, with a final ה dropped before them (מורה/מורות).
+   * Other languages: the answer itself
+   * @param {string} answer - The answer word
+   * @param {string} language - Language code
+   * @returns {Set} - Folded forms, see foldWord
+   */
+  static answerForms(answer, language) {
+    const word = this.foldWord(answer, language);
+    const forms = new Set([word]);
+    const add = (stem, endings) => endings.forEach(ending => forms.add(stem + ending));
+    const last = word[word.length - 1];
+    const beforeLast = word[word.length - 2];
+    const isVowel = letter => 'aeiou'.includes(letter);
+
+    if (language === 'he') {
+      add(word, this.HEBREW_SUFFIXES.map(suffix => this.foldWord(suffix, language)));
+      if (last === 'ה') {
+        add(word.slice(0, -1), ['ות', 'ת', 'תי', 'תו', 'תה', 'תנו']);
+      }
+    } else if (language === 'en') {
+      add(word, ['s', 'ing', 'ly']);
+      if (last === 'e' && !isVowel(beforeLast)) {
+        add(word, ['d', 'r', 'rs', 'st']);
+        add(word.slice(0, -1), ['ing']);
+      } else if (last === 'y' && !isVowel(beforeLast)) {
+        add(word.slice(0, -1), ['ies', 'ied', 'ier', 'iest', 'ily']);
+      } else {
+        add(word, ['ed', 'er', 'ers', 'est']);
+        if (/(s|x|z|ch|sh|o)$/.test(word)) {
+          add(word, ['es']);
+        }
+        // Short words double their last consonant: run, running
+        if (!isVowel(last) && !'wxy'.includes(last) && isVowel(beforeLast) && !isVowel(word[word.length - 3])) {
+          add(word + last, ['ed', 'ing', 'er', 'ers', 'est']);
+        }
+      }
+    }
+
+    return forms;
+  }
+
+  /**
+   * Spells a word for comparison: lowercase, final letters folded, vowel points removed
+   * @param {string} word - Word
+   * @param {string} language - Language code
+   * @returns {string} - Folded word
+   */
+  static foldWord(word, language) {
+    return LetterForms.normalize(word.toLowerCase().replace(/\p{M}/gu, ''), language);
+  }
+
   /**
    * Checks if riddle describes a pattern instead of meaning
    * @param {string} prompt - Riddle prompt
-   * @param {string} language - Language code
+   * @param {Array} keywords - Phrases that describe letter patterns ("starts with")
    * @returns {boolean} - True if it's a pattern riddle
    */
-  static isPatternRiddle(prompt, language) {
-    const patternKeywords = {
-      en: [
-        'starts with',
-        'ends with',
-        'begins with',
-        'pattern',
-        'sequence',
-        'combination of letters'
-      ],
-      he: [
-        'מתחיל ב',
-        'מסתיים ב',
-        'תבנית',
-        'רצף',
-        'שילוב של אותיות',
-        'מילה עם',
-        'מילה זו'
-      ]
-    };
-
-    const keywords = patternKeywords[language] || patternKeywords.en;
+  static isPatternRiddle(prompt, keywords) {
     const lowerPrompt = prompt.toLowerCase();
 
     return keywords.some(keyword => lowerPrompt.includes(keyword.toLowerCase()));
@@ -186,15 +578,6 @@ export class QualityValidator {
     return /[.!?。！？]$/.test(trimmed) || /[א-ת]$/.test(lastChar);
   }
 
-  /**
-   * Checks if text contains Hebrew characters
-   * @param {string} text - Text to check
-   * @returns {boolean} - True if contains Hebrew
-   */
-  static containsHebrewCharacters(text) {
-    return /[\u0590-\u05FF]/.test(text);
-  }
-
   /**
    * Generates a quality report
    * @param {Object} validation - Validation result
@@ -0,0 +1,75 @@
+/**
+ * RateLimiter - Caps how many AI requests run at once and how many start per minute
+ * Tasks wait in a queue and start in the order they were scheduled
+ */
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limits
+   * @param {number} options.concurrency - Most tasks running at once (default: 1)
+   * @param {number} options.requestsPerMinute - Most tasks started in any 60 seconds (default: no limit)
+   */
+  constructor({ concurrency = 1, requestsPerMinute = null } = {}) {
+    this.concurrency = concurrency;
+    this.requestsPerMinute = requestsPerMinute;
+    this.active = 0;
+    this.queue = [];
+    this.starts = [];
+    this.timer = null;
+  }
+
+  /**
+   * Runs a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise} - The task's result
+   */
+  async schedule(task) {
+    await new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Starts queued tasks while both limits allow
+   */
+  drain() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const wait = this.rateDelay();
+      if (wait > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      this.active++;
+      this.starts.push(Date.now());
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * Time until the per-minute limit allows another start
+   * @returns {number} - Milliseconds (0 if a task may start now)
+   */
+  rateDelay() {
+    if (!this.requestsPerMinute) {
+      return 0;
+    }
+
+    const now = Date.now();
+    this.starts = this.starts.filter(start => now - start < 60000);
+    return this.starts.length < this.requestsPerMinute ? 0 : this.starts[0] + 60000 - now;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * RiddleCache - Persistent store of AI riddles, so a word is only paid for once
+ * Entries are appended to an NDJSON file; when a key appears more than once
+ * the last line wins, and prune() rewrites the file without the duplicates
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+export class RiddleCache {
+  /**
+   * Default cache directory, relative to the working directory
+   */
+  static DEFAULT_DIR = join('.cache', 'riddles');
+
+  /**
+   * Cache file name inside the directory
+   */
+  static FILENAME = 'riddles.ndjson';
+
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Cache directory (default: .cache/riddles)
+   * @param {boolean} options.refresh - Ignore stored riddles but still store new ones
+   */
+  constructor({ dir = RiddleCache.DEFAULT_DIR, refresh = false } = {}) {
+    this.dir = dir;
+    this.path = join(dir, RiddleCache.FILENAME);
+    this.refresh = refresh;
+    this.entries = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Builds the cache key for one riddle request
+   * @param {Object} parts - { word, language, provider, model, promptHash }
+   * @returns {string} - Hex digest
+   */
+  static key({ word, language, provider, model, promptHash }) {
+    return this.hash(JSON.stringify([word, language, provider, model || '', promptHash]));
+  }
+
+  /**
+   * Short content hash
+   * @param {string} text - Text to hash
+   * @returns {string} - First 16 hex digits of the SHA-256 digest
+   */
+  static hash(text) {
+    return createHash('sha256').update(text).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Reads the cache file once; unreadable lines are skipped
+   * @returns {Map} - Entries by key
+   */
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    if (!existsSync(this.path)) {
+      return this.entries;
+    }
+
+    readFileSync(this.path, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .forEach(line => {
+        try {
+          const entry = JSON.parse(line);
+          if (entry && entry.key && entry.riddle) {
+            this.entries.set(entry.key, entry);
+          }
+        } catch {
+          // A line cut short by an interrupted run; the next set() supersedes it
+        }
+      });
+
+    return this.entries;
+  }
+
+  /**
+   * Looks up a riddle
+   * @param {string} key - Cache key
+   * @returns {Object|null} - { riddle, hint, explanation }, or null on a miss (always, when refreshing)
+   */
+  get(key) {
+    const entry = this.refresh ? null : this.load().get(key);
+    if (entry) {
+      this.hits++;
+      return entry.riddle;
+    }
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Stores a riddle
+   * @param {string} key - Cache key
+   * @param {Object} entry - { word, language, provider, model, promptHash, riddle }
+   */
+  set(key, entry) {
+    const stored = { key, ...entry, createdAt: new Date().toISOString() };
+    this.load().set(key, stored);
+    mkdirSync(this.dir, { recursive: true });
+    appendFileSync(this.path, JSON.stringify(stored) + '\n', 'utf-8');
+  }
+
+  /**
+   * Summarizes the cache contents
+   * @param {Function} isStale - Optional test for entries made with an outdated prompt
+   * @returns {Object} - { entries, bytes, providers, languages, stale, oldest, newest }
+   */
+  stats(isStale = null) {
+    const entries = [...this.load().values()];
+    const count = (nameOf) => entries.reduce((counts, entry) => {
+      const name = nameOf(entry);
+      counts[name] = (counts[name] || 0) + 1;
+      return counts;
+    }, {});
+    const dates = entries.map(entry => entry.createdAt).filter(Boolean).sort();
+
+    return {
+      entries: entries.length,
+      bytes: existsSync(this.path) ? statSync(this.path).size : 0,
+      providers: count(entry => (entry.model ? `${entry.provider}/${entry.model}` : entry.provider)),
+      languages: count(entry => entry.language),
+      stale: isStale ? entries.filter(isStale).length : 0,
+      oldest: dates[0] || null,
+      newest: dates[dates.length - 1] || null
+    };
+  }
+
+  /**
+   * Removes entries and rewrites the file (dropping superseded lines too)
+   * @param {Function} shouldRemove - Called with each entry; true removes it
+   * @returns {number} - Entries removed
+   */
+  prune(shouldRemove) {
+    const entries = this.load();
+    let removed = 0;
+
+    for (const [key, entry] of entries) {
+      if (shouldRemove(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (existsSync(this.path)) {
+      const lines = [...entries.values()].map(entry => JSON.stringify(entry) + '\n');
+      writeFileSync(this.path, lines.join(''), 'utf-8');
+    }
+
+    return removed;
+  }
+}
@@ -1,34 +1,126 @@
 /**
  * RiddleGenerator - Creates riddles using AI integration
+ * The model is reached through a provider from RiddleProviders; replies from
+ * every provider go through the same parsing and validation. Requests pass
+ * through a RateLimiter and are retried with backoff on 429/5xx and timeouts
  */
 
 import dotenv from 'dotenv';
+import { RiddleProviders } from './RiddleProviders.js';
+import { RiddleCache } from './RiddleCache.js';
+import { QualityValidator } from './QualityValidator.js';
+import { RateLimiter } from './RateLimiter.js';
 
 // Load environment variables
 dotenv.config();
 
 export class RiddleGenerator {
+    /**
+     * Prompt styles: extra instructions appended to the prompt, by language
+     * The default style adds nothing, so its prompts (and cached riddles) stay as they were
+     */
+    static PROMPT_STYLES = {
+        descriptive: null,
+        playful: {
+            en: `STYLE: Write for families and younger players. Use warm, playful wording and everyday situations, while still describing the word's real meaning.`,
+            he: `סגנון: כתוב למשפחות ולשחקנים צעירים. השתמש בניסוח חם ושובב ובמצבים יומיומיים, ועדיין תאר את המשמעות האמיתית של המילה.`
+        },
+        trivia: {
+            en: `STYLE: Write like a trivia quiz. Build the riddle on a concrete fact about the word's meaning (history, science, nature or culture).`,
+            he: `סגנון: כתוב כמו שאלת טריוויה. בסס את החידה על עובדה מוחשית הקשורה למשמעות המילה (היסטוריה, מדע, טבע או תרבות).`
+        }
+    };
+
+    /**
+     * Default prompt style
+     */
+    static DEFAULT_PROMPT_STYLE = 'descriptive';
+
     /**
      * Generates riddles for a list of words
-     * @param {Array} words - Array of 4-letter words
+     * @param {Array} words - Array of words (3-5 letters, one per row or column)
      * @param {string} language - Language code (e.g., 'en', 'he')
+     * @param {Object} options - Generation options
+     * @param {Object} options.provider - Riddle provider (default: RiddleProviders.fromEnvironment())
+     * @param {RiddleCache} options.cache - Riddle cache to read and fill (default: none)
+     * @param {string} options.promptStyle - Key of PROMPT_STYLES (default: descriptive)
+     * @param {RateLimiter} options.limiter - Shared request limiter (default: one request at a time)
+     * @param {number} options.maxRetries - Retries after a failed request (default: 3)
+     * @param {number} options.retryDelay - First backoff delay in milliseconds (default: 1000)
+     * @param {Array} options.failures - Collects { word, language, provider, error, status } for calls that gave up
      * @returns {Promise<Array>} - Array of riddle objects
      */
-    static async generateRiddles(words, language = 'en') {
-        const riddles = [];
+    static async generateRiddles(words, language = 'en', options = {}) {
+        const requestOptions = { ...options, limiter: options.limiter || new RateLimiter() };
 
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
+        return Promise.all(words.map(async (word, i) => {
             console.log(`Generating riddle for word: ${word}`);
 
             try {
-                const riddle = await this.generateRiddle(word, language, i);
-                riddles.push(riddle);
+                return await this.generateRiddle(word, language, i, requestOptions);
             } catch (error) {
                 console.warn(`Failed to generate AI riddle for "${word}", using fallback`);
-                const fallbackRiddle = this.generateFallbackRiddle(word, language, i);
-                riddles.push(fallbackRiddle);
+                this.recordFailure(options, word, language, error);
+                return this.generateFallbackRiddle(word, language, i);
             }
+        }));
+    }
+
+    /**
+     * Notes a call that gave up, for the end-of-run summary
+     * @param {Object} options - Generation options (failures is the list to add to)
+     * @param {string} word - Answer word
+     * @param {string} language - Language code
+     * @param {Error} error - Last error
+     */
+    static recordFailure(options, word, language, error) {
+        if (!options.failures) {
+            return;
+        }
+        options.failures.push({
+            word,
+            language,
+            provider: options.provider ? options.provider.label : null,
+            error: error.message,
+            status: error.status || null
+        });
+    }
+
+    /**
+     * Generates riddles for every word in a square
+     * Double squares get a second set of riddles for their columns, and
+     * bonus (diagonal) words get riddles whose position indexes bonusWords
+     * @param {Object} square - Magic square object with words (and columnWords, bonusWords)
+     * @param {string} language - Language code (e.g., 'en', 'he')
+     * @param {Object} options - Generation options, as for generateRiddles
+     * @returns {Promise<Array>} - Row riddles, then column riddles, then bonus riddles
+     */
+    static async generateSquareRiddles(square, language = 'en', options = {}) {
+        let riddles = await this.generateRiddles(square.words, language, options);
+
+        if (square.columnWords) {
+            const columnRiddles = await this.generateRiddles(square.columnWords, language, options);
+            riddles = [
+                ...riddles.map(riddle => ({ ...riddle, orientation: 'row' })),
+                ...columnRiddles.map((riddle, i) => ({
+                    ...riddle,
+                    id: riddles.length + i + 1,
+                    orientation: 'column'
+                }))
+            ];
+        }
+
+        if (square.bonusWords && square.bonusWords.length > 0) {
+            const bonusRiddles = await this.generateRiddles(square.bonusWords.map(bonus => bonus.word), language, options);
+            riddles = [
+                ...riddles,
+                ...bonusRiddles.map((riddle, i) => ({
+                    ...riddle,
+                    id: riddles.length + i + 1,
+                    position: i,
+                    orientation: square.bonusWords[i].kind
+                }))
+            ];
         }
 
         return riddles;
@@ -38,180 +130,225 @@ export class RiddleGenerator {
      * Generates a single riddle for a word
      * @param {string} word - The word to create a riddle for
      * @param {string} language - Language code
-     * @param {number} index - Riddle index (0-3)
+     * @param {number} index - Riddle index (0-based)
+     * @param {Object} options - Generation options
+     * @param {Object} options.provider - Riddle provider (default: RiddleProviders.fromEnvironment())
+     * @param {RiddleCache} options.cache - Riddle cache to read and fill (default: none)
+     * @param {string} options.promptStyle - Key of PROMPT_STYLES (default: descriptive)
+     * @param {Object} options.feedback - { previous, errors } of a rejected riddle; skips the cached
+     *   riddle (it is the one that was rejected) and tells the model what to fix
+     * @param {RateLimiter} options.limiter - Request limiter (default: none)
+     * @param {number} options.maxRetries - Retries after a failed request (default: 3)
+     * @param {number} options.retryDelay - First backoff delay in milliseconds (default: 1000)
      * @returns {Promise<Object>} - Riddle object
+     * @throws {Error} - If the provider request still fails after the retries
      */
-    static async generateRiddle(word, language, index) {
-        const apiKey = process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
+    static async generateRiddle(word, language, index, options = {}) {
+        const provider = options.provider !== undefined ? options.provider : RiddleProviders.fromEnvironment();
 
-        if (!apiKey) {
+        if (!provider) {
             console.warn('No API key found, using fallback riddles');
             return this.generateFallbackRiddle(word, language, index);
         }
 
-        // Determine which API to use
-        if (process.env.OPENAI_API_KEY) {
-            return await this.generateOpenAIRiddle(word, language, index);
-        } else if (process.env.ANTHROPIC_API_KEY) {
-            return await this.generateAnthropicRiddle(word, language, index);
+        const cache = provider.cacheable === false ? null : options.cache || null;
+
+        const cacheEntry = {
+            word,
+            language,
+            provider: provider.name,
+            model: provider.model || '',
+            promptHash: this.getPromptHash(language, options.promptStyle)
+        };
+        if (options.promptStyle && options.promptStyle !== this.DEFAULT_PROMPT_STYLE) {
+            cacheEntry.promptStyle = options.promptStyle;
+        }
+        const cacheKey = cache ? RiddleCache.key(cacheEntry) : null;
+        const cached = cache && !options.feedback ? cache.get(cacheKey) : null;
+        if (cached) {
+            return this.toRiddle(cached, word, index);
+        }
+
+        const request = {
+            system: this.getSystemPrompt(language),
+            prompt: this.getPromptTemplate(word, language, options.feedback, options.promptStyle),
+            word,
+            language
+        };
+        const { limiter = null, maxRetries = 3, retryDelay = 1000 } = options;
+        const content = await this.retryWithBackoff(
+            () => (limiter ? limiter.schedule(() => provider.complete(request)) : provider.complete(request)),
+            maxRetries + 1,
+            retryDelay,
+            {
+                shouldRetry: error => this.isRetryable(error),
+                onRetry: (error, attempt, delay) => console.warn(
+                    `${provider.label} request for "${word}" failed (${error.message}), retry ${attempt}/${maxRetries} in ${delay}ms`
+                )
+            }
+        );
+
+        let riddleData;
+        try {
+            riddleData = this.parseRiddleResponse(content, word);
+        } catch (e) {
+            console.warn(`${provider.label} did not return valid JSON for "${word}": ${e.message}`);
+            this.recordFailure(options, word, language, new Error(`Reply is not valid riddle JSON: ${e.message}`));
+            return this.generateFallbackRiddle(word, language, index);
+        }
+
+        if (cache) {
+            cache.set(cacheKey, { ...cacheEntry, riddle: riddleData });
         }
 
-        return this.generateFallbackRiddle(word, language, index);
+        return this.toRiddle(riddleData, word, index);
     }
 
     /**
-     * Generates a riddle using OpenAI API
-     * @param {string} word - The word
+     * Regenerates the riddles that fail the quality checks
+     * Each failing riddle is asked for again with the validator's errors in the
+     * prompt, up to maxAttempts times; riddles that still fail are returned as
+     * they are, so the puzzle is rejected when it is written
+     * @param {Array} riddles - Riddles from generateSquareRiddles
      * @param {string} language - Language code
-     * @param {number} index - Riddle index
-     * @returns {Promise<Object>} - Riddle object
+     * @param {Object} options - Generation options, as for generateRiddle
+     * @param {number} options.maxAttempts - Regeneration rounds (default: 2)
+     * @param {Object} options.qualityRules - Rules from QualityValidator.resolveRules (default: the built-in rules)
+     * @returns {Promise<Object>} - { riddles, regenerated, failing }
      */
-    static async generateOpenAIRiddle(word, language, index) {
-        const prompt = this.getPromptTemplate(word, language);
-        const model = process.env.OPENAI_MODEL || 'gpt-4';
+    static async regenerateFailingRiddles(riddles, language, options = {}) {
+        const { maxAttempts = 2 } = options;
+        const provider = options.provider !== undefined ? options.provider : RiddleProviders.fromEnvironment();
+        const result = [...riddles];
+        let regenerated = 0;
+
+        // A riddle that clashes with another (mentions its answer, duplicates it) is rewritten too
+        const findFailing = () => {
+            const findings = QualityValidator.validatePuzzle({ language, riddles: result }, options.qualityRules)
+                .findings.filter(finding => finding.severity === 'error');
+            return result
+                .map((riddle, i) => ({
+                    i,
+                    errors: findings.filter(finding => finding.riddle === i).map(finding => finding.message)
+                }))
+                .filter(({ errors }) => errors.length > 0);
+        };
 
-        try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are an expert riddle writer who creates clear, solvable riddles in ${language === 'he' ? 'Hebrew' : 'English'}. Your riddles should be straightforward descriptions that help players deduce the answer through logical thinking, not cryptic wordplay. The riddles must describe REAL words with actual meanings - verify the word exists and has a clear definition before creating the riddle. Always provide helpful hints and explanations. Respond ONLY with valid JSON in the exact format requested, with no markdown formatting or extra text.`
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    max_tokens: 200,
-                    temperature: 0.7
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
+        let failing = findFailing();
+        if (!provider) {
+            return { riddles: result, regenerated, failing: failing.length };
+        }
+
+        for (let attempt = 1; attempt <= maxAttempts && failing.length > 0; attempt++) {
+            for (const { i, errors } of failing) {
+                const riddle = result[i];
+                console.log(`Attempt ${attempt}/${maxAttempts}: regenerating riddle for "${riddle.answer}" (${errors.join('; ')})`);
+
+                try {
+                    const fresh = await this.generateRiddle(riddle.answer, language, riddle.position, {
+                        ...options,
+                        provider,
+                        feedback: { previous: riddle.prompt, errors }
+                    });
+                    result[i] = { ...riddle, prompt: fresh.prompt, hint: fresh.hint, explanation: fresh.explanation };
+                    regenerated++;
+                } catch (error) {
+                    console.warn(`Failed to regenerate riddle for "${riddle.answer}": ${error.message}`);
+                    this.recordFailure(options, riddle.answer, language, error);
+                }
             }
+            failing = findFailing();
+        }
 
-            const data = await response.json();
-            let content = data.choices[0].message.content.trim();
+        if (failing.length > 0) {
+            console.warn(`${failing.length} riddle(s) still fail the quality checks after ${maxAttempts} attempt(s)`);
+        }
 
-            // Try to parse as JSON
-            let riddleData;
-            try {
-                // Remove markdown code blocks if present
-                content = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+        return { riddles: result, regenerated, failing: failing.length };
+    }
 
-                // Try to extract JSON if it's embedded in text
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    content = jsonMatch[0];
-                }
+    /**
+     * Builds a riddle object from parsed riddle fields
+     * @param {Object} riddleData - { riddle, hint, explanation }
+     * @param {string} word - Answer word
+     * @param {number} index - Riddle index (0-based)
+     * @returns {Object} - Riddle object
+     */
+    static toRiddle(riddleData, word, index) {
+        return {
+            id: index + 1,
+            prompt: riddleData.riddle,
+            answer: word,
+            position: index,
+            hint: riddleData.hint,
+            explanation: riddleData.explanation
+        };
+    }
 
-                riddleData = JSON.parse(content);
+    /**
+     * Parses a provider reply into riddle fields
+     * JSON may be wrapped in markdown fences or surrounded by text; a reply
+     * with no JSON at all is taken as the riddle itself, with generic hint
+     * and explanation (which the quality checks reject)
+     * @param {string} content - Reply text
+     * @param {string} word - Answer word
+     * @returns {Object} - { riddle, hint, explanation }
+     * @throws {Error} - If the reply has JSON that is malformed or missing fields
+     */
+    static parseRiddleResponse(content, word) {
+        let text = content.trim();
 
-                // Validate that we have the required fields
-                if (!riddleData.riddle || !riddleData.hint || !riddleData.explanation) {
-                    throw new Error('Missing required fields in JSON response');
-                }
-            } catch (e) {
-                // Fallback: use template-based riddle
-                console.warn(`AI did not return valid JSON for "${word}": ${e.message}`);
-                return this.generateFallbackRiddle(word, language, index);
-            }
+        // Remove markdown code blocks if present
+        text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
 
+        // Extract JSON if it's embedded in text
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
             return {
-                id: index + 1,
-                prompt: riddleData.riddle,
-                answer: word,
-                position: index,
-                hint: riddleData.hint,
-                explanation: riddleData.explanation
+                riddle: text,
+                hint: `Starts with ${word[0]}`,
+                explanation: `The answer is ${word}`
             };
-        } catch (error) {
-            console.error(`OpenAI API error: ${error.message}`);
-            throw error;
         }
+
+        const riddleData = JSON.parse(jsonMatch[0]);
+
+        // Validate that we have the required fields
+        if (!riddleData.riddle || !riddleData.hint || !riddleData.explanation) {
+            throw new Error('Missing required fields in JSON response');
+        }
+
+        return riddleData;
     }
 
     /**
-     * Generates a riddle using Anthropic API
-     * @param {string} word - The word
+     * Gets the system prompt sent with every riddle request
      * @param {string} language - Language code
-     * @param {number} index - Riddle index
-     * @returns {Promise<Object>} - Riddle object
+     * @returns {string} - System prompt text
      */
-    static async generateAnthropicRiddle(word, language, index) {
-        const prompt = this.getPromptTemplate(word, language);
-        const model = process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229';
-
-        try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': process.env.ANTHROPIC_API_KEY,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model,
-                    max_tokens: 200,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ]
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`Anthropic API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const content = data.content[0].text.trim();
-
-            // Try to parse as JSON
-            let riddleData;
-            try {
-                riddleData = JSON.parse(content);
-            } catch (e) {
-                // Fallback: treat as plain text riddle
-                console.warn('AI did not return JSON, using text as riddle');
-                riddleData = {
-                    riddle: content,
-                    hint: `Starts with ${word[0]}`,
-                    explanation: `The answer is ${word}`
-                };
-            }
+    static getSystemPrompt(language) {
+        return `You are an expert riddle writer who creates clear, solvable riddles in ${language === 'he' ? 'Hebrew' : 'English'}. Your riddles should be straightforward descriptions that help players deduce the answer through logical thinking, not cryptic wordplay. The riddles must describe REAL words with actual meanings - verify the word exists and has a clear definition before creating the riddle. Always provide helpful hints and explanations. Respond ONLY with valid JSON in the exact format requested, with no markdown formatting or extra text.`;
+    }
 
-            return {
-                id: index + 1,
-                prompt: riddleData.riddle,
-                answer: word,
-                position: index,
-                hint: riddleData.hint,
-                explanation: riddleData.explanation
-            };
-        } catch (error) {
-            console.error(`Anthropic API error: ${error.message}`);
-            throw error;
-        }
+    /**
+     * Hashes the prompts for a language, so cached riddles expire when the prompts change
+     * @param {string} language - Language code
+     * @param {string} style - Prompt style (default: descriptive)
+     * @returns {string} - Hash of the system prompt and the prompt template
+     */
+    static getPromptHash(language, style = null) {
+        return RiddleCache.hash(`${this.getSystemPrompt(language)}\n${this.getPromptTemplate('{word}', language, null, style)}`);
     }
 
     /**
      * Gets the appropriate prompt template for the language
      * @param {string} word - The word
      * @param {string} language - Language code
+     * @param {Object} feedback - { previous, errors } of a rejected riddle, appended to the prompt
+     * @param {string} style - Prompt style (default: descriptive)
      * @returns {string} - Prompt text
      */
-    static getPromptTemplate(word, language) {
+    static getPromptTemplate(word, language, feedback = null, style = null) {
         const templates = {
             en: `Create a riddle for the word "${word}".
 
@@ -219,6 +356,7 @@ CRITICAL REQUIREMENTS:
 - The riddle MUST describe the word's actual meaning, function, or characteristics
 - Use clear, descriptive language that helps players deduce the answer logically
 - AVOID wordplay, puns, letter counting, rhymes, or cryptic metaphors
+- NEVER use the word itself or a form of it (plural, -ing, -ed...) in the riddle or the hint
 - Keep the riddle concise (8-15 words) but informative
 - The hint should provide additional context or a different angle (5-10 words)
 - The explanation should clarify why the answer fits the riddle (10-25 words)
@@ -240,6 +378,7 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
 - החידה חייבת לתאר את המשמעות, התפקיד או המאפיינים האמיתיים של המילה
 - השתמש בשפה ברורה ותיאורית שעוזרת לשחקנים להסיק את התשובה באופן לוגי
 - הימנע מחרוזים, ספירת אותיות או מטאפורות מסתוריות
+- לעולם אל תשתמש במילה עצמה או בצורה שלה (ברבים, עם תחילית או סיומת) בחידה או ברמז
 - שמור על החידה תמציתית (8-15 מילים) אך אינפורמטיבית
 - הרמז צריך לספק הקשר נוסף או זווית שונה (5-10 מילים)
 - ההסבר צריך להבהיר למה התשובה מתאימה לחידה (10-25 מילים)
@@ -257,7 +396,41 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
 }`
         };
 
-        return templates[language] || templates.en;
+        const notes = this.PROMPT_STYLES[style || this.DEFAULT_PROMPT_STYLE];
+        const sections = [
+            templates[language] || templates.en,
+            notes ? notes[language] || notes.en : null,
+            feedback ? this.getFeedbackText(feedback, language) : null
+        ];
+        return sections.filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Explains why the previous riddle was rejected, for a regeneration prompt
+     * @param {Object} feedback - { previous, errors }
+     * @param {string} language - Language code
+     * @returns {string} - Feedback text
+     */
+    static getFeedbackText({ previous, errors }, language) {
+        const problems = errors.map(error => `- ${error}`).join('\n');
+
+        if (language === 'he') {
+            return `החידה הקודמת שלך נדחתה:
+"${previous}"
+
+הבעיות:
+${problems}
+
+כתוב חידה חדשה שמתקנת את הבעיות האלה.`;
+        }
+
+        return `YOUR PREVIOUS RIDDLE WAS REJECTED:
+"${previous}"
+
+PROBLEMS:
+${problems}
+
+Write a new riddle that fixes these problems.`;
     }
 
     /**
@@ -268,16 +441,23 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
      * @returns {Object} - Riddle object
      */
     static generateFallbackRiddle(word, language, index) {
+        const letters = [...word];
+        const last = letters[letters.length - 1];
+        const masked = letters.map((letter, i) => (i % 2 === 0 ? letter : '_')).join('');
+        const hidden = letters.filter((_, i) => i % 2 === 1);
+        const lengthWords = { 3: 'three', 4: 'four', 5: 'five' };
+        const lengthWord = lengthWords[letters.length] || letters.length;
+
         const templates = {
             en: [
                 {
-                    riddle: `A four-letter word that starts with ${word[0]} and ends with ${word[3]}`,
+                    riddle: `A ${lengthWord}-letter word that starts with ${word[0]} and ends with ${last}`,
                     hint: `Think of common words with these letters`,
-                    explanation: `The word "${word}" matches the pattern with ${word[0]} at the start and ${word[3]} at the end`
+                    explanation: `The word "${word}" matches the pattern with ${word[0]} at the start and ${last} at the end`
                 },
                 {
-                    riddle: `Find the word: ${word[0]}_${word[2]}_`,
-                    hint: `The missing letters are ${word[1]} and ${word[3]}`,
+                    riddle: `Find the word: ${masked}`,
+                    hint: `The missing letters are ${hidden.join(' and ')}`,
                     explanation: `Filling in the blanks gives you "${word}"`
                 },
                 {
@@ -286,20 +466,20 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
                     explanation: `The word "${word}" starts with ${word[0]} and has ${word[1]} as the second letter`
                 },
                 {
-                    riddle: `A word with letters ${word[0]}, ${word[1]}, ${word[2]}, ${word[3]}`,
+                    riddle: `A word with letters ${letters.join(', ')}`,
                     hint: `These letters appear in this exact order`,
                     explanation: `The letters spell out "${word}" when arranged in sequence`
                 }
             ],
             he: [
                 {
-                    riddle: `מילה בת ארבע אותיות שמתחילה ב-${word[0]} ומסתיימת ב-${word[3]}`,
+                    riddle: `מילה בת ${letters.length} אותיות שמתחילה ב-${word[0]} ומסתיימת ב-${last}`,
                     hint: `חשוב על מילים נפוצות עם האותיות האלה`,
-                    explanation: `המילה "${word}" מתאימה לתבנית עם ${word[0]} בהתחלה ו-${word[3]} בסוף`
+                    explanation: `המילה "${word}" מתאימה לתבנית עם ${word[0]} בהתחלה ו-${last} בסוף`
                 },
                 {
-                    riddle: `מצא את המילה: ${word[0]}_${word[2]}_`,
-                    hint: `האותיות החסרות הן ${word[1]} ו-${word[3]}`,
+                    riddle: `מצא את המילה: ${masked}`,
+                    hint: `האותיות החסרות הן ${hidden.join(' ו-')}`,
                     explanation: `מילוי החסר נותן לך "${word}"`
                 },
                 {
@@ -308,7 +488,7 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
                     explanation: `המילה "${word}" מתחילה ב-${word[0]} ויש לה ${word[1]} כאות שנייה`
                 },
                 {
-                    riddle: `מילה עם האותיות ${word[0]}, ${word[1]}, ${word[2]}, ${word[3]}`,
+                    riddle: `מילה עם האותיות ${letters.join(', ')}`,
                     hint: `האותיות האלה מופיעות בסדר הזה בדיוק`,
                     explanation: `האותיות מרכיבות את "${word}" כשמסודרות ברצף`
                 }
@@ -330,24 +510,63 @@ Respond ONLY with valid JSON in this exact format (no markdown, no extra text):
 
     /**
      * Implements retry logic with exponential backoff
+     * Delays double from baseDelay with random jitter (50-100% of the step);
+     * an error's retryAfter (milliseconds, from a Retry-After header) replaces the delay,
+     * but a server that asks for more than maxDelay fails the call instead
      * @param {Function} fn - Function to retry
-     * @param {number} maxRetries - Maximum number of retries
+     * @param {number} maxRetries - Maximum number of attempts
      * @param {number} baseDelay - Base delay in milliseconds
+     * @param {Object} options - Retry options
+     * @param {Function} options.shouldRetry - Decides from the error whether to try again (default: always)
+     * @param {Function} options.onRetry - Called with (error, attempt, delay) before waiting
+     * @param {number} options.maxDelay - Longest Retry-After to wait for (default: four times the last backoff step)
      * @returns {Promise} - Result of the function
+     * @throws {Error} - The last error, or the first one whose Retry-After is too long
      */
-    static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+    static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, options = {}) {
+        const {
+            shouldRetry = () => true,
+            maxDelay = baseDelay * Math.pow(2, maxRetries) * 4,
+            onRetry = (error, attempt, delay) => console.log(`Retry ${attempt}/${maxRetries} after ${delay}ms...`)
+        } = options;
+
         for (let i = 0; i < maxRetries; i++) {
             try {
                 return await fn();
             } catch (error) {
-                if (i === maxRetries - 1) {
+                if (i === maxRetries - 1 || !shouldRetry(error)) {
+                    throw error;
+                }
+
+                if (error.retryAfter > maxDelay) {
+                    error.message = `${error.message} (Retry-After of ${Math.ceil(error.retryAfter / 1000)}s is longer than the ${Math.ceil(maxDelay / 1000)}s limit)`;
                     throw error;
                 }
 
-                const delay = baseDelay * Math.pow(2, i);
-                console.log(`Retry ${i + 1}/${maxRetries} after ${delay}ms...`);
+                const backoff = baseDelay * Math.pow(2, i);
+                const delay = error.retryAfter !== undefined && error.retryAfter !== null
+                    ? error.retryAfter
+                    : Math.round(backoff * (0.5 + Math.random() / 2));
+                onRetry(error, i + 1, delay);
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
     }
+
+    /**
+     * Decides whether a failed request is worth repeating
+     * Fetch reports network failures as a TypeError ("fetch failed", with the cause
+     * attached); other TypeErrors are bugs or unexpected replies and fail at once
+     * @param {Error} error - Error from a provider
+     * @returns {boolean} - True for rate limits (429), server errors (5xx), timeouts and network failures
+     */
+    static isRetryable(error) {
+        if (error.status) {
+            return error.status === 429 || error.status >= 500;
+        }
+        if (error.name === 'TypeError') {
+            return error.message === 'fetch failed' || error.cause !== undefined;
+        }
+        return error.name === 'TimeoutError' || error.name === 'AbortError';
+    }
 }
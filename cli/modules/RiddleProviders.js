@@ -0,0 +1,396 @@
+/**
+ * RiddleProviders - Language model backends for RiddleGenerator
+ * A provider turns a system prompt and a user prompt into the model's raw
+ * reply; parsing and validating that reply is left to RiddleGenerator so
+ * every provider is held to the same rules. HTTP errors carry the status and
+ * any Retry-After delay, so RiddleGenerator can decide whether to retry
+ */
+
+import { Dictionary } from './Dictionary.js';
+import { LetterForms } from './LetterForms.js';
+
+/**
+ * Chat completions API: OpenAI itself, or any server that speaks the same
+ * protocol (llama.cpp, Ollama, vLLM, LM Studio...)
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.name - Registry name
+   * @param {string} settings.label - Name used in messages
+   * @param {string} settings.baseUrl - API root, without /chat/completions
+   * @param {string} settings.apiKey - Bearer token (optional for local servers)
+   * @param {string} settings.model - Model name
+   * @param {number} settings.timeout - Request timeout in milliseconds
+   */
+  constructor({ name, label, baseUrl, apiKey = null, model, timeout = RiddleProviders.DEFAULT_TIMEOUT }) {
+    this.name = name;
+    this.label = label;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Sends one riddle request
+   * @param {Object} request - { system, prompt, word, language }
+   * @returns {Promise<string>} - Reply text
+   */
+  async complete({ system, prompt }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal: AbortSignal.timeout(this.timeout),
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        max_tokens: 200,
+        temperature: 0.7
+      })
+    });
+
+    if (!response.ok) {
+      throw RiddleProviders.httpError(this.label, response);
+    }
+
+    const data = await response.json();
+    const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+    return RiddleProviders.replyText(this.label, choice && choice.message ? choice.message.content : undefined);
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.apiKey - Anthropic API key
+   * @param {string} settings.model - Model name
+   * @param {number} settings.timeout - Request timeout in milliseconds
+   */
+  constructor({ apiKey, model, timeout = RiddleProviders.DEFAULT_TIMEOUT }) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Sends one riddle request
+   * @param {Object} request - { system, prompt, word, language }
+   * @returns {Promise<string>} - Reply text
+   */
+  async complete({ system, prompt }) {
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      signal: AbortSignal.timeout(this.timeout),
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: 200,
+        system,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw RiddleProviders.httpError(this.label, response);
+    }
+
+    const data = await response.json();
+    const block = data && Array.isArray(data.content) ? data.content[0] : null;
+    return RiddleProviders.replyText(this.label, block ? block.text : undefined);
+  }
+}
+
+/**
+ * Offline provider for tests and dry runs: the same word always gets the same reply
+ */
+export class MockProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {Object} settings.responses - Canned replies by word; other words get a generated riddle
+   */
+  constructor({ responses = {} } = {}) {
+    this.name = 'mock';
+    this.label = 'Mock';
+    this.responses = responses;
+    // Replies are made up on the spot, so there is nothing worth caching
+    this.cacheable = false;
+  }
+
+  /**
+   * Answers one riddle request without any network access
+   * @param {Object} request - { system, prompt, word, language }
+   * @returns {Promise<string>} - Reply text
+   */
+  async complete({ word, language }) {
+    if (Object.hasOwn(this.responses, word)) {
+      return this.responses[word];
+    }
+    return JSON.stringify(MockProvider.riddleFor(word, language));
+  }
+
+  /**
+   * Builds a placeholder riddle that passes the quality checks
+   * The number is derived from the word, so different words get different riddles;
+   * the riddles are short enough that the number alone keeps them from counting as
+   * near-duplicates of each other
+   * @param {string} word - Answer word
+   * @param {string} language - Language code
+   * @returns {Object} - { riddle, hint, explanation }
+   */
+  static riddleFor(word, language) {
+    const code = [...word].reduce((sum, char) => (sum * 31 + char.codePointAt(0)) % 10000, 7);
+
+    if (language === 'he') {
+      return {
+        riddle: `חידת דמה מספר ${code}.`,
+        hint: `רמז דמה מספר ${code}.`,
+        explanation: `הסבר דמה מספר ${code} להרצה ללא רשת.`
+      };
+    }
+
+    return {
+      riddle: `Mock riddle number ${code}.`,
+      hint: `Mock hint number ${code}.`,
+      explanation: `Mock explanation number ${code} for offline runs.`
+    };
+  }
+}
+
+/**
+ * Offline provider that builds riddles from a local definitions file
+ */
+export class DictionaryProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.path - Dictionary file for every language (default: dictionaries/<language>.tsv or .json)
+   */
+  constructor({ path = null } = {}) {
+    this.name = 'dictionary';
+    this.label = 'Dictionary';
+    this.model = '';
+    this.path = path;
+    // Riddles follow the file, so there is nothing worth caching
+    this.cacheable = false;
+    this.dictionaries = new Map();
+  }
+
+  /**
+   * Loads (once) the dictionary for a language
+   * @param {string} language - Language code
+   * @returns {Map} - Word -> senses
+   * @throws {Error} - If there is no dictionary for the language
+   */
+  load(language) {
+    if (!this.dictionaries.has(language)) {
+      const path = this.path || Dictionary.getDefaultPath(language);
+      if (!path) {
+        throw new Error(`No dictionary for language "${language}" (add dictionaries/${language}.tsv or use --dictionary)`);
+      }
+      this.dictionaries.set(language, Dictionary.load(path, language));
+    }
+    return this.dictionaries.get(language);
+  }
+
+  /**
+   * Answers one riddle request from the dictionary
+   * @param {Object} request - { system, prompt, word, language }
+   * @returns {Promise<string>} - Riddle JSON
+   * @throws {Error} - If the word has no definition
+   */
+  async complete({ word, language }) {
+    const senses = this.load(language).get(LetterForms.toDisplayForm(word.toUpperCase(), language));
+    if (!senses) {
+      throw new Error(`No definition for "${word}" in the dictionary`);
+    }
+    return JSON.stringify(Dictionary.buildRiddle(word, senses, language));
+  }
+}
+
+export class RiddleProviders {
+  /**
+   * Default request timeout in milliseconds
+   */
+  static DEFAULT_TIMEOUT = 30000;
+
+  /**
+   * Provider factories by name; each takes { baseUrl, apiKey, model, timeout }
+   * overrides (dictionary takes { dictionary, language }) and fills the rest
+   * from the environment
+   */
+  static FACTORIES = new Map([
+    ['openai', (options) => new OpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      baseUrl: options.baseUrl || 'https://api.openai.com/v1',
+      apiKey: RiddleProviders.requireKey('openai', options.apiKey || process.env.OPENAI_API_KEY, 'OPENAI_API_KEY'),
+      model: options.model || process.env.OPENAI_MODEL || 'gpt-4',
+      timeout: options.timeout
+    })],
+    ['anthropic', (options) => new AnthropicProvider({
+      apiKey: RiddleProviders.requireKey('anthropic', options.apiKey || process.env.ANTHROPIC_API_KEY, 'ANTHROPIC_API_KEY'),
+      model: options.model || process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
+      timeout: options.timeout
+    })],
+    ['custom', (options) => {
+      const baseUrl = options.baseUrl || process.env.CUSTOM_BASE_URL;
+      if (!baseUrl) {
+        throw new Error('The custom provider needs a base URL (--base-url or CUSTOM_BASE_URL)');
+      }
+      return new OpenAICompatibleProvider({
+        name: 'custom',
+        label: 'Custom endpoint',
+        baseUrl,
+        apiKey: options.apiKey || process.env.CUSTOM_API_KEY || null,
+        model: options.model || process.env.CUSTOM_MODEL || 'default',
+        timeout: options.timeout
+      });
+    }],
+    ['mock', (options) => new MockProvider(options)],
+    ['dictionary', (options) => {
+      const provider = new DictionaryProvider({ path: options.dictionary || process.env.DICTIONARY_PATH || null });
+      // Fail before the search when the language has no dictionary
+      if (options.language) {
+        provider.load(options.language);
+      }
+      return provider;
+    }]
+  ]);
+
+  /**
+   * Adds (or replaces) a provider
+   * @param {string} name - Registry name
+   * @param {Function} factory - Takes an options object, returns an object with complete()
+   */
+  static register(name, factory) {
+    this.FACTORIES.set(name, factory);
+  }
+
+  /**
+   * Lists registered provider names
+   * @returns {Array} - Names
+   */
+  static names() {
+    return [...this.FACTORIES.keys()];
+  }
+
+  /**
+   * Creates a provider by name
+   * @param {string} name - Registry name
+   * @param {Object} options - { baseUrl, apiKey, model, timeout } overrides
+   * @returns {Object} - Provider
+   * @throws {Error} - Unknown name, or settings the provider cannot run without
+   */
+  static create(name, options = {}) {
+    const factory = this.FACTORIES.get(name);
+    if (!factory) {
+      throw new Error(`Unknown riddle provider "${name}" (available: ${this.names().join(', ')})`);
+    }
+    return factory(options);
+  }
+
+  /**
+   * Picks the provider the environment asks for: RIDDLE_PROVIDER if set,
+   * otherwise openai or anthropic depending on which API key is present
+   * @param {Object} options - { baseUrl, apiKey, model } overrides, as for create
+   * @returns {Object|null} - Provider, or null when no provider is configured
+   */
+  static fromEnvironment(options = {}) {
+    const name = this.environmentName();
+    return name ? this.create(name, options) : null;
+  }
+
+  /**
+   * Names the provider fromEnvironment would create
+   * @returns {string|null} - Registry name, or null when no provider is configured
+   */
+  static environmentName() {
+    if (process.env.RIDDLE_PROVIDER) {
+      return process.env.RIDDLE_PROVIDER;
+    }
+    if (process.env.OPENAI_API_KEY) {
+      return 'openai';
+    }
+    if (process.env.ANTHROPIC_API_KEY) {
+      return 'anthropic';
+    }
+    return null;
+  }
+
+  /**
+   * Builds the error for a failed HTTP response
+   * @param {string} label - Provider name used in messages
+   * @param {Response} response - Fetch response
+   * @returns {Error} - Error with status and retryAfter (milliseconds, or null)
+   */
+  static httpError(label, response) {
+    const error = new Error(`${label} API error: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = this.parseRetryAfter(response.headers ? response.headers.get('retry-after') : null);
+    return error;
+  }
+
+  /**
+   * Checks the reply text taken out of a successful response
+   * A body of the wrong shape will not change on a retry, so the error has no status
+   * @param {string} label - Provider name used in messages
+   * @param {*} text - Text found where the API puts the reply
+   * @returns {string} - The text
+   * @throws {Error} - If there is no reply text
+   */
+  static replyText(label, text) {
+    if (typeof text !== 'string') {
+      throw new Error(`${label} API returned a response without reply text`);
+    }
+    return text;
+  }
+
+  /**
+   * Reads a Retry-After header: a number of seconds or an HTTP date
+   * @param {string} value - Header value
+   * @returns {number|null} - Delay in milliseconds, or null if absent or unreadable
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+      return Math.round(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Fails early when a hosted provider has no API key
+   * @param {string} name - Provider name
+   * @param {string} apiKey - Key found, if any
+   * @param {string} variable - Environment variable that holds the key
+   * @returns {string} - The key
+   */
+  static requireKey(name, apiKey, variable) {
+    if (!apiKey) {
+      throw new Error(`The ${name} provider needs an API key (${variable})`);
+    }
+    return apiKey;
+  }
+}
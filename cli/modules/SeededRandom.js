@@ -0,0 +1,81 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers for reproducible generation
+ * Same seed, same sequence: used for word shuffling, puzzle IDs and filenames
+ */
+
+export class SeededRandom {
+  /**
+   * @param {string|number} seed - Any string or number
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = SeededRandom.hashSeed(this.seed);
+  }
+
+  /**
+   * Hashes a seed string into a 32-bit integer (FNV-1a)
+   * @param {string} seed - Seed string
+   * @returns {number} - Unsigned 32-bit hash
+   */
+  static hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Creates an independent stream for one purpose
+   * Keeps e.g. puzzle IDs stable even if the shuffle consumes more numbers
+   * @param {string} label - Stream name
+   * @returns {SeededRandom} - New generator seeded from this seed and the label
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}/${label}`);
+  }
+
+  /**
+   * Returns the next number in [0, 1) (mulberry32)
+   * @returns {number} - Pseudo-random float
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns an integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} - Pseudo-random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Returns a string of random hex digits
+   * @param {number} length - Number of digits
+   * @returns {string} - Lowercase hex string
+   */
+  hex(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += this.nextInt(16).toString(16);
+    }
+    return result;
+  }
+
+  /**
+   * Returns a version 4 UUID built from this stream
+   * @returns {string} - UUID that passes the puzzle schema pattern
+   */
+  uuid() {
+    const variant = (8 + this.nextInt(4)).toString(16);
+    return `${this.hex(8)}-${this.hex(4)}-4${this.hex(3)}-${variant}${this.hex(3)}-${this.hex(12)}`;
+  }
+}
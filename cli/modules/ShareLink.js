@@ -0,0 +1,85 @@
+/**
+ * ShareLink - Builds and reads the ?p= links the game loads puzzles from
+ * Same format as shared/PuzzleEncoder.js (zlib-deflated JSON in base64url),
+ * using Node's zlib instead of the browser's pako
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+export class ShareLink {
+  /**
+   * Default game address for links
+   */
+  static DEFAULT_BASE_URL = 'http://localhost:5173';
+
+  /**
+   * Encodes a puzzle for a link
+   * @param {Object} puzzle - Puzzle object
+   * @returns {string} - Base64url encoded compressed JSON
+   */
+  static encode(puzzle) {
+    return this.base64urlEncode(deflateSync(JSON.stringify(puzzle)));
+  }
+
+  /**
+   * Decodes a link or a bare encoded string
+   * @param {string} input - Full URL with a p parameter, or the encoded string itself
+   * @returns {Object} - Puzzle object
+   * @throws {Error} - If the input is not an encoded puzzle
+   */
+  static decode(input) {
+    const encoded = this.extractEncoded(input);
+    let json;
+    try {
+      json = inflateSync(Buffer.from(encoded, 'base64url')).toString('utf-8');
+    } catch (error) {
+      throw new Error(`Failed to decode puzzle: ${error.message}`);
+    }
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Failed to decode puzzle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the link for a puzzle
+   * @param {Object} puzzle - Puzzle object
+   * @param {string} baseUrl - Game address (default: http://localhost:5173)
+   * @returns {string} - URL with the puzzle in its p parameter
+   */
+  static toUrl(puzzle, baseUrl = this.DEFAULT_BASE_URL) {
+    return `${baseUrl.replace(/\/+$/, '')}/?p=${this.encode(puzzle)}`;
+  }
+
+  /**
+   * Pulls the encoded puzzle out of a link
+   * @param {string} input - URL or encoded string
+   * @returns {string} - Encoded string
+   * @throws {Error} - If a URL has no p parameter
+   */
+  static extractEncoded(input) {
+    const trimmed = input.trim();
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+      return trimmed;
+    }
+
+    const encoded = new URL(trimmed).searchParams.get('p');
+    if (!encoded) {
+      throw new Error('URL has no p parameter');
+    }
+    return encoded;
+  }
+
+  /**
+   * Encodes bytes as base64url (URL-safe, unpadded)
+   * @param {Buffer} buffer - Bytes
+   * @returns {string} - Base64url string
+   */
+  static base64urlEncode(buffer) {
+    return buffer.toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=/g, '');
+  }
+}
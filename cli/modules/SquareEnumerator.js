@@ -0,0 +1,198 @@
+/**
+ * SquareEnumerator - Walks the full search space of a word list
+ * Streams every valid square to an NDJSON file and checkpoints progress
+ * so an interrupted run can resume where it stopped
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, openSync, closeSync, writeSync, ftruncateSync, fstatSync } from 'fs';
+import { createHash } from 'crypto';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+import { WordTrie } from './WordTrie.js';
+
+export class SquareEnumerator {
+  static CHECKPOINT_VERSION = 1;
+
+  /**
+   * Enumerates all squares, writing one JSON object per line
+   * First words are visited in sorted order; a checkpoint records the next
+   * first word and the output size so a resume can drop a half-written tail
+   * @param {Array} words - Word list
+   * @param {Object} options - Enumeration options
+   * @param {string} options.outputPath - NDJSON output file
+   * @param {string} options.checkpointPath - Checkpoint file (default: <outputPath>.checkpoint.json)
+   * @param {boolean} options.resume - Continue from an existing checkpoint
+   * @param {string} options.mode - 'symmetric' (default) or 'double'
+   * @param {string} options.diagonals - 'main', 'anti' or 'both' to require diagonal words
+   * @param {string} options.language - Language code; enables final-letter matching (e.g. 'he')
+   * @param {number} options.checkpointEvery - First words between checkpoints (default: 250)
+   * @param {AbortSignal} options.signal - Stops the run after the current first word
+   * @param {Function} options.onProgress - Called with the checkpoint after each write
+   * @returns {Promise<Object>} - { found, processed, total, completed }
+   * @throws {Error} - If the checkpoint is missing or belongs to another run
+   */
+  static async enumerate(words, options = {}) {
+    const {
+      outputPath,
+      checkpointPath = this.defaultCheckpointPath(outputPath),
+      resume = false,
+      mode = 'symmetric',
+      diagonals = null,
+      language = null,
+      checkpointEvery = 250,
+      signal = null,
+      onProgress = null
+    } = options;
+
+    if (!outputPath) {
+      throw new Error('outputPath is required');
+    }
+
+    const { words: matchWords, displayForms } = MagicSquareFinder.normalizeWords(words, language);
+    const firstWords = [...new Set(matchWords)].sort();
+    const fingerprint = this.fingerprint(firstWords, mode, diagonals);
+    const index = WordTrie.fromWords(firstWords);
+
+    let state = {
+      version: this.CHECKPOINT_VERSION,
+      fingerprint,
+      mode,
+      diagonals,
+      total: firstWords.length,
+      nextIndex: 0,
+      found: 0,
+      outputBytes: 0,
+      completed: false
+    };
+
+    if (resume) {
+      state = this.loadCheckpoint(checkpointPath, fingerprint);
+      if (state.completed) {
+        return this.summarize(state);
+      }
+    }
+
+    // Resuming truncates to the last checkpoint; a fresh run starts empty
+    const fd = openSync(outputPath, resume ? 'r+' : 'w');
+    try {
+      if (resume) {
+        if (fstatSync(fd).size < state.outputBytes) {
+          throw new Error(`Output file ${outputPath} is shorter than the checkpoint expects`);
+        }
+        ftruncateSync(fd, state.outputBytes);
+      }
+
+      let sinceCheckpoint = 0;
+      while (state.nextIndex < firstWords.length) {
+        if (signal && signal.aborted) {
+          break;
+        }
+
+        const firstWord = firstWords[state.nextIndex];
+        for (const square of MagicSquareFinder.searchSquares(firstWord, index, { mode, diagonals })) {
+          const line = JSON.stringify(MagicSquareFinder.restoreDisplayForms(square, displayForms)) + '\n';
+          state.outputBytes += writeSync(fd, line, state.outputBytes, 'utf-8');
+          state.found++;
+        }
+        state.nextIndex++;
+
+        if (++sinceCheckpoint >= checkpointEvery) {
+          this.saveCheckpoint(checkpointPath, state, onProgress);
+          sinceCheckpoint = 0;
+        }
+
+        // Let signal handlers run between first words
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      state.completed = state.nextIndex >= firstWords.length;
+      this.saveCheckpoint(checkpointPath, state, onProgress);
+    } finally {
+      closeSync(fd);
+    }
+
+    return this.summarize(state);
+  }
+
+  /**
+   * Default checkpoint location next to the output file
+   * @param {string} outputPath - NDJSON output file
+   * @returns {string} - Checkpoint path
+   */
+  static defaultCheckpointPath(outputPath) {
+    return `${outputPath}.checkpoint.json`;
+  }
+
+  /**
+   * Identifies a run by its word list and mode
+   * Diagonals only enter the hash when set, so older checkpoints still match
+   * @param {Array} sortedWords - Sorted, deduplicated words
+   * @param {string} mode - Search mode
+   * @param {string|null} diagonals - Required diagonals, if any
+   * @returns {string} - SHA-256 hex digest
+   */
+  static fingerprint(sortedWords, mode, diagonals = null) {
+    const runMode = diagonals ? `${mode}+diagonals:${diagonals}` : mode;
+    return createHash('sha256')
+      .update(`${runMode}\n${sortedWords.join('\n')}`)
+      .digest('hex');
+  }
+
+  /**
+   * Loads a checkpoint and checks it belongs to this run
+   * @param {string} checkpointPath - Checkpoint file
+   * @param {string} fingerprint - Expected run fingerprint
+   * @returns {Object} - Checkpoint state
+   * @throws {Error} - If the file is missing, unreadable or from another run
+   */
+  static loadCheckpoint(checkpointPath, fingerprint) {
+    if (!existsSync(checkpointPath)) {
+      throw new Error(`Checkpoint not found: ${checkpointPath}`);
+    }
+
+    let state;
+    try {
+      state = JSON.parse(readFileSync(checkpointPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read checkpoint: ${error.message}`);
+    }
+
+    if (state.version !== this.CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version: ${state.version}`);
+    }
+    if (state.fingerprint !== fingerprint) {
+      throw new Error('Checkpoint was written for a different word list or mode');
+    }
+
+    return state;
+  }
+
+  /**
+   * Writes a checkpoint atomically (temp file + rename)
+   * @param {string} checkpointPath - Checkpoint file
+   * @param {Object} state - Current state
+   * @param {Function} onProgress - Optional progress callback
+   */
+  static saveCheckpoint(checkpointPath, state, onProgress = null) {
+    const tempPath = `${checkpointPath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+    renameSync(tempPath, checkpointPath);
+
+    if (onProgress) {
+      onProgress({ ...state });
+    }
+  }
+
+  /**
+   * Reduces a checkpoint to the run summary
+   * @param {Object} state - Checkpoint state
+   * @returns {Object} - { found, processed, total, completed }
+   */
+  static summarize(state) {
+    return {
+      found: state.found,
+      processed: state.nextIndex,
+      total: state.total,
+      completed: state.completed
+    };
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * SquareSearchWorker - worker_threads entry point for ParallelSquareFinder
+ * Builds the word index once, then answers batches of first words with
+ * the first square each one leads to (same rule as findMagicSquares)
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { MagicSquareFinder } from './MagicSquareFinder.js';
+import { WordTrie } from './WordTrie.js';
+
+const index = WordTrie.fromWords(workerData.words);
+const options = workerData.options;
+
+parentPort.on('message', ({ batchIndex, firstWords }) => {
+  const squares = [];
+  for (const firstWord of firstWords) {
+    const square = MagicSquareFinder.findSquareForWord(firstWord, index, options);
+    if (square) {
+      squares.push(square);
+    }
+  }
+
+  parentPort.postMessage({ batchIndex, squares, searched: firstWords.length });
+});
@@ -1,18 +1,31 @@
 /**
  * WordListLoader - Loads and parses word list files
+ * A line may carry a frequency count after the word ("ABLE 1520" or "ABLE,1520");
+ * counts can also come from a sidecar file in the same format.
+ * Words on the language blocklist (shared/blocklists/<language>.txt) and on any
+ * extra blocklist file are dropped before the search ever sees them.
+ * Words are spelled in their display form (Hebrew final letters only at the
+ * end), so two spellings of one word count as a duplicate
  */
 
 import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { Blocklist } from '../../shared/Blocklist.js';
+import { LetterForms } from './LetterForms.js';
 
 export class WordListLoader {
   /**
    * Loads a word list from a file
    * @param {string} filePath - Path to the word list file
    * @param {string} language - Language code (e.g., 'en', 'he')
-   * @returns {Object} - { words: Array, language: string, encoding: string }
+   * @param {number} size - Word length to keep, matching the grid size (default: 4)
+   * @param {Object} options - Load options
+   * @param {string} options.frequencyFile - Sidecar file with "word count" lines
+   * @param {string} options.blocklist - Extra blocklist file, added to the language blocklist
+   * @returns {Object} - { words, frequencies, dropped: { length, duplicate, blocked }, language, encoding, direction }
    * @throws {Error} - If file not found or invalid format
    */
-  static load(filePath, language = 'en') {
+  static load(filePath, language = 'en', size = 4, options = {}) {
     // Check if file exists
     if (!existsSync(filePath)) {
       throw new Error(`Word list file not found: ${filePath}`);
@@ -32,27 +45,65 @@ export class WordListLoader {
         throw new Error(`Word list file is empty: ${filePath}`);
       }
 
-      // Filter to only 4-letter words
-      const fourLetterWords = lines.filter(word => {
+      // Split off the optional frequency column
+      const frequencies = new Map();
+      const entries = lines.map(line => this.parseLine(line));
+      this.mergeFrequencies(frequencies, entries, language);
+
+      if (options.frequencyFile) {
+        this.mergeFrequencies(frequencies, this.loadFrequencyFile(options.frequencyFile), language);
+      }
+
+      // Filter to words that fit the grid
+      const sizedWords = entries.map(entry => entry.word).filter(word => {
         // Count actual characters (not bytes) for proper Unicode support
         const charCount = [...word].length;
-        return charCount === 4;
+        return charCount === size;
       });
 
-      if (fourLetterWords.length === 0) {
-        throw new Error(`No 4-letter words found in: ${filePath}`);
+      if (sizedWords.length === 0) {
+        throw new Error(`No ${size}-letter words found in: ${filePath}`);
       }
 
-      // Convert to uppercase for consistency
-      const normalizedWords = fourLetterWords.map(word => word.toUpperCase());
+      // Convert to uppercase and display spelling for consistency
+      const normalizedWords = sizedWords.map(word => LetterForms.toDisplayForm(word.toUpperCase(), language));
 
       // Remove duplicates
       const uniqueWords = [...new Set(normalizedWords)];
 
-      console.log(`Loaded ${uniqueWords.length} unique 4-letter words from ${filePath}`);
+      // Remove blocklisted words
+      const blocked = this.loadBlocklists(language, options.blocklist);
+      const allowedWords = uniqueWords.filter(word => !Blocklist.isBlocked(word, blocked, language));
+
+      if (allowedWords.length === 0) {
+        throw new Error(`All ${size}-letter words in ${filePath} are blocklisted`);
+      }
+
+      const dropped = {
+        length: entries.length - sizedWords.length,
+        duplicate: normalizedWords.length - uniqueWords.length,
+        blocked: uniqueWords.length - allowedWords.length
+      };
+
+      console.log(`Loaded ${allowedWords.length} unique ${size}-letter words from ${filePath}`);
+      const reasons = [
+        [dropped.length, `not ${size} letters`],
+        [dropped.duplicate, 'duplicates'],
+        [dropped.blocked, 'blocklisted']
+      ].filter(([count]) => count > 0);
+      if (reasons.length > 0) {
+        const total = reasons.reduce((sum, [count]) => sum + count, 0);
+        console.log(`Dropped ${total} words: ${reasons.map(([count, reason]) => `${count} ${reason}`).join(', ')}`);
+      }
+      if (frequencies.size > 0) {
+        const covered = allowedWords.filter(word => frequencies.has(word)).length;
+        console.log(`Frequency data for ${covered}/${allowedWords.length} words`);
+      }
 
       return {
-        words: uniqueWords,
+        words: allowedWords,
+        frequencies,
+        dropped,
         language,
         encoding: 'utf-8',
         direction: this.getDirection(language)
@@ -65,6 +116,88 @@ export class WordListLoader {
     }
   }
 
+  /**
+   * Loads the language blocklist plus an optional extra file
+   * A missing language file means nothing is blocked for that language
+   * @param {string} language - Language code
+   * @param {string} extraPath - Extra blocklist file (optional)
+   * @returns {Set} - Blocked words, normalized by Blocklist (match with Blocklist.isBlocked)
+   * @throws {Error} - If the extra file does not exist
+   */
+  static loadBlocklists(language, extraPath = null) {
+    const blocked = new Set();
+
+    const languagePath = /^[a-z]{2}$/.test(language) ? this.getBlocklistPath(language) : null;
+    if (languagePath && existsSync(languagePath)) {
+      Blocklist.parse(readFileSync(languagePath, 'utf-8'), language).forEach(word => blocked.add(word));
+    }
+
+    if (extraPath) {
+      if (!existsSync(extraPath)) {
+        throw new Error(`Blocklist file not found: ${extraPath}`);
+      }
+      Blocklist.parse(readFileSync(extraPath, 'utf-8'), language).forEach(word => blocked.add(word));
+    }
+
+    return blocked;
+  }
+
+  /**
+   * Path of the shared blocklist for a language
+   * @param {string} language - Language code
+   * @returns {string} - Absolute file path
+   */
+  static getBlocklistPath(language) {
+    return fileURLToPath(new URL(`../../shared/blocklists/${language}.txt`, import.meta.url));
+  }
+
+  /**
+   * Splits a word list line into the word and its optional frequency
+   * @param {string} line - Trimmed, non-empty line
+   * @returns {Object} - { word: string, frequency: number|null }
+   */
+  static parseLine(line) {
+    const [word, count] = line.split(/[\s,;]+/);
+    const frequency = count !== undefined ? Number(count) : NaN;
+    return {
+      word,
+      frequency: Number.isFinite(frequency) && frequency >= 0 ? frequency : null
+    };
+  }
+
+  /**
+   * Loads a sidecar frequency file
+   * @param {string} filePath - Path to a file of "word count" lines
+   * @returns {Array} - Parsed entries
+   * @throws {Error} - If the file does not exist
+   */
+  static loadFrequencyFile(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Frequency file not found: ${filePath}`);
+    }
+
+    return readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => this.parseLine(line));
+  }
+
+  /**
+   * Adds parsed frequencies to a map, keyed by the uppercased display spelling
+   * A word listed twice keeps its highest count
+   * @param {Map} frequencies - Map to update
+   * @param {Array} entries - Parsed entries
+   * @param {string} language - Language code (default: 'en')
+   */
+  static mergeFrequencies(frequencies, entries, language = 'en') {
+    entries.forEach(({ word, frequency }) => {
+      if (frequency === null) return;
+      const key = LetterForms.toDisplayForm(word.toUpperCase(), language);
+      frequencies.set(key, Math.max(frequencies.get(key) || 0, frequency));
+    });
+  }
+
   /**
    * Determines text direction based on language code
    * @param {string} language - Language code
@@ -78,9 +211,10 @@ export class WordListLoader {
   /**
    * Validates a word list
    * @param {Array} words - Array of words to validate
+   * @param {number} size - Required word length (default: 4)
    * @returns {Object} - { valid: boolean, errors: Array }
    */
-  static validate(words) {
+  static validate(words, size = 4) {
     const errors = [];
 
     if (!Array.isArray(words)) {
@@ -95,8 +229,8 @@ export class WordListLoader {
     words.forEach((word, index) => {
       if (typeof word !== 'string') {
         errors.push(`Word at index ${index} is not a string`);
-      } else if ([...word].length !== 4) {
-        errors.push(`Word at index ${index} is not 4 characters: "${word}"`);
+      } else if ([...word].length !== size) {
+        errors.push(`Word at index ${index} is not ${size} characters: "${word}"`);
       }
     });
 
@@ -0,0 +1,114 @@
+/**
+ * WordTrie - Prefix index over a word list
+ * Lets the square search extend rows and columns one letter at a time
+ */
+
+export class WordTrie {
+  constructor() {
+    this.root = WordTrie.createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Creates an empty trie node
+   * @returns {Object} - { children: Map, word: string|null }
+   */
+  static createNode() {
+    return {
+      children: new Map(),
+      word: null
+    };
+  }
+
+  /**
+   * Builds a trie from a list or set of words
+   * @param {Iterable} words - Words to index
+   * @returns {WordTrie} - Populated trie
+   */
+  static fromWords(words) {
+    const trie = new WordTrie();
+    for (const word of words) {
+      trie.insert(word);
+    }
+    return trie;
+  }
+
+  /**
+   * Adds a word to the trie
+   * @param {string} word - Word to add
+   */
+  insert(word) {
+    let node = this.root;
+    for (const char of word) {
+      if (!node.children.has(char)) {
+        node.children.set(char, WordTrie.createNode());
+      }
+      node = node.children.get(char);
+    }
+
+    if (node.word === null) {
+      node.word = word;
+      this.size++;
+    }
+  }
+
+  /**
+   * Finds the node reached by following a prefix
+   * @param {string} prefix - Prefix to follow
+   * @returns {Object|null} - Trie node or null if no word has this prefix
+   */
+  getNode(prefix) {
+    let node = this.root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Checks if any word starts with a prefix
+   * @param {string} prefix - Prefix to check
+   * @returns {boolean} - True if at least one word has this prefix
+   */
+  hasPrefix(prefix) {
+    return this.getNode(prefix) !== null;
+  }
+
+  /**
+   * Checks if a word is in the trie
+   * @param {string} word - Word to check
+   * @returns {boolean} - True if the word was inserted
+   */
+  has(word) {
+    const node = this.getNode(word);
+    return node !== null && node.word !== null;
+  }
+
+  /**
+   * Lists all words that start with a prefix
+   * @param {string} prefix - Prefix to match
+   * @returns {Array} - Matching words
+   */
+  wordsWithPrefix(prefix) {
+    const start = this.getNode(prefix);
+    if (!start) {
+      return [];
+    }
+
+    const words = [];
+    const stack = [start];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.word !== null) {
+        words.push(node.word);
+      }
+      for (const child of node.children.values()) {
+        stack.push(child);
+      }
+    }
+    return words;
+  }
+}
@@ -158,7 +158,7 @@ export class Game {
     // Set active row for first unsolved riddle
     const currentRiddle = this.gameState.getCurrentRiddle();
     if (currentRiddle) {
-      this.gridRenderer.setActiveRow(currentRiddle.position);
+      this.gridRenderer.selectWord(this.gameState.getRiddleCells(currentRiddle));
     }
 
     // Update button states
@@ -276,7 +276,7 @@ export class Game {
     this.riddleDisplay.showFeedback(riddle.id, true);
 
     // Highlight the revealed word
-    this.gridRenderer.highlightWord(riddle.position);
+    this.gridRenderer.highlightCells(this.gameState.getRiddleCells(riddle));
     setTimeout(() => this.gridRenderer.clearHighlights(), 2000);
   }
 
@@ -306,7 +306,7 @@ export class Game {
     this.riddleDisplay.showFeedback(riddle.id, false);
 
     // Show feedback on grid
-    this.gridRenderer.showFeedback(riddle.position, result.feedback);
+    this.gridRenderer.showWordFeedback(this.gameState.getRiddleCells(riddle), result.feedback);
   }
 
   /**
@@ -316,9 +316,9 @@ export class Game {
     // Find next unsolved riddle
     for (let i = 0; i < this.puzzle.riddles.length; i++) {
       const riddle = this.puzzle.riddles[i];
-      if (!this.gameState.isWordRevealed(riddle.position)) {
+      if (!this.gameState.isRiddleRevealed(riddle)) {
         this.gameState.setCurrentRiddle(i);
-        this.gridRenderer.setActiveRow(riddle.position);
+        this.gridRenderer.selectWord(this.gameState.getRiddleCells(riddle));
         this.update();
         return;
       }
@@ -426,8 +426,8 @@ export class Game {
     console.log('Clear button clicked');
     
     // Clear all grid content
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.gameState.size; row++) {
+      for (let col = 0; col < this.gameState.size; col++) {
         this.gameState.updateCell(row, col, '');
       }
     }
@@ -1,9 +1,12 @@
 /**
- * GridRenderer - Interactive 4x4 grid with free cell editing and symmetric auto-fill
+ * GridRenderer - Interactive square grid (3x3 to 5x5) with free cell editing and symmetric auto-fill
+ * Double squares (puzzles with columnWords) are not symmetric, so input is never mirrored
+ * Cells on a bonus diagonal (puzzles with bonusWords) are marked so the diagonal reads as a word
  */
 
 import { InputValidator } from '../modules/InputValidator.js';
 import { RTLSupport } from '../modules/RTLSupport.js';
+import { getBonusWordCells } from '../shared/validator.js';
 
 export class GridRenderer {
   constructor(container, puzzle, gameState, onSubmit) {
@@ -14,6 +17,9 @@ export class GridRenderer {
     this.cells = [];
     this.selectedCell = { row: 0, col: 0 }; // Currently selected cell
     this.isUpdatingSymmetric = false; // Prevent infinite loops
+    this.isDouble = Array.isArray(puzzle.columnWords); // Rows and columns are different words
+    this.size = puzzle.size || 4; // Puzzles without a size field are 4x4
+    this.bonusCellClasses = this.getBonusCellClasses(); // Cell index -> diagonal classes
     this.onInputChange = () => {}; // Callback for input changes
     this.onClearAll = null; // Callback for clear all (Escape key)
   }
@@ -52,11 +58,12 @@ export class GridRenderer {
     // Create wrapper for grid with labels
     const gridWrapper = document.createElement('div');
     gridWrapper.className = 'grid-with-labels';
+    gridWrapper.style.setProperty('--grid-size', this.size); // Drives the CSS grid tracks
     
     // Create column labels (top)
     const colLabels = document.createElement('div');
     colLabels.className = 'col-labels';
-    for (let col = 0; col < 4; col++) {
+    for (let col = 0; col < this.size; col++) {
       const label = document.createElement('div');
       label.className = 'col-label';
       label.textContent = col + 1;
@@ -71,7 +78,7 @@ export class GridRenderer {
     // Create row labels (left)
     const rowLabels = document.createElement('div');
     rowLabels.className = 'row-labels';
-    for (let row = 0; row < 4; row++) {
+    for (let row = 0; row < this.size; row++) {
       const label = document.createElement('div');
       label.className = 'row-label';
       label.textContent = row + 1;
@@ -83,13 +90,13 @@ export class GridRenderer {
     const grid = document.createElement('div');
     grid.className = 'grid';
     grid.setAttribute('role', 'grid');
-    grid.setAttribute('aria-label', '4x4 magic square grid');
+    grid.setAttribute('aria-label', `${this.size}x${this.size} magic square grid`);
     grid.tabIndex = 0;
 
-    // Create 16 cells (4x4)
+    // Create size x size cells
     this.cells = [];
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
         const cell = this.createCell(row, col);
         this.cells.push(cell);
         grid.appendChild(cell);
@@ -164,6 +171,7 @@ export class GridRenderer {
   createCell(row, col) {
     const cell = document.createElement('div');
     cell.className = 'grid-cell empty';
+    this.applyBonusClasses(cell, row * this.size + col);
     cell.dataset.row = row;
     cell.dataset.col = col;
     cell.setAttribute('role', 'gridcell');
@@ -183,7 +191,7 @@ export class GridRenderer {
    */
   selectCell(row, col) {
     // Don't select revealed cells
-    if (this.gameState.isWordRevealed(row)) {
+    if (this.gameState.isCellRevealed(row, col)) {
       return;
     }
     
@@ -201,7 +209,7 @@ export class GridRenderer {
     console.log('📍 Selected cell:', row, col);
     
     // Check if cell is revealed
-    if (this.gameState.isWordRevealed(row)) {
+    if (this.gameState.isCellRevealed(row, col)) {
       console.log('⚠️ Cell is revealed, ignoring input');
       return;
     }
@@ -220,7 +228,7 @@ export class GridRenderer {
     // Handle backspace
     if (key === 'Backspace') {
       e.preventDefault();
-      this.updateCellWithSymmetric(row, col, '');
+      this.setCellLetter(row, col, '');
       this.onInputChange();
       return;
     }
@@ -253,7 +261,7 @@ export class GridRenderer {
         // Normalize Hebrew final forms to regular forms
         const normalizedKey = RTLSupport.normalizeText(upperKey, this.puzzle.language);
         console.log('✏️ Updating cell with:', normalizedKey);
-        this.updateCellWithSymmetric(row, col, normalizedKey);
+        this.setCellLetter(row, col, normalizedKey);
         this.onInputChange();
         
         // Move to next cell
@@ -264,6 +272,20 @@ export class GridRenderer {
     }
   }
 
+  /**
+   * Updates a cell from player input
+   * Mirrors into the symmetric cell unless the puzzle is a double square
+   */
+  setCellLetter(row, col, letter) {
+    if (this.isDouble) {
+      this.gameState.updateCell(row, col, letter);
+      this.update();
+      return;
+    }
+
+    this.updateCellWithSymmetric(row, col, letter);
+  }
+
   /**
    * Updates a cell and its symmetric counterpart
    */
@@ -282,7 +304,7 @@ export class GridRenderer {
       this.gameState.updateCell(col, row, letter);
       
       // Visual feedback for symmetric fill
-      const symmetricIndex = col * 4 + row;
+      const symmetricIndex = col * this.size + row;
       const symmetricCell = this.cells[symmetricIndex];
       if (symmetricCell && letter) {
         symmetricCell.classList.add('symmetric-fill');
@@ -308,13 +330,13 @@ export class GridRenderer {
         row = Math.max(0, row - 1);
         break;
       case 'ArrowDown':
-        row = Math.min(3, row + 1);
+        row = Math.min(this.size - 1, row + 1);
         break;
       case 'ArrowLeft':
         col = Math.max(0, col - 1);
         break;
       case 'ArrowRight':
-        col = Math.min(3, col + 1);
+        col = Math.min(this.size - 1, col + 1);
         break;
     }
     
@@ -329,13 +351,13 @@ export class GridRenderer {
     
     // Move right, then down
     col++;
-    if (col > 3) {
+    if (col > this.size - 1) {
       col = 0;
       row++;
     }
     
     // Wrap around or stop at end
-    if (row <= 3) {
+    if (row <= this.size - 1) {
       this.selectCell(row, col);
     }
   }
@@ -344,18 +366,16 @@ export class GridRenderer {
    * Updates the grid display
    */
   update() {
-    const state = this.gameState.getState();
-    const revealedSet = new Set(state.revealedWords);
     const playerGrid = this.gameState.getPlayerGrid();
 
     // Update each cell
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
-        const cellIndex = row * 4 + col;
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        const cellIndex = row * this.size + col;
         const cell = this.cells[cellIndex];
         
-        // Check if this row is revealed
-        const isRevealed = revealedSet.has(row);
+        // Check if this cell belongs to a revealed word
+        const isRevealed = this.gameState.isCellRevealed(row, col);
         
         // Check if this is the selected cell
         const isSelected = this.selectedCell.row === row && this.selectedCell.col === col;
@@ -381,16 +401,49 @@ export class GridRenderer {
           
           cell.setAttribute('aria-label', `${letter || 'Empty'}, row ${row + 1}, column ${col + 1}`);
         }
+
+        // className was just reset, so put the diagonal markers back
+        this.applyBonusClasses(cell, cellIndex);
       }
     }
   }
 
+  /**
+   * Maps each cell on a bonus diagonal to its CSS classes
+   * @returns {Map} - Cell index -> array of class names
+   */
+  getBonusCellClasses() {
+    const classes = new Map();
+    (this.puzzle.bonusWords || []).forEach(({ kind }) => {
+      getBonusWordCells(kind, this.size).forEach(([row, col]) => {
+        const cellIndex = row * this.size + col;
+        if (!classes.has(cellIndex)) {
+          classes.set(cellIndex, []);
+        }
+        classes.get(cellIndex).push(`bonus-${kind}`);
+      });
+    });
+    return classes;
+  }
+
+  /**
+   * Adds the diagonal classes for a cell, if it is on a bonus diagonal
+   * @param {HTMLElement} cell - Grid cell
+   * @param {number} cellIndex - Index into this.cells
+   */
+  applyBonusClasses(cell, cellIndex) {
+    const classes = this.bonusCellClasses.get(cellIndex);
+    if (classes) {
+      cell.classList.add('bonus-cell', ...classes);
+    }
+  }
+
   /**
    * Shows feedback for the entire grid
    */
   showGridFeedback(feedback) {
     feedback.forEach(({ row, col, correct }) => {
-      const cellIndex = row * 4 + col;
+      const cellIndex = row * this.size + col;
       const cell = this.cells[cellIndex];
       
       setTimeout(() => {
@@ -399,7 +452,7 @@ export class GridRenderer {
         } else {
           cell.classList.add('incorrect');
         }
-      }, (row * 4 + col) * 50);
+      }, (row * this.size + col) * 50);
     });
 
     // Clear feedback after a delay (but don't call update which would clear the letters!)
@@ -418,7 +471,7 @@ export class GridRenderer {
   showGridFeedbackWithClear(feedback, onComplete) {
     // Step 1: Show correct/incorrect/wrong-position feedback (staggered animation)
     feedback.forEach(({ row, col, status }) => {
-      const cellIndex = row * 4 + col;
+      const cellIndex = row * this.size + col;
       const cell = this.cells[cellIndex];
       
       setTimeout(() => {
@@ -429,14 +482,14 @@ export class GridRenderer {
         } else {
           cell.classList.add('incorrect');
         }
-      }, (row * 4 + col) * 30);
+      }, (row * this.size + col) * 30);
     });
 
     // Step 2: After 1.5 seconds, fade non-correct cells to gray
     setTimeout(() => {
       feedback.forEach(({ row, col, status }) => {
         if (status !== 'correct') {
-          const cellIndex = row * 4 + col;
+          const cellIndex = row * this.size + col;
           const cell = this.cells[cellIndex];
           cell.classList.remove('incorrect', 'wrong-position');
           cell.classList.add('fading-out');
@@ -521,7 +574,7 @@ export class GridRenderer {
    */
   clearInput() {
     const row = this.selectedCell.row;
-    for (let col = 0; col < 4; col++) {
+    for (let col = 0; col < this.size; col++) {
       this.gameState.updateCell(row, col, '');
     }
     this.update();
@@ -551,13 +604,47 @@ export class GridRenderer {
    * Highlights word (backward compatibility)
    */
   highlightWord(position) {
-    for (let col = 0; col < 4; col++) {
-      const cellIndex = position * 4 + col;
+    for (let col = 0; col < this.size; col++) {
+      const cellIndex = position * this.size + col;
       const cell = this.cells[cellIndex];
       cell.classList.add('highlight');
     }
   }
 
+  /**
+   * Highlights the cells of a word in any direction
+   * @param {Array} cells - [row, col] pairs, e.g. from gameState.getRiddleCells
+   */
+  highlightCells(cells) {
+    cells.forEach(([row, col]) => {
+      this.cells[row * this.size + col].classList.add('highlight');
+    });
+  }
+
+  /**
+   * Shows per-letter feedback on the cells of a word in any direction
+   * @param {Array} cells - [row, col] pairs in reading order
+   * @param {Array} feedback - Per-letter feedback from gameState.submitAnswer
+   */
+  showWordFeedback(cells, feedback) {
+    this.showGridFeedback(cells.map(([row, col], i) => ({
+      row,
+      col,
+      correct: Boolean(feedback[i]) && feedback[i].status === 'correct'
+    })));
+  }
+
+  /**
+   * Selects the first cell of a word that is not revealed yet
+   * @param {Array} cells - [row, col] pairs in reading order
+   */
+  selectWord(cells) {
+    const cell = cells.find(([row, col]) => !this.gameState.isCellRevealed(row, col));
+    if (cell) {
+      this.selectCell(cell[0], cell[1]);
+    }
+  }
+
   /**
    * Clears highlights (backward compatibility)
    */
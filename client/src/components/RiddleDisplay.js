@@ -1,14 +1,17 @@
 /**
  * RiddleDisplay - Displays riddles with status indicators
+ * Bonus riddles (diagonal words) follow the row and column riddles with a diagonal arrow badge
  */
 
 import { i18n } from '../modules/i18n.js';
+import { BONUS_WORD_KINDS } from '../shared/validator.js';
 
 export class RiddleDisplay {
   constructor(container, puzzle, gameState) {
     this.container = container;
     this.puzzle = puzzle;
     this.gameState = gameState;
+    this.isDouble = Array.isArray(puzzle.columnWords);
   }
 
   /**
@@ -45,6 +48,25 @@ export class RiddleDisplay {
     number.textContent = riddle.id;
     number.setAttribute('aria-label', `Riddle ${riddle.id}`);
 
+    // Double squares number rows and columns separately, matching the grid labels
+    if (this.isDouble) {
+      const isColumn = riddle.orientation === 'column';
+      const rowArrow = this.puzzle.direction === 'rtl' ? '←' : '→';
+      number.textContent = `${riddle.position + 1}${isColumn ? '↓' : rowArrow}`;
+      number.classList.add(isColumn ? 'column' : 'row');
+      number.setAttribute('aria-label', `${isColumn ? 'Column' : 'Row'} ${riddle.position + 1}`);
+    }
+
+    // The main diagonal runs top-left to bottom-right, mirrored when the grid is RTL
+    if (BONUS_WORD_KINDS.includes(riddle.orientation)) {
+      const isMain = riddle.orientation === 'main-diagonal';
+      const isRtl = this.puzzle.direction === 'rtl';
+      number.textContent = isMain !== isRtl ? '↘' : '↙';
+      number.classList.add('bonus');
+      number.setAttribute('aria-label', i18n.t(isMain ? 'mainDiagonalRiddle' : 'antiDiagonalRiddle'));
+      item.classList.add('bonus');
+    }
+
     // Riddle content
     const content = document.createElement('div');
     content.className = 'riddle-content';
@@ -3,10 +3,12 @@
  */
 
 import { RTLSupport } from './RTLSupport.js';
+import { BONUS_WORD_KINDS, getBonusWordCells } from '../shared/validator.js';
 
 export class GameStateManager {
   constructor(puzzle) {
     this.puzzle = puzzle;
+    this.size = puzzle.size || 4; // Puzzles without a size field are 4x4
     this.state = this.initializeState();
   }
 
@@ -19,7 +21,7 @@ export class GameStateManager {
       currentPuzzle: this.puzzle,
       revealedWords: new Set(),
       attempts: 0, // Total attempts for full grid
-      playerGrid: this.createEmptyGrid(), // 4x4 grid of player inputs
+      playerGrid: this.createEmptyGrid(), // size x size grid of player inputs
       hintsRevealed: [], // Array of riddle IDs with revealed hints
       hintsRemaining: 2, // Number of hints available
       currentRiddle: 0, // Current riddle index (for backward compatibility)
@@ -31,11 +33,11 @@ export class GameStateManager {
   }
 
   /**
-   * Creates an empty 4x4 grid
-   * @returns {Array} - 4x4 array of empty strings
+   * Creates an empty grid matching the puzzle size
+   * @returns {Array} - size x size array of empty strings
    */
   createEmptyGrid() {
-    return Array(4).fill(null).map(() => Array(4).fill(''));
+    return Array(this.size).fill(null).map(() => Array(this.size).fill(''));
   }
 
   /**
@@ -52,24 +54,24 @@ export class GameStateManager {
 
   /**
    * Updates a cell in the player grid
-   * @param {number} row - Row index (0-3)
-   * @param {number} col - Column index (0-3)
+   * @param {number} row - Row index (0 to size - 1)
+   * @param {number} col - Column index (0 to size - 1)
    * @param {string} letter - Letter to set
    */
   updateCell(row, col, letter) {
-    if (row >= 0 && row < 4 && col >= 0 && col < 4) {
+    if (row >= 0 && row < this.size && col >= 0 && col < this.size) {
       this.state.playerGrid[row][col] = letter.toUpperCase();
     }
   }
 
   /**
    * Gets a cell value from the player grid
-   * @param {number} row - Row index (0-3)
-   * @param {number} col - Column index (0-3)
+   * @param {number} row - Row index (0 to size - 1)
+   * @param {number} col - Column index (0 to size - 1)
    * @returns {string} - Cell value
    */
   getCell(row, col) {
-    if (row >= 0 && row < 4 && col >= 0 && col < 4) {
+    if (row >= 0 && row < this.size && col >= 0 && col < this.size) {
       return this.state.playerGrid[row][col];
     }
     return '';
@@ -77,11 +79,11 @@ export class GameStateManager {
 
   /**
    * Checks if the grid is completely filled
-   * @returns {boolean} - True if all 16 cells have letters
+   * @returns {boolean} - True if every cell has a letter
    */
   isGridComplete() {
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
         if (!this.state.playerGrid[row][col]) {
           return false;
         }
@@ -92,12 +94,81 @@ export class GameStateManager {
 
   /**
    * Gets the player's grid
-   * @returns {Array} - 4x4 grid
+   * @returns {Array} - size x size grid
    */
   getPlayerGrid() {
     return this.state.playerGrid.map(row => [...row]);
   }
 
+  /**
+   * Lists the cells a riddle's answer is read from
+   * Row riddles (and riddles without an orientation) use row `position`, column
+   * riddles column `position`, and bonus riddles the diagonal of bonusWords[position]
+   * @param {Object} riddle - Riddle object
+   * @returns {Array} - [row, col] pairs in reading order
+   */
+  getRiddleCells(riddle) {
+    if (riddle.orientation === 'column') {
+      return Array.from({ length: this.size }, (_, row) => [row, riddle.position]);
+    }
+    if (BONUS_WORD_KINDS.includes(riddle.orientation)) {
+      return getBonusWordCells(riddle.orientation, this.size);
+    }
+    return Array.from({ length: this.size }, (_, col) => [riddle.position, col]);
+  }
+
+  /**
+   * Gets the key a riddle's word is stored under in revealedWords
+   * Row words keep their plain position, which saved games already use
+   * @param {Object} riddle - Riddle object
+   * @returns {number|string} - Row position, or e.g. 'column:2'
+   */
+  getWordKey(riddle) {
+    return riddle.orientation && riddle.orientation !== 'row'
+      ? `${riddle.orientation}:${riddle.position}`
+      : riddle.position;
+  }
+
+  /**
+   * Checks if a cell belongs to a revealed word
+   * @param {number} row - Row index (0 to size - 1)
+   * @param {number} col - Column index (0 to size - 1)
+   * @returns {boolean} - True if revealed
+   */
+  isCellRevealed(row, col) {
+    if (this.state.revealedWords.has(row)) {
+      return true;
+    }
+    return this.puzzle.riddles.some(riddle =>
+      this.state.revealedWords.has(this.getWordKey(riddle))
+      && this.getRiddleCells(riddle).some(([r, c]) => r === row && c === col)
+    );
+  }
+
+  /**
+   * Checks if every cell of a riddle's word is revealed, by its own answer or by crossing words
+   * @param {Object} riddle - Riddle object
+   * @returns {boolean} - True if revealed
+   */
+  isRiddleRevealed(riddle) {
+    return this.getRiddleCells(riddle).every(([row, col]) => this.isCellRevealed(row, col));
+  }
+
+  /**
+   * Checks if the revealed words cover the whole grid
+   * @returns {boolean} - True if every cell is revealed
+   */
+  isGridRevealed() {
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
+        if (!this.isCellRevealed(row, col)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
   // ===== BACKWARD COMPATIBILITY METHODS =====
   // These methods maintain compatibility with the old row-based system
   // Will be removed when Game.js is fully refactored
@@ -113,7 +184,7 @@ export class GameStateManager {
     if (riddle) {
       const row = riddle.position;
       const letters = input.toUpperCase().split('');
-      for (let col = 0; col < Math.min(4, letters.length); col++) {
+      for (let col = 0; col < Math.min(this.size, letters.length); col++) {
         this.updateCell(row, col, letters[col]);
       }
     }
@@ -135,10 +206,10 @@ export class GameStateManager {
 
   /**
    * Sets the current riddle
-   * @param {number} riddleIndex - Index of the riddle (0-3)
+   * @param {number} riddleIndex - Index of the riddle in puzzle.riddles
    */
   setCurrentRiddle(riddleIndex) {
-    if (riddleIndex >= 0 && riddleIndex < 4) {
+    if (riddleIndex >= 0 && riddleIndex < this.puzzle.riddles.length) {
       this.state.currentRiddle = riddleIndex;
     }
   }
@@ -195,14 +266,14 @@ export class GameStateManager {
 
     if (correct) {
       // Reveal the word
-      this.revealWord(riddle.position);
+      this.revealWord(this.getWordKey(riddle));
       
       // Calculate score (bonus for fewer attempts)
       const attemptBonus = Math.max(0, 4 - previousAttempts) * 10;
       this.state.score += 100 + attemptBonus;
 
       // Check if game is complete
-      if (this.state.revealedWords.size === 4) {
+      if (this.isGridRevealed()) {
         this.state.gameStatus = 'completed';
         this.calculateFinalScore();
       }
@@ -219,10 +290,10 @@ export class GameStateManager {
       // For backward compatibility, auto-reveal after 3 attempts
       if (previousAttempts >= 3) {
         // Auto-reveal after 3 failed attempts
-        this.revealWord(riddle.position);
+        this.revealWord(this.getWordKey(riddle));
 
         // Check if game is complete
-        if (this.state.revealedWords.size === 4) {
+        if (this.isGridRevealed()) {
           this.state.gameStatus = 'completed';
           this.calculateFinalScore();
         }
@@ -261,11 +332,11 @@ export class GameStateManager {
     const guessChars = guess.split('');
 
     // Pad guess if shorter
-    while (guessChars.length < 4) {
+    while (guessChars.length < answerChars.length) {
       guessChars.push('');
     }
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < answerChars.length; i++) {
       const guessChar = guessChars[i];
       
       if (!guessChar) {
@@ -284,7 +355,7 @@ export class GameStateManager {
 
   /**
    * Reveals a word in the grid
-   * @param {number} position - Position index (0-3)
+   * @param {number|string} position - Row index (0 to size - 1), or a key from getWordKey
    */
   revealWord(position) {
     this.state.revealedWords.add(position);
@@ -465,8 +536,8 @@ export class GameStateManager {
     let allCorrect = true;
     const feedback = [];
     
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.size; row++) {
+      for (let col = 0; col < this.size; col++) {
         // Normalize letters for comparison (handles Hebrew final forms, etc.)
         const playerLetter = RTLSupport.normalizeText(
           playerGrid[row][col].toUpperCase(),
@@ -513,7 +584,7 @@ export class GameStateManager {
     
     if (allCorrect) {
       // Mark all words as revealed
-      for (let i = 0; i < 4; i++) {
+      for (let i = 0; i < this.size; i++) {
         this.state.revealedWords.add(i);
       }
       this.state.gameStatus = 'completed';
@@ -110,8 +110,13 @@ export class PuzzleSanitizer {
       throw new Error('Invalid puzzle: riddles must be an array');
     }
 
-    if (puzzle.riddles.length !== 4) {
-      throw new Error('Invalid puzzle: must have exactly 4 riddles');
+    // One riddle per row (puzzles without a size are 4x4); double squares add one per column,
+    // and every bonus (diagonal) word adds one more
+    const size = puzzle.size || 4;
+    const bonusCount = Array.isArray(puzzle.bonusWords) ? puzzle.bonusWords.length : 0;
+    const expectedRiddles = (Array.isArray(puzzle.columnWords) ? size * 2 : size) + bonusCount;
+    if (puzzle.riddles.length !== expectedRiddles) {
+      throw new Error(`Invalid puzzle: must have exactly ${expectedRiddles} riddles`);
     }
 
     // Check puzzleId
@@ -69,7 +69,11 @@ const translations = {
     // Clear Button
     clearGrid: 'Clear grid',
     clearGridAriaLabel: 'Clear all letters from grid',
-    clearGridTitle: 'Clear all letters (Esc)'
+    clearGridTitle: 'Clear all letters (Esc)',
+
+    // Bonus Riddles
+    mainDiagonalRiddle: 'Bonus: main diagonal',
+    antiDiagonalRiddle: 'Bonus: anti-diagonal'
   },
   
   he: {
@@ -137,7 +141,11 @@ const translations = {
     // Clear Button
     clearGrid: 'נקה רשת',
     clearGridAriaLabel: 'נקה את כל האותיות מהרשת',
-    clearGridTitle: 'נקה את כל האותיות (Esc)'
+    clearGridTitle: 'נקה את כל האותיות (Esc)',
+
+    // Bonus Riddles
+    mainDiagonalRiddle: 'בונוס: אלכסון ראשי',
+    antiDiagonalRiddle: 'בונוס: אלכסון משני'
   }
 };
 
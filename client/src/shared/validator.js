@@ -7,7 +7,7 @@
 const schema = {
   "$schema": "http://json-schema.org/draft-07/schema#",
   "title": "Magic Four Squared Puzzle",
-  "description": "Schema for a 4x4 magic square word puzzle with riddles",
+  "description": "Schema for a 3x3, 4x4 or 5x5 magic square word puzzle with riddles",
   "type": "object",
   "required": ["puzzleId", "version", "language", "direction", "grid", "words", "riddles", "metadata"],
   "properties": {
@@ -31,15 +31,20 @@ const schema = {
       "description": "Text direction",
       "enum": ["ltr", "rtl"]
     },
+    "size": {
+      "type": "integer",
+      "description": "Grid size; rows, columns and word length all match it (default: 4)",
+      "enum": [3, 4, 5]
+    },
     "grid": {
       "type": "array",
-      "description": "4x4 grid of characters",
-      "minItems": 4,
-      "maxItems": 4,
+      "description": "size x size grid of characters",
+      "minItems": 3,
+      "maxItems": 5,
       "items": {
         "type": "array",
-        "minItems": 4,
-        "maxItems": 4,
+        "minItems": 3,
+        "maxItems": 5,
         "items": {
           "type": "string",
           "minLength": 1,
@@ -49,29 +54,61 @@ const schema = {
     },
     "words": {
       "type": "array",
-      "description": "The 4 words that form the magic square",
-      "minItems": 4,
-      "maxItems": 4,
+      "description": "The row words that form the magic square (one per row)",
+      "minItems": 3,
+      "maxItems": 5,
+      "items": {
+        "type": "string",
+        "minLength": 3,
+        "maxLength": 5
+      }
+    },
+    "columnWords": {
+      "type": "array",
+      "description": "Double squares only: the column words, all different from the row words",
+      "minItems": 3,
+      "maxItems": 5,
       "items": {
         "type": "string",
-        "minLength": 4,
-        "maxLength": 4
+        "minLength": 3,
+        "maxLength": 5
+      }
+    },
+    "bonusWords": {
+      "type": "array",
+      "description": "Extra words read along a diagonal, each with its own bonus riddle",
+      "maxItems": 2,
+      "items": {
+        "type": "object",
+        "required": ["kind", "word"],
+        "properties": {
+          "kind": {
+            "type": "string",
+            "description": "Where the word is read: top-left to bottom-right, or top-right to bottom-left",
+            "enum": ["main-diagonal", "anti-diagonal"]
+          },
+          "word": {
+            "type": "string",
+            "minLength": 3,
+            "maxLength": 5
+          }
+        }
       }
     },
     "riddles": {
       "type": "array",
-      "description": "Riddles for each word",
-      "minItems": 4,
-      "maxItems": 4,
+      "description": "Riddles for each word (rows, then columns for double squares, then one per bonus word)",
+      "minItems": 3,
+      "maxItems": 12,
       "items": {
         "type": "object",
         "required": ["id", "prompt", "answer", "solutionWord", "position"],
         "properties": {
           "id": {
             "type": "integer",
-            "description": "Riddle identifier (1-4)",
+            "description": "Riddle identifier (1 to the number of riddles)",
             "minimum": 1,
-            "maximum": 4
+            "maximum": 12
           },
           "prompt": {
             "type": "string",
@@ -81,14 +118,19 @@ const schema = {
           "answer": {
             "type": "string",
             "description": "The answer to the riddle (appears in the grid)",
-            "minLength": 4,
-            "maxLength": 4
+            "minLength": 3,
+            "maxLength": 5
           },
           "position": {
             "type": "integer",
-            "description": "Row/column index (0-3)",
+            "description": "Row/column index (0 to size - 1), or the bonusWords index for bonus riddles",
             "minimum": 0,
-            "maximum": 3
+            "maximum": 4
+          },
+          "orientation": {
+            "type": "string",
+            "description": "Where the answer is read: a row, a column or a bonus word's diagonal (default: row)",
+            "enum": ["row", "column", "main-diagonal", "anti-diagonal"]
           },
           "hint": {
             "type": "string",
@@ -114,12 +156,78 @@ const schema = {
           "type": "string",
           "description": "Puzzle difficulty level",
           "enum": ["easy", "medium", "hard"]
+        },
+        "theme": {
+          "type": "object",
+          "description": "Theme list the square was drawn from",
+          "required": ["name", "words"],
+          "properties": {
+            "name": {
+              "type": "string",
+              "description": "Theme name (the theme list's file name)"
+            },
+            "words": {
+              "type": "array",
+              "description": "Row words taken from the theme list",
+              "items": { "type": "string" }
+            }
+          }
+        },
+        "includedWords": {
+          "type": "array",
+          "description": "Words the square was required to use as rows",
+          "items": { "type": "string" }
+        },
+        "title": {
+          "type": "string",
+          "description": "Title shown in the manifest (default: size, difficulty and theme)"
+        },
+        "tags": {
+          "type": "array",
+          "description": "Labels copied to the manifest entry",
+          "items": { "type": "string", "minLength": 1 }
         }
       }
     }
   }
 };
 
+/**
+ * Grid sizes a puzzle may use (3x3 easy, 4x4 classic, 5x5 expert)
+ */
+export const SUPPORTED_SIZES = [3, 4, 5];
+
+/**
+ * Kinds of bonus word, each read along one diagonal of the grid
+ */
+export const BONUS_WORD_KINDS = ['main-diagonal', 'anti-diagonal'];
+
+/**
+ * Lists the grid cells a bonus word is read from, top row first
+ * @param {string} kind - 'main-diagonal' or 'anti-diagonal'
+ * @param {number} size - Grid size
+ * @returns {Array} - [row, col] pairs
+ */
+export function getBonusWordCells(kind, size) {
+  return Array.from({ length: size }, (_, row) => [row, kind === 'main-diagonal' ? row : size - 1 - row]);
+}
+
+/**
+ * Hebrew final letters and their regular forms
+ * Grid rows spell their words with final letters, so a diagonal or column
+ * crossing the last cell of a row is compared without them
+ */
+const FINAL_FORMS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+/**
+ * Folds final letters into their regular forms
+ * @param {string} text - Text to fold
+ * @returns {string} - Text without final forms
+ */
+function foldFinalForms(text) {
+  return [...text].map(char => FINAL_FORMS[char] || char).join('');
+}
+
 /**
  * Validates a puzzle object against the schema
  * @param {Object} puzzle - The puzzle object to validate
@@ -163,13 +271,20 @@ export function validatePuzzle(puzzle) {
     errors.push('direction must be either "ltr" or "rtl"');
   }
 
+  // Validate size (optional, puzzles without it are 4x4)
+  const size = 'size' in puzzle ? puzzle.size : 4;
+  if (!SUPPORTED_SIZES.includes(size)) {
+    errors.push(`size must be one of ${SUPPORTED_SIZES.join(', ')}`);
+    return { valid: false, errors };
+  }
+
   // Validate grid
-  if (!Array.isArray(puzzle.grid) || puzzle.grid.length !== 4) {
-    errors.push('grid must be an array of 4 rows');
+  if (!Array.isArray(puzzle.grid) || puzzle.grid.length !== size) {
+    errors.push(`grid must be an array of ${size} rows`);
   } else {
     puzzle.grid.forEach((row, i) => {
-      if (!Array.isArray(row) || row.length !== 4) {
-        errors.push(`grid row ${i} must contain exactly 4 characters`);
+      if (!Array.isArray(row) || row.length !== size) {
+        errors.push(`grid row ${i} must contain exactly ${size} characters`);
       } else {
         row.forEach((char, j) => {
           if (typeof char !== 'string' || char.length !== 1) {
@@ -181,22 +296,43 @@ export function validatePuzzle(puzzle) {
   }
 
   // Validate words
-  if (!Array.isArray(puzzle.words) || puzzle.words.length !== 4) {
-    errors.push('words must be an array of exactly 4 words');
+  if (!Array.isArray(puzzle.words) || puzzle.words.length !== size) {
+    errors.push(`words must be an array of exactly ${size} words`);
   } else {
     puzzle.words.forEach((word, i) => {
-      if (typeof word !== 'string' || word.length !== 4) {
-        errors.push(`words[${i}] must be a 4-character string`);
+      if (typeof word !== 'string' || word.length !== size) {
+        errors.push(`words[${i}] must be a ${size}-character string`);
       }
     });
   }
 
+  // Validate column words (double squares only)
+  const isDouble = 'columnWords' in puzzle;
+  if (isDouble) {
+    if (!Array.isArray(puzzle.columnWords) || puzzle.columnWords.length !== size) {
+      errors.push(`columnWords must be an array of exactly ${size} words`);
+    } else {
+      puzzle.columnWords.forEach((word, i) => {
+        if (typeof word !== 'string' || word.length !== size) {
+          errors.push(`columnWords[${i}] must be a ${size}-character string`);
+        }
+      });
+    }
+  }
+
+  // Validate bonus words (diagonal squares only)
+  const bonusWords = Array.isArray(puzzle.bonusWords) ? puzzle.bonusWords : [];
+  if ('bonusWords' in puzzle) {
+    errors.push(...validateBonusWords(puzzle.bonusWords, puzzle.grid, size));
+  }
+
   // Validate riddles
-  if (!Array.isArray(puzzle.riddles) || puzzle.riddles.length !== 4) {
-    errors.push('riddles must be an array of exactly 4 riddles');
+  const riddleCount = (isDouble ? size * 2 : size) + bonusWords.length;
+  if (!Array.isArray(puzzle.riddles) || puzzle.riddles.length !== riddleCount) {
+    errors.push(`riddles must be an array of exactly ${riddleCount} riddles`);
   } else {
     puzzle.riddles.forEach((riddle, i) => {
-      const riddleErrors = validateRiddle(riddle, i);
+      const riddleErrors = validateRiddle(riddle, i, riddleCount, size, bonusWords);
       errors.push(...riddleErrors);
     });
   }
@@ -211,6 +347,28 @@ export function validatePuzzle(puzzle) {
     if (!['easy', 'medium', 'hard'].includes(puzzle.metadata.difficulty)) {
       errors.push('metadata.difficulty must be "easy", "medium", or "hard"');
     }
+    if ('theme' in puzzle.metadata) {
+      const theme = puzzle.metadata.theme;
+      if (typeof theme !== 'object' || theme === null || typeof theme.name !== 'string' ||
+          !Array.isArray(theme.words) || !theme.words.every(word => typeof word === 'string')) {
+        errors.push('metadata.theme must be an object with a name and a words array');
+      }
+    }
+    if ('includedWords' in puzzle.metadata) {
+      const included = puzzle.metadata.includedWords;
+      if (!Array.isArray(included) || !included.every(word => typeof word === 'string')) {
+        errors.push('metadata.includedWords must be an array of strings');
+      }
+    }
+    if ('title' in puzzle.metadata && typeof puzzle.metadata.title !== 'string') {
+      errors.push('metadata.title must be a string');
+    }
+    if ('tags' in puzzle.metadata) {
+      const tags = puzzle.metadata.tags;
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag.length > 0)) {
+        errors.push('metadata.tags must be an array of non-empty strings');
+      }
+    }
   }
 
   return {
@@ -219,13 +377,62 @@ export function validatePuzzle(puzzle) {
   };
 }
 
+/**
+ * Validates the bonus words of a puzzle
+ * @param {Array} bonusWords - The puzzle's bonusWords
+ * @param {Array} grid - The puzzle grid (checked only if well-formed)
+ * @param {number} size - Grid size (word length)
+ * @returns {Array} - Array of error messages
+ */
+function validateBonusWords(bonusWords, grid, size) {
+  const errors = [];
+
+  if (!Array.isArray(bonusWords) || bonusWords.length > BONUS_WORD_KINDS.length) {
+    errors.push(`bonusWords must be an array of at most ${BONUS_WORD_KINDS.length} words`);
+    return errors;
+  }
+
+  const gridIsValid = Array.isArray(grid) && grid.length === size &&
+    grid.every(row => Array.isArray(row) && row.length === size);
+  const kinds = new Set();
+
+  bonusWords.forEach((bonus, i) => {
+    if (typeof bonus !== 'object' || bonus === null) {
+      errors.push(`bonusWords[${i}] must be an object`);
+      return;
+    }
+    if (!BONUS_WORD_KINDS.includes(bonus.kind)) {
+      errors.push(`bonusWords[${i}].kind must be one of ${BONUS_WORD_KINDS.join(', ')}`);
+      return;
+    }
+    if (kinds.has(bonus.kind)) {
+      errors.push(`bonusWords[${i}].kind "${bonus.kind}" is used twice`);
+    }
+    kinds.add(bonus.kind);
+
+    if (typeof bonus.word !== 'string' || bonus.word.length !== size) {
+      errors.push(`bonusWords[${i}].word must be a ${size}-character string`);
+    } else if (gridIsValid) {
+      const letters = getBonusWordCells(bonus.kind, size).map(([row, col]) => grid[row][col]).join('');
+      if (foldFinalForms(letters) !== foldFinalForms(bonus.word)) {
+        errors.push(`bonusWords[${i}].word does not match the grid's ${bonus.kind}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Validates a single riddle object
  * @param {Object} riddle - The riddle to validate
  * @param {number} index - The riddle index for error messages
+ * @param {number} riddleCount - Number of riddles in the puzzle (highest valid id)
+ * @param {number} size - Grid size (answer length)
+ * @param {Array} bonusWords - The puzzle's bonus words (for bonus riddles)
  * @returns {Array} - Array of error messages
  */
-function validateRiddle(riddle, index) {
+function validateRiddle(riddle, index, riddleCount = 4, size = 4, bonusWords = []) {
   const errors = [];
 
   if (typeof riddle !== 'object') {
@@ -242,8 +449,8 @@ function validateRiddle(riddle, index) {
   }
 
   // Validate id
-  if (typeof riddle.id !== 'number' || riddle.id < 1 || riddle.id > 4) {
-    errors.push(`riddles[${index}].id must be a number between 1 and 4`);
+  if (typeof riddle.id !== 'number' || riddle.id < 1 || riddle.id > riddleCount) {
+    errors.push(`riddles[${index}].id must be a number between 1 and ${riddleCount}`);
   }
 
   // Validate prompt
@@ -252,13 +459,26 @@ function validateRiddle(riddle, index) {
   }
 
   // Validate answer
-  if (typeof riddle.answer !== 'string' || riddle.answer.length !== 4) {
-    errors.push(`riddles[${index}].answer must be a 4-character string`);
+  if (typeof riddle.answer !== 'string' || riddle.answer.length !== size) {
+    errors.push(`riddles[${index}].answer must be a ${size}-character string`);
   }
 
   // Validate position
-  if (typeof riddle.position !== 'number' || riddle.position < 0 || riddle.position > 3) {
-    errors.push(`riddles[${index}].position must be a number between 0 and 3`);
+  if (typeof riddle.position !== 'number' || riddle.position < 0 || riddle.position > size - 1) {
+    errors.push(`riddles[${index}].position must be a number between 0 and ${size - 1}`);
+  }
+
+  // Validate orientation
+  if ('orientation' in riddle && !['row', 'column', ...BONUS_WORD_KINDS].includes(riddle.orientation)) {
+    errors.push(`riddles[${index}].orientation must be "row", "column", ${BONUS_WORD_KINDS.map(kind => `"${kind}"`).join(' or ')}`);
+  }
+
+  // Bonus riddles point at their word through position
+  if (BONUS_WORD_KINDS.includes(riddle.orientation)) {
+    const bonus = bonusWords[riddle.position];
+    if (!bonus || bonus.kind !== riddle.orientation) {
+      errors.push(`riddles[${index}].position must point to the ${riddle.orientation} in bonusWords`);
+    }
   }
 
   return errors;
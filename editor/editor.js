@@ -75,6 +75,26 @@ const translations = {
 
 let currentLanguage = 'en';
 
+// Blocked words per language, fetched from the same files the CLI uses
+const blocklists = {};
+
+// Load the blocklist for a language (missing list = nothing blocked)
+// Imported lazily so the editor still works when served without shared/
+async function loadBlocklist(language) {
+  if (blocklists[language]) return;
+
+  try {
+    const { Blocklist } = await import('../shared/Blocklist.js');
+    const response = await fetch(`../shared/blocklists/${language}.txt`);
+    blocklists[language] = {
+      words: response.ok ? Blocklist.parse(await response.text(), language) : new Set(),
+      findBlocked: words => Blocklist.findBlocked(words, blocklists[language].words, language)
+    };
+  } catch (error) {
+    console.warn(`Could not load ${language} blocklist:`, error);
+  }
+}
+
 // Get translation
 function t(key) {
   return translations[currentLanguage][key] || translations.en[key] || key;
@@ -144,6 +164,7 @@ function init() {
   createRiddleCards();
   setupEventListeners();
   updateUILanguage();
+  loadBlocklist(currentLanguage);
 }
 
 // Create the 4x4 grid
@@ -335,6 +356,14 @@ function validatePuzzleData(puzzle) {
     }
   });
 
+  // Check words against the shared blocklist
+  const blocklist = blocklists[puzzle.language];
+  if (blocklist) {
+    blocklist.findBlocked(puzzle.words).forEach(word => {
+      errors.push(`Word "${word}" is on the ${puzzle.language} blocklist`);
+    });
+  }
+
   // Check riddles
   puzzle.riddles.forEach((riddle, i) => {
     if (!riddle.prompt) errors.push(`Riddle ${i + 1}: Prompt is required`);
@@ -680,6 +709,9 @@ function setupEventListeners() {
 
     // Update all UI text
     updateUILanguage();
+
+    // Fetch the blocklist used by validation
+    loadBlocklist(lang);
   });
 }
 
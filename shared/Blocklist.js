@@ -0,0 +1,68 @@
+/**
+ * Blocklist - Words that must never appear in a puzzle
+ * Shared by the CLI word list loader and the puzzle editor, so both reject
+ * the same words. Lists live in shared/blocklists/<language>.txt
+ * Entries and words are compared uppercased and, in languages with final
+ * letter forms (Hebrew ך ם ן ף ץ), on the regular forms, so an entry matches
+ * however its last letter is written
+ */
+
+export class Blocklist {
+  /**
+   * Final form to regular form, per language
+   */
+  static FINAL_FORMS = {
+    he: { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' }
+  };
+
+  /**
+   * Spells a word the way blocklist entries are compared
+   * @param {string} word - Word in any spelling
+   * @param {string} language - Language code (optional)
+   * @returns {string} - Uppercased word with final forms folded into regular forms
+   */
+  static normalize(word, language = null) {
+    const finals = this.FINAL_FORMS[language];
+    const upper = word.toUpperCase();
+    return finals ? [...upper].map(char => finals[char] || char).join('') : upper;
+  }
+
+  /**
+   * Parses blocklist text: one word per line, '#' starts a comment
+   * @param {string} text - Blocklist file content
+   * @param {string} language - Language code (optional)
+   * @returns {Set} - Blocked words, normalized
+   */
+  static parse(text, language = null) {
+    const words = new Set();
+    text.split('\n').forEach(line => {
+      const word = line.replace(/#.*$/, '').trim();
+      if (word.length > 0) {
+        words.add(this.normalize(word, language));
+      }
+    });
+    return words;
+  }
+
+  /**
+   * Checks whether a word is blocked
+   * @param {string} word - Word to check
+   * @param {Set} blocked - Blocked words from parse()
+   * @param {string} language - Language code, as given to parse() (optional)
+   * @returns {boolean} - True if the word is on the list
+   */
+  static isBlocked(word, blocked, language = null) {
+    return blocked.has(this.normalize(word, language));
+  }
+
+  /**
+   * Lists the blocked words among a set of words
+   * @param {Array} words - Words to check
+   * @param {Set} blocked - Blocked words from parse()
+   * @param {string} language - Language code, as given to parse() (optional)
+   * @returns {Array} - Blocked words, in input order
+   */
+  static findBlocked(words, blocked, language = null) {
+    return words.filter(word => this.isBlocked(word, blocked, language));
+  }
+}
@@ -58,7 +58,7 @@ describe('CLI Integration Tests', () => {
 
   it('should generate puzzles from word list', () => {
     const output = execSync(
-      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 1`,
+      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 1 --provider mock --no-cache --no-config`,
       { encoding: 'utf-8' }
     );
 
@@ -71,7 +71,7 @@ describe('CLI Integration Tests', () => {
 
   it('should create valid JSON artifacts', () => {
     execSync(
-      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 1`,
+      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 1 --provider mock --no-cache --no-config`,
       { encoding: 'utf-8' }
     );
 
@@ -94,7 +94,7 @@ describe('CLI Integration Tests', () => {
 
   it('should respect count parameter', () => {
     execSync(
-      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 2`,
+      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --language en --count 2 --provider mock --no-cache --no-config`,
       { encoding: 'utf-8' }
     );
 
@@ -105,7 +105,7 @@ describe('CLI Integration Tests', () => {
   it('should handle invalid word list file', () => {
     try {
       execSync(
-        'node cli/index.js --wordlist non-existent.txt --output ${testOutput}',
+        `node cli/index.js --wordlist non-existent.txt --output ${testOutput}`,
         { encoding: 'utf-8', stdio: 'pipe' }
       );
       expect.fail('Should have thrown an error');
@@ -140,4 +140,182 @@ describe('CLI Integration Tests', () => {
       expect(error.stderr.toString()).toContain('count');
     }
   });
+
+  it('should reject unknown options', () => {
+    try {
+      execSync(
+        `node cli/index.js --wordlist ${testWordlist} --colour red`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      );
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr.toString()).toContain('Unknown option: --colour');
+    }
+  });
+
+  it('should reject unknown commands', () => {
+    try {
+      execSync('node cli/index.js frobnicate', { encoding: 'utf-8', stdio: 'pipe' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr.toString()).toContain('Unknown command: frobnicate');
+    }
+  });
+
+  it('should list every command in the help', () => {
+    const output = execSync('node cli/index.js --help', { encoding: 'utf-8' });
+
+    ['generate', 'enumerate', 'cache', 'validate', 'lint', 'encode', 'decode'].forEach(command => {
+      expect(output).toContain(command);
+    });
+  });
+
+  it('should show per-command help', () => {
+    const output = execSync('node cli/index.js encode --help', { encoding: 'utf-8' });
+
+    expect(output).toContain('node cli/index.js encode <file>');
+    expect(output).toContain('--base-url');
+    expect(output).not.toContain('--wordlist');
+    expect(execSync('node cli/index.js help decode', { encoding: 'utf-8' })).toContain('decode <url|string>');
+  });
+
+  it('should encode a puzzle into a share URL and decode it back', () => {
+    const url = execSync(
+      'node cli/index.js encode client/puzzles/sample-en.json --base-url https://example.com',
+      { encoding: 'utf-8' }
+    ).trim();
+
+    expect(url).toMatch(/^https:\/\/example\.com\/\?p=[A-Za-z0-9_-]+$/);
+
+    const decoded = execSync(`node cli/index.js decode '${url}'`, { encoding: 'utf-8' });
+    expect(JSON.parse(decoded)).toEqual(JSON.parse(readFileSync('client/puzzles/sample-en.json', 'utf-8')));
+  });
+
+  it('should fail to decode text that is not a puzzle', () => {
+    try {
+      execSync('node cli/index.js decode not-a-puzzle', { encoding: 'utf-8', stdio: 'pipe' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr.toString()).toContain('Failed to decode puzzle');
+    }
+  });
+
+  it('should exit 1 when validate finds problems', () => {
+    writeFileSync(testWordlist.replace('.txt', '.json'), '{"grid": []}', 'utf-8');
+    try {
+      execSync(`node cli/index.js validate ${testWordlist.replace('.txt', '.json')}`, { encoding: 'utf-8', stdio: 'pipe' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stdout.toString()).toContain('[schema] Missing required field: puzzleId');
+    } finally {
+      unlinkSync(testWordlist.replace('.txt', '.json'));
+    }
+  });
+
+  it('should print events and a summary as NDJSON', () => {
+    const output = execSync(
+      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --count 1 --provider mock --no-cache --ndjson --quiet --no-config`,
+      { encoding: 'utf-8', stdio: 'pipe' }
+    );
+    const events = output.trim().split('\n').map(line => JSON.parse(line));
+    const types = events.map(event => event.type);
+
+    expect(types[0]).toBe('wordlist-loaded');
+    expect(types).toContain('square-found');
+    expect(types).toContain('riddle-generated');
+    expect(types[types.length - 1]).toBe('summary');
+    expect(events[events.length - 1]).toMatchObject({ squares: 1, output: testOutput });
+  }, 30000);
+
+  it('should exit 1 and report ok: false when every puzzle is rejected', () => {
+    writeFileSync('test-cli-config.json', JSON.stringify({ quality: { 'prompt-length': { severity: 'error', max: 5 } } }), 'utf-8');
+    try {
+      execSync(
+        `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --count 1 --provider mock --no-cache --quality-retries 0 --config test-cli-config.json --ndjson --quiet`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      );
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      const events = error.stdout.toString().trim().split('\n').map(line => JSON.parse(line));
+      expect(events[events.length - 1]).toMatchObject({ type: 'summary', ok: false, written: [], rejected: 1 });
+    } finally {
+      unlinkSync('test-cli-config.json');
+    }
+  }, 30000);
+
+  it('should count puzzles left by quitting a review as unreviewed, not rejected', () => {
+    const review = input => execSync(
+      `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --count 1 --provider mock --no-cache --no-config --review --strict --json --quiet`,
+      { encoding: 'utf-8', stdio: 'pipe', input }
+    );
+
+    const quit = JSON.parse(review('q\n'));
+    expect(quit.summary).toMatchObject({ ok: true, written: [], rejected: 0, unreviewed: 1 });
+    expect(quit.events.filter(event => event.type === 'rejected')).toEqual([]);
+
+    try {
+      review('r\n');
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(JSON.parse(error.stdout.toString()).summary).toMatchObject({ ok: false, rejected: 1, unreviewed: 0 });
+    }
+  }, 30000);
+
+  it('should write riddles from a dictionary file with --provider dictionary', () => {
+    const dictionary = 'test-cli-dictionary.tsv';
+    writeFileSync(dictionary, [
+      'ABLE\tHaving the skill or means to do something.\tCapable.',
+      'BARE\tNot covered by clothing.\tUncovered.',
+      'LREA\tA made-up row word used in tests.\tOnly in tests.',
+      'EEAR\tAnother invented word for checking grids.\tNot in any real list.',
+      'CARE\tLooking after someone.',
+      'DARE\tA challenge to do something risky.',
+      'RARE\tNot found very often.',
+      'WARE\tGoods offered for sale.'
+    ].join('\n'), 'utf-8');
+    try {
+      const output = execSync(
+        `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --count 1 --provider dictionary --dictionary ${dictionary} --ndjson --quiet --no-config`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      );
+      const events = output.trim().split('\n').map(line => JSON.parse(line));
+      const summary = events[events.length - 1];
+
+      expect(summary).toMatchObject({ type: 'summary', ok: true, rejected: 0, failedCalls: [] });
+      expect(summary.written).toHaveLength(1);
+      const puzzle = JSON.parse(readFileSync(summary.written[0], 'utf-8'));
+      expect(puzzle.riddles.find(riddle => riddle.answer === 'ABLE').prompt).toBe('Having the skill or means to do something.');
+    } finally {
+      unlinkSync(dictionary);
+    }
+  }, 30000);
+
+  it('should explain that the dictionary provider needs a dictionary file', () => {
+    try {
+      execSync(
+        `node cli/index.js --wordlist ${testWordlist} --output ${testOutput} --count 1 --provider dictionary --language xx --no-config`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      );
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr.toString()).toContain('No dictionary for language "xx"');
+    }
+  });
+
+  it('should require files for validate', () => {
+    try {
+      execSync('node cli/index.js validate', { encoding: 'utf-8', stdio: 'pipe' });
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.status).toBe(1);
+      expect(error.stderr.toString()).toContain('validate needs at least one puzzle file');
+    }
+  });
 });
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { existsSync, unlinkSync, readdirSync, readFileSync } from 'fs';
 import { ArtifactWriter } from '../../cli/modules/ArtifactWriter.js';
+import { SeededRandom } from '../../cli/modules/SeededRandom.js';
 
 describe('ArtifactWriter', () => {
   const testOutputPath = 'test-puzzle.json';
@@ -78,6 +79,24 @@ describe('ArtifactWriter', () => {
       expect(puzzle.metadata.createdAt).toBeTruthy();
     });
 
+    it('should record the theme and included words in metadata', () => {
+      const puzzle = ArtifactWriter.createPuzzle(
+        { ...validMagicSquare, themeWords: ['ABLE'] },
+        validRiddles,
+        { theme: 'food', includedWords: ['BARE'] }
+      );
+
+      expect(puzzle.metadata.theme).toEqual({ name: 'food', words: ['ABLE'] });
+      expect(puzzle.metadata.includedWords).toEqual(['BARE']);
+    });
+
+    it('should leave theme fields out of unthemed puzzles', () => {
+      const puzzle = ArtifactWriter.createPuzzle(validMagicSquare, validRiddles, { includedWords: [] });
+
+      expect(puzzle.metadata).not.toHaveProperty('theme');
+      expect(puzzle.metadata).not.toHaveProperty('includedWords');
+    });
+
     it('should use default values when metadata is not provided', () => {
       const puzzle = ArtifactWriter.createPuzzle(validMagicSquare, validRiddles);
 
@@ -107,6 +126,20 @@ describe('ArtifactWriter', () => {
       expect(puzzle.riddles[2].id).toBe(3);
       expect(puzzle.riddles[3].id).toBe(4);
     });
+
+    it('should create identical puzzles from the same seed and timestamp', () => {
+      const options = () => ({
+        random: new SeededRandom('fixed'),
+        createdAt: '1970-01-01T00:00:00.000Z'
+      });
+
+      const puzzle1 = ArtifactWriter.createPuzzle(validMagicSquare, validRiddles, {}, options());
+      const puzzle2 = ArtifactWriter.createPuzzle(validMagicSquare, validRiddles, {}, options());
+
+      expect(puzzle1).toEqual(puzzle2);
+      expect(puzzle1.puzzleId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(puzzle1.metadata.createdAt).toBe('1970-01-01T00:00:00.000Z');
+    });
   });
 
   describe('write', () => {
@@ -189,6 +222,14 @@ describe('ArtifactWriter', () => {
       expect(filename).toContain('he');
       expect(filename).toContain('5');
     });
+
+    it('should use a seeded suffix instead of the timestamp', () => {
+      const filename1 = ArtifactWriter.generateFilename('en', 1, new SeededRandom('fixed'));
+      const filename2 = ArtifactWriter.generateFilename('en', 1, new SeededRandom('fixed'));
+
+      expect(filename1).toMatch(/^puzzle-en-1-[0-9a-f]{12}\.json$/);
+      expect(filename1).toBe(filename2);
+    });
   });
 
   describe('validateBeforeWrite', () => {
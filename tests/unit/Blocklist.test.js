@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { Blocklist } from '../../shared/Blocklist.js';
+
+describe('Blocklist', () => {
+  describe('parse', () => {
+    it('should read one uppercased word per line', () => {
+      const blocked = Blocklist.parse('able\nBARE\n  care  \n');
+
+      expect([...blocked]).toEqual(['ABLE', 'BARE', 'CARE']);
+    });
+
+    it('should skip comments and blank lines', () => {
+      const blocked = Blocklist.parse('# heading\n\nABLE # trailing note\n#BARE\n');
+
+      expect([...blocked]).toEqual(['ABLE']);
+    });
+
+    it('should handle Windows line endings', () => {
+      const blocked = Blocklist.parse('ABLE\r\nBARE\r\n');
+
+      expect(blocked.has('ABLE')).toBe(true);
+      expect(blocked.has('BARE')).toBe(true);
+    });
+  });
+
+  describe('isBlocked', () => {
+    it('should match case-insensitively', () => {
+      const blocked = Blocklist.parse('ABLE');
+
+      expect(Blocklist.isBlocked('able', blocked)).toBe(true);
+      expect(Blocklist.isBlocked('ABLY', blocked)).toBe(false);
+    });
+
+    it('should match Hebrew entries however the final letter is written', () => {
+      const blocked = Blocklist.parse('מלונ\nשלום', 'he');
+
+      // What the editor checks a puzzle's words with
+      expect(Blocklist.findBlocked(['מלון', 'ספרה', 'שלומ'], blocked, 'he')).toEqual(['מלון', 'שלומ']);
+    });
+  });
+
+  describe('findBlocked', () => {
+    it('should return blocked words in input order', () => {
+      const blocked = Blocklist.parse('DARE\nABLE');
+
+      expect(Blocklist.findBlocked(['ABLE', 'BARE', 'DARE'], blocked)).toEqual(['ABLE', 'DARE']);
+    });
+  });
+
+  describe('shared lists', () => {
+    it('should parse the shipped English blocklist', () => {
+      const blocked = Blocklist.parse(readFileSync('shared/blocklists/en.txt', 'utf-8'));
+
+      expect(blocked.size).toBeGreaterThan(0);
+      blocked.forEach(word => expect(word).toMatch(/^[A-Z]+$/));
+    });
+  });
+});
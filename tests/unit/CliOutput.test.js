@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { CliOutput } from '../../cli/modules/CliOutput.js';
+
+describe('CliOutput', () => {
+  const createStream = () => {
+    const stream = { text: '', write: chunk => { stream.text += chunk; } };
+    return stream;
+  };
+
+  let restoreConsole = () => {};
+
+  afterEach(() => {
+    restoreConsole();
+  });
+
+  describe('event', () => {
+    it('should print nothing in text mode', () => {
+      const stream = createStream();
+      const output = new CliOutput({ stream });
+
+      output.event('square-found', { index: 1 });
+      output.finish({ ok: true });
+
+      expect(stream.text).toBe('');
+    });
+
+    it('should print one line per event in ndjson mode, the summary last', () => {
+      const stream = createStream();
+      const output = new CliOutput({ format: 'ndjson', stream });
+
+      output.event('square-found', { index: 1, words: ['ABLE'] });
+      output.finish({ ok: true });
+
+      expect(stream.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+        { type: 'square-found', index: 1, words: ['ABLE'] },
+        { type: 'summary', ok: true }
+      ]);
+    });
+
+    it('should print a single document at the end in json mode', () => {
+      const stream = createStream();
+      const output = new CliOutput({ format: 'json', stream });
+
+      output.event('wordlist-loaded', { words: 8 });
+      expect(stream.text).toBe('');
+
+      output.finish({ ok: false, error: 'No magic squares found in the word list' });
+      expect(JSON.parse(stream.text)).toEqual({
+        summary: { ok: false, error: 'No magic squares found in the word list' },
+        events: [{ type: 'wordlist-loaded', words: 8 }]
+      });
+    });
+  });
+
+  describe('captureConsole', () => {
+    it('should leave the console alone in text mode', () => {
+      const log = console.log;
+
+      restoreConsole = new CliOutput().captureConsole();
+
+      expect(console.log).toBe(log);
+    });
+
+    it('should send logs to stderr in structured modes and restore them', () => {
+      const log = console.log;
+      const error = console.error;
+      const lines = [];
+      console.error = (...args) => lines.push(args.join(' '));
+
+      try {
+        restoreConsole = new CliOutput({ format: 'ndjson', stream: createStream() }).captureConsole();
+        console.log('Loaded', 8, 'words');
+        console.warn('careful');
+        restoreConsole();
+      } finally {
+        console.error = error;
+      }
+
+      expect(lines).toEqual(['Loaded 8 words', 'careful']);
+      expect(console.log).toBe(log);
+    });
+
+    it('should drop logs but keep errors when quiet', () => {
+      const error = console.error;
+      const lines = [];
+      console.error = (...args) => lines.push(args.join(' '));
+
+      try {
+        restoreConsole = new CliOutput({ quiet: true }).captureConsole();
+        console.log('Loaded 8 words');
+        console.error('Error: boom');
+        restoreConsole();
+      } finally {
+        console.error = error;
+      }
+
+      expect(lines).toEqual(['Error: boom']);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { CommandLine } from '../../cli/modules/CommandLine.js';
+
+describe('CommandLine', () => {
+  const options = {
+    '--count': { key: 'count', type: 'int' },
+    '--timeout': { key: 'timeout', type: 'float' },
+    '--name': { key: 'name' },
+    '--include': { key: 'include', type: 'list' },
+    '--double': { key: 'double', type: 'boolean' },
+    '--no-cache': { key: 'cache', type: 'boolean', value: false },
+    '--workers': { key: 'workers', parse: value => (value === 'auto' ? 8 : parseInt(value, 10)) }
+  };
+  const defaults = { count: 5, timeout: 30, name: null, include: [], double: false, cache: true, workers: 1 };
+
+  describe('parse', () => {
+    it('should start from the defaults', () => {
+      const config = CommandLine.parse([], options, defaults);
+
+      expect(config).toEqual({ ...defaults, positionals: [], help: false });
+    });
+
+    it('should convert values by type', () => {
+      const config = CommandLine.parse(
+        ['--count', '3', '--timeout=2.5', '--name', 'x', '--double', '--no-cache', '--workers', 'auto'],
+        options,
+        defaults
+      );
+
+      expect(config).toMatchObject({ count: 3, timeout: 2.5, name: 'x', double: true, cache: false, workers: 8 });
+    });
+
+    it('should collect repeated list flags without touching the defaults', () => {
+      const config = CommandLine.parse(['--include', 'CAKE', '--include', 'TEAR'], options, defaults);
+
+      expect(config.include).toEqual(['CAKE', 'TEAR']);
+      expect(defaults.include).toEqual([]);
+    });
+
+    it('should keep positionals in order', () => {
+      const config = CommandLine.parse(['a.json', '--count', '2', 'b.json', '--', '--c.json'], options, defaults);
+
+      expect(config.positionals).toEqual(['a.json', 'b.json', '--c.json']);
+    });
+
+    it('should flag a help request', () => {
+      expect(CommandLine.parse(['-h'], options, defaults).help).toBe(true);
+      expect(CommandLine.parse(['--help'], options, defaults).help).toBe(true);
+    });
+
+    it('should leave unparseable numbers as NaN', () => {
+      expect(CommandLine.parse(['--count', 'many'], options, defaults).count).toBeNaN();
+    });
+
+    it('should not add list flags that were not given', () => {
+      expect(CommandLine.parse([], options)).toEqual({ positionals: [], help: false });
+    });
+
+    it('should reject unknown flags and missing values', () => {
+      expect(() => CommandLine.parse(['--colour', 'red'], options, defaults)).toThrow('Unknown option: --colour');
+      expect(() => CommandLine.parse(['--count'], options, defaults)).toThrow('--count needs a value');
+      expect(() => CommandLine.parse(['--double=yes'], options, defaults)).toThrow('does not take a value');
+    });
+  });
+
+  describe('fromSettings', () => {
+    it('should convert string values like flags and keep typed values', () => {
+      const config = CommandLine.fromSettings(
+        { count: '4', timeout: 10, workers: 'auto', name: 'x', include: ['CAKE'], cache: false },
+        options,
+        'test.json'
+      );
+
+      expect(config).toEqual({ count: 4, timeout: 10, workers: 8, name: 'x', include: ['CAKE'], cache: false });
+    });
+
+    it('should reject unknown settings and wrong types', () => {
+      expect(() => CommandLine.fromSettings({ colour: 'red' }, options, 'test.json'))
+        .toThrow('Unknown setting "colour" in test.json');
+      expect(() => CommandLine.fromSettings({ double: 'yes' }, options, 'test.json')).toThrow('true or false');
+      expect(() => CommandLine.fromSettings({ include: 'CAKE' }, options, 'test.json')).toThrow('array of strings');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Dictionary } from '../../cli/modules/Dictionary.js';
+
+describe('Dictionary', () => {
+  describe('parseTsv', () => {
+    it('should read senses and optional hints', () => {
+      const dictionary = Dictionary.parseTsv(
+        '# comment\nrent\tMoney paid to use a flat\tTenants pay it\n\nDATE\tThe day of the month\nDATE\tA sweet fruit\n',
+        'en'
+      );
+
+      expect(dictionary.get('RENT')).toEqual([{ definition: 'Money paid to use a flat', hint: 'Tenants pay it' }]);
+      expect(dictionary.get('DATE')).toHaveLength(2);
+    });
+
+    it('should key Hebrew words by their display spelling', () => {
+      const dictionary = Dictionary.parseTsv('שלומ\tמצב של רוגע\n', 'he');
+
+      expect(dictionary.has('שלום')).toBe(true);
+    });
+  });
+
+  describe('parseJson', () => {
+    it('should accept strings, lists and objects', () => {
+      const dictionary = Dictionary.parseJson(JSON.stringify({
+        card: 'A piece of stiff paper',
+        date: ['The day of the month', 'A sweet fruit'],
+        rent: [{ definition: 'Money paid to use a flat', hint: 'Tenants pay it' }]
+      }), 'en');
+
+      expect(dictionary.get('CARD')).toEqual([{ definition: 'A piece of stiff paper', hint: null }]);
+      expect(dictionary.get('DATE')).toHaveLength(2);
+      expect(dictionary.get('RENT')[0].hint).toBe('Tenants pay it');
+    });
+
+    it('should reject anything but an object', () => {
+      expect(() => Dictionary.parseJson('[]', 'en')).toThrow('expected an object');
+    });
+  });
+
+  describe('load', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'dictionary-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should pick the format from the extension', () => {
+      writeFileSync(join(dir, 'en.json'), '{"CARD": "A piece of stiff paper"}', 'utf-8');
+      writeFileSync(join(dir, 'en.tsv'), 'CARD\tA piece of stiff paper\n', 'utf-8');
+
+      expect(Dictionary.load(join(dir, 'en.json'), 'en')).toEqual(Dictionary.load(join(dir, 'en.tsv'), 'en'));
+    });
+
+    it('should report missing and malformed files', () => {
+      writeFileSync(join(dir, 'bad.json'), '{ nope', 'utf-8');
+
+      expect(() => Dictionary.load(join(dir, 'missing.tsv'), 'en')).toThrow('Dictionary file not found');
+      expect(() => Dictionary.load(join(dir, 'bad.json'), 'en')).toThrow('Error reading dictionary');
+    });
+  });
+
+  describe('buildRiddle', () => {
+    it('should prefer a definition that does not mention the answer', () => {
+      const riddle = Dictionary.buildRiddle('TEAR', [
+        { definition: 'A tear in the fabric', hint: null },
+        { definition: 'a drop of liquid from the eye;', hint: null }
+      ], 'en');
+
+      expect(riddle.riddle).toBe('A drop of liquid from the eye.');
+      expect(riddle.hint).toBe('Another meaning: A this in the fabric.');
+      expect(riddle.explanation).toBe('"TEAR" means a drop of liquid from the eye.');
+    });
+
+    it('should mask the answer and words built on it', () => {
+      const riddle = Dictionary.buildRiddle('TEAR', [{ definition: 'What tears do when tearing paper', hint: null }], 'en');
+
+      expect(riddle.riddle).toBe('What this do when this paper.');
+      expect(riddle.riddle.toUpperCase()).not.toContain('TEAR');
+    });
+
+    it('should mask inflections that change the spelling', () => {
+      const riddle = Dictionary.buildRiddle('CARRY', [{ definition: 'What a porter does; he carries bags', hint: null }], 'en');
+
+      expect(riddle.riddle).toBe('What a porter does; he this bags.');
+    });
+
+    it('should leave alone unrelated words that start with or contain the answer', () => {
+      const art = Dictionary.buildRiddle('ART', [{ definition: 'What an artist makes, as an article explains', hint: null }], 'en');
+      const book = Dictionary.buildRiddle('ספר', [{ definition: 'ירק ירוק כמו אספרגוס', hint: null }], 'he');
+
+      expect(art.riddle).toBe('What an artist makes, as an article explains.');
+      expect(book.riddle).toBe('ירק ירוק כמו אספרגוס.');
+    });
+
+    it('should use the hint column, or the length when there is nothing else', () => {
+      expect(Dictionary.buildRiddle('RENT', [{ definition: 'Money paid to use a flat', hint: 'Tenants pay it' }], 'en').hint)
+        .toBe('Tenants pay it.');
+      expect(Dictionary.buildRiddle('AREA', [{ definition: 'A region', hint: null }], 'en').hint)
+        .toBe('A 4-letter word.');
+    });
+
+    it('should find Hebrew answers behind prefixes and final letters', () => {
+      const riddle = Dictionary.buildRiddle('שלום', [{ definition: 'ברכה לשלומ ולפרידה', hint: null }], 'he');
+
+      expect(riddle.riddle).toBe('ברכה זה ולפרידה.');
+      expect(riddle.hint).toBe('מילה בת 4 אותיות.');
+    });
+  });
+});
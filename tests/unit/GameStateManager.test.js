@@ -329,4 +329,101 @@ describe('GameStateManager', () => {
       expect(newGameState.hasSeenWelcome()).toBe(true);
     });
   });
+
+  describe('Grid sizes', () => {
+    const puzzleOfSize = (words) => ({
+      puzzleId: `test-size-${words.length}`,
+      language: 'en',
+      direction: 'ltr',
+      size: words.length,
+      grid: words.map(word => word.split('')),
+      words,
+      riddles: words.map((word, i) => ({ id: i + 1, prompt: `Riddle ${i + 1}`, answer: word, position: i }))
+    });
+
+    it('should create a 3x3 grid for 3x3 puzzles', () => {
+      const state = new GameStateManager(puzzleOfSize(['BAT', 'ARE', 'TEN']));
+      const grid = state.getPlayerGrid();
+
+      expect(grid).toHaveLength(3);
+      expect(grid[0]).toHaveLength(3);
+    });
+
+    it('should ignore cells outside a 3x3 grid', () => {
+      const state = new GameStateManager(puzzleOfSize(['BAT', 'ARE', 'TEN']));
+
+      state.updateCell(3, 3, 'X');
+
+      expect(state.getCell(3, 3)).toBe('');
+    });
+
+    it('should validate a complete 5x5 grid', () => {
+      const words = ['HEART', 'EMBER', 'ABUSE', 'RESIN', 'TREND'];
+      const state = new GameStateManager(puzzleOfSize(words));
+
+      words.forEach((word, row) => {
+        word.split('').forEach((letter, col) => state.updateCell(row, col, letter));
+      });
+
+      expect(state.isGridComplete()).toBe(true);
+      const result = state.validateFullGrid();
+      expect(result.correct).toBe(true);
+      expect(result.feedback).toHaveLength(25);
+    });
+  });
+
+  describe('Riddle orientations', () => {
+    const doubleSquare = {
+      puzzleId: 'test-double',
+      language: 'en',
+      direction: 'ltr',
+      size: 3,
+      grid: [['B', 'A', 'T'], ['O', 'R', 'E'], ['W', 'E', 'N']],
+      words: ['BAT', 'ORE', 'WEN'],
+      columnWords: ['BOW', 'ARE', 'TEN'],
+      bonusWords: [{ word: 'BRN', kind: 'main-diagonal' }],
+      riddles: [
+        { id: 1, prompt: 'Riddle 1', answer: 'BAT', position: 0, orientation: 'row' },
+        { id: 2, prompt: 'Riddle 2', answer: 'ARE', position: 1, orientation: 'column' },
+        { id: 3, prompt: 'Riddle 3', answer: 'BRN', position: 0, orientation: 'main-diagonal' }
+      ]
+    };
+
+    it('should reveal the column of a column riddle, not a row', () => {
+      const state = new GameStateManager(doubleSquare);
+
+      const result = state.submitAnswer(2, 'ARE');
+
+      expect(result.correct).toBe(true);
+      expect(state.getRiddleCells(doubleSquare.riddles[1])).toEqual([[0, 1], [1, 1], [2, 1]]);
+      expect(state.isCellRevealed(2, 1)).toBe(true);
+      expect(state.isCellRevealed(1, 0)).toBe(false);
+      expect(state.isWordRevealed(1)).toBe(false);
+      expect(state.isRiddleRevealed(doubleSquare.riddles[0])).toBe(false);
+    });
+
+    it('should reveal the diagonal of a bonus riddle', () => {
+      const state = new GameStateManager(doubleSquare);
+
+      state.submitAnswer(3, 'BRN');
+
+      expect([[0, 0], [1, 1], [2, 2]].every(([row, col]) => state.isCellRevealed(row, col))).toBe(true);
+      expect(state.isCellRevealed(0, 1)).toBe(false);
+      expect(state.isGameComplete()).toBe(false);
+    });
+
+    it('should complete the game only once the revealed words cover the grid', () => {
+      const state = new GameStateManager({
+        ...doubleSquare,
+        riddles: doubleSquare.columnWords.map((word, i) => ({ id: i + 1, prompt: `Riddle ${i + 1}`, answer: word, position: i, orientation: 'column' }))
+      });
+
+      state.submitAnswer(1, 'BOW');
+      state.submitAnswer(2, 'ARE');
+      expect(state.isGameComplete()).toBe(false);
+
+      state.submitAnswer(3, 'TEN');
+      expect(state.isGameComplete()).toBe(true);
+    });
+  });
 });
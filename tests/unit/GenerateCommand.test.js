@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { GenerateCommand } from '../../cli/commands/GenerateCommand.js';
+
+describe('GenerateCommand', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'generate-command-'));
+    configPath = join(dir, 'magicfour.config.json');
+    writeFileSync(configPath, JSON.stringify({
+      output: 'library',
+      count: 3,
+      difficulty: 'hard',
+      languages: {
+        he: { wordlist: 'heb-4.txt', provider: 'mock', promptStyle: 'playful', difficulty: 'easy' }
+      }
+    }), 'utf-8');
+    delete process.env.DEFAULT_LANGUAGE;
+    delete process.env.OUTPUT_DIRECTORY;
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DEFAULT_LANGUAGE;
+    delete process.env.OUTPUT_DIRECTORY;
+  });
+
+  describe('parse', () => {
+    it('should use the built-in defaults without a config file', () => {
+      const config = GenerateCommand.parse(['--no-config']);
+
+      expect(config).toMatchObject({ configFile: null, language: 'en', output: 'puzzles', count: 5, promptStyle: 'descriptive' });
+    });
+
+    it('should apply the config file and the language profile', () => {
+      const config = GenerateCommand.parse(['--config', configPath, '--language', 'he']);
+
+      expect(config).toMatchObject({ configFile: configPath, count: 3, difficulty: 'easy', provider: 'mock', promptStyle: 'playful' });
+      expect(resolve(config.wordlist)).toBe(join(dir, 'heb-4.txt'));
+      expect(resolve(config.output)).toBe(join(dir, 'library'));
+    });
+
+    it('should let flags override the config file', () => {
+      const config = GenerateCommand.parse(['--config', configPath, '--language', 'he', '--count', '7', '--wordlist', 'mine.txt']);
+
+      expect(config.count).toBe(7);
+      expect(config.wordlist).toBe('mine.txt');
+    });
+
+    it('should let the config file override environment defaults', () => {
+      process.env.DEFAULT_LANGUAGE = 'he';
+      process.env.OUTPUT_DIRECTORY = 'env-puzzles';
+
+      const withFile = GenerateCommand.parse(['--config', configPath]);
+      const withoutFile = GenerateCommand.parse(['--no-config']);
+
+      expect(withFile.language).toBe('he');
+      expect(resolve(withFile.output)).toBe(join(dir, 'library'));
+      expect(withoutFile.output).toBe('env-puzzles');
+    });
+
+    it('should let --dictionary replace the provider from the config file', () => {
+      const config = GenerateCommand.parse(['--config', configPath, '--language', 'he', '--dictionary', 'defs.tsv']);
+
+      expect(config.provider).toBe('dictionary');
+    });
+
+    it('should reject unknown settings in the config file', () => {
+      writeFileSync(configPath, JSON.stringify({ languages: { en: { colour: 'red' } } }), 'utf-8');
+
+      expect(() => GenerateCommand.parse(['--config', configPath])).toThrow('Unknown setting "colour"');
+    });
+  });
+
+  describe('validate', () => {
+    it('should reject unknown prompt styles', () => {
+      const config = GenerateCommand.parse(['--no-config', '--wordlist', 'x.txt', '--prompt-style', 'limerick']);
+
+      expect(GenerateCommand.validate(config)).toEqual([expect.stringContaining('--prompt-style must be one of')]);
+    });
+  });
+});
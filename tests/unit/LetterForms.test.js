@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { LetterForms } from '../../cli/modules/LetterForms.js';
+
+describe('LetterForms', () => {
+  describe('normalize', () => {
+    it('should fold Hebrew final letters into regular forms', () => {
+      expect(LetterForms.normalize('ךםןףץ', 'he')).toBe('כמנפצ');
+      expect(LetterForms.normalize('שלום', 'he')).toBe('שלומ');
+    });
+
+    it('should leave other languages unchanged', () => {
+      expect(LetterForms.normalize('ABLE', 'en')).toBe('ABLE');
+      expect(LetterForms.normalize('שלום', 'en')).toBe('שלום');
+    });
+  });
+
+  describe('toDisplayForm', () => {
+    it('should put the final form on the last letter only', () => {
+      expect(LetterForms.toDisplayForm('שלומ', 'he')).toBe('שלום');
+      expect(LetterForms.toDisplayForm('ךלב', 'he')).toBe('כלב');
+      expect(LetterForms.toDisplayForm('מים', 'he')).toBe('מים');
+    });
+
+    it('should keep words ending in a letter without a final form', () => {
+      expect(LetterForms.toDisplayForm('לבי', 'he')).toBe('לבי');
+    });
+
+    it('should leave other languages unchanged', () => {
+      expect(LetterForms.toDisplayForm('ABLE', 'en')).toBe('ABLE');
+    });
+  });
+
+  describe('hasFinalForms', () => {
+    it('should only report languages with final letters', () => {
+      expect(LetterForms.hasFinalForms('he')).toBe(true);
+      expect(LetterForms.hasFinalForms('en')).toBe(false);
+      expect(LetterForms.hasFinalForms(undefined)).toBe(false);
+    });
+  });
+});
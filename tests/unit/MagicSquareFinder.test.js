@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { MagicSquareFinder } from '../../cli/modules/MagicSquareFinder.js';
+import { WordTrie } from '../../cli/modules/WordTrie.js';
+import { SeededRandom } from '../../cli/modules/SeededRandom.js';
 
 describe('MagicSquareFinder', () => {
   describe('findMagicSquares', () => {
@@ -34,6 +36,36 @@ describe('MagicSquareFinder', () => {
       
       expect(results.length).toBeLessThanOrEqual(2);
     });
+
+    it('should report each square as it is found', () => {
+      const found = [];
+
+      const results = MagicSquareFinder.findMagicSquares(['ABLE', 'BARE', 'LREA', 'EEAR'], 1, {
+        onFound: (square, index) => found.push({ square, index })
+      });
+
+      expect(found).toEqual([{ square: results[0], index: 1 }]);
+    });
+  });
+
+  describe('shuffleArray', () => {
+    it('should shuffle in the same order for the same seed', () => {
+      const words = ['ABLE', 'BARE', 'CARD', 'DART', 'EARN', 'FARE', 'GATE', 'HARE'];
+
+      const first = MagicSquareFinder.shuffleArray(words, new SeededRandom(7));
+      const second = MagicSquareFinder.shuffleArray(words, new SeededRandom(7));
+
+      expect(first).toEqual(second);
+      expect([...first].sort()).toEqual(words);
+    });
+
+    it('should not modify the input array', () => {
+      const words = ['ABLE', 'BARE', 'CARD'];
+
+      MagicSquareFinder.shuffleArray(words, new SeededRandom(7));
+
+      expect(words).toEqual(['ABLE', 'BARE', 'CARD']);
+    });
   });
 
   describe('findWordsStartingWith', () => {
@@ -194,6 +226,23 @@ describe('MagicSquareFinder', () => {
       expect(result.errors.some(e => e.includes('words'))).toBe(true);
     });
 
+    it('should reject words that do not match the grid rows', () => {
+      const square = {
+        grid: [
+          ['A', 'B', 'L', 'E'],
+          ['B', 'A', 'R', 'E'],
+          ['L', 'R', 'E', 'A'],
+          ['E', 'E', 'A', 'R']
+        ],
+        words: ['ABLE', 'BORE', 'LREA', 'EEAR']
+      };
+
+      const result = MagicSquareFinder.validate(square);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Row 1 does not match word "BORE"');
+    });
+
     it('should reject words array with wrong length', () => {
       const square = {
         grid: [
@@ -249,5 +298,396 @@ describe('MagicSquareFinder', () => {
       
       expect(result).toBeNull();
     });
+
+    it('should accept a prebuilt word index', () => {
+      const index = WordTrie.fromWords(['ABLE', 'BARE', 'LREA', 'EEAR']);
+
+      const result = MagicSquareFinder.buildMagicSquare('ABLE', index);
+
+      expect(result.words).toEqual(['ABLE', 'BARE', 'LREA', 'EEAR']);
+    });
+
+    it('should return null when the first word is not in the word list', () => {
+      const wordSet = new Set(['BARE', 'LREA', 'EEAR']);
+
+      const result = MagicSquareFinder.buildMagicSquare('ABLE', wordSet);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('searchSquares', () => {
+    it('should yield every square for a first word', () => {
+      // CARE/AREA/REAR/EARL and CARE/AREA/REAR/EARS share the first three rows
+      const words = ['CARE', 'AREA', 'REAR', 'EARL', 'EARS', 'ABLE'];
+      const index = WordTrie.fromWords(words);
+
+      const squares = [...MagicSquareFinder.searchSquares('CARE', index)];
+
+      expect(squares.map(s => s.words[3]).sort()).toEqual(['EARL', 'EARS']);
+      squares.forEach(square => {
+        expect(MagicSquareFinder.isValidMagicSquare(square.grid, new Set(words))).toBe(true);
+      });
+    });
+
+    it('should not reuse a word within one square', () => {
+      const index = WordTrie.fromWords(['ABBA', 'BAAL', 'ALLY']);
+
+      const squares = [...MagicSquareFinder.searchSquares('ABBA', index)];
+
+      expect(squares).toHaveLength(0);
+    });
+  });
+
+  describe('double squares', () => {
+    const words = ['GLIA', 'AIDS', 'PEEK', 'SUMS', 'GAPS', 'LIEU', 'IDEM', 'ASKS'];
+
+    it('should find a square whose rows and columns are 8 different words', () => {
+      const result = MagicSquareFinder.buildMagicSquare('GLIA', new Set(words), { mode: 'double' });
+
+      expect(result.words).toEqual(['GLIA', 'AIDS', 'PEEK', 'SUMS']);
+      expect(result.columnWords).toEqual(['GAPS', 'LIEU', 'IDEM', 'ASKS']);
+      expect(MagicSquareFinder.isValidDoubleSquare(result.grid, new Set(words))).toBe(true);
+    });
+
+    it('should not return symmetric squares in double mode', () => {
+      const result = MagicSquareFinder.buildMagicSquare(
+        'ABLE',
+        new Set(['ABLE', 'BARE', 'LREA', 'EEAR']),
+        { mode: 'double' }
+      );
+
+      expect(result).toBeNull();
+    });
+
+    it('should validate a double square object', () => {
+      const square = MagicSquareFinder.buildMagicSquare('GLIA', new Set(words), { mode: 'double' });
+
+      expect(MagicSquareFinder.validate(square).valid).toBe(true);
+    });
+
+    it('should reject column words that do not match the grid', () => {
+      const square = MagicSquareFinder.buildMagicSquare('GLIA', new Set(words), { mode: 'double' });
+      const result = MagicSquareFinder.validate({
+        ...square,
+        columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKY']
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('Column 3'))).toBe(true);
+    });
+  });
+
+  describe('diagonals', () => {
+    // BANS/AREA/NEAL/SALT has BRAT on the main diagonal and SEES on the anti-diagonal
+    const words = ['BANS', 'AREA', 'NEAL', 'SALT', 'BRAT', 'SEES'];
+
+    it('should require the main diagonal to be a word', () => {
+      const result = MagicSquareFinder.buildMagicSquare('BANS', new Set(words), { diagonals: 'main' });
+
+      expect(result.words).toEqual(['BANS', 'AREA', 'NEAL', 'SALT']);
+      expect(result.bonusWords).toEqual([{ kind: 'main-diagonal', word: 'BRAT' }]);
+    });
+
+    it('should require both diagonals to be words', () => {
+      const result = MagicSquareFinder.buildMagicSquare('BANS', new Set(words), { diagonals: 'both' });
+
+      expect(result.bonusWords).toEqual([
+        { kind: 'main-diagonal', word: 'BRAT' },
+        { kind: 'anti-diagonal', word: 'SEES' }
+      ]);
+      expect(MagicSquareFinder.validate(result).valid).toBe(true);
+    });
+
+    it('should skip squares whose diagonal is not a word', () => {
+      const withoutBrat = new Set(words.filter(word => word !== 'BRAT'));
+
+      expect(MagicSquareFinder.buildMagicSquare('BANS', withoutBrat, { diagonals: 'main' })).toBeNull();
+      expect(MagicSquareFinder.buildMagicSquare('BANS', withoutBrat, { diagonals: 'anti' }).bonusWords)
+        .toEqual([{ kind: 'anti-diagonal', word: 'SEES' }]);
+    });
+
+    it('should not add bonus words without the option', () => {
+      const result = MagicSquareFinder.buildMagicSquare('BANS', new Set(words));
+
+      expect(result.bonusWords).toBeUndefined();
+    });
+
+    it('should find double squares with diagonals', () => {
+      const doubleWords = ['PUSH', 'AREA', 'LEER', 'LAMP', 'PALL', 'UREA', 'SEEM', 'HARP', 'PREP', 'HEEL'];
+
+      const result = MagicSquareFinder.buildMagicSquare('PUSH', new Set(doubleWords), { mode: 'double', diagonals: 'both' });
+
+      expect(result.columnWords).toEqual(['PALL', 'UREA', 'SEEM', 'HARP']);
+      expect(result.bonusWords.map(bonus => bonus.word)).toEqual(['PREP', 'HEEL']);
+      expect(MagicSquareFinder.validate(result).valid).toBe(true);
+    });
+
+    it('should reject a bonus word that does not match the grid', () => {
+      const square = MagicSquareFinder.buildMagicSquare('BANS', new Set(words), { diagonals: 'main' });
+      const result = MagicSquareFinder.validate({
+        ...square,
+        bonusWords: [{ kind: 'main-diagonal', word: 'BRAN' }]
+      });
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('Hebrew final letters', () => {
+    // ם ends row 0 but starts row 2 (and column 2) as a regular מ
+    const words = ['שלם', 'לבי', 'מים'];
+
+    it('should match final letters against their regular forms', () => {
+      expect(MagicSquareFinder.findMagicSquares(words, 5)).toHaveLength(0);
+
+      const results = MagicSquareFinder.findMagicSquares(words, 5, { language: 'he' });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].words).toEqual(['שלם', 'לבי', 'מים']);
+    });
+
+    it('should keep the final forms in the grid rows', () => {
+      const [square] = MagicSquareFinder.findMagicSquares(words, 1, { language: 'he' });
+
+      expect(square.grid).toEqual([
+        ['ש', 'ל', 'ם'],
+        ['ל', 'ב', 'י'],
+        ['מ', 'י', 'ם']
+      ]);
+    });
+
+    it('should validate the square on normalized letters', () => {
+      const [square] = MagicSquareFinder.findMagicSquares(words, 1, { language: 'he' });
+
+      expect(MagicSquareFinder.validate(square, 3, 'he').valid).toBe(true);
+      expect(MagicSquareFinder.validate(square, 3).valid).toBe(false);
+    });
+
+    it('should score frequencies given in display spelling', () => {
+      const frequencies = new Map([['שלם', 10], ['לבי', 10], ['מים', 10]]);
+
+      const [square] = MagicSquareFinder.findMagicSquares(words, 1, { language: 'he', frequencies, difficulty: 'easy' });
+
+      expect(square.commonness).toBe(1);
+    });
+  });
+
+  describe('included and theme words', () => {
+    // CARD/AREA/RENT completes with both DATE and DATA
+    const words = ['CARD', 'AREA', 'RENT', 'DATE', 'DATA', 'RARE', 'DENT'];
+
+    it('should put included words in a row of every square', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { include: ['DATA'] });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(square => expect(square.words).toContain('DATA'));
+    });
+
+    it('should place an included word on any row', () => {
+      const index = WordTrie.fromWords(words);
+
+      const square = MagicSquareFinder.findSquareForWord('CARD', index, { include: ['RENT'] });
+
+      expect(square.words.indexOf('RENT')).toBe(2);
+    });
+
+    it('should search included words missing from the word list', () => {
+      const withoutData = words.filter(word => word !== 'DATA');
+
+      const results = MagicSquareFinder.findMagicSquares(withoutData, 10, { include: ['DATA'] });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATA']]);
+    });
+
+    it('should prefer rows from the theme list', () => {
+      const index = WordTrie.fromWords(words);
+      const { searchOptions } = MagicSquareFinder.prepareSearch(words, { themeWords: ['DATA'] });
+
+      const square = MagicSquareFinder.findSquareForWord('CARD', index, searchOptions);
+
+      expect(square.words).toEqual(['CARD', 'AREA', 'RENT', 'DATA']);
+      expect(square.themeWords).toEqual(['DATA']);
+    });
+
+    it('should enforce the minimum number of theme rows', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, {
+        themeWords: ['DATE', 'AREA'],
+        minThemeWords: 2
+      });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATE']]);
+    });
+
+    it('should try theme words first as the first row', () => {
+      const { searchOptions } = MagicSquareFinder.prepareSearch(words, { themeWords: ['RENT', 'DENT'] });
+
+      const ordered = MagicSquareFinder.orderFirstWords(words, searchOptions);
+
+      expect(ordered.slice(0, 2)).toEqual(['RENT', 'DENT']);
+    });
+
+    it('should find nothing when the included words cannot share a square', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { include: ['DATE', 'DATA'] });
+
+      expect(results).toHaveLength(0);
+    });
+  });
+
+  describe('puzzle library', () => {
+    // CARD/AREA/RENT completes with both DATE and DATA
+    const words = ['CARD', 'AREA', 'RENT', 'DATE', 'DATA', 'RARE', 'DENT'];
+    const dateGrid = [['C', 'A', 'R', 'D'], ['A', 'R', 'E', 'A'], ['R', 'E', 'N', 'T'], ['D', 'A', 'T', 'E']];
+
+    it('should leave out used words when no reuse is allowed', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { usedWords: ['DATE'], maxWordReuse: 0 });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATA']]);
+    });
+
+    it('should allow up to maxWordReuse used words per square', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { usedWords: ['CARD', 'DATE'], maxWordReuse: 1 });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATA']]);
+    });
+
+    it('should not count included words as reuse', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, {
+        usedWords: ['DATE'],
+        maxWordReuse: 0,
+        include: ['DATE']
+      });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATE']]);
+    });
+
+    it('should skip grids already in the library', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { usedGrids: [dateGrid] });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATA']]);
+    });
+
+    it('should skip transposes of grids in the library', () => {
+      const doubleWords = ['GLIA', 'AIDS', 'PEEK', 'SUMS', 'GAPS', 'LIEU', 'IDEM', 'ASKS'];
+      const [square] = MagicSquareFinder.findMagicSquares(doubleWords, 1, { mode: 'double' });
+      const transposed = square.grid.map((_, j) => square.grid.map(row => row[j]));
+
+      const results = MagicSquareFinder.findMagicSquares(doubleWords, 10, { mode: 'double', usedGrids: [transposed] });
+
+      expect(results).toHaveLength(0);
+    });
+
+    it('should reuse words freely without a budget', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 10, { usedWords: ['CARD', 'DATE'] });
+
+      expect(results).toEqual(MagicSquareFinder.findMagicSquares(words, 10));
+    });
+  });
+
+  describe('commonness', () => {
+    // CARD/AREA/RENT completes with DATE (common) or DATA (rare);
+    // the filler words only pad out the bottom of the ranking
+    const words = ['CARD', 'AREA', 'RENT', 'DATE', 'DATA', 'QQQQ', 'XXXX', 'JJJJ', 'VVVV', 'ZZZZ'];
+    const frequencies = new Map([
+      ['CARD', 500], ['AREA', 400], ['RENT', 300], ['DATE', 450], ['DATA', 1],
+      ['QQQQ', 2], ['XXXX', 3], ['JJJJ', 4], ['VVVV', 5], ['ZZZZ', 6]
+    ]);
+
+    it('should rank words by frequency', () => {
+      const scores = MagicSquareFinder.commonnessScores(words, frequencies);
+
+      expect(scores.get('CARD')).toBe(1);
+      expect(scores.get('DATA')).toBe(0);
+      expect(scores.get('AREA')).toBeGreaterThan(scores.get('RENT'));
+    });
+
+    it('should give equally frequent words the same score', () => {
+      const scores = MagicSquareFinder.commonnessScores(['ABLE', 'BARE', 'CARE'], new Map([
+        ['ABLE', 10], ['BARE', 10], ['CARE', 1]
+      ]));
+
+      expect(scores.get('ABLE')).toBe(1);
+      expect(scores.get('BARE')).toBe(1);
+      expect(scores.get('CARE')).toBe(0);
+    });
+
+    it('should treat words without frequency data as the rarest', () => {
+      const scores = MagicSquareFinder.commonnessScores(['ABLE', 'BARE'], new Map([['ABLE', 3]]));
+
+      expect(scores.get('ABLE')).toBe(1);
+      expect(scores.get('BARE')).toBe(0);
+    });
+
+    it('should score a square by its least common word', () => {
+      const scores = MagicSquareFinder.commonnessScores(words, frequencies);
+      const square = { words: ['CARD', 'AREA', 'RENT', 'DATE'] };
+
+      expect(MagicSquareFinder.scoreSquare(square, scores)).toBe(scores.get('RENT'));
+    });
+
+    it('should pick only common words for easy squares', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 5, { frequencies, difficulty: 'easy' });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].words).toEqual(['CARD', 'AREA', 'RENT', 'DATE']);
+      expect(results[0].commonness).toBeGreaterThanOrEqual(0.6);
+    });
+
+    it('should pick a square with a rare word for hard squares', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 5, { frequencies, difficulty: 'hard' });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].words).toEqual(['CARD', 'AREA', 'RENT', 'DATA']);
+      expect(results[0].commonness).toBe(0);
+    });
+
+    it('should skip squares outside the medium band', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 5, { frequencies, difficulty: 'medium' });
+
+      expect(results).toHaveLength(0);
+    });
+
+    it('should ignore difficulty without frequency data', () => {
+      const results = MagicSquareFinder.findMagicSquares(words, 5, { difficulty: 'easy' });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].commonness).toBeUndefined();
+    });
+
+    it('should include the upper bound of the easy band', () => {
+      expect(MagicSquareFinder.isInBand(1, MagicSquareFinder.DIFFICULTY_BANDS.easy)).toBe(true);
+      expect(MagicSquareFinder.isInBand(0.6, MagicSquareFinder.DIFFICULTY_BANDS.medium)).toBe(false);
+    });
+  });
+
+  describe('grid sizes', () => {
+    it('should find 3x3 squares', () => {
+      const words = ['BAT', 'ARE', 'TEN'];
+
+      const results = MagicSquareFinder.findMagicSquares(words, 1);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].grid).toHaveLength(3);
+      expect(MagicSquareFinder.isValidMagicSquare(results[0].grid, new Set(words))).toBe(true);
+      expect(MagicSquareFinder.validate(results[0], 3).valid).toBe(true);
+    });
+
+    it('should find 5x5 squares', () => {
+      const words = ['HEART', 'EMBER', 'ABUSE', 'RESIN', 'TREND'];
+
+      const square = MagicSquareFinder.buildMagicSquare('HEART', new Set(words));
+
+      expect(square.words).toEqual(words);
+      expect(MagicSquareFinder.validate(square, 5).valid).toBe(true);
+    });
+
+    it('should reject a square of the wrong size', () => {
+      const square = MagicSquareFinder.buildMagicSquare('BAT', new Set(['BAT', 'ARE', 'TEN']));
+
+      const result = MagicSquareFinder.validate(square);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Grid must have 4 rows');
+    });
   });
 });
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { ParallelSquareFinder } from '../../cli/modules/ParallelSquareFinder.js';
+import { MagicSquareFinder } from '../../cli/modules/MagicSquareFinder.js';
+import { SeededRandom } from '../../cli/modules/SeededRandom.js';
+
+describe('ParallelSquareFinder', () => {
+  const words = [
+    'CARD', 'AREA', 'RENT', 'DATE', 'DATA',
+    'ABLE', 'BARE', 'LREA', 'EEAR',
+    'RARE', 'DENT', 'EDGE', 'TEAR'
+  ];
+
+  describe('findMagicSquares', () => {
+    it('should find valid squares on several workers', async () => {
+      const results = await ParallelSquareFinder.findMagicSquares(words, 10, { workers: 2, batchSize: 2 });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(square => {
+        expect(MagicSquareFinder.isValidMagicSquare(square.grid, new Set(words))).toBe(true);
+      });
+    });
+
+    it('should match the single-threaded search for the same seed', async () => {
+      const parallel = await ParallelSquareFinder.findMagicSquares(words, 10, {
+        workers: 3,
+        batchSize: 1,
+        random: new SeededRandom('same')
+      });
+      const sequential = MagicSquareFinder.findMagicSquares(words, 10, {
+        random: new SeededRandom('same')
+      });
+
+      expect(parallel).toEqual(sequential);
+    });
+
+    it('should stop at maxResults', async () => {
+      const results = await ParallelSquareFinder.findMagicSquares(words, 1, { workers: 2, batchSize: 1 });
+
+      expect(results).toHaveLength(1);
+    });
+
+    it('should deduplicate squares', async () => {
+      const duplicated = [...words, ...words];
+
+      const results = await ParallelSquareFinder.findMagicSquares(duplicated, 50, { workers: 2, batchSize: 3 });
+
+      const keys = results.map(square => ParallelSquareFinder.squareKey(square));
+      expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    it('should search double squares', async () => {
+      const doubleWords = ['GLIA', 'AIDS', 'PEEK', 'SUMS', 'GAPS', 'LIEU', 'IDEM', 'ASKS'];
+
+      const results = await ParallelSquareFinder.findMagicSquares(doubleWords, 5, { workers: 2, mode: 'double' });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(square => {
+        expect(MagicSquareFinder.validate(square).valid).toBe(true);
+      });
+    });
+
+    it('should honour the difficulty band', async () => {
+      const frequencies = new Map(words.map(word => [word, 100]));
+      frequencies.set('DATA', 1);
+
+      const results = await ParallelSquareFinder.findMagicSquares(words, 10, {
+        workers: 2,
+        batchSize: 2,
+        frequencies,
+        difficulty: 'hard'
+      });
+
+      expect(results.map(square => square.words)).toEqual([['CARD', 'AREA', 'RENT', 'DATA']]);
+    });
+
+    it('should return Hebrew squares in display spelling', async () => {
+      const results = await ParallelSquareFinder.findMagicSquares(['שלם', 'לבי', 'מים'], 5, { workers: 2, language: 'he' });
+
+      expect(results.map(square => square.words)).toEqual([['שלם', 'לבי', 'מים']]);
+      expect(results[0].grid[0][2]).toBe('ם');
+    });
+
+    it('should avoid words already in the library', async () => {
+      const results = await ParallelSquareFinder.findMagicSquares(words, 10, {
+        workers: 2,
+        batchSize: 2,
+        usedWords: ['DATE'],
+        maxWordReuse: 0
+      });
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(square => expect(square.words).not.toContain('DATE'));
+    });
+
+    it('should report progress', async () => {
+      const progress = [];
+
+      await ParallelSquareFinder.findMagicSquares(words, 50, {
+        workers: 2,
+        batchSize: 4,
+        onProgress: state => progress.push(state)
+      });
+
+      expect(progress.length).toBeGreaterThan(0);
+      expect(progress[progress.length - 1].searched).toBe(words.length);
+      expect(progress[progress.length - 1].total).toBe(words.length);
+    });
+
+    it('should report each square in the order it is returned', async () => {
+      const found = [];
+
+      const results = await ParallelSquareFinder.findMagicSquares(words, 3, {
+        workers: 2,
+        batchSize: 4,
+        onFound: (square, index) => found.push({ square, index })
+      });
+
+      expect(found).toEqual(results.map((square, i) => ({ square, index: i + 1 })));
+    });
+
+    it('should return nothing for an empty word list', async () => {
+      const results = await ParallelSquareFinder.findMagicSquares([], 5, { workers: 2 });
+
+      expect(results).toEqual([]);
+    });
+  });
+
+  describe('squareKey', () => {
+    it('should identify a square by its rows', () => {
+      const square = { grid: [['B', 'A', 'T'], ['A', 'R', 'E'], ['T', 'E', 'N']] };
+
+      expect(ParallelSquareFinder.squareKey(square)).toBe('BAT/ARE/TEN');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, relative, resolve } from 'path';
+import { ProjectConfig } from '../../cli/modules/ProjectConfig.js';
+
+describe('ProjectConfig', () => {
+  let dir;
+
+  const writeJson = (name, data) => {
+    const path = join(dir, name);
+    writeFileSync(path, typeof data === 'string' ? data : JSON.stringify(data), 'utf-8');
+    return path;
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'project-config-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('find', () => {
+    it('should find the file in a parent directory', () => {
+      const path = writeJson('.magicfourrc', {});
+      mkdirSync(join(dir, 'a', 'b'), { recursive: true });
+
+      expect(ProjectConfig.find(join(dir, 'a', 'b'))).toBe(path);
+    });
+
+    it('should prefer magicfour.config.json over .magicfourrc', () => {
+      writeJson('.magicfourrc', {});
+      const path = writeJson('magicfour.config.json', {});
+
+      expect(ProjectConfig.find(dir)).toBe(path);
+    });
+  });
+
+  describe('load', () => {
+    it('should split settings from language profiles', () => {
+      const path = writeJson('magicfour.config.json', { count: 3, languages: { he: { count: 2 } } });
+
+      expect(ProjectConfig.load(path)).toEqual({ path, settings: { count: 3 }, languages: { he: { count: 2 } }, quality: {} });
+    });
+
+    it('should keep the quality rules apart from the settings', () => {
+      const path = writeJson('quality.json', { count: 3, quality: { truncated: 'off' } });
+      const project = ProjectConfig.load(path);
+
+      expect(project.settings).toEqual({ count: 3 });
+      expect(ProjectConfig.qualityRules(project).truncated.severity).toBe('off');
+      expect(() => ProjectConfig.load(writeJson('bad-quality.json', { quality: ['truncated'] }))).toThrow('"quality"');
+      expect(() => ProjectConfig.qualityRules(ProjectConfig.load(writeJson('unknown.json', { quality: { nope: 'off' } }))))
+        .toThrow(`Unknown quality rule "nope" in ${join(dir, 'unknown.json')}`);
+    });
+
+    it('should reject a missing file, bad JSON and the wrong shape', () => {
+      expect(() => ProjectConfig.load(join(dir, 'missing.json'))).toThrow('not found');
+      expect(() => ProjectConfig.load(writeJson('bad.json', '{ "count": '))).toThrow('Error reading config');
+      expect(() => ProjectConfig.load(writeJson('list.json', []))).toThrow('must be a JSON object');
+      expect(() => ProjectConfig.load(writeJson('profiles.json', { languages: { he: 'x' } }))).toThrow('"languages"');
+      expect(() => ProjectConfig.load(writeJson('lang.json', { languages: { he: { language: 'en' } } })))
+        .toThrow('cannot set "language"');
+    });
+  });
+
+  describe('settingsFor', () => {
+    it('should apply the language profile on top of the top level', () => {
+      const project = { path: 'x', settings: { count: 3, output: 'out' }, languages: { he: { count: 2 } } };
+
+      expect(ProjectConfig.settingsFor(project, 'he')).toEqual({ count: 2, output: 'out' });
+      expect(ProjectConfig.settingsFor(project, 'en')).toEqual({ count: 3, output: 'out' });
+    });
+  });
+
+  describe('resolvePaths', () => {
+    it('should take relative paths from the config file directory', () => {
+      const settings = ProjectConfig.resolvePaths(
+        { wordlist: 'lists/eng.txt', output: '/abs/puzzles', count: 3 },
+        ['wordlist', 'output'],
+        join(dir, 'magicfour.config.json')
+      );
+
+      expect(resolve(settings.wordlist)).toBe(join(dir, 'lists', 'eng.txt'));
+      expect(settings.wordlist).toBe(relative(process.cwd(), join(dir, 'lists', 'eng.txt')));
+      expect(resolve(settings.output)).toBe('/abs/puzzles');
+      expect(settings.count).toBe(3);
+    });
+  });
+});
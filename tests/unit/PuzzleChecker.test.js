@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PuzzleChecker } from '../../cli/modules/PuzzleChecker.js';
+import { ArtifactWriter } from '../../cli/modules/ArtifactWriter.js';
+import { MockProvider } from '../../cli/modules/RiddleProviders.js';
+
+describe('PuzzleChecker', () => {
+  const words = ['ABLE', 'BARE', 'LREA', 'EEAR'];
+  const square = { grid: words.map(word => [...word]), words };
+  const riddles = words.map((word, index) => {
+    const { riddle, hint, explanation } = MockProvider.riddleFor(word, 'en');
+    return { id: index + 1, prompt: riddle, answer: word, hint, explanation, position: index };
+  });
+  const validPuzzle = () => structuredClone(ArtifactWriter.createPuzzle(square, riddles, { language: 'en' }));
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'puzzle-checker-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('check', () => {
+    it('should pass a well-formed puzzle', () => {
+      const result = PuzzleChecker.check(validPuzzle());
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should stop at schema errors', () => {
+      const puzzle = validPuzzle();
+      delete puzzle.metadata;
+
+      const result = PuzzleChecker.check(puzzle);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ check: 'schema', message: 'Missing required field: metadata' }]);
+    });
+
+    it('should report a grid that does not spell its words', () => {
+      const puzzle = validPuzzle();
+      puzzle.grid[0][1] = 'X';
+      puzzle.grid[1][0] = 'X';
+
+      const result = PuzzleChecker.check(puzzle);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.every(error => error.check === 'square')).toBe(true);
+      expect(result.errors.map(error => error.message)).toContain('Row 0 does not match word "ABLE"');
+    });
+
+    it('should report riddle quality problems', () => {
+      const puzzle = validPuzzle();
+      puzzle.riddles[2].hint = '';
+
+      const result = PuzzleChecker.check(puzzle);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({ check: 'quality', message: 'Riddle 3: Hint is empty [empty-field]' });
+    });
+
+    it('should run only the checks asked for', () => {
+      const puzzle = validPuzzle();
+      delete puzzle.metadata;
+      puzzle.riddles[0].explanation = '';
+
+      const result = PuzzleChecker.check(puzzle, ['quality']);
+
+      expect(result.errors).toEqual([{ check: 'quality', message: 'Riddle 1: Explanation is empty [empty-field]' }]);
+    });
+
+    it('should reject anything but an object', () => {
+      expect(PuzzleChecker.check([]).valid).toBe(false);
+      expect(PuzzleChecker.check(null).errors[0].check).toBe('schema');
+    });
+  });
+
+  describe('checkFile', () => {
+    it('should report unreadable JSON', () => {
+      const path = join(dir, 'broken.json');
+      writeFileSync(path, '{ "grid": ', 'utf-8');
+
+      const result = PuzzleChecker.checkFile(path);
+
+      expect(result.valid).toBe(false);
+      expect(result.puzzle).toBeNull();
+      expect(result.errors[0].check).toBe('file');
+    });
+
+    it('should check a saved puzzle', () => {
+      const path = join(dir, 'puzzle.json');
+      writeFileSync(path, JSON.stringify(validPuzzle()), 'utf-8');
+
+      const result = PuzzleChecker.checkFile(path);
+
+      expect(result.valid).toBe(true);
+      expect(result.path).toBe(path);
+    });
+  });
+
+  describe('expandPaths', () => {
+    it('should list the puzzles in a directory and keep files as given', () => {
+      const puzzles = join(dir, 'puzzles');
+      mkdirSync(puzzles);
+      writeFileSync(join(puzzles, 'b.json'), '{}', 'utf-8');
+      writeFileSync(join(puzzles, 'a.json'), '{}', 'utf-8');
+      writeFileSync(join(puzzles, 'manifest.json'), '{"puzzles": []}', 'utf-8');
+      writeFileSync(join(dir, 'single.json'), '{}', 'utf-8');
+
+      const files = PuzzleChecker.expandPaths([join(dir, 'single.json'), puzzles]);
+
+      expect(files).toEqual([join(dir, 'single.json'), join(puzzles, 'a.json'), join(puzzles, 'b.json')]);
+    });
+
+    it('should throw for a missing path', () => {
+      expect(() => PuzzleChecker.expandPaths([join(dir, 'missing.json')])).toThrow('not found');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PuzzleLibrary } from '../../cli/modules/PuzzleLibrary.js';
+
+describe('PuzzleLibrary', () => {
+  let dir;
+
+  const puzzle = (words, language = 'en', extra = {}) => ({
+    puzzleId: words.join('-'),
+    language,
+    grid: words.map(word => [...word]),
+    words,
+    ...extra
+  });
+
+  const writeJson = (name, data) => writeFileSync(join(dir, name), JSON.stringify(data), 'utf-8');
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'library-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    it('should collect the words and grids of every puzzle', () => {
+      writeJson('a.json', puzzle(['CARD', 'AREA', 'RENT', 'DATE']));
+      writeJson('b.json', puzzle(['BAT', 'ARE', 'TEN']));
+
+      const library = PuzzleLibrary.load(dir);
+
+      expect(library.puzzles).toHaveLength(2);
+      expect([...library.words].sort()).toEqual(['ARE', 'AREA', 'BAT', 'CARD', 'DATE', 'RENT', 'TEN']);
+      expect(library.grids).toContainEqual([['B', 'A', 'T'], ['A', 'R', 'E'], ['T', 'E', 'N']]);
+    });
+
+    it('should include column and bonus words', () => {
+      writeJson('a.json', puzzle(['GLIA', 'AIDS', 'PEEK', 'SUMS'], 'en', {
+        columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKS'],
+        bonusWords: [{ kind: 'main', word: 'GIES' }]
+      }));
+
+      const library = PuzzleLibrary.load(dir);
+
+      expect(library.words.has('LIEU')).toBe(true);
+      expect(library.words.has('GIES')).toBe(true);
+    });
+
+    it('should only load puzzles in the requested language', () => {
+      writeJson('en.json', puzzle(['BAT', 'ARE', 'TEN']));
+      writeJson('he.json', puzzle(['שלם', 'לבי', 'מים'], 'he'));
+
+      const library = PuzzleLibrary.load(dir, 'he');
+
+      expect(library.puzzles.map(entry => entry.filename)).toEqual(['he.json']);
+    });
+
+    it('should list manifest entries first and skip the manifest itself', () => {
+      writeJson('a.json', puzzle(['BAT', 'ARE', 'TEN']));
+      writeJson('z.json', puzzle(['CARD', 'AREA', 'RENT', 'DATE']));
+      writeJson('manifest.json', { puzzles: [{ filename: 'z.json' }, { filename: 'missing.json' }] });
+
+      expect(PuzzleLibrary.listPuzzleFiles(dir)).toEqual(['z.json', 'a.json']);
+    });
+
+    it('should skip files that are not puzzles', () => {
+      writeFileSync(join(dir, 'broken.json'), '{ not json', 'utf-8');
+      writeJson('notes.json', { title: 'not a puzzle' });
+      writeJson('a.json', puzzle(['BAT', 'ARE', 'TEN']));
+
+      const library = PuzzleLibrary.load(dir);
+
+      expect(library.puzzles.map(entry => entry.filename)).toEqual(['a.json']);
+    });
+
+    it('should treat a missing directory as an empty library', () => {
+      const library = PuzzleLibrary.load(join(dir, 'nope'));
+
+      expect(library.puzzles).toEqual([]);
+      expect(library.words.size).toBe(0);
+    });
+  });
+});
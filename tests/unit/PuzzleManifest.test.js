@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PuzzleManifest } from '../../cli/modules/PuzzleManifest.js';
+
+describe('PuzzleManifest', () => {
+  let dir;
+
+  const puzzle = (id, words, metadata = {}) => ({
+    puzzleId: `${id}0000000-0000-4000-8000-000000000000`,
+    version: '1.0.0',
+    language: 'en',
+    direction: 'ltr',
+    size: 3,
+    grid: words.map(word => [...word]),
+    words,
+    riddles: words.map((word, i) => ({
+      id: i + 1,
+      prompt: `Riddle ${i + 1}.`,
+      answer: word,
+      position: i,
+      hint: 'A hint.',
+      explanation: 'An explanation.'
+    })),
+    metadata: { createdAt: '2025-01-01T00:00:00.000Z', difficulty: 'easy', ...metadata }
+  });
+
+  const writeJson = (name, data) => writeFileSync(join(dir, name), JSON.stringify(data), 'utf-8');
+  const readManifest = () => JSON.parse(readFileSync(join(dir, 'manifest.json'), 'utf-8'));
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'manifest-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('entryFor', () => {
+    it('should describe a puzzle without its words', () => {
+      const entry = PuzzleManifest.entryFor(puzzle('a', ['BAT', 'ARE', 'TEN']), 'a.json');
+
+      expect(entry).toEqual({
+        filename: 'a.json',
+        language: 'en',
+        difficulty: 'easy',
+        puzzleId: 'a0000000-0000-4000-8000-000000000000',
+        title: '3x3 easy',
+        wordHash: expect.stringMatching(/^[0-9a-f]{16}$/),
+        createdAt: '2025-01-01T00:00:00.000Z',
+        tags: ['3x3']
+      });
+      expect(JSON.stringify(entry)).not.toContain('BAT');
+    });
+
+    it('should take the title and tags from the metadata and the square', () => {
+      const entry = PuzzleManifest.entryFor({
+        ...puzzle('a', ['BAT', 'ARE', 'TEN'], { title: 'Bats', tags: ['animals', '3x3'], theme: { name: 'zoo', words: ['BAT'] } }),
+        bonusWords: [{ word: 'BRN', kind: 'main-diagonal' }]
+      }, 'a.json');
+
+      expect(entry.title).toBe('Bats');
+      expect(entry.tags).toEqual(['3x3', 'diagonals', 'theme:zoo', 'animals']);
+    });
+
+    it('should ignore tags that are not a list', () => {
+      expect(PuzzleManifest.entryFor(puzzle('a', ['BAT', 'ARE', 'TEN'], { tags: 'easy' }), 'a.json').tags).toEqual(['3x3']);
+    });
+
+    it('should hash the words so that only the same square matches', () => {
+      const hash = PuzzleManifest.wordHash(puzzle('a', ['BAT', 'ARE', 'TEN']));
+
+      expect(PuzzleManifest.wordHash(puzzle('b', ['BAT', 'ARE', 'TEN']))).toBe(hash);
+      expect(PuzzleManifest.wordHash(puzzle('a', ['CAT', 'ARE', 'TEN']))).not.toBe(hash);
+    });
+  });
+
+  describe('rebuild', () => {
+    it('should keep listed files first and leave out files that are not puzzles', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN']));
+      writeJson('b.json', puzzle('b', ['CAT', 'ARE', 'TEN']));
+      writeJson('broken.json', { puzzleId: 'x' });
+      writeJson('manifest.json', { version: '1.0.0', puzzles: [{ filename: 'b.json' }, { filename: 'gone.json' }] });
+
+      const { manifest, skipped } = PuzzleManifest.rebuild(dir);
+
+      expect(manifest.puzzles.map(entry => entry.filename)).toEqual(['b.json', 'a.json']);
+      expect(manifest.puzzles[0]).toEqual(PuzzleManifest.entryFor(puzzle('b', ['CAT', 'ARE', 'TEN']), 'b.json'));
+      expect(skipped.map(entry => entry.filename)).toEqual(['broken.json']);
+    });
+
+    it('should leave out files whose tags are not a list', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN'], { tags: 'easy' }));
+
+      const { manifest, skipped } = PuzzleManifest.rebuild(dir);
+
+      expect(manifest.puzzles).toEqual([]);
+      expect(skipped).toEqual([{ filename: 'a.json', reason: 'metadata.tags must be an array of non-empty strings' }]);
+    });
+  });
+
+  describe('verify', () => {
+    it('should pass a manifest that matches its files', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN']));
+      PuzzleManifest.write(dir, PuzzleManifest.rebuild(dir).manifest);
+
+      expect(PuzzleManifest.verify(dir)).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    it('should report missing files, mismatched IDs and schema failures', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN']));
+      writeJson('b.json', { ...puzzle('b', ['CAT', 'ARE', 'TEN']), direction: 'up' });
+      writeJson('manifest.json', {
+        puzzles: [
+          { ...PuzzleManifest.entryFor(puzzle('a', ['BAT', 'ARE', 'TEN']), 'a.json'), puzzleId: 'c0000000-0000-4000-8000-000000000000' },
+          PuzzleManifest.entryFor(puzzle('b', ['CAT', 'ARE', 'TEN']), 'b.json'),
+          { filename: 'gone.json', puzzleId: 'd' }
+        ]
+      });
+
+      const result = PuzzleManifest.verify(dir);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(({ filename }) => filename)).toEqual(['a.json', 'b.json', 'gone.json']);
+      expect(result.errors[0].message).toContain('puzzleId does not match the file');
+      expect(result.errors[1].message).toMatch(/^Schema: /);
+      expect(result.errors[2].message).toBe('File is missing');
+    });
+
+    it('should warn about unlisted files and out-of-date entries', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN']));
+      writeJson('b.json', puzzle('b', ['CAT', 'ARE', 'TEN']));
+      writeJson('manifest.json', { puzzles: [{ filename: 'a.json', language: 'en', difficulty: 'easy', puzzleId: puzzle('a', []).puzzleId }] });
+
+      const result = PuzzleManifest.verify(dir);
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([
+        { filename: 'a.json', message: 'Entry is out of date (title, wordHash, createdAt, tags); run manifest rebuild' },
+        { filename: 'b.json', message: 'Not listed in the manifest' }
+      ]);
+    });
+
+    it('should fail without a manifest', () => {
+      expect(PuzzleManifest.verify(dir).errors[0].message).toContain('No manifest.json');
+    });
+  });
+
+  describe('prune', () => {
+    it('should drop entries for missing files and repeated entries', () => {
+      writeJson('a.json', puzzle('a', ['BAT', 'ARE', 'TEN']));
+      writeJson('manifest.json', { version: '1.0.0', puzzles: [{ filename: 'a.json' }, { filename: 'gone.json' }, { filename: 'a.json' }] });
+
+      const { manifest, removed } = PuzzleManifest.prune(dir);
+      PuzzleManifest.write(dir, manifest);
+
+      expect(readManifest()).toEqual({ version: '1.0.0', puzzles: [{ filename: 'a.json' }] });
+      expect(removed.map(({ reason }) => reason)).toEqual(['file is missing', 'listed twice']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { readFileSync, writeFileSync } from 'fs';
+import { PuzzleReviewer } from '../../cli/modules/PuzzleReviewer.js';
+
+describe('PuzzleReviewer', () => {
+  const square = { grid: [['S', 'E', 'A'], ['E', 'Y', 'E'], ['A', 'E', 'S']], words: ['SEA', 'EYE', 'AES'] };
+  const riddles = [
+    { id: 1, answer: 'SEA', position: 0, prompt: 'A large body of salt water.', hint: 'Ships sail on it.', explanation: 'The sea is salty.' },
+    { id: 2, answer: 'EYE', position: 1, prompt: 'You see with it.', hint: 'It blinks.', explanation: 'An eye sees.' }
+  ];
+
+  let reviewer;
+
+  const createReviewer = (lines, options = {}) => {
+    const input = new PassThrough();
+    const output = { text: '', write: chunk => { output.text += chunk; } };
+    input.end(lines.map(line => `${line}\n`).join(''));
+    reviewer = new PuzzleReviewer({ input, output, ...options });
+    return { reviewer, output };
+  };
+
+  const review = (options = {}) => reviewer.review({
+    square,
+    riddles,
+    language: 'en',
+    title: 'Puzzle 1/1',
+    regenerate: async () => {
+      throw new Error('not expected');
+    },
+    ...options
+  });
+
+  afterEach(() => {
+    reviewer.close();
+  });
+
+  it('should show the grid, the riddles and the quality report', async () => {
+    const { output } = createReviewer(['a']);
+
+    const result = await review();
+
+    expect(result).toEqual({ decision: 'accept', riddles, edited: 0, regenerated: 0 });
+    expect(output.text).toContain('=== Review: Puzzle 1/1 ===');
+    expect(output.text).toContain('  S E A\n  E Y E\n  A E S');
+    expect(output.text).toContain('2. EYE');
+    expect(output.text).toContain('Puzzle passed validation');
+  });
+
+  it('should reject, and quit when the input ends', async () => {
+    createReviewer(['r']);
+    expect((await review()).decision).toBe('reject');
+    reviewer.close();
+
+    createReviewer([]);
+    expect((await review()).decision).toBe('quit');
+  });
+
+  it('should explain unknown commands and bad riddle numbers, then ask again', async () => {
+    const { output } = createReviewer(['publish', 'edit 3', 'g', 'accept']);
+
+    expect((await review()).decision).toBe('accept');
+    expect(output.text).toContain('Unknown command: publish');
+    expect(output.text).toContain('edit needs a riddle number from 1 to 2');
+    expect(output.text).toContain('g needs a riddle number from 1 to 2');
+  });
+
+  it('should edit a riddle as JSON in the editor', async () => {
+    const editFile = path => {
+      const fields = JSON.parse(readFileSync(path, 'utf-8'));
+      writeFileSync(path, JSON.stringify({ ...fields, hint: 'Waves roll across it.' }));
+    };
+    const { output } = createReviewer(['e 1', 'a'], { editFile });
+
+    const result = await review();
+
+    expect(result.edited).toBe(1);
+    expect(result.riddles[0]).toEqual({ ...riddles[0], hint: 'Waves roll across it.' });
+    expect(output.text).toContain('Hint:        Waves roll across it.');
+  });
+
+  it('should keep the riddle when the edited file is not valid', async () => {
+    const { output } = createReviewer(['e 1', 'a'], { editFile: path => writeFileSync(path, '{ "prompt": ') });
+
+    const result = await review();
+
+    expect(result.riddles).toEqual(riddles);
+    expect(output.text).toContain('Could not edit riddle 1: the file is not valid JSON');
+  });
+
+  it('should regenerate a riddle with the note and its quality errors as feedback', async () => {
+    const calls = [];
+    const regenerate = async (riddle, errors) => {
+      calls.push({ answer: riddle.answer, errors });
+      return { ...riddle, prompt: 'What a lid covers.', hint: 'It blinks.', explanation: 'An eye sees.' };
+    };
+    createReviewer(['g 2 too literal', 'a']);
+
+    const result = await review({
+      riddles: [riddles[0], { ...riddles[1], prompt: 'Your eye sees with it.' }],
+      regenerate
+    });
+
+    expect(calls).toEqual([{ answer: 'EYE', errors: ['too literal', 'Prompt gives away the answer ("eye")'] }]);
+    expect(result.regenerated).toBe(1);
+    expect(result.riddles[1].prompt).toBe('What a lid covers.');
+  });
+});
@@ -147,5 +147,56 @@ describe('PuzzleSanitizer', () => {
 
       expect(() => PuzzleSanitizer.validatePuzzle(puzzle)).not.toThrow();
     });
+
+    it('should require 8 riddles for double squares', () => {
+      const riddles = Array.from({ length: 8 }, (_, i) => ({
+        id: i + 1,
+        prompt: `Q${i + 1}?`,
+        answer: `A${i + 1}`,
+        position: i % 4
+      }));
+
+      expect(() => PuzzleSanitizer.validatePuzzle({
+        puzzleId: 'test-123',
+        columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKS'],
+        riddles
+      })).not.toThrow();
+
+      expect(() => PuzzleSanitizer.validatePuzzle({
+        puzzleId: 'test-123',
+        columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKS'],
+        riddles: riddles.slice(0, 4)
+      })).toThrow('must have exactly 8 riddles');
+    });
+
+    it('should count one riddle per bonus word', () => {
+      const riddles = Array.from({ length: 5 }, (_, i) => ({
+        id: i + 1,
+        prompt: `Q${i + 1}?`,
+        answer: `A${i + 1}`,
+        position: i % 4
+      }));
+      const bonusWords = [{ kind: 'main-diagonal', word: 'BRAT' }];
+
+      expect(() => PuzzleSanitizer.validatePuzzle({ puzzleId: 'test-123', bonusWords, riddles })).not.toThrow();
+      expect(() => PuzzleSanitizer.validatePuzzle({ puzzleId: 'test-123', bonusWords, riddles: riddles.slice(0, 4) }))
+        .toThrow('must have exactly 5 riddles');
+    });
+  });
+
+  describe('grid sizes', () => {
+    const riddles = (count) => Array.from({ length: count }, (_, i) => ({
+      id: i + 1,
+      prompt: `Q${i + 1}?`,
+      answer: `A${i + 1}`,
+      position: i
+    }));
+
+    it('should require one riddle per row for 3x3 and 5x5 puzzles', () => {
+      expect(() => PuzzleSanitizer.validatePuzzle({ puzzleId: 'p3', size: 3, riddles: riddles(3) })).not.toThrow();
+      expect(() => PuzzleSanitizer.validatePuzzle({ puzzleId: 'p5', size: 5, riddles: riddles(5) })).not.toThrow();
+      expect(() => PuzzleSanitizer.validatePuzzle({ puzzleId: 'p5', size: 5, riddles: riddles(4) }))
+        .toThrow('must have exactly 5 riddles');
+    });
   });
 });
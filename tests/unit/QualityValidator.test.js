@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { QualityValidator } from '../../cli/modules/QualityValidator.js';
+
+describe('QualityValidator', () => {
+  const riddle = (fields) => ({
+    id: 1,
+    answer: 'TEAR',
+    prompt: 'A salty drop that falls when you cry.',
+    hint: 'Sadness brings it to your eye.',
+    explanation: 'A tear is a drop of water from the eye.',
+    ...fields
+  });
+
+  describe('validateRiddle', () => {
+    it('should pass a riddle that only mentions the answer in the explanation', () => {
+      expect(QualityValidator.validateRiddle(riddle({}), 'en').errors).toEqual([]);
+    });
+
+    it('should reject a prompt or hint that uses the answer', () => {
+      const result = QualityValidator.validateRiddle(riddle({
+        prompt: 'What falls when you are tearing up?',
+        hint: 'Tears are made of it.'
+      }), 'en');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Prompt gives away the answer ("tearing") [answer-leak]');
+      expect(result.errors).toContain('Hint gives away the answer ("Tears") [answer-leak]');
+    });
+
+    it('should reject Hebrew answers behind prefixes and suffixes', () => {
+      const result = QualityValidator.validateRiddle({
+        id: 1,
+        answer: 'ספר',
+        prompt: 'יש הרבה כמוהו בספרייה ובחנות.',
+        hint: 'והספרים עומדים על המדף.',
+        explanation: 'ספר הוא דבר שקוראים.'
+      }, 'he');
+
+      expect(result.errors).toEqual(['Hint gives away the answer ("והספרים") [answer-leak]']);
+    });
+  });
+
+  describe('validatePuzzle', () => {
+    const riddles = [
+      riddle({ answer: 'SEA', prompt: 'A large body of salt water.', hint: 'Ships sail on it.' }),
+      riddle({ answer: 'OCEAN', prompt: 'A large body of salt water!', hint: 'Whales live there.' }),
+      riddle({ answer: 'LAKE', prompt: 'Fresh water surrounded by land.', hint: 'Fresh water surrounded by land.' })
+    ];
+
+    it('should report clashes between riddles with the pair they involve', () => {
+      const result = QualityValidator.validatePuzzle({
+        language: 'en',
+        riddles: [
+          riddle({ id: 1 }),
+          riddle({ id: 2, answer: 'EYES', prompt: 'You see with them, and a tear wets them.', hint: 'Two of them.', explanation: 'Eyes see.' })
+        ]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Riddle 2 mentions the answer of riddle 1 ("tear") [cross-answer]']);
+      expect(result.findings[0]).toMatchObject({ rule: 'cross-answer', severity: 'error', scope: 'puzzle', riddle: 1 });
+    });
+
+    it('should not look for answers that are stop words', () => {
+      const puzzle = {
+        language: 'en',
+        riddles: [
+          riddle({ id: 1, answer: 'THAT', prompt: 'Points at something over there.', hint: 'Not this one.', explanation: 'A pointing word.' }),
+          riddle({ id: 2, answer: 'ARCH', prompt: 'A curved structure over an opening with that shape.', hint: 'Bridges have one.', explanation: 'An arch.' })
+        ]
+      };
+
+      expect(QualityValidator.validatePuzzle(puzzle).findings).toEqual([]);
+
+      const rules = QualityValidator.resolveRules({ 'cross-answer': { stopWords: { en: ['this'] } } });
+      expect(QualityValidator.validatePuzzle(puzzle, rules).errors).toEqual(['Riddle 2 mentions the answer of riddle 1 ("that") [cross-answer]']);
+    });
+
+    it('should find near-duplicate prompts', () => {
+      expect(QualityValidator.validatePuzzle({ language: 'en', riddles }).findings).toContainEqual({
+        rule: 'near-duplicate',
+        severity: 'error',
+        scope: 'puzzle',
+        riddle: 1,
+        message: 'Riddles 1 and 2 are near-duplicates (100% of their words are shared)'
+      });
+    });
+
+    it('should warn about hints that repeat their prompt', () => {
+      const result = QualityValidator.validatePuzzle({ language: 'en', riddles });
+
+      expect(result.warnings).toEqual(['Riddle 3: Hint repeats the prompt [hint-repeats-prompt]']);
+    });
+
+    it('should find answers of other riddles in Hebrew', () => {
+      const result = QualityValidator.validatePuzzle({
+        language: 'he',
+        riddles: [
+          { answer: 'ספר', prompt: 'דפים כרוכים לקריאה.', hint: 'נמצא בספריות.', explanation: 'קוראים בו.' },
+          { answer: 'מדף', prompt: 'עליו מניחים את הספרים.', hint: 'תלוי על הקיר.', explanation: 'לוח על הקיר.' }
+        ]
+      });
+
+      expect(result.errors).toEqual(['Riddle 2 mentions the answer of riddle 1 ("הספרים") [cross-answer]']);
+    });
+
+    it('should find nothing in riddles that stand on their own', () => {
+      const result = QualityValidator.validatePuzzle({
+        language: 'en',
+        riddles: [riddle({}), riddle({ answer: 'RAIN', prompt: 'Water falling from clouds.', hint: 'Bring an umbrella.', explanation: 'Rain falls.' })]
+      });
+
+      expect(result.findings).toEqual([]);
+    });
+
+    it('should apply the rules it is given', () => {
+      const rules = QualityValidator.resolveRules({ 'near-duplicate': 'off', 'hint-repeats-prompt': 'error' });
+      const result = QualityValidator.validatePuzzle({ language: 'en', riddles }, rules);
+
+      expect(result.errors).toEqual(['Riddle 3: Hint repeats the prompt [hint-repeats-prompt]']);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('resolveRules', () => {
+    it('should start from the built-in rules', () => {
+      const rules = QualityValidator.resolveRules();
+
+      expect(Object.keys(rules)).toEqual(Object.keys(QualityValidator.RULES));
+      expect(rules['prompt-length']).toMatchObject({ severity: 'warn', options: { min: 10, max: 200 }, ignore: [] });
+    });
+
+    it('should switch rules off or change their severity', () => {
+      const rules = QualityValidator.resolveRules({ 'prompt-length': 'error', truncated: 'off' });
+      const result = QualityValidator.validateRiddle(riddle({ prompt: 'Salty' }), 'en', rules);
+
+      expect(result.errors).toEqual(['Prompt is very short (< 10 characters) [prompt-length]']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should change thresholds', () => {
+      const rules = QualityValidator.resolveRules({ 'prompt-length': { max: 20 } });
+      const result = QualityValidator.validateRiddle(riddle({}), 'en', rules);
+
+      expect(result.warnings).toEqual(['Prompt is very long (> 20 characters) [prompt-length]']);
+    });
+
+    it('should replace the keyword pack of the languages given', () => {
+      const rules = QualityValidator.resolveRules({ 'pattern-riddle': { keywords: { en: ['rhymes with'] } } });
+
+      expect(QualityValidator.validateRiddle(riddle({ prompt: 'It rhymes with bear.' }), 'en', rules).errors)
+        .toEqual(['Riddle describes letter pattern instead of word meaning [pattern-riddle]']);
+      expect(QualityValidator.validateRiddle(riddle({ prompt: 'It starts with a drop.' }), 'en', rules).errors).toEqual([]);
+      expect(rules['pattern-riddle'].options.keywords.he).toEqual(QualityValidator.RULES['pattern-riddle'].options.keywords.he);
+    });
+
+    it('should skip the answers a rule ignores', () => {
+      const rules = QualityValidator.resolveRules({ 'answer-leak': { ignore: ['tear'] } });
+
+      expect(QualityValidator.validateRiddle(riddle({ hint: 'Tears are made of it.' }), 'en', rules).errors).toEqual([]);
+      expect(QualityValidator.validateRiddle(riddle({ answer: 'SALT', prompt: 'Sprinkle salt on it.' }), 'en', rules).errors)
+        .toEqual(['Prompt gives away the answer ("salt") [answer-leak]']);
+    });
+
+    it('should reject unknown rules and options and values of the wrong type', () => {
+      expect(() => QualityValidator.resolveRules({ 'no-such-rule': 'off' }, 'x.json')).toThrow('Unknown quality rule "no-such-rule" in x.json');
+      expect(() => QualityValidator.resolveRules({ truncated: 'fatal' })).toThrow('severity must be one of');
+      expect(() => QualityValidator.resolveRules({ truncated: { max: 3 } })).toThrow('has no option "max"');
+      expect(() => QualityValidator.resolveRules({ 'prompt-length': { max: '250' } })).toThrow('must be a number');
+      expect(() => QualityValidator.resolveRules({ 'pattern-riddle': { keywords: ['x'] } })).toThrow('must map language codes');
+      expect(() => QualityValidator.resolveRules({ script: { scripts: { ar: { name: 'Arabic', pattern: '[' } } } })).toThrow('must map language codes');
+      expect(() => QualityValidator.resolveRules({ 'answer-leak': { ignore: 'tear' } })).toThrow('"ignore"');
+    });
+  });
+
+  describe('findAnswerLeak', () => {
+    it('should find the answer in any case', () => {
+      expect(QualityValidator.findAnswerLeak('Not a TEAR in sight.', 'TEAR', 'en')).toBe('TEAR');
+    });
+
+    it('should find English inflections', () => {
+      expect(QualityValidator.findAnswerLeak('She tears paper', 'TEAR', 'en')).toBe('tears');
+      expect(QualityValidator.findAnswerLeak('Freshly baked bread', 'BAKE', 'en')).toBe('baked');
+      expect(QualityValidator.findAnswerLeak('Baking day', 'BAKE', 'en')).toBe('Baking');
+      expect(QualityValidator.findAnswerLeak('He carries bags', 'CARRY', 'en')).toBe('carries');
+      expect(QualityValidator.findAnswerLeak('The winning side', 'WIN', 'en')).toBe('winning');
+      expect(QualityValidator.findAnswerLeak('Boxes of them', 'BOX', 'en')).toBe('Boxes');
+    });
+
+    it('should not match different words that start with the answer', () => {
+      expect(QualityValidator.findAnswerLeak('A breeze or a wind', 'WIN', 'en')).toBeNull();
+      expect(QualityValidator.findAnswerLeak('Cartoons on television', 'CART', 'en')).toBeNull();
+      expect(QualityValidator.findAnswerLeak('Drink a beer', 'BEE', 'en')).toBeNull();
+    });
+
+    it('should find Hebrew forms with prefixes, suffixes and final letters', () => {
+      expect(QualityValidator.findAnswerLeak('והספרים על המדף', 'ספר', 'he')).toBe('והספרים');
+      expect(QualityValidator.findAnswerLeak('איפה ספרך?', 'ספר', 'he')).toBe('ספרך');
+      expect(QualityValidator.findAnswerLeak('המורות בכיתה', 'מורה', 'he')).toBe('המורות');
+      expect(QualityValidator.findAnswerLeak('ברכה לשלומך', 'שלום', 'he')).toBe('לשלומך');
+      expect(QualityValidator.findAnswerLeak('ספֵר ישן', 'ספר', 'he')).toBe('ספֵר');
+    });
+
+    it('should only strip letters that are Hebrew prefixes', () => {
+      expect(QualityValidator.findAnswerLeak('קוראים בספרייה', 'ספר', 'he')).toBeNull();
+      expect(QualityValidator.findAnswerLeak('אספר לך', 'ספר', 'he')).toBeNull();
+    });
+
+    it('should only match the answer itself in other languages', () => {
+      expect(QualityValidator.findAnswerLeak('Das Haus und die Häuser', 'HAUS', 'de')).toBe('Haus');
+      expect(QualityValidator.findAnswerLeak('Die Häuser', 'HAUS', 'de')).toBeNull();
+    });
+  });
+});
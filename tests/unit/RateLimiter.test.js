@@ -0,0 +1,63 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { RateLimiter } from '../../cli/modules/RateLimiter.js';
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  it('should run at most concurrency tasks at once', async () => {
+    const limiter = new RateLimiter({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const runs = gates.map((gate, i) => limiter.schedule(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+    await Promise.resolve();
+
+    expect(started).toEqual([0, 1]);
+
+    gates[0].resolve();
+    await runs[0];
+    await Promise.resolve();
+
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+  });
+
+  it('should release the slot when a task fails', async () => {
+    const limiter = new RateLimiter();
+
+    await expect(limiter.schedule(async () => { throw new Error('fail'); })).rejects.toThrow('fail');
+
+    expect(await limiter.schedule(async () => 'next')).toBe('next');
+  });
+
+  it('should hold tasks back once the per-minute limit is reached', async () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter({ concurrency: 5, requestsPerMinute: 2 });
+    const started = [];
+
+    const runs = [0, 1, 2].map(i => limiter.schedule(async () => started.push(i)));
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toEqual([0, 1]);
+
+    await vi.advanceTimersByTimeAsync(60000);
+    await Promise.all(runs);
+
+    expect(started).toEqual([0, 1, 2]);
+  });
+});
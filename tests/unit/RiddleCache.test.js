@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, appendFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RiddleCache } from '../../cli/modules/RiddleCache.js';
+
+describe('RiddleCache', () => {
+  const riddle = { riddle: 'R.', hint: 'H.', explanation: 'E.' };
+  const parts = { word: 'TEAR', language: 'en', provider: 'openai', model: 'gpt-4', promptHash: 'abc' };
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'riddle-cache-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('key', () => {
+    it('should depend on every part', () => {
+      const key = RiddleCache.key(parts);
+
+      expect(RiddleCache.key({ ...parts })).toBe(key);
+      ['word', 'language', 'provider', 'model', 'promptHash'].forEach(field => {
+        expect(RiddleCache.key({ ...parts, [field]: 'other' })).not.toBe(key);
+      });
+    });
+  });
+
+  describe('get and set', () => {
+    it('should persist riddles across instances', () => {
+      const key = RiddleCache.key(parts);
+      new RiddleCache({ dir }).set(key, { ...parts, riddle });
+
+      const cache = new RiddleCache({ dir });
+
+      expect(cache.get(key)).toEqual(riddle);
+      expect(cache.hits).toBe(1);
+    });
+
+    it('should count misses', () => {
+      const cache = new RiddleCache({ dir });
+
+      expect(cache.get('missing')).toBeNull();
+      expect(cache.misses).toBe(1);
+      expect(existsSync(cache.path)).toBe(false);
+    });
+
+    it('should ignore stored riddles when refreshing', () => {
+      const key = RiddleCache.key(parts);
+      new RiddleCache({ dir }).set(key, { ...parts, riddle });
+
+      const cache = new RiddleCache({ dir, refresh: true });
+
+      expect(cache.get(key)).toBeNull();
+    });
+
+    it('should let the last line for a key win', () => {
+      const key = RiddleCache.key(parts);
+      const first = new RiddleCache({ dir });
+      first.set(key, { ...parts, riddle });
+      first.set(key, { ...parts, riddle: { ...riddle, riddle: 'Newer.' } });
+
+      expect(new RiddleCache({ dir }).get(key).riddle).toBe('Newer.');
+    });
+
+    it('should skip a truncated line', () => {
+      const key = RiddleCache.key(parts);
+      const cache = new RiddleCache({ dir });
+      cache.set(key, { ...parts, riddle });
+      appendFileSync(cache.path, '{"key": "cut', 'utf-8');
+
+      expect(new RiddleCache({ dir }).load().size).toBe(1);
+    });
+  });
+
+  describe('stats', () => {
+    it('should count entries by provider and language', () => {
+      const cache = new RiddleCache({ dir });
+      cache.set('a', { ...parts, riddle });
+      cache.set('b', { ...parts, word: 'RARE', riddle });
+      cache.set('c', { ...parts, language: 'he', provider: 'mock', model: '', promptHash: 'old', riddle });
+
+      const stats = new RiddleCache({ dir }).stats(entry => entry.promptHash === 'old');
+
+      expect(stats.entries).toBe(3);
+      expect(stats.providers).toEqual({ 'openai/gpt-4': 2, mock: 1 });
+      expect(stats.languages).toEqual({ en: 2, he: 1 });
+      expect(stats.stale).toBe(1);
+      expect(stats.bytes).toBeGreaterThan(0);
+      expect(stats.oldest <= stats.newest).toBe(true);
+    });
+  });
+
+  describe('prune', () => {
+    it('should remove matching entries and compact the file', () => {
+      const cache = new RiddleCache({ dir });
+      cache.set('a', { ...parts, riddle });
+      cache.set('a', { ...parts, riddle });
+      cache.set('b', { ...parts, promptHash: 'old', riddle });
+
+      const removed = cache.prune(entry => entry.promptHash === 'old');
+
+      expect(removed).toBe(1);
+      const lines = readFileSync(cache.path, 'utf-8').split('\n').filter(Boolean);
+      expect(lines.map(line => JSON.parse(line).key)).toEqual(['a']);
+    });
+  });
+});
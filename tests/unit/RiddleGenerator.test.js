@@ -1,11 +1,18 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { RiddleGenerator } from '../../cli/modules/RiddleGenerator.js';
+import { MockProvider } from '../../cli/modules/RiddleProviders.js';
+import { RiddleCache } from '../../cli/modules/RiddleCache.js';
+import { RateLimiter } from '../../cli/modules/RateLimiter.js';
 
 describe('RiddleGenerator', () => {
   beforeEach(() => {
     // Clear environment variables
     delete process.env.OPENAI_API_KEY;
     delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.RIDDLE_PROVIDER;
   });
 
   describe('generateFallbackRiddle', () => {
@@ -76,6 +83,22 @@ describe('RiddleGenerator', () => {
       expect(prompt).toContain('ABLE');
       expect(prompt).toContain('riddle');
     });
+
+    it('should add the style instructions after the template', () => {
+      const plain = RiddleGenerator.getPromptTemplate('ABLE', 'en');
+
+      expect(RiddleGenerator.getPromptTemplate('ABLE', 'en', null, 'descriptive')).toBe(plain);
+      expect(RiddleGenerator.getPromptTemplate('ABLE', 'en', null, 'trivia'))
+        .toBe(`${plain}\n\n${RiddleGenerator.PROMPT_STYLES.trivia.en}`);
+      expect(RiddleGenerator.getPromptTemplate('אבגד', 'he', null, 'playful'))
+        .toContain(RiddleGenerator.PROMPT_STYLES.playful.he);
+    });
+
+    it('should put feedback after the style instructions', () => {
+      const prompt = RiddleGenerator.getPromptTemplate('ABLE', 'en', { previous: 'Old.', errors: ['Too short'] }, 'playful');
+
+      expect(prompt.indexOf('STYLE:')).toBeLessThan(prompt.indexOf('REJECTED'));
+    });
   });
 
   describe('generateRiddles', () => {
@@ -103,6 +126,45 @@ describe('RiddleGenerator', () => {
     });
   });
 
+  describe('generateSquareRiddles', () => {
+    it('should only generate row riddles for symmetric squares', async () => {
+      const riddles = await RiddleGenerator.generateSquareRiddles({ words: ['ABLE', 'BARE', 'LREA', 'EEAR'] }, 'en');
+
+      expect(riddles).toHaveLength(4);
+      expect(riddles[0].orientation).toBeUndefined();
+    });
+
+    it('should add column riddles for double squares', async () => {
+      const square = {
+        words: ['GLIA', 'AIDS', 'PEEK', 'SUMS'],
+        columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKS']
+      };
+
+      const riddles = await RiddleGenerator.generateSquareRiddles(square, 'en');
+
+      expect(riddles).toHaveLength(8);
+      expect(riddles[0]).toMatchObject({ id: 1, position: 0, orientation: 'row', answer: 'GLIA' });
+      expect(riddles[4]).toMatchObject({ id: 5, position: 0, orientation: 'column', answer: 'GAPS' });
+      expect(riddles[7]).toMatchObject({ id: 8, position: 3, orientation: 'column', answer: 'ASKS' });
+    });
+
+    it('should add a bonus riddle for each diagonal word', async () => {
+      const square = {
+        words: ['BANS', 'AREA', 'NEAL', 'SALT'],
+        bonusWords: [
+          { kind: 'main-diagonal', word: 'BRAT' },
+          { kind: 'anti-diagonal', word: 'SEES' }
+        ]
+      };
+
+      const riddles = await RiddleGenerator.generateSquareRiddles(square, 'en');
+
+      expect(riddles).toHaveLength(6);
+      expect(riddles[4]).toMatchObject({ id: 5, position: 0, orientation: 'main-diagonal', answer: 'BRAT' });
+      expect(riddles[5]).toMatchObject({ id: 6, position: 1, orientation: 'anti-diagonal', answer: 'SEES' });
+    });
+  });
+
   describe('generateRiddle', () => {
     it('should use fallback when no API key is set', async () => {
       const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 0);
@@ -143,6 +205,337 @@ describe('RiddleGenerator', () => {
 
       expect(fn).toHaveBeenCalledTimes(2);
     });
+
+    it('should stop when the error is not worth retrying', async () => {
+      const fn = vi.fn().mockRejectedValue(new Error('bad request'));
+
+      await expect(
+        RiddleGenerator.retryWithBackoff(fn, 3, 10, { shouldRetry: () => false })
+      ).rejects.toThrow('bad request');
+
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      const error = Object.assign(new Error('slow down'), { status: 429, retryAfter: 5 });
+      const fn = vi.fn().mockRejectedValueOnce(error).mockResolvedValueOnce('success');
+      const onRetry = vi.fn();
+
+      await RiddleGenerator.retryWithBackoff(fn, 3, 10000, { onRetry });
+
+      expect(onRetry).toHaveBeenCalledWith(error, 1, 5);
+    });
+
+    it('should fail instead of waiting longer than maxDelay', async () => {
+      const error = Object.assign(new Error('slow down'), { status: 429, retryAfter: 3600000 });
+      const fn = vi.fn().mockRejectedValue(error);
+      const onRetry = vi.fn();
+
+      await expect(
+        RiddleGenerator.retryWithBackoff(fn, 3, 10, { onRetry, maxDelay: 60000 })
+      ).rejects.toThrow('slow down (Retry-After of 3600s is longer than the 60s limit)');
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(onRetry).not.toHaveBeenCalled();
+    });
+
+    it('should add jitter to the backoff', async () => {
+      const delays = [];
+      const fn = vi.fn().mockRejectedValue(new Error('fail'));
+
+      await expect(RiddleGenerator.retryWithBackoff(fn, 3, 8, {
+        onRetry: (error, attempt, delay) => delays.push(delay)
+      })).rejects.toThrow('fail');
+
+      expect(delays[0]).toBeGreaterThanOrEqual(4);
+      expect(delays[0]).toBeLessThanOrEqual(8);
+      expect(delays[1]).toBeGreaterThanOrEqual(8);
+      expect(delays[1]).toBeLessThanOrEqual(16);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should retry rate limits, server errors, timeouts and network failures', () => {
+      expect(RiddleGenerator.isRetryable(Object.assign(new Error(), { status: 429 }))).toBe(true);
+      expect(RiddleGenerator.isRetryable(Object.assign(new Error(), { status: 503 }))).toBe(true);
+      expect(RiddleGenerator.isRetryable(new DOMException('timed out', 'TimeoutError'))).toBe(true);
+      expect(RiddleGenerator.isRetryable(new TypeError('fetch failed'))).toBe(true);
+    });
+
+    it('should not retry other client errors', () => {
+      expect(RiddleGenerator.isRetryable(Object.assign(new Error(), { status: 401 }))).toBe(false);
+      expect(RiddleGenerator.isRetryable(Object.assign(new Error(), { status: 400 }))).toBe(false);
+    });
+
+    it('should not retry TypeErrors that are not network failures', () => {
+      expect(RiddleGenerator.isRetryable(new TypeError('fetch failed', { cause: new Error('ECONNRESET') }))).toBe(true);
+      expect(RiddleGenerator.isRetryable(new TypeError("Cannot read properties of undefined (reading '0')"))).toBe(false);
+    });
+  });
+
+  describe('parseRiddleResponse', () => {
+    it('should parse JSON wrapped in markdown and text', () => {
+      const content = 'Here you go:\n```json\n{"riddle": "R.", "hint": "H.", "explanation": "E."}\n```';
+
+      expect(RiddleGenerator.parseRiddleResponse(content, 'ABLE')).toEqual({ riddle: 'R.', hint: 'H.', explanation: 'E.' });
+    });
+
+    it('should take a reply without JSON as the riddle', () => {
+      const riddleData = RiddleGenerator.parseRiddleResponse('Test riddle for ABLE', 'ABLE');
+
+      expect(riddleData.riddle).toBe('Test riddle for ABLE');
+      expect(riddleData.hint).toBeTruthy();
+    });
+
+    it('should reject JSON with missing fields', () => {
+      expect(() => RiddleGenerator.parseRiddleResponse('{"riddle": "R."}', 'ABLE')).toThrow('Missing required fields');
+    });
+  });
+
+  describe('providers', () => {
+    it('should use the given provider', async () => {
+      const provider = new MockProvider({
+        responses: { ABLE: '{"riddle": "Having the power to do something.", "hint": "Capable.", "explanation": "Able means capable."}' }
+      });
+
+      const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 2, { provider });
+
+      expect(riddle).toEqual({
+        id: 3,
+        prompt: 'Having the power to do something.',
+        answer: 'ABLE',
+        position: 2,
+        hint: 'Capable.',
+        explanation: 'Able means capable.'
+      });
+    });
+
+    it('should send the same prompts to every provider', async () => {
+      const provider = { label: 'Test', complete: vi.fn().mockResolvedValue('{"riddle": "R.", "hint": "H.", "explanation": "E."}') };
+
+      await RiddleGenerator.generateRiddle('ABLE', 'he', 0, { provider });
+
+      expect(provider.complete).toHaveBeenCalledWith({
+        system: RiddleGenerator.getSystemPrompt('he'),
+        prompt: RiddleGenerator.getPromptTemplate('ABLE', 'he'),
+        word: 'ABLE',
+        language: 'he'
+      });
+    });
+
+    it('should fall back when the reply is malformed', async () => {
+      const provider = new MockProvider({ responses: { ABLE: '{"riddle": }' } });
+
+      const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 0, { provider });
+
+      expect(riddle).toEqual(RiddleGenerator.generateFallbackRiddle('ABLE', 'en', 0));
+    });
+
+    it('should fall back when the provider fails', async () => {
+      const provider = { label: 'Test', complete: vi.fn().mockRejectedValue(new Error('Test API error: 500')) };
+
+      const riddles = await RiddleGenerator.generateRiddles(['ABLE'], 'en', { provider });
+
+      expect(riddles).toEqual([RiddleGenerator.generateFallbackRiddle('ABLE', 'en', 0)]);
+    });
+
+    it('should pass the provider through for square riddles', async () => {
+      const provider = new MockProvider();
+      const square = { words: ['BAT', 'ARE', 'TEN'] };
+
+      const riddles = await RiddleGenerator.generateSquareRiddles(square, 'en', { provider });
+
+      expect(riddles.map(riddle => riddle.prompt)).toEqual(
+        square.words.map(word => MockProvider.riddleFor(word, 'en').riddle)
+      );
+    });
+  });
+
+  describe('failed calls', () => {
+    const reply = '{"riddle": "R.", "hint": "H.", "explanation": "E."}';
+    const serverError = () => Object.assign(new Error('Test API error: 503'), { status: 503 });
+
+    it('should retry server errors and then succeed', async () => {
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockRejectedValueOnce(serverError()).mockResolvedValueOnce(reply) };
+
+      const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 0, { provider, retryDelay: 1 });
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(riddle.prompt).toBe('R.');
+    });
+
+    it('should record calls that gave up', async () => {
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockRejectedValue(serverError()) };
+      const failures = [];
+
+      const riddles = await RiddleGenerator.generateRiddles(['ABLE'], 'en', { provider, failures, maxRetries: 2, retryDelay: 1 });
+
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+      expect(riddles[0]).toEqual(RiddleGenerator.generateFallbackRiddle('ABLE', 'en', 0));
+      expect(failures).toEqual([{ word: 'ABLE', language: 'en', provider: 'Test', error: 'Test API error: 503', status: 503 }]);
+    });
+
+    it('should record replies that are not riddle JSON', async () => {
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockResolvedValue('{"riddle": "R."}') };
+      const failures = [];
+
+      const riddles = await RiddleGenerator.generateRiddles(['ABLE'], 'en', { provider, failures });
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(riddles[0]).toEqual(RiddleGenerator.generateFallbackRiddle('ABLE', 'en', 0));
+      expect(failures).toEqual([expect.objectContaining({ word: 'ABLE', provider: 'Test', error: expect.stringMatching(/^Reply is not valid riddle JSON/) })]);
+    });
+
+    it('should send requests through the limiter', async () => {
+      const limiter = new RateLimiter({ concurrency: 2 });
+      const schedule = vi.spyOn(limiter, 'schedule');
+      const provider = new MockProvider();
+
+      const riddles = await RiddleGenerator.generateRiddles(['ABLE', 'BARE', 'TEAR'], 'en', { provider, limiter });
+
+      expect(schedule).toHaveBeenCalledTimes(3);
+      expect(riddles.map(riddle => riddle.answer)).toEqual(['ABLE', 'BARE', 'TEAR']);
+    });
+  });
+
+  describe('cache', () => {
+    let dir;
+
+    // The mock provider opts out of the cache; these tests need one that does not
+    const cachedMock = settings => Object.assign(new MockProvider(settings), { cacheable: true });
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'riddle-cache-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reuse cached riddles instead of asking the provider', async () => {
+      const provider = cachedMock();
+      const complete = vi.spyOn(provider, 'complete');
+
+      const first = await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache: new RiddleCache({ dir }) });
+      const second = await RiddleGenerator.generateRiddle('TEAR', 'en', 1, { provider, cache: new RiddleCache({ dir }) });
+
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(second).toEqual({ ...first, id: 2, position: 1 });
+    });
+
+    it('should keep providers apart', async () => {
+      const cache = new RiddleCache({ dir });
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider: cachedMock(), cache });
+      const other = { name: 'other', label: 'Other', model: 'm', complete: vi.fn().mockResolvedValue('{"riddle": "R.", "hint": "H.", "explanation": "E."}') };
+
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider: other, cache });
+
+      expect(other.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache fallback riddles', async () => {
+      const cache = new RiddleCache({ dir });
+      const provider = cachedMock({ responses: { TEAR: '{"riddle": }' } });
+
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache });
+
+      expect(cache.load().size).toBe(0);
+    });
+
+    it('should skip the cache for providers that opt out', async () => {
+      const cache = new RiddleCache({ dir });
+      const provider = { name: 'local', label: 'Local', cacheable: false, complete: vi.fn().mockResolvedValue('{"riddle": "R.", "hint": "H.", "explanation": "E."}') };
+
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache });
+
+      expect(cache.load().size).toBe(0);
+      expect(cache.misses).toBe(0);
+    });
+
+    it('should change the prompt hash with the language', () => {
+      expect(RiddleGenerator.getPromptHash('en')).not.toBe(RiddleGenerator.getPromptHash('he'));
+      expect(RiddleGenerator.getPromptHash('en')).toBe(RiddleGenerator.getPromptHash('en'));
+    });
+
+    it('should keep prompt styles apart', async () => {
+      const cache = new RiddleCache({ dir });
+      const provider = cachedMock();
+      const complete = vi.spyOn(provider, 'complete');
+
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache });
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache, promptStyle: 'descriptive' });
+      await RiddleGenerator.generateRiddle('TEAR', 'en', 0, { provider, cache, promptStyle: 'trivia' });
+
+      expect(complete).toHaveBeenCalledTimes(2);
+      expect(complete.mock.calls[1][0].prompt).toContain('STYLE:');
+      expect([...cache.load().values()].map(entry => entry.promptStyle)).toEqual([undefined, 'trivia']);
+      expect(RiddleGenerator.getPromptHash('en', 'descriptive')).toBe(RiddleGenerator.getPromptHash('en'));
+    });
+  });
+
+  describe('regenerateFailingRiddles', () => {
+    const good = { id: 1, prompt: 'Having the power to do something.', answer: 'ABLE', position: 0, hint: 'Capable.', explanation: 'Able means capable.' };
+    const bad = { id: 2, prompt: 'A word that starts with B.', answer: 'BARE', position: 1, hint: 'Uncovered.', explanation: 'Bare means uncovered.', orientation: 'row' };
+    const fixed = '{"riddle": "Without any covering.", "hint": "Naked.", "explanation": "Bare means without covering."}';
+
+    it('should regenerate only the failing riddles, with the errors in the prompt', async () => {
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockResolvedValue(fixed) };
+
+      const result = await RiddleGenerator.regenerateFailingRiddles([good, bad], 'en', { provider });
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      const { prompt, word } = provider.complete.mock.calls[0][0];
+      expect(word).toBe('BARE');
+      expect(prompt).toContain('A word that starts with B.');
+      expect(prompt).toContain('Riddle describes letter pattern instead of word meaning');
+      expect(result.riddles[0]).toBe(good);
+      expect(result.riddles[1]).toEqual({ ...bad, prompt: 'Without any covering.', hint: 'Naked.', explanation: 'Bare means without covering.' });
+      expect(result).toMatchObject({ regenerated: 1, failing: 0 });
+    });
+
+    it('should regenerate a riddle that gives away another riddle\'s answer', async () => {
+      const telling = { ...good, prompt: 'Having the power to do something, even when bare.' };
+      const fine = { ...bad, prompt: 'Without any covering.' };
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockResolvedValue('{"riddle": "Having the power to do a task.", "hint": "Capable.", "explanation": "Able means capable."}') };
+
+      const result = await RiddleGenerator.regenerateFailingRiddles([telling, fine], 'en', { provider });
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(provider.complete.mock.calls[0][0].word).toBe('ABLE');
+      expect(provider.complete.mock.calls[0][0].prompt).toContain('Riddle 1 mentions the answer of riddle 2 ("bare")');
+      expect(result).toMatchObject({ regenerated: 1, failing: 0 });
+    });
+
+    it('should stop after maxAttempts', async () => {
+      const provider = { name: 'test', label: 'Test', complete: vi.fn().mockResolvedValue('{"riddle": "It starts with B.", "hint": "H.", "explanation": "E."}') };
+
+      const result = await RiddleGenerator.regenerateFailingRiddles([good, bad], 'en', { provider, maxAttempts: 3 });
+
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+      expect(result).toMatchObject({ regenerated: 3, failing: 1 });
+    });
+
+    it('should not regenerate without a provider', async () => {
+      const result = await RiddleGenerator.regenerateFailingRiddles([good, bad], 'en', { provider: null });
+
+      expect(result).toEqual({ riddles: [good, bad], regenerated: 0, failing: 1 });
+    });
+
+    it('should replace the cached riddle that failed', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'riddle-cache-'));
+      try {
+        const cache = new RiddleCache({ dir });
+        const provider = Object.assign(new MockProvider({ responses: { BARE: fixed } }), { cacheable: true });
+        const key = RiddleCache.key({ word: 'BARE', language: 'en', provider: 'mock', model: '', promptHash: RiddleGenerator.getPromptHash('en') });
+        cache.set(key, { riddle: { riddle: 'It starts with B.', hint: 'H.', explanation: 'E.' } });
+
+        await RiddleGenerator.regenerateFailingRiddles([bad], 'en', { provider, cache });
+
+        expect(new RiddleCache({ dir }).get(key).riddle).toBe('Without any covering.');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('API Integration (mocked)', () => {
@@ -161,7 +554,7 @@ describe('RiddleGenerator', () => {
         })
       });
 
-      const riddle = await RiddleGenerator.generateOpenAIRiddle('ABLE', 'en', 0);
+      const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 0);
 
       expect(riddle.prompt).toBe('Test riddle for ABLE');
       expect(riddle.answer).toBe('ABLE');
@@ -185,7 +578,7 @@ describe('RiddleGenerator', () => {
       });
 
       await expect(
-        RiddleGenerator.generateOpenAIRiddle('ABLE', 'en', 0)
+        RiddleGenerator.generateRiddle('ABLE', 'en', 0, { maxRetries: 0 })
       ).rejects.toThrow('OpenAI API error');
     });
 
@@ -201,7 +594,7 @@ describe('RiddleGenerator', () => {
         })
       });
 
-      const riddle = await RiddleGenerator.generateAnthropicRiddle('ABLE', 'en', 0);
+      const riddle = await RiddleGenerator.generateRiddle('ABLE', 'en', 0);
 
       expect(riddle.prompt).toBe('Test riddle for ABLE');
       expect(riddle.answer).toBe('ABLE');
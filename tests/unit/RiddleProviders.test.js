@@ -0,0 +1,281 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  RiddleProviders,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  DictionaryProvider
+} from '../../cli/modules/RiddleProviders.js';
+
+describe('RiddleProviders', () => {
+  const reply = '{"riddle": "R.", "hint": "H.", "explanation": "E."}';
+  const request = { system: 'System.', prompt: 'Prompt.', word: 'ABLE', language: 'en' };
+
+  beforeEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.RIDDLE_PROVIDER;
+    delete process.env.CUSTOM_BASE_URL;
+    delete process.env.CUSTOM_API_KEY;
+    delete process.env.CUSTOM_MODEL;
+    delete process.env.DICTIONARY_PATH;
+  });
+
+  describe('create', () => {
+    it('should create every built-in provider', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+      process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+
+      expect(RiddleProviders.create('openai')).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(RiddleProviders.create('anthropic')).toBeInstanceOf(AnthropicProvider);
+      expect(RiddleProviders.create('custom', { baseUrl: 'http://localhost:8080/v1' })).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(RiddleProviders.create('mock')).toBeInstanceOf(MockProvider);
+      expect(RiddleProviders.create('mock').cacheable).toBe(false);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => RiddleProviders.create('nope')).toThrow('Unknown riddle provider "nope"');
+    });
+
+    it('should require an API key for hosted providers', () => {
+      expect(() => RiddleProviders.create('openai')).toThrow('OPENAI_API_KEY');
+      expect(() => RiddleProviders.create('anthropic')).toThrow('ANTHROPIC_API_KEY');
+    });
+
+    it('should require a base URL for the custom provider', () => {
+      expect(() => RiddleProviders.create('custom')).toThrow('base URL');
+    });
+
+    it('should read custom settings from the environment', () => {
+      process.env.CUSTOM_BASE_URL = 'http://localhost:11434/v1/';
+      process.env.CUSTOM_MODEL = 'llama3';
+
+      const provider = RiddleProviders.create('custom');
+
+      expect(provider.baseUrl).toBe('http://localhost:11434/v1');
+      expect(provider.model).toBe('llama3');
+      expect(provider.apiKey).toBeNull();
+    });
+  });
+
+  describe('register', () => {
+    it('should add a provider to the registry', () => {
+      const provider = { name: 'echo', label: 'Echo', complete: async () => reply };
+      RiddleProviders.register('echo', () => provider);
+
+      expect(RiddleProviders.names()).toContain('echo');
+      expect(RiddleProviders.create('echo')).toBe(provider);
+
+      RiddleProviders.FACTORIES.delete('echo');
+    });
+  });
+
+  describe('fromEnvironment', () => {
+    it('should return null without any configuration', () => {
+      expect(RiddleProviders.fromEnvironment()).toBeNull();
+    });
+
+    it('should prefer RIDDLE_PROVIDER over API keys', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+      process.env.RIDDLE_PROVIDER = 'mock';
+
+      expect(RiddleProviders.fromEnvironment().name).toBe('mock');
+    });
+
+    it('should pick OpenAI before Anthropic', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+      process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+
+      expect(RiddleProviders.fromEnvironment().name).toBe('openai');
+    });
+
+    it('should fall back to Anthropic', () => {
+      process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+
+      expect(RiddleProviders.fromEnvironment().name).toBe('anthropic');
+    });
+
+    it('should name the provider without creating it', () => {
+      expect(RiddleProviders.environmentName()).toBeNull();
+
+      process.env.RIDDLE_PROVIDER = 'custom';
+
+      expect(RiddleProviders.environmentName()).toBe('custom');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    it('should post to the custom base URL without a key', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: reply } }] })
+      });
+      const provider = RiddleProviders.create('custom', { baseUrl: 'http://localhost:8080/v1', model: 'local' });
+
+      const content = await provider.complete(request);
+
+      expect(content).toBe(reply);
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(init.body)).toMatchObject({
+        model: 'local',
+        messages: [
+          { role: 'system', content: 'System.' },
+          { role: 'user', content: 'Prompt.' }
+        ]
+      });
+    });
+
+    it('should name the provider in errors', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 503 });
+      const provider = RiddleProviders.create('custom', { baseUrl: 'http://localhost:8080/v1' });
+
+      await expect(provider.complete(request)).rejects.toThrow('Custom endpoint API error: 503');
+    });
+
+    it('should reject a response without reply text, without a status to retry on', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ choices: [] }) });
+      const provider = RiddleProviders.create('custom', { baseUrl: 'http://localhost:8080/v1' });
+
+      const error = await provider.complete(request).catch(e => e);
+
+      expect(error.message).toBe('Custom endpoint API returned a response without reply text');
+      expect(error.status).toBeUndefined();
+    });
+  });
+
+  describe('httpError', () => {
+    it('should carry the status and Retry-After delay', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: false,
+        status: 429,
+        headers: new Headers({ 'Retry-After': '2' })
+      });
+      const provider = RiddleProviders.create('openai', { apiKey: 'key' });
+
+      const error = await provider.complete(request).catch(e => e);
+
+      expect(error.message).toBe('OpenAI API error: 429');
+      expect(error.status).toBe(429);
+      expect(error.retryAfter).toBe(2000);
+    });
+
+    it('should time out slow requests', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ content: [{ text: reply }] }) });
+      const provider = RiddleProviders.create('anthropic', { apiKey: 'key', timeout: 1234 });
+
+      await provider.complete(request);
+
+      expect(provider.timeout).toBe(1234);
+      expect(global.fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read seconds and HTTP dates', () => {
+      expect(RiddleProviders.parseRetryAfter('3')).toBe(3000);
+      expect(RiddleProviders.parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+      expect(RiddleProviders.parseRetryAfter(new Date(0).toUTCString())).toBe(0);
+    });
+
+    it('should ignore missing or unreadable values', () => {
+      expect(RiddleProviders.parseRetryAfter(null)).toBeNull();
+      expect(RiddleProviders.parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    it('should send the system prompt separately', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: [{ text: reply }] })
+      });
+      const provider = RiddleProviders.create('anthropic', { apiKey: 'anthropic-key' });
+
+      const content = await provider.complete(request);
+
+      expect(content).toBe(reply);
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.system).toBe('System.');
+      expect(body.messages).toEqual([{ role: 'user', content: 'Prompt.' }]);
+    });
+
+    it('should reject a response without reply text', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ type: 'error' }) });
+      const provider = RiddleProviders.create('anthropic', { apiKey: 'anthropic-key' });
+
+      await expect(provider.complete(request)).rejects.toThrow('Anthropic API returned a response without reply text');
+    });
+  });
+
+  describe('DictionaryProvider', () => {
+    let dir;
+    let path;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'dictionary-'));
+      path = join(dir, 'en.tsv');
+      writeFileSync(path, 'ABLE\tHaving the power or skill to do something\n', 'utf-8');
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should answer from the dictionary file', async () => {
+      const provider = RiddleProviders.create('dictionary', { dictionary: path });
+
+      const riddle = JSON.parse(await provider.complete(request));
+
+      expect(provider).toBeInstanceOf(DictionaryProvider);
+      expect(riddle.riddle).toBe('Having the power or skill to do something.');
+      expect(provider.cacheable).toBe(false);
+    });
+
+    it('should read the path from the environment', () => {
+      process.env.DICTIONARY_PATH = path;
+
+      expect(RiddleProviders.create('dictionary').path).toBe(path);
+    });
+
+    it('should fail for words it does not define', async () => {
+      const provider = RiddleProviders.create('dictionary', { dictionary: path });
+
+      await expect(provider.complete({ ...request, word: 'BARE' })).rejects.toThrow('No definition for "BARE"');
+    });
+
+    it('should fail early when the language has no dictionary', () => {
+      expect(() => RiddleProviders.create('dictionary', { language: 'xx' })).toThrow('No dictionary for language "xx"');
+    });
+  });
+
+  describe('MockProvider', () => {
+    it('should answer the same word the same way', async () => {
+      const provider = new MockProvider();
+
+      const first = await provider.complete(request);
+      const second = await provider.complete(request);
+
+      expect(first).toBe(second);
+      expect(JSON.parse(first)).toEqual(MockProvider.riddleFor('ABLE', 'en'));
+    });
+
+    it('should give different words different riddles', () => {
+      expect(MockProvider.riddleFor('ABLE', 'en').riddle).not.toBe(MockProvider.riddleFor('BARE', 'en').riddle);
+    });
+
+    it('should write Hebrew riddles for Hebrew puzzles', () => {
+      expect(MockProvider.riddleFor('שלום', 'he').riddle).toMatch(/[֐-׿]/);
+    });
+
+    it('should return canned responses', async () => {
+      const provider = new MockProvider({ responses: { ABLE: 'canned' } });
+
+      expect(await provider.complete(request)).toBe('canned');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom } from '../../cli/modules/SeededRandom.js';
+
+describe('SeededRandom', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom('puzzles');
+    const b = new SeededRandom('puzzles');
+
+    const first = Array.from({ length: 10 }, () => a.next());
+    const second = Array.from({ length: 10 }, () => b.next());
+
+    expect(first).toEqual(second);
+  });
+
+  it('should produce different sequences for different seeds', () => {
+    const a = new SeededRandom('puzzles');
+    const b = new SeededRandom('riddles');
+
+    expect(a.next()).not.toBe(b.next());
+  });
+
+  it('should treat numeric and string seeds alike', () => {
+    expect(new SeededRandom(42).next()).toBe(new SeededRandom('42').next());
+  });
+
+  it('should return floats in [0, 1)', () => {
+    const random = new SeededRandom(1);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('should return integers below the bound', () => {
+    const random = new SeededRandom(1);
+
+    for (let i = 0; i < 100; i++) {
+      const value = random.nextInt(5);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeLessThan(5);
+    }
+  });
+
+  it('should fork independent streams', () => {
+    const random = new SeededRandom('run');
+    const ids = random.fork('ids');
+
+    random.next();
+    random.next();
+
+    expect(ids.next()).toBe(new SeededRandom('run').fork('ids').next());
+    expect(ids.seed).toBe('run/ids');
+  });
+
+  it('should generate version 4 UUIDs', () => {
+    const uuid = new SeededRandom('run').uuid();
+
+    expect(uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(uuid).toBe(new SeededRandom('run').uuid());
+  });
+
+  it('should generate hex strings of the requested length', () => {
+    expect(new SeededRandom('run').hex(12)).toMatch(/^[0-9a-f]{12}$/);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { deflateSync } from 'zlib';
+import { ShareLink } from '../../cli/modules/ShareLink.js';
+
+describe('ShareLink', () => {
+  const puzzle = {
+    puzzleId: '550e8400-e29b-41d4-a716-446655440000',
+    language: 'he',
+    words: ['שלום', 'לחם'],
+    riddles: [{ prompt: 'What? Why + how / when', answer: 'שלום' }]
+  };
+
+  describe('encode', () => {
+    it('should produce URL-safe text', () => {
+      const encoded = ShareLink.encode(puzzle);
+
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should round-trip through decode', () => {
+      expect(ShareLink.decode(ShareLink.encode(puzzle))).toEqual(puzzle);
+    });
+  });
+
+  describe('decode', () => {
+    it('should read links made by the browser encoder format', () => {
+      const encoded = ShareLink.base64urlEncode(deflateSync(JSON.stringify(puzzle)));
+
+      expect(ShareLink.decode(encoded)).toEqual(puzzle);
+    });
+
+    it('should take a full URL', () => {
+      const url = ShareLink.toUrl(puzzle, 'https://example.com/game/');
+
+      expect(url.startsWith('https://example.com/game/?p=')).toBe(true);
+      expect(ShareLink.decode(url)).toEqual(puzzle);
+    });
+
+    it('should reject a URL without a puzzle', () => {
+      expect(() => ShareLink.decode('https://example.com/?id=3')).toThrow('no p parameter');
+    });
+
+    it('should reject text that is not an encoded puzzle', () => {
+      expect(() => ShareLink.decode('not-a-puzzle')).toThrow('Failed to decode puzzle');
+      expect(() => ShareLink.decode(ShareLink.base64urlEncode(deflateSync('{oops')))).toThrow('Failed to decode puzzle');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, appendFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SquareEnumerator } from '../../cli/modules/SquareEnumerator.js';
+
+describe('SquareEnumerator', () => {
+  // CARD/AREA/RENT completes with both DATE and DATA
+  const words = ['CARD', 'AREA', 'RENT', 'DATE', 'DATA', 'RARE', 'DENT'];
+  let dir;
+  let outputPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'enumerate-'));
+    outputPath = join(dir, 'squares.ndjson');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readSquares = () => readFileSync(outputPath, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+
+  describe('enumerate', () => {
+    it('should stream every square as NDJSON', async () => {
+      const summary = await SquareEnumerator.enumerate(words, { outputPath });
+
+      const squares = readSquares();
+      expect(summary.completed).toBe(true);
+      expect(summary.found).toBe(squares.length);
+      expect(squares.map(s => s.words)).toContainEqual(['CARD', 'AREA', 'RENT', 'DATE']);
+      expect(squares.map(s => s.words)).toContainEqual(['CARD', 'AREA', 'RENT', 'DATA']);
+    });
+
+    it('should find more than one square per first word', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+
+      const cardSquares = readSquares().filter(s => s.words[0] === 'CARD');
+      expect(cardSquares).toHaveLength(2);
+    });
+
+    it('should write a completed checkpoint', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+
+      const checkpoint = JSON.parse(readFileSync(`${outputPath}.checkpoint.json`, 'utf-8'));
+      expect(checkpoint.completed).toBe(true);
+      expect(checkpoint.nextIndex).toBe(checkpoint.total);
+      expect(checkpoint.outputBytes).toBe(readFileSync(outputPath).length);
+    });
+
+    it('should stop when aborted and resume to the same output', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+      const expected = readFileSync(outputPath, 'utf-8');
+
+      const controller = new AbortController();
+      const partial = await SquareEnumerator.enumerate(words, {
+        outputPath,
+        checkpointEvery: 1,
+        signal: controller.signal,
+        onProgress: (state) => {
+          if (state.nextIndex === 2) controller.abort();
+        }
+      });
+      expect(partial.completed).toBe(false);
+      expect(partial.processed).toBe(2);
+
+      const resumed = await SquareEnumerator.enumerate(words, { outputPath, resume: true });
+      expect(resumed.completed).toBe(true);
+      expect(readFileSync(outputPath, 'utf-8')).toBe(expected);
+    });
+
+    it('should drop output written after the last checkpoint', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+      const expected = readFileSync(outputPath, 'utf-8');
+
+      // Simulate a crash: checkpoint at the start, half a line in the file
+      const checkpointPath = `${outputPath}.checkpoint.json`;
+      const checkpoint = JSON.parse(readFileSync(checkpointPath, 'utf-8'));
+      writeFileSync(checkpointPath, JSON.stringify({ ...checkpoint, nextIndex: 0, found: 0, outputBytes: 0, completed: false }));
+      appendFileSync(outputPath, '{"grid":[["C"');
+
+      await SquareEnumerator.enumerate(words, { outputPath, resume: true });
+
+      expect(readFileSync(outputPath, 'utf-8')).toBe(expected);
+    });
+
+    it('should refuse a checkpoint from a different word list', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+
+      await expect(
+        SquareEnumerator.enumerate([...words, 'EDGE'], { outputPath, resume: true })
+      ).rejects.toThrow('different word list or mode');
+    });
+
+    it('should refuse a checkpoint from a different mode', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+
+      await expect(
+        SquareEnumerator.enumerate(words, { outputPath, resume: true, mode: 'double' })
+      ).rejects.toThrow('different word list or mode');
+    });
+
+    it('should refuse a checkpoint written without diagonals', async () => {
+      await SquareEnumerator.enumerate(words, { outputPath });
+
+      await expect(
+        SquareEnumerator.enumerate(words, { outputPath, resume: true, diagonals: 'main' })
+      ).rejects.toThrow('different word list or mode');
+    });
+
+    it('should throw when resuming without a checkpoint', async () => {
+      await expect(
+        SquareEnumerator.enumerate(words, { outputPath, resume: true })
+      ).rejects.toThrow('Checkpoint not found');
+      expect(existsSync(outputPath)).toBe(false);
+    });
+
+    it('should use a custom checkpoint path', async () => {
+      const checkpointPath = join(dir, 'progress.json');
+
+      await SquareEnumerator.enumerate(words, { outputPath, checkpointPath });
+
+      expect(existsSync(checkpointPath)).toBe(true);
+      expect(existsSync(`${outputPath}.checkpoint.json`)).toBe(false);
+    });
+  });
+});
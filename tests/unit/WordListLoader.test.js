@@ -1,15 +1,20 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { writeFileSync, unlinkSync, existsSync } from 'fs';
 import { WordListLoader } from '../../cli/modules/WordListLoader.js';
+import { Blocklist } from '../../shared/Blocklist.js';
 
 describe('WordListLoader', () => {
   const testFilePath = 'test-wordlist.txt';
+  const testFrequencyPath = 'test-wordlist.freq';
+  const testBlocklistPath = 'test-blocklist.txt';
 
   afterEach(() => {
-    // Clean up test file
-    if (existsSync(testFilePath)) {
-      unlinkSync(testFilePath);
-    }
+    // Clean up test files
+    [testFilePath, testFrequencyPath, testBlocklistPath].forEach(path => {
+      if (existsSync(path)) {
+        unlinkSync(path);
+      }
+    });
   });
 
   it('should load valid English word list', () => {
@@ -113,6 +118,167 @@ describe('WordListLoader', () => {
     expect(result.words).toHaveLength(3);
   });
 
+  it('should keep words matching the requested size', () => {
+    const content = 'CAT\nABLE\nHEART\nDOG\nTREND';
+    writeFileSync(testFilePath, content, 'utf-8');
+
+    expect(WordListLoader.load(testFilePath, 'en', 3).words).toEqual(['CAT', 'DOG']);
+    expect(WordListLoader.load(testFilePath, 'en', 5).words).toEqual(['HEART', 'TREND']);
+  });
+
+  it('should report the requested size when no words match', () => {
+    writeFileSync(testFilePath, 'ABLE\nBARE', 'utf-8');
+
+    expect(() => {
+      WordListLoader.load(testFilePath, 'en', 5);
+    }).toThrow('No 5-letter words found');
+  });
+
+  describe('Hebrew final letters', () => {
+    it('should spell words with the final form on the last letter only', () => {
+      writeFileSync(testFilePath, 'שלומ\nךלבה\nשמים', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'he');
+
+      expect(result.words).toEqual(['שלום', 'כלבה', 'שמים']);
+    });
+
+    it('should treat two spellings of one word as duplicates', () => {
+      writeFileSync(testFilePath, 'שלום\nשלומ', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'he');
+
+      expect(result.words).toEqual(['שלום']);
+      expect(result.dropped.duplicate).toBe(1);
+    });
+
+    it('should key frequencies by the display spelling', () => {
+      writeFileSync(testFilePath, 'שלומ 40', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'he');
+
+      expect(result.frequencies.get('שלום')).toBe(40);
+    });
+  });
+
+  describe('blocklists', () => {
+    it('should drop words on the language blocklist', () => {
+      writeFileSync(testFilePath, 'ABLE\nshit\nBARE', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en');
+
+      expect(result.words).toEqual(['ABLE', 'BARE']);
+      expect(result.dropped.blocked).toBe(1);
+    });
+
+    it('should drop words on an extra blocklist file', () => {
+      writeFileSync(testFilePath, 'ABLE\nBARE\nCARE', 'utf-8');
+      writeFileSync(testBlocklistPath, '# house rules\nbare', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en', 4, { blocklist: testBlocklistPath });
+
+      expect(result.words).toEqual(['ABLE', 'CARE']);
+    });
+
+    it('should drop a Hebrew word whose blocklist entry lacks the final letter form', () => {
+      writeFileSync(testFilePath, 'מלון\nספרה', 'utf-8');
+      writeFileSync(testBlocklistPath, 'מלונ', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'he', 4, { blocklist: testBlocklistPath });
+
+      expect(result.words).toEqual(['ספרה']);
+      // The editor checks puzzle words the same way
+      expect(Blocklist.findBlocked(['מלון'], Blocklist.parse('מלונ', 'he'), 'he')).toEqual(['מלון']);
+    });
+
+    it('should count dropped words by reason', () => {
+      writeFileSync(testFilePath, 'ABLE\nable\nCAT\nHOUSE\nSHIT\nBARE', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en');
+
+      expect(result.dropped).toEqual({ length: 2, duplicate: 1, blocked: 1 });
+    });
+
+    it('should block nothing for a language without a blocklist', () => {
+      writeFileSync(testFilePath, 'ABLE\nSHIT', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'fr');
+
+      expect(result.words).toEqual(['ABLE', 'SHIT']);
+      expect(result.dropped.blocked).toBe(0);
+    });
+
+    it('should throw when every word is blocklisted', () => {
+      writeFileSync(testFilePath, 'SHIT\nCRAP', 'utf-8');
+
+      expect(() => {
+        WordListLoader.load(testFilePath, 'en');
+      }).toThrow('are blocklisted');
+    });
+
+    it('should throw when the extra blocklist is missing', () => {
+      writeFileSync(testFilePath, 'ABLE', 'utf-8');
+
+      expect(() => {
+        WordListLoader.load(testFilePath, 'en', 4, { blocklist: 'missing-blocklist.txt' });
+      }).toThrow('Blocklist file not found');
+    });
+  });
+
+  describe('frequencies', () => {
+    it('should read an optional frequency column', () => {
+      writeFileSync(testFilePath, 'able 1520\nBARE\t300\ncare,42\nDARE', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en');
+
+      expect(result.words).toEqual(['ABLE', 'BARE', 'CARE', 'DARE']);
+      expect(result.frequencies.get('ABLE')).toBe(1520);
+      expect(result.frequencies.get('BARE')).toBe(300);
+      expect(result.frequencies.get('CARE')).toBe(42);
+      expect(result.frequencies.has('DARE')).toBe(false);
+    });
+
+    it('should return an empty map without frequency data', () => {
+      writeFileSync(testFilePath, 'ABLE\nBARE', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en');
+
+      expect(result.frequencies.size).toBe(0);
+    });
+
+    it('should read frequencies from a sidecar file', () => {
+      writeFileSync(testFilePath, 'ABLE\nBARE', 'utf-8');
+      writeFileSync(testFrequencyPath, 'able 10\nbare 20\nzzzz 5', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en', 4, { frequencyFile: testFrequencyPath });
+
+      expect(result.words).toEqual(['ABLE', 'BARE']);
+      expect(result.frequencies.get('ABLE')).toBe(10);
+      expect(result.frequencies.get('BARE')).toBe(20);
+    });
+
+    it('should keep the highest count for repeated words', () => {
+      writeFileSync(testFilePath, 'ABLE 10\nable 50\nABLE 20', 'utf-8');
+
+      const result = WordListLoader.load(testFilePath, 'en');
+
+      expect(result.frequencies.get('ABLE')).toBe(50);
+    });
+
+    it('should ignore counts that are not numbers', () => {
+      expect(WordListLoader.parseLine('ABLE noun')).toEqual({ word: 'ABLE', frequency: null });
+      expect(WordListLoader.parseLine('ABLE -3')).toEqual({ word: 'ABLE', frequency: null });
+    });
+
+    it('should throw when the sidecar file is missing', () => {
+      writeFileSync(testFilePath, 'ABLE', 'utf-8');
+
+      expect(() => {
+        WordListLoader.load(testFilePath, 'en', 4, { frequencyFile: 'missing.freq' });
+      }).toThrow('Frequency file not found');
+    });
+  });
+
   describe('getDirection', () => {
     it('should return ltr for English', () => {
       expect(WordListLoader.getDirection('en')).toBe('ltr');
@@ -162,6 +328,11 @@ describe('WordListLoader', () => {
       expect(result.errors.some(e => e.includes('not a string'))).toBe(true);
     });
 
+    it('should validate words against a custom size', () => {
+      expect(WordListLoader.validate(['CAT', 'DOG'], 3).valid).toBe(true);
+      expect(WordListLoader.validate(['CAT', 'ABLE'], 3).valid).toBe(false);
+    });
+
     it('should reject words with wrong length', () => {
       const words = ['ABLE', 'CAR', 'HOUSE'];
       const result = WordListLoader.validate(words);
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { WordTrie } from '../../cli/modules/WordTrie.js';
+
+describe('WordTrie', () => {
+  it('should index words and report membership', () => {
+    const trie = WordTrie.fromWords(['ABLE', 'ABBA', 'BARE']);
+
+    expect(trie.size).toBe(3);
+    expect(trie.has('ABLE')).toBe(true);
+    expect(trie.has('ABL')).toBe(false);
+    expect(trie.has('CARE')).toBe(false);
+  });
+
+  it('should ignore duplicate words', () => {
+    const trie = WordTrie.fromWords(['ABLE', 'ABLE']);
+
+    expect(trie.size).toBe(1);
+  });
+
+  it('should check prefixes', () => {
+    const trie = WordTrie.fromWords(['ABLE', 'BARE']);
+
+    expect(trie.hasPrefix('AB')).toBe(true);
+    expect(trie.hasPrefix('')).toBe(true);
+    expect(trie.hasPrefix('AC')).toBe(false);
+  });
+
+  it('should list words with a prefix', () => {
+    const trie = WordTrie.fromWords(['ABLE', 'ABBA', 'AREA', 'BARE']);
+
+    expect(trie.wordsWithPrefix('AB').sort()).toEqual(['ABBA', 'ABLE']);
+    expect(trie.wordsWithPrefix('Z')).toEqual([]);
+  });
+
+  it('should handle Hebrew characters', () => {
+    const trie = WordTrie.fromWords(['שלום', 'שלוש']);
+
+    expect(trie.hasPrefix('שלו')).toBe(true);
+    expect(trie.wordsWithPrefix('שלו')).toHaveLength(2);
+  });
+});
@@ -175,4 +175,206 @@ describe('Puzzle Validator', () => {
     expect(result.valid).toBe(true);
     expect(result.errors).toHaveLength(0);
   });
+
+  describe('double squares', () => {
+    // Built from scratch: earlier tests mutate validPuzzle's nested objects
+    const makeRiddles = (words, orientation, firstId) => words.map((word, i) => ({
+      id: firstId + i,
+      prompt: `${orientation} word ${i + 1}`,
+      answer: word,
+      solutionWord: word,
+      position: i,
+      orientation
+    }));
+
+    const rowRiddles = makeRiddles(['GLIA', 'AIDS', 'PEEK', 'SUMS'], 'row', 1);
+
+    const doublePuzzle = {
+      puzzleId: '123e4567-e89b-12d3-a456-426614174000',
+      version: '1.0.0',
+      language: 'en',
+      direction: 'ltr',
+      grid: [
+        ['G', 'L', 'I', 'A'],
+        ['A', 'I', 'D', 'S'],
+        ['P', 'E', 'E', 'K'],
+        ['S', 'U', 'M', 'S']
+      ],
+      words: ['GLIA', 'AIDS', 'PEEK', 'SUMS'],
+      columnWords: ['GAPS', 'LIEU', 'IDEM', 'ASKS'],
+      riddles: [...rowRiddles, ...makeRiddles(['GAPS', 'LIEU', 'IDEM', 'ASKS'], 'column', 5)],
+      metadata: {
+        createdAt: '2025-03-10T12:00:00Z',
+        difficulty: 'medium'
+      }
+    };
+
+    it('should validate a double square with 8 riddles', () => {
+      const result = validatePuzzle(doublePuzzle);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should require 8 riddles when columnWords is present', () => {
+      const result = validatePuzzle({ ...doublePuzzle, riddles: rowRiddles });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('riddles must be an array of exactly 8 riddles');
+    });
+
+    it('should reject malformed columnWords', () => {
+      const result = validatePuzzle({ ...doublePuzzle, columnWords: ['GAPS'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('columnWords'))).toBe(true);
+    });
+
+    it('should reject an unknown orientation', () => {
+      const riddles = doublePuzzle.riddles.map((r, i) => (i === 4 ? { ...r, orientation: 'diagonal' } : r));
+      const result = validatePuzzle({ ...doublePuzzle, riddles });
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('orientation'))).toBe(true);
+    });
+  });
+
+  describe('theme metadata', () => {
+    const themed = (metadata) => ({
+      ...validPuzzle,
+      metadata: { createdAt: '2025-03-10T12:00:00Z', difficulty: 'easy', ...metadata }
+    });
+
+    it('should accept a theme and included words', () => {
+      const result = validatePuzzle(themed({ theme: { name: 'food', words: ['ABLE'] }, includedWords: ['BARE'] }));
+      expect(result.errors.filter(e => e.startsWith('metadata'))).toHaveLength(0);
+    });
+
+    it('should reject a malformed theme', () => {
+      const result = validatePuzzle(themed({ theme: 'food' }));
+      expect(result.errors).toContain('metadata.theme must be an object with a name and a words array');
+    });
+
+    it('should reject malformed included words', () => {
+      const result = validatePuzzle(themed({ includedWords: 'BARE' }));
+      expect(result.errors).toContain('metadata.includedWords must be an array of strings');
+    });
+
+    it('should reject a title that is not a string and tags that are not a list of labels', () => {
+      expect(validatePuzzle(themed({ title: 'Bats', tags: ['animals'] })).errors.filter(e => e.startsWith('metadata'))).toHaveLength(0);
+
+      const result = validatePuzzle(themed({ title: 7, tags: 'easy' }));
+      expect(result.errors).toContain('metadata.title must be a string');
+      expect(result.errors).toContain('metadata.tags must be an array of non-empty strings');
+      expect(validatePuzzle(themed({ tags: ['animals', ''] })).errors).toContain('metadata.tags must be an array of non-empty strings');
+    });
+  });
+
+  describe('bonus words', () => {
+    const makeRiddle = (id, word, position, orientation) => ({
+      id,
+      prompt: `Riddle ${id}`,
+      answer: word,
+      solutionWord: word,
+      position,
+      ...(orientation ? { orientation } : {})
+    });
+
+    const words = ['BANS', 'AREA', 'NEAL', 'SALT'];
+    const bonusPuzzle = {
+      puzzleId: '123e4567-e89b-12d3-a456-426614174000',
+      version: '1.0.0',
+      language: 'en',
+      direction: 'ltr',
+      grid: words.map(word => word.split('')),
+      words,
+      bonusWords: [
+        { kind: 'main-diagonal', word: 'BRAT' },
+        { kind: 'anti-diagonal', word: 'SEES' }
+      ],
+      riddles: [
+        ...words.map((word, i) => makeRiddle(i + 1, word, i)),
+        makeRiddle(5, 'BRAT', 0, 'main-diagonal'),
+        makeRiddle(6, 'SEES', 1, 'anti-diagonal')
+      ],
+      metadata: {
+        createdAt: '2025-03-10T12:00:00Z',
+        difficulty: 'medium'
+      }
+    };
+
+    it('should validate a puzzle with diagonal bonus words', () => {
+      const result = validatePuzzle(bonusPuzzle);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should require one riddle per bonus word', () => {
+      const result = validatePuzzle({ ...bonusPuzzle, riddles: bonusPuzzle.riddles.slice(0, 5) });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('riddles must be an array of exactly 6 riddles');
+    });
+
+    it('should reject a bonus word that does not match the grid', () => {
+      const bonusWords = [{ kind: 'main-diagonal', word: 'BRAN' }, bonusPuzzle.bonusWords[1]];
+      const result = validatePuzzle({ ...bonusPuzzle, bonusWords });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain("bonusWords[0].word does not match the grid's main-diagonal");
+    });
+
+    it('should reject the same diagonal twice', () => {
+      const bonusWords = [bonusPuzzle.bonusWords[0], bonusPuzzle.bonusWords[0]];
+      const result = validatePuzzle({ ...bonusPuzzle, bonusWords });
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.includes('is used twice'))).toBe(true);
+    });
+
+    it('should reject a bonus riddle that points at the wrong diagonal', () => {
+      const riddles = bonusPuzzle.riddles.map((r, i) => (i === 4 ? { ...r, position: 1 } : r));
+      const result = validatePuzzle({ ...bonusPuzzle, riddles });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('riddles[4].position must point to the main-diagonal in bonusWords');
+    });
+  });
+
+  describe('grid sizes', () => {
+    const makePuzzle = (words) => ({
+      puzzleId: '123e4567-e89b-12d3-a456-426614174000',
+      version: '1.0.0',
+      language: 'en',
+      direction: 'ltr',
+      size: words.length,
+      grid: words.map(word => word.split('')),
+      words,
+      riddles: words.map((word, i) => ({
+        id: i + 1,
+        prompt: `Riddle ${i + 1}`,
+        answer: word,
+        solutionWord: word,
+        position: i
+      })),
+      metadata: {
+        createdAt: '2025-03-10T12:00:00Z',
+        difficulty: 'easy'
+      }
+    });
+
+    it('should validate a 3x3 puzzle', () => {
+      const result = validatePuzzle(makePuzzle(['BAT', 'ARE', 'TEN']));
+      expect(result.valid).toBe(true);
+    });
+
+    it('should validate a 5x5 puzzle', () => {
+      const result = validatePuzzle(makePuzzle(['HEART', 'EMBER', 'ABUSE', 'RESIN', 'TREND']));
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject a grid that does not match the size field', () => {
+      const result = validatePuzzle({ ...makePuzzle(['BAT', 'ARE', 'TEN']), size: 4 });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('grid must be an array of 4 rows');
+    });
+
+    it('should reject unsupported sizes', () => {
+      const result = validatePuzzle({ ...makePuzzle(['BAT', 'ARE', 'TEN']), size: 6 });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('size must be one of');
+    });
+  });
 });